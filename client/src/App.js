@@ -10,6 +10,7 @@ import Register from './pages/Auth/Register';
 import ForgotPassword from './pages/Auth/ForgotPassword';
 import ResetPassword from './pages/Auth/ResetPassword';
 import VerifyEmail from './pages/Auth/VerifyEmail';
+import VerifyCertificate from './pages/Certificates/VerifyCertificate';
 import Courses from './pages/Courses';
 import CourseDetail from './pages/Courses/CourseDetail';
 import Dashboard from './pages/Dashboard';
@@ -19,10 +20,23 @@ import AdminCourses from './pages/Admin/Courses';
 import AdminUsers from './pages/Admin/Users';
 import AdminEnrollments from './pages/Admin/Enrollments';
 import AdminPayments from './pages/Admin/Payments';
+import AdminPayouts from './pages/Admin/Payouts';
+import AdminExchangeRates from './pages/Admin/ExchangeRates';
+import AdminBundles from './pages/Admin/Bundles';
+import AdminVouchers from './pages/Admin/Vouchers';
+import AdminWebhookEvents from './pages/Admin/WebhookEvents';
+import AdminReconciliation from './pages/Admin/Reconciliation';
+import AdminRefundRequests from './pages/Admin/RefundRequests';
+import InstructorDashboard from './pages/Instructor/Dashboard';
+import InstructorCourses from './pages/Instructor/Courses';
+import InstructorLearners from './pages/Instructor/Learners';
+import QuizAnalytics from './pages/Quizzes/QuizAnalytics';
+import GradingQueue from './pages/Assignments/GradingQueue';
 import ProtectedRoute from './components/Auth/ProtectedRoute';
 import AdminRoute from './components/Auth/AdminRoute';
+import InstructorRoute from './components/Auth/InstructorRoute';
 import { EnrollCourse, EnrollmentHistory, CourseProgress } from './pages/Enrollments';
-import { Checkout, PaymentSuccess, PaymentFailure, PaymentPending, PaymentReceipt, PaymentHistory } from './pages/Payment';
+import { Checkout, PaymentSuccess, PaymentFailure, PaymentPending, PaymentReceipt, PaymentHistory, Memberships, Cart, GiftCourse, RedeemVoucher } from './pages/Payment';
 import { SSLCommerzSuccess, SSLCommerzFail, SSLCommerzCancel } from './pages/Payment/SSLCommerz';
 
 function App() {
@@ -48,6 +62,7 @@ function App() {
         <Route index element={<Home />} />
         <Route path="courses" element={<Courses />} />
         <Route path="courses/:id" element={<CourseDetail />} />
+        <Route path="memberships" element={<Memberships />} />
         <Route path="login" element={
           !isAuthenticated ? <Login /> : <Navigate to="/dashboard" replace />
         } />
@@ -61,6 +76,7 @@ function App() {
           !isAuthenticated ? <ResetPassword /> : <Navigate to="/dashboard" replace />
         } />
         <Route path="verify-email/:token" element={<VerifyEmail />} />
+        <Route path="certificates/:certificateId/verify" element={<VerifyCertificate />} />
       </Route>
 
       {/* Protected Routes */}
@@ -92,6 +108,16 @@ function App() {
             <EnrollmentHistory />
           </ProtectedRoute>
         } />
+        <Route path="courses/:courseId/quizzes/analytics" element={
+          <ProtectedRoute>
+            <QuizAnalytics />
+          </ProtectedRoute>
+        } />
+        <Route path="courses/:courseId/assignments/grading" element={
+          <ProtectedRoute>
+            <GradingQueue />
+          </ProtectedRoute>
+        } />
         
         {/* Payment Routes */}
         <Route path="payment/history" element={
@@ -99,6 +125,21 @@ function App() {
             <PaymentHistory />
           </ProtectedRoute>
         } />
+        <Route path="cart" element={
+          <ProtectedRoute>
+            <Cart />
+          </ProtectedRoute>
+        } />
+        <Route path="gift/:courseId" element={
+          <ProtectedRoute>
+            <GiftCourse />
+          </ProtectedRoute>
+        } />
+        <Route path="redeem" element={
+          <ProtectedRoute>
+            <RedeemVoucher />
+          </ProtectedRoute>
+        } />
         <Route path="checkout/:enrollmentId" element={
           <ProtectedRoute>
             <Checkout />
@@ -163,6 +204,61 @@ function App() {
             <AdminPayments />
           </AdminRoute>
         } />
+        <Route path="payouts" element={
+          <AdminRoute>
+            <AdminPayouts />
+          </AdminRoute>
+        } />
+        <Route path="exchange-rates" element={
+          <AdminRoute>
+            <AdminExchangeRates />
+          </AdminRoute>
+        } />
+        <Route path="bundles" element={
+          <AdminRoute>
+            <AdminBundles />
+          </AdminRoute>
+        } />
+        <Route path="vouchers" element={
+          <AdminRoute>
+            <AdminVouchers />
+          </AdminRoute>
+        } />
+        <Route path="webhook-events" element={
+          <AdminRoute>
+            <AdminWebhookEvents />
+          </AdminRoute>
+        } />
+        <Route path="reconciliation" element={
+          <AdminRoute>
+            <AdminReconciliation />
+          </AdminRoute>
+        } />
+        <Route path="refund-requests" element={
+          <AdminRoute>
+            <AdminRefundRequests />
+          </AdminRoute>
+        } />
+      </Route>
+
+      {/* Instructor Routes */}
+      <Route path="/instructor" element={<Layout />}>
+        <Route index element={<Navigate to="/instructor/dashboard" replace />} />
+        <Route path="dashboard" element={
+          <InstructorRoute>
+            <InstructorDashboard />
+          </InstructorRoute>
+        } />
+        <Route path="courses" element={
+          <InstructorRoute>
+            <InstructorCourses />
+          </InstructorRoute>
+        } />
+        <Route path="learners" element={
+          <InstructorRoute>
+            <InstructorLearners />
+          </InstructorRoute>
+        } />
       </Route>
 
       {/* 404 Route */}
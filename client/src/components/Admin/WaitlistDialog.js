@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Chip,
+  Typography,
+  Box,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import { ArrowUpward, ArrowDownward } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+// Shows a course waitlist and lets an admin change the order of students
+// still waiting for a seat
+const WaitlistDialog = ({ course, open, onClose }) => {
+  const [offered, setOffered] = useState([]);
+  const [waiting, setWaiting] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const applyWaitlist = (waitlist) => {
+    setOffered(waitlist.filter((entry) => entry.status === 'offered'));
+    setWaiting(waitlist.filter((entry) => entry.status === 'waiting'));
+    setDirty(false);
+  };
+
+  const fetchWaitlist = useCallback(async () => {
+    if (!course) return;
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_BASE_URL}/courses/${course._id}/waitlist`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      applyWaitlist(response.data.waitlist);
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+      toast.error('Failed to load waitlist');
+    } finally {
+      setLoading(false);
+    }
+  }, [course]);
+
+  useEffect(() => {
+    if (open) {
+      fetchWaitlist();
+    }
+  }, [open, fetchWaitlist]);
+
+  const moveEntry = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= waiting.length) return;
+
+    const reordered = [...waiting];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setWaiting(reordered);
+    setDirty(true);
+  };
+
+  const handleSaveOrder = async () => {
+    try {
+      setSaving(true);
+      const token = localStorage.getItem('token');
+      const response = await axios.put(
+        `${API_BASE_URL}/courses/${course._id}/waitlist/reorder`,
+        { entryIds: waiting.map((entry) => entry._id) },
+        { headers: { 'Authorization': `Bearer ${token}` } }
+      );
+      applyWaitlist(response.data.waitlist);
+      toast.success('Waitlist order saved');
+    } catch (error) {
+      console.error('Error reordering waitlist:', error);
+      toast.error(error.response?.data?.message || 'Failed to reorder waitlist');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const studentLabel = (entry) =>
+    `${entry.student.firstName} ${entry.student.lastName}`;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Waitlist: {course?.title}</DialogTitle>
+      <DialogContent dividers>
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress />
+          </Box>
+        ) : offered.length === 0 && waiting.length === 0 ? (
+          <Alert severity="info">No students are on the waitlist.</Alert>
+        ) : (
+          <>
+            {offered.length > 0 && (
+              <>
+                <Typography variant="subtitle2" gutterBottom>
+                  Holding a seat
+                </Typography>
+                <List dense>
+                  {offered.map((entry) => (
+                    <ListItem key={entry._id}>
+                      <ListItemText
+                        primary={studentLabel(entry)}
+                        secondary={`${entry.student.email} · until ${new Date(entry.offerExpiresAt).toLocaleString()}`}
+                      />
+                      <Chip label="Offered" color="success" size="small" />
+                    </ListItem>
+                  ))}
+                </List>
+              </>
+            )}
+            {waiting.length > 0 && (
+              <>
+                <Typography variant="subtitle2" gutterBottom>
+                  Waiting
+                </Typography>
+                <List dense>
+                  {waiting.map((entry, index) => (
+                    <ListItem
+                      key={entry._id}
+                      secondaryAction={
+                        <>
+                          <IconButton
+                            size="small"
+                            onClick={() => moveEntry(index, -1)}
+                            disabled={index === 0}
+                          >
+                            <ArrowUpward fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            onClick={() => moveEntry(index, 1)}
+                            disabled={index === waiting.length - 1}
+                          >
+                            <ArrowDownward fontSize="small" />
+                          </IconButton>
+                        </>
+                      }
+                    >
+                      <ListItemText
+                        primary={`#${index + 1} ${studentLabel(entry)}`}
+                        secondary={`${entry.student.email} · joined ${new Date(entry.createdAt).toLocaleDateString()}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          onClick={handleSaveOrder}
+          variant="contained"
+          disabled={!dirty || saving}
+        >
+          {saving ? 'Saving...' : 'Save Order'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WaitlistDialog;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import { AttachFile, Event, Assignment as AssignmentIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const SUBMISSION_STATUS = {
+  submitted: { label: 'Awaiting grading', color: 'info' },
+  graded: { label: 'Graded', color: 'success' },
+  superseded: { label: 'Replaced', color: 'default' },
+};
+
+// Downloads a submission file with the auth header and hands it to the browser
+export const downloadSubmissionFile = async (courseId, assignmentId, submissionId, file) => {
+  try {
+    const response = await axios.get(
+      `${API_BASE_URL}/courses/${courseId}/assignments/${assignmentId}/submissions/${submissionId}/files/${file._id}`,
+      { responseType: 'blob' }
+    );
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.originalName;
+    link.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    toast.error('Failed to download file');
+  }
+};
+
+// Lets a student submit the assignment attached to an assignment lesson and
+// see their grades. onSubmitted is called after each successful submission.
+const AssignmentPanel = ({ courseId, lessonId, onSubmitted }) => {
+  const [assignment, setAssignment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [text, setText] = useState('');
+  const [files, setFiles] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchAssignment = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/courses/${courseId}/assignments`, {
+        params: { lessonId },
+      });
+      setAssignment(response.data.assignments[0] || null);
+    } catch (error) {
+      console.error('Error fetching assignment:', error);
+      toast.error('Failed to load assignment');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId, lessonId]);
+
+  useEffect(() => {
+    setText('');
+    setFiles([]);
+    fetchAssignment();
+  }, [fetchAssignment]);
+
+  const handleSubmit = async () => {
+    const formData = new FormData();
+    if (text.trim()) {
+      formData.append('text', text);
+    }
+    files.forEach((file) => formData.append('files', file));
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(
+        `${API_BASE_URL}/courses/${courseId}/assignments/${assignment._id}/submissions`,
+        formData
+      );
+      toast.success(response.data.message);
+      setText('');
+      setFiles([]);
+      fetchAssignment();
+      if (onSubmitted) {
+        onSubmitted();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit assignment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" py={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (!assignment) {
+    return <Alert severity="info">This assignment is not available yet.</Alert>;
+  }
+
+  const submissionsLeft =
+    assignment.maxSubmissions > 0 ? assignment.maxSubmissions - assignment.submissionsUsed : null;
+  const latest = assignment.submissions[assignment.submissions.length - 1];
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        {assignment.title}
+      </Typography>
+      {assignment.instructions && (
+        <Typography variant="body2" color="text.secondary" paragraph sx={{ whiteSpace: 'pre-line' }}>
+          {assignment.instructions}
+        </Typography>
+      )}
+      <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+        <Chip size="small" icon={<AssignmentIcon />} label={`${assignment.totalPoints} points`} />
+        {assignment.dueDate && (
+          <Chip
+            size="small"
+            icon={<Event />}
+            label={`Due ${new Date(assignment.dueDate).toLocaleString()}`}
+            color={assignment.isPastDue ? 'error' : 'default'}
+          />
+        )}
+        {submissionsLeft !== null && (
+          <Chip
+            size="small"
+            label={`${submissionsLeft} submission${submissionsLeft === 1 ? '' : 's'} left`}
+          />
+        )}
+      </Box>
+
+      {latest && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+            <Typography variant="body2">
+              Submission #{latest.submissionNumber} on {new Date(latest.submittedAt).toLocaleString()}
+            </Typography>
+            <Box display="flex" gap={1}>
+              {latest.isLate && <Chip size="small" color="warning" label="Late" />}
+              <Chip
+                size="small"
+                color={SUBMISSION_STATUS[latest.status].color}
+                label={SUBMISSION_STATUS[latest.status].label}
+              />
+            </Box>
+          </Box>
+          {latest.files.map((file) => (
+            <Button
+              key={file._id}
+              size="small"
+              startIcon={<AttachFile />}
+              onClick={() => downloadSubmissionFile(courseId, assignment._id, latest._id, file)}
+            >
+              {file.originalName}
+            </Button>
+          ))}
+          {latest.status === 'graded' && (
+            <Alert severity="success" sx={{ mt: 1 }}>
+              Score: {latest.score}/{latest.maxScore} ({latest.percentage}%)
+              {latest.feedback && (
+                <Typography variant="body2" sx={{ mt: 1 }}>
+                  {latest.feedback}
+                </Typography>
+              )}
+              {latest.rubricScores.map((entry) => {
+                const criterion = assignment.rubric.find((item) => item._id === entry.criterion);
+                return (
+                  <Typography key={entry.criterion} variant="body2">
+                    {criterion?.title}: {entry.points}/{criterion?.maxPoints}
+                    {entry.comment ? ` — ${entry.comment}` : ''}
+                  </Typography>
+                );
+              })}
+            </Alert>
+          )}
+        </Paper>
+      )}
+
+      {assignment.canSubmit ? (
+        <Box display="flex" flexDirection="column" gap={1}>
+          {assignment.allowTextSubmission && (
+            <TextField
+              multiline
+              minRows={4}
+              fullWidth
+              label="Your answer"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+            />
+          )}
+          {assignment.allowFileSubmission && (
+            <Button variant="outlined" component="label" startIcon={<AttachFile />}>
+              {files.length > 0 ? `${files.length} file(s) selected` : 'Attach Files'}
+              <input
+                type="file"
+                hidden
+                multiple
+                accept={assignment.allowedFileTypes.join(',') || undefined}
+                onChange={(e) => setFiles(Array.from(e.target.files))}
+              />
+            </Button>
+          )}
+          <Button
+            variant="contained"
+            onClick={handleSubmit}
+            disabled={submitting || (!text.trim() && files.length === 0)}
+          >
+            {submitting ? <CircularProgress size={20} /> : latest ? 'Resubmit' : 'Submit Assignment'}
+          </Button>
+        </Box>
+      ) : (
+        !latest && <Alert severity="warning">Submissions for this assignment are closed.</Alert>
+      )}
+    </Box>
+  );
+};
+
+export default AssignmentPanel;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Link,
+  Alert,
+  Paper,
+  Grid,
+  CircularProgress
+} from '@mui/material';
+import { useAuth } from '../../context/AuthContext';
+
+// Shows a list of one-time backup codes with a copy action
+export const BackupCodes = ({ codes }) => {
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(codes.join('\n'));
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these backup codes somewhere safe. Each one signs you in once if you lose your authenticator.
+      </Alert>
+      <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={1}>
+          {codes.map((code) => (
+            <Grid item xs={6} key={code}>
+              <Typography sx={{ fontFamily: 'monospace' }}>{code}</Typography>
+            </Grid>
+          ))}
+        </Grid>
+      </Paper>
+      <Button size="small" onClick={handleCopy}>
+        Copy codes
+      </Button>
+    </Box>
+  );
+};
+
+// Walks through authenticator setup. twoFactorToken is passed from the login
+// screen for accounts that must set up two-factor before signing in; onComplete
+// then receives the new session.
+const TwoFactorSetup = ({ twoFactorToken, onComplete }) => {
+  const { startTwoFactorSetup, enableTwoFactor } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const start = async () => {
+      const result = await startTwoFactorSetup(twoFactorToken);
+      if (!cancelled && result.success) {
+        setSetup(result);
+      }
+    };
+    start();
+    return () => {
+      cancelled = true;
+    };
+    // Only start setup once per mount; a new secret invalidates the last one
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [twoFactorToken]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const enabled = await enableTwoFactor(code, twoFactorToken);
+    setLoading(false);
+    if (enabled.success) {
+      setResult(enabled);
+    }
+  };
+
+  if (result) {
+    return (
+      <Box>
+        <BackupCodes codes={result.backupCodes} />
+        <Button
+          fullWidth
+          variant="contained"
+          sx={{ mt: 2 }}
+          onClick={() => onComplete(result.loginData)}
+        >
+          I have saved my backup codes
+        </Button>
+      </Box>
+    );
+  }
+
+  if (!setup) {
+    return (
+      <Box display="flex" justifyContent="center" py={3}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleVerify}>
+      <Typography variant="body2" sx={{ mb: 2 }}>
+        Add this account to an authenticator app such as Google Authenticator or Authy,
+        then enter the 6-digit code it shows.
+      </Typography>
+      <Button
+        component={Link}
+        href={setup.otpauthUrl}
+        variant="outlined"
+        fullWidth
+        sx={{ mb: 2 }}
+      >
+        Open in authenticator app
+      </Button>
+      <Typography variant="caption" color="text.secondary">
+        Or enter this key manually:
+      </Typography>
+      <Paper variant="outlined" sx={{ p: 1.5, mb: 2, wordBreak: 'break-all' }}>
+        <Typography sx={{ fontFamily: 'monospace' }}>
+          {setup.secret.match(/.{1,4}/g).join(' ')}
+        </Typography>
+      </Paper>
+      <TextField
+        fullWidth
+        required
+        label="Verification code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+        disabled={loading}
+      />
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        sx={{ mt: 2 }}
+        disabled={loading || code.length < 6}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Verify and enable'}
+      </Button>
+    </Box>
+  );
+};
+
+export default TwoFactorSetup;
@@ -19,6 +19,7 @@ import {
   Person as PersonIcon,
   Dashboard as DashboardIcon,
   AdminPanelSettings as AdminIcon,
+  CastForEducation as InstructorIcon,
   Logout as LogoutIcon,
   Settings as SettingsIcon
 } from '@mui/icons-material';
@@ -64,7 +65,14 @@ const Header = () => {
   const navItems = [
     { label: 'Home', path: '/' },
     { label: 'Courses', path: '/courses' },
-    ...(isAuthenticated ? [{ label: 'My Enrollments', path: '/enrollments' }] : [])
+    { label: 'Memberships', path: '/memberships' },
+    ...(isAuthenticated
+      ? [
+          { label: 'My Enrollments', path: '/enrollments' },
+          { label: 'Cart', path: '/cart' },
+          { label: 'Redeem', path: '/redeem' },
+        ]
+      : [])
   ];
 
   const renderNavItems = () => (
@@ -161,6 +169,17 @@ const Header = () => {
           <SettingsIcon sx={{ mr: 1 }} />
           Profile
         </MenuItem>
+        {['instructor', 'admin'].includes(user?.role) && (
+          <MenuItem
+            onClick={() => {
+              navigate('/instructor/dashboard');
+              handleUserMenuClose();
+            }}
+          >
+            <InstructorIcon sx={{ mr: 1 }} />
+            Instructor Dashboard
+          </MenuItem>
+        )}
         {user?.role === 'admin' && (
           <MenuItem
             onClick={() => {
@@ -264,6 +283,17 @@ const Header = () => {
                   <SettingsIcon sx={{ mr: 1 }} />
                   Profile
                 </MenuItem>
+                {['instructor', 'admin'].includes(user?.role) && (
+                  <MenuItem
+                    onClick={() => {
+                      navigate('/instructor/dashboard');
+                      handleMobileMenuClose();
+                    }}
+                  >
+                    <InstructorIcon sx={{ mr: 1 }} />
+                    Instructor Dashboard
+                  </MenuItem>
+                )}
                 {user?.role === 'admin' && (
                   <MenuItem
                     onClick={() => {
@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Radio,
+  RadioGroup,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  TextField,
+  Alert,
+  Chip,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import { Timer, Quiz as QuizIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Lets a student take the quiz attached to a quiz lesson. onPassed is called
+// after a passing attempt so the lesson can be marked complete.
+const QuizPlayer = ({ courseId, lessonId, onPassed }) => {
+  const [quiz, setQuiz] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [attempt, setAttempt] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [timeLeft, setTimeLeft] = useState(null);
+
+  const fetchQuiz = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/courses/${courseId}/quizzes`, {
+        params: { lessonId },
+      });
+      setQuiz(response.data.quizzes[0] || null);
+    } catch (error) {
+      console.error('Error fetching quiz:', error);
+      toast.error('Failed to load quiz');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId, lessonId]);
+
+  useEffect(() => {
+    setAttempt(null);
+    setResult(null);
+    fetchQuiz();
+  }, [fetchQuiz]);
+
+  useEffect(() => {
+    if (!attempt?.expiresAt) {
+      setTimeLeft(null);
+      return undefined;
+    }
+    const tick = () => setTimeLeft(new Date(attempt.expiresAt).getTime() - Date.now());
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [attempt]);
+
+  const handleStart = async () => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/courses/${courseId}/quizzes/${quiz._id}/attempts`
+      );
+      setAttempt(response.data.attempt);
+      setQuestions(response.data.questions);
+      setAnswers({});
+      setResult(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start quiz');
+    }
+  };
+
+  const setChoice = (questionId, optionId, multiple) => {
+    setAnswers((current) => {
+      if (!multiple) {
+        return { ...current, [questionId]: [optionId] };
+      }
+      const selected = current[questionId] || [];
+      return {
+        ...current,
+        [questionId]: selected.includes(optionId)
+          ? selected.filter((id) => id !== optionId)
+          : [...selected, optionId],
+      };
+    });
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      const response = await axios.post(
+        `${API_BASE_URL}/courses/${courseId}/quizzes/${quiz._id}/attempts/${attempt._id}/submit`,
+        {
+          answers: questions.map((question) =>
+            question.type === 'short_answer'
+              ? { questionId: question._id, textAnswer: answers[question._id] || '' }
+              : { questionId: question._id, selectedOptions: answers[question._id] || [] }
+          ),
+        }
+      );
+      setResult(response.data);
+      setAttempt(null);
+      fetchQuiz();
+      if (response.data.attempt.passed && onPassed) {
+        onPassed();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit quiz');
+      if (error.response?.data?.attempt?.status === 'expired') {
+        setAttempt(null);
+        fetchQuiz();
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" py={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (!quiz) {
+    return <Alert severity="info">This quiz is not available yet.</Alert>;
+  }
+
+  if (attempt) {
+    return (
+      <Box>
+        {timeLeft !== null && (
+          <Chip
+            icon={<Timer />}
+            label={`Time left: ${formatCountdown(timeLeft)}`}
+            color={timeLeft < 60000 ? 'error' : 'default'}
+            sx={{ mb: 2 }}
+          />
+        )}
+        {questions.map((question, index) => (
+          <Paper key={question._id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              {index + 1}. {question.text}
+              <Typography component="span" variant="caption" color="text.secondary">
+                {' '}({question.points} pt{question.points === 1 ? '' : 's'})
+              </Typography>
+            </Typography>
+            {question.type === 'short_answer' && (
+              <TextField
+                fullWidth
+                size="small"
+                value={answers[question._id] || ''}
+                onChange={(e) => setAnswers({ ...answers, [question._id]: e.target.value })}
+              />
+            )}
+            {question.type === 'multiple_choice' && (
+              <FormGroup>
+                {question.options.map((option) => (
+                  <FormControlLabel
+                    key={option._id}
+                    control={
+                      <Checkbox
+                        checked={(answers[question._id] || []).includes(option._id)}
+                        onChange={() => setChoice(question._id, option._id, true)}
+                      />
+                    }
+                    label={option.text}
+                  />
+                ))}
+              </FormGroup>
+            )}
+            {(question.type === 'single_choice' || question.type === 'true_false') && (
+              <RadioGroup
+                value={(answers[question._id] || [])[0] || ''}
+                onChange={(e) => setChoice(question._id, e.target.value, false)}
+              >
+                {question.options.map((option) => (
+                  <FormControlLabel
+                    key={option._id}
+                    value={option._id}
+                    control={<Radio />}
+                    label={option.text}
+                  />
+                ))}
+              </RadioGroup>
+            )}
+          </Paper>
+        ))}
+        <Button
+          variant="contained"
+          fullWidth
+          onClick={handleSubmit}
+          disabled={submitting}
+        >
+          {submitting ? <CircularProgress size={20} /> : 'Submit Answers'}
+        </Button>
+      </Box>
+    );
+  }
+
+  const attemptsLeft = quiz.maxAttempts > 0 ? quiz.maxAttempts - quiz.attemptsUsed : null;
+  const inProgress = quiz.attempts.some((entry) => entry.status === 'in_progress');
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        {quiz.title}
+      </Typography>
+      {quiz.description && (
+        <Typography variant="body2" color="text.secondary" paragraph>
+          {quiz.description}
+        </Typography>
+      )}
+      <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+        <Chip size="small" icon={<QuizIcon />} label={`${quiz.questionCount} questions`} />
+        <Chip size="small" label={`Pass: ${quiz.passingScore}%`} />
+        {quiz.timeLimit > 0 && (
+          <Chip size="small" icon={<Timer />} label={`${quiz.timeLimit} min`} />
+        )}
+        {attemptsLeft !== null && (
+          <Chip size="small" label={`${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left`} />
+        )}
+      </Box>
+
+      {result && (
+        <Alert severity={result.attempt.passed ? 'success' : 'warning'} sx={{ mb: 2 }}>
+          You scored {result.attempt.percentage}% ({result.attempt.score}/{result.attempt.maxScore}).
+          {result.attempt.passed ? ' You passed!' : ' Not quite enough to pass.'}
+          {result.feedback.filter((entry) => !entry.isCorrect && entry.explanation).map((entry) => (
+            <Typography key={entry.question} variant="body2" sx={{ mt: 1 }}>
+              {entry.explanation}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
+      {!result && quiz.bestScore !== null && (
+        <Alert severity={quiz.passed ? 'success' : 'info'} sx={{ mb: 2 }}>
+          Best score: {quiz.bestScore}%{quiz.passed ? ' (passed)' : ''}
+        </Alert>
+      )}
+
+      <Button
+        variant="contained"
+        fullWidth
+        onClick={handleStart}
+        disabled={attemptsLeft !== null && attemptsLeft <= 0 && !inProgress}
+      >
+        {inProgress ? 'Resume Quiz' : quiz.attemptsUsed > 0 ? 'Retake Quiz' : 'Start Quiz'}
+      </Button>
+    </Box>
+  );
+};
+
+export default QuizPlayer;
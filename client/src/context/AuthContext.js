@@ -6,6 +6,63 @@ import config from '../config/api';
 // Set axios defaults
 axios.defaults.baseURL = config.API_BASE_URL;
 
+// Session callbacks, set by AuthProvider
+let handleTokenRefreshed = null;
+let handleSessionExpired = null;
+let refreshRequest = null;
+
+// Exchange the stored refresh token, sharing one request between callers
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios
+      .post('/auth/refresh', { refreshToken: localStorage.getItem('refreshToken') })
+      .then((res) => {
+        localStorage.setItem('token', res.data.token);
+        localStorage.setItem('refreshToken', res.data.refreshToken);
+        axios.defaults.headers.common['Authorization'] = `Bearer ${res.data.token}`;
+        if (handleTokenRefreshed) {
+          handleTokenRefreshed(res.data.token);
+        }
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Retry requests that failed with an expired access token
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    const isAuthRequest = /\/auth\/(login|refresh)/.test(original?.url || '');
+
+    if (
+      error.response?.status !== 401 ||
+      !original ||
+      original._retry ||
+      isAuthRequest ||
+      !localStorage.getItem('refreshToken')
+    ) {
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+    try {
+      const token = await refreshAccessToken();
+      original.headers['Authorization'] = `Bearer ${token}`;
+      return axios(original);
+    } catch (refreshError) {
+      if (handleSessionExpired) {
+        handleSessionExpired();
+      }
+      return Promise.reject(error);
+    }
+  }
+);
+
 // Create context
 const AuthContext = createContext();
 
@@ -26,6 +83,7 @@ const AUTH_ACTIONS = {
   USER_LOADED: 'USER_LOADED',
   AUTH_ERROR: 'AUTH_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
   UPDATE_USER: 'UPDATE_USER'
 };
 
@@ -34,6 +92,7 @@ const authReducer = (state, action) => {
   switch (action.type) {
     case AUTH_ACTIONS.LOGIN_SUCCESS:
       localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refreshToken);
       return {
         ...state,
         token: action.payload.token,
@@ -56,6 +115,7 @@ const authReducer = (state, action) => {
     case AUTH_ACTIONS.AUTH_ERROR:
     case AUTH_ACTIONS.LOGOUT:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         token: null,
@@ -65,6 +125,12 @@ const authReducer = (state, action) => {
         error: action.payload
       };
     
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      return {
+        ...state,
+        token: action.payload
+      };
+
     case AUTH_ACTIONS.CLEAR_ERROR:
       return {
         ...state,
@@ -141,6 +207,17 @@ export const AuthProvider = ({ children }) => {
   const login = async (formData) => {
     try {
       const res = await axios.post('/auth/login', formData);
+
+      // Password accepted, but a two-factor step is still needed
+      if (res.data.twoFactorRequired || res.data.twoFactorSetupRequired) {
+        return {
+          success: false,
+          twoFactorRequired: Boolean(res.data.twoFactorRequired),
+          twoFactorSetupRequired: Boolean(res.data.twoFactorSetupRequired),
+          twoFactorToken: res.data.twoFactorToken
+        };
+      }
+
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
         payload: res.data
@@ -159,13 +236,155 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Complete login with an authenticator or backup code
+  const completeTwoFactorLogin = async (twoFactorToken, code) => {
+    try {
+      const res = await axios.post('/auth/login/2fa', { twoFactorToken, code });
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: res.data
+      });
+      setAuthToken(res.data.token);
+      toast.success('Login successful!');
+      if (res.data.backupCodesRemaining <= 2) {
+        toast.warning(`Only ${res.data.backupCodesRemaining} backup codes left. Generate new ones from your profile.`);
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Start two-factor setup; twoFactorToken is only needed from the login screen
+  const startTwoFactorSetup = async (twoFactorToken) => {
+    try {
+      const res = await axios.post('/auth/2fa/setup', twoFactorToken ? { twoFactorToken } : {});
+      return { success: true, ...res.data };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to start two-factor setup';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Confirm two-factor setup. When started from login the response also
+  // carries the new session, applied with finishLogin once the backup codes
+  // have been shown.
+  const enableTwoFactor = async (code, twoFactorToken) => {
+    try {
+      const res = await axios.post('/auth/2fa/enable', { code, ...(twoFactorToken && { twoFactorToken }) });
+      if (!res.data.token) {
+        dispatch({
+          type: AUTH_ACTIONS.UPDATE_USER,
+          payload: { ...state.user, twoFactor: { ...state.user.twoFactor, enabled: true } }
+        });
+      }
+      toast.success('Two-factor authentication enabled');
+      return {
+        success: true,
+        backupCodes: res.data.backupCodes,
+        loginData: res.data.token ? res.data : null
+      };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to enable two-factor authentication';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Sign in with a session returned from two-factor setup
+  const finishLogin = (loginData) => {
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: loginData
+    });
+    setAuthToken(loginData.token);
+    toast.success('Login successful!');
+  };
+
+  // Turn two-factor authentication off
+  const disableTwoFactor = async (password, code) => {
+    try {
+      await axios.post('/auth/2fa/disable', { password, code });
+      dispatch({
+        type: AUTH_ACTIONS.UPDATE_USER,
+        payload: { ...state.user, twoFactor: { ...state.user.twoFactor, enabled: false } }
+      });
+      toast.success('Two-factor authentication disabled');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to disable two-factor authentication';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Replace the backup codes
+  const regenerateBackupCodes = async (code) => {
+    try {
+      const res = await axios.post('/auth/2fa/backup-codes', { code });
+      toast.success('New backup codes generated');
+      return { success: true, backupCodes: res.data.backupCodes };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to generate backup codes';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   // Logout user
-  const logout = () => {
+  const logout = async () => {
+    try {
+      await axios.post('/auth/logout');
+    } catch (error) {
+      // The local session is cleared either way
+    }
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     setAuthToken(null);
     toast.info('Logged out successfully');
   };
 
+  // Revoke every session of the user, including this one
+  const logoutEverywhere = async () => {
+    try {
+      await axios.delete('/auth/sessions');
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      setAuthToken(null);
+      toast.info('Logged out of all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to log out of all devices';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Get active sessions
+  const getSessions = useCallback(async () => {
+    try {
+      const res = await axios.get('/auth/sessions');
+      return { success: true, sessions: res.data.sessions };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to load sessions';
+      return { success: false, error: message };
+    }
+  }, []);
+
+  // Revoke a single session
+  const revokeSession = async (sessionId) => {
+    try {
+      await axios.delete(`/auth/sessions/${sessionId}`);
+      toast.success('Session revoked');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to revoke session';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   // Update user profile
   const updateProfile = async (formData) => {
     try {
@@ -240,6 +459,23 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
   };
 
+  // Keep state in sync with token refreshes done by the axios interceptor
+  useEffect(() => {
+    handleTokenRefreshed = (token) => {
+      dispatch({ type: AUTH_ACTIONS.TOKEN_REFRESHED, payload: token });
+    };
+    handleSessionExpired = () => {
+      dispatch({
+        type: AUTH_ACTIONS.AUTH_ERROR,
+        payload: 'Your session has expired. Please log in again.'
+      });
+    };
+    return () => {
+      handleTokenRefreshed = null;
+      handleSessionExpired = null;
+    };
+  }, []);
+
   // Load user on mount
   useEffect(() => {
     loadUser();
@@ -258,7 +494,16 @@ export const AuthProvider = ({ children }) => {
     error: state.error,
     register,
     login,
+    completeTwoFactorLogin,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    finishLogin,
+    disableTwoFactor,
+    regenerateBackupCodes,
     logout,
+    logoutEverywhere,
+    getSessions,
+    revokeSession,
     updateProfile,
     changePassword,
     forgotPassword,
@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Alert,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { Add } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+import { formatPrice } from '../../utils/currency';
+
+const CURRENCIES = ['BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+const EMPTY_FORM = { title: '', description: '', thumbnail: '', courses: [], price: '', currency: 'BDT', isActive: true };
+
+// Learning paths sold as one purchase. The bundle price is split over its
+// courses by their own prices, so every course must be priced in the
+// bundle currency.
+const AdminBundles = () => {
+  const [bundles, setBundles] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [bundlesRes, coursesRes] = await Promise.all([
+        axios.get(`${API_BASE_URL}/bundles`, { params: { includeInactive: true, limit: 50 } }),
+        axios.get(`${API_BASE_URL}/courses`, { params: { limit: 50, sortBy: 'title', sortOrder: 'asc' } }),
+      ]);
+      setBundles(bundlesRes.data.bundles);
+      setCourses(coursesRes.data.courses);
+    } catch (error) {
+      console.error('Error fetching bundles:', error);
+      toast.error(error.response?.data?.message || 'Failed to load bundles');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const openDialog = (bundle) => {
+    setEditing(bundle);
+    setForm(
+      bundle
+        ? {
+            title: bundle.title,
+            description: bundle.description || '',
+            thumbnail: bundle.thumbnail || '',
+            courses: bundle.courses.filter(Boolean).map((course) => course._id),
+            price: bundle.price,
+            currency: bundle.currency,
+            isActive: bundle.isActive,
+          }
+        : EMPTY_FORM
+    );
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    const data = {
+      title: form.title,
+      description: form.description,
+      thumbnail: form.thumbnail || undefined,
+      courses: form.courses,
+      price: parseFloat(form.price),
+      currency: form.currency,
+      isActive: form.isActive,
+    };
+
+    try {
+      setSaving(true);
+      if (editing) {
+        await axios.put(`${API_BASE_URL}/bundles/${editing._id}`, data);
+        toast.success('Bundle updated successfully');
+      } else {
+        await axios.post(`${API_BASE_URL}/bundles`, data);
+        toast.success('Bundle created successfully');
+      }
+      setDialogOpen(false);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save bundle');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async (bundle) => {
+    if (!window.confirm(`Stop selling "${bundle.title}"? Students who bought it keep their courses.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/bundles/${bundle._id}`);
+      toast.success('Bundle deactivated successfully');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to deactivate bundle');
+    }
+  };
+
+  // What the chosen courses cost on their own
+  const listPrice = courses
+    .filter((course) => form.courses.includes(course._id))
+    .reduce((sum, course) => sum + (course.price || 0), 0);
+
+  if (loading && bundles.length === 0) {
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Course Bundles</Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => openDialog(null)}>
+          New Bundle
+        </Button>
+      </Box>
+
+      {bundles.length === 0 ? (
+        <Alert severity="info">No bundles have been created.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Title</TableCell>
+                  <TableCell>Courses</TableCell>
+                  <TableCell align="right">List Price</TableCell>
+                  <TableCell align="right">Bundle Price</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {bundles.map((bundle) => (
+                  <TableRow key={bundle._id}>
+                    <TableCell>{bundle.title}</TableCell>
+                    <TableCell>
+                      {bundle.courses
+                        .filter(Boolean)
+                        .map((course) => course.title)
+                        .join(', ')}
+                    </TableCell>
+                    <TableCell align="right">{formatPrice(bundle.listPrice, bundle.currency)}</TableCell>
+                    <TableCell align="right">{formatPrice(bundle.price, bundle.currency)}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={bundle.isActive ? 'Active' : 'Inactive'}
+                        color={bundle.isActive ? 'success' : 'default'}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button size="small" onClick={() => openDialog(bundle)}>
+                        Edit
+                      </Button>
+                      {bundle.isActive && (
+                        <Button size="small" color="error" onClick={() => handleDeactivate(bundle)}>
+                          Deactivate
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing ? 'Edit Bundle' : 'New Bundle'}</DialogTitle>
+        <DialogContent>
+          <Box display="flex" flexDirection="column" gap={2} mt={1}>
+            <TextField
+              label="Title"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              inputProps={{ maxLength: 100 }}
+              fullWidth
+            />
+            <TextField
+              label="Description"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              inputProps={{ maxLength: 2000 }}
+              multiline
+              minRows={3}
+              fullWidth
+            />
+            <TextField
+              label="Thumbnail URL"
+              value={form.thumbnail}
+              onChange={(e) => setForm({ ...form, thumbnail: e.target.value })}
+              fullWidth
+            />
+            <TextField
+              select
+              label="Courses"
+              value={form.courses}
+              onChange={(e) => setForm({ ...form, courses: e.target.value })}
+              SelectProps={{ multiple: true }}
+              helperText="Choose at least two courses priced in the bundle currency"
+              fullWidth
+            >
+              {courses.map((course) => (
+                <MenuItem key={course._id} value={course._id}>
+                  {course.title} ({formatPrice(course.price, course.currency)})
+                </MenuItem>
+              ))}
+            </TextField>
+            <Box display="flex" gap={2}>
+              <TextField
+                label="Price"
+                type="number"
+                value={form.price}
+                onChange={(e) => setForm({ ...form, price: e.target.value })}
+                helperText={`Courses on their own: ${formatPrice(listPrice, form.currency)}`}
+                inputProps={{ min: 0, step: 'any' }}
+                fullWidth
+              />
+              <TextField
+                select
+                label="Currency"
+                value={form.currency}
+                onChange={(e) => setForm({ ...form, currency: e.target.value })}
+                fullWidth
+              >
+                {CURRENCIES.map((currency) => (
+                  <MenuItem key={currency} value={currency}>
+                    {currency}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.isActive}
+                  onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                />
+              }
+              label="On sale"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !form.title.trim() || form.courses.length < 2 || !(parseFloat(form.price) > 0)}
+          >
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminBundles;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   Container,
   Typography,
@@ -34,14 +35,19 @@ import {
   Group,
   TrendingUp,
   School,
+  HourglassEmpty,
+  Quiz,
+  Grading,
 } from '@mui/icons-material';
 import { toast } from 'react-toastify';
 import axios from 'axios';
 import { API_BASE_URL } from '../../config/api';
 import SearchAndFilter from '../../components/Common/SearchAndFilter';
 import { formatPrice } from '../../utils/currency';
+import WaitlistDialog from '../../components/Admin/WaitlistDialog';
 
 const AdminCourses = () => {
+  const navigate = useNavigate();
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -63,6 +69,7 @@ const AdminCourses = () => {
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [deleteDialog, setDeleteDialog] = useState(false);
+  const [waitlistCourse, setWaitlistCourse] = useState(null);
 
   const categoryOptions = [
     { value: 'all', label: 'All Categories' },
@@ -175,6 +182,21 @@ const AdminCourses = () => {
     handleMenuClose();
   };
 
+  const handleViewWaitlist = () => {
+    setWaitlistCourse(selectedCourse);
+    handleMenuClose();
+  };
+
+  const handleQuizAnalytics = () => {
+    navigate(`/courses/${selectedCourse._id}/quizzes/analytics`);
+    handleMenuClose();
+  };
+
+  const handleGradingQueue = () => {
+    navigate(`/courses/${selectedCourse._id}/assignments/grading`);
+    handleMenuClose();
+  };
+
   const handleDeleteCourse = () => {
     setDeleteDialog(true);
     handleMenuClose();
@@ -446,6 +468,18 @@ const AdminCourses = () => {
           <TrendingUp sx={{ mr: 1 }} />
           View Analytics
         </MenuItem>
+        <MenuItem onClick={handleQuizAnalytics}>
+          <Quiz sx={{ mr: 1 }} />
+          Quiz Analytics
+        </MenuItem>
+        <MenuItem onClick={handleGradingQueue}>
+          <Grading sx={{ mr: 1 }} />
+          Grading Queue
+        </MenuItem>
+        <MenuItem onClick={handleViewWaitlist}>
+          <HourglassEmpty sx={{ mr: 1 }} />
+          View Waitlist
+        </MenuItem>
         <MenuItem onClick={handleDeleteCourse} sx={{ color: 'error.main' }}>
           <Delete sx={{ mr: 1 }} />
           Delete Course
@@ -468,6 +502,13 @@ const AdminCourses = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Waitlist Dialog */}
+      <WaitlistDialog
+        course={waitlistCourse}
+        open={Boolean(waitlistCourse)}
+        onClose={() => setWaitlistCourse(null)}
+      />
     </Container>
   );
 };
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { Add } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const CURRENCIES = ['BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+const EMPTY_FORM = { baseCurrency: 'USD', quoteCurrency: 'BDT', rate: '', note: '' };
+
+// Exchange rates used to convert payments, e.g. into BDT for SSLCommerz.
+// Setting a rate adds a new entry, so earlier rates stay in the history.
+const AdminExchangeRates = () => {
+  const [rates, setRates] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [ratesRes, historyRes] = await Promise.all([
+        axios.get(`${API_BASE_URL}/exchange-rates`),
+        axios.get(`${API_BASE_URL}/exchange-rates/history`, { params: { page: page + 1, limit: 10 } }),
+      ]);
+      setRates(ratesRes.data.rates);
+      setHistory(historyRes.data.rates);
+      setTotal(historyRes.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+      toast.error(error.response?.data?.message || 'Failed to load exchange rates');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const openDialog = (rate) => {
+    setForm(
+      rate
+        ? { baseCurrency: rate.baseCurrency, quoteCurrency: rate.quoteCurrency, rate: rate.rate, note: '' }
+        : EMPTY_FORM
+    );
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await axios.post(`${API_BASE_URL}/exchange-rates`, {
+        baseCurrency: form.baseCurrency,
+        quoteCurrency: form.quoteCurrency,
+        rate: parseFloat(form.rate),
+        note: form.note || undefined,
+      });
+      toast.success('Exchange rate updated successfully');
+      setDialogOpen(false);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update exchange rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && rates.length === 0 && history.length === 0) {
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Exchange Rates</Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => openDialog(null)}>
+          Set Rate
+        </Button>
+      </Box>
+
+      <Card sx={{ mb: 4 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Current Rates
+          </Typography>
+          {rates.length === 0 ? (
+            <Typography color="text.secondary">No exchange rates have been set.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Pair</TableCell>
+                  <TableCell align="right">Rate</TableCell>
+                  <TableCell>Updated</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rates.map((rate) => (
+                  <TableRow key={rate._id}>
+                    <TableCell>
+                      {rate.baseCurrency} → {rate.quoteCurrency}
+                    </TableCell>
+                    <TableCell align="right">{rate.rate}</TableCell>
+                    <TableCell>{new Date(rate.updatedAt).toLocaleString()}</TableCell>
+                    <TableCell align="right">
+                      <Button size="small" onClick={() => openDialog(rate)}>
+                        Update
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Typography variant="h6" gutterBottom>
+        History
+      </Typography>
+      {history.length === 0 ? (
+        <Alert severity="info">No rate changes yet.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Pair</TableCell>
+                  <TableCell align="right">Rate</TableCell>
+                  <TableCell>Set By</TableCell>
+                  <TableCell>Note</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {history.map((rate) => (
+                  <TableRow key={rate._id}>
+                    <TableCell>{new Date(rate.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      {rate.baseCurrency} → {rate.quoteCurrency}
+                    </TableCell>
+                    <TableCell align="right">{rate.rate}</TableCell>
+                    <TableCell>
+                      {rate.createdBy ? `${rate.createdBy.firstName} ${rate.createdBy.lastName}` : '-'}
+                    </TableCell>
+                    <TableCell>{rate.note || '-'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={10}
+            rowsPerPageOptions={[10]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+          />
+        </Paper>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Set Exchange Rate</DialogTitle>
+        <DialogContent>
+          <Box display="flex" flexDirection="column" gap={2} mt={1}>
+            <Box display="flex" gap={2}>
+              <TextField
+                select
+                label="From"
+                value={form.baseCurrency}
+                onChange={(e) => setForm({ ...form, baseCurrency: e.target.value })}
+                fullWidth
+              >
+                {CURRENCIES.map((currency) => (
+                  <MenuItem key={currency} value={currency}>
+                    {currency}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="To"
+                value={form.quoteCurrency}
+                onChange={(e) => setForm({ ...form, quoteCurrency: e.target.value })}
+                fullWidth
+              >
+                {CURRENCIES.map((currency) => (
+                  <MenuItem key={currency} value={currency}>
+                    {currency}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+            <TextField
+              label="Rate"
+              type="number"
+              value={form.rate}
+              onChange={(e) => setForm({ ...form, rate: e.target.value })}
+              helperText={`1 ${form.baseCurrency} = rate ${form.quoteCurrency}`}
+              inputProps={{ min: 0, step: 'any' }}
+              fullWidth
+            />
+            <TextField
+              label="Note"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              inputProps={{ maxLength: 500 }}
+              multiline
+              minRows={2}
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !(parseFloat(form.rate) > 0) || form.baseCurrency === form.quoteCurrency}
+          >
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminExchangeRates;
@@ -1,7 +1,604 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  IconButton,
+  Pagination,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Drawer,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+} from '@mui/material';
+import {
+  Visibility,
+  Undo,
+  Download,
+  Close,
+} from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+import SearchAndFilter from '../../components/Common/SearchAndFilter';
+import { formatPrice } from '../../utils/currency';
 
-const Payments = () => {
-  return <div>Admin Payments</div>;
+const statusOptions = [
+  { value: 'all', label: 'All Status' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'refunded', label: 'Refunded' },
+];
+
+const methodOptions = [
+  { value: 'all', label: 'All Methods' },
+  { value: 'sslcommerz', label: 'SSLCommerz' },
+  { value: 'stripe', label: 'Stripe' },
+  { value: 'cash', label: 'Cash' },
+];
+
+const currencyOptions = ['all', 'BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+const getAuthConfig = (extra = {}) => ({
+  ...extra,
+  headers: {
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'completed':
+      return 'success';
+    case 'pending':
+    case 'processing':
+      return 'warning';
+    case 'failed':
+    case 'cancelled':
+      return 'error';
+    case 'refunded':
+      return 'info';
+    default:
+      return 'default';
+  }
+};
+
+const AdminPayments = () => {
+  const [payments, setPayments] = useState([]);
+  const [summary, setSummary] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+
+  // Filters
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [methodFilter, setMethodFilter] = useState('all');
+  const [currencyFilter, setCurrencyFilter] = useState('all');
+  const [courseFilter, setCourseFilter] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  // Drawer and dialog states
+  const [selectedPayment, setSelectedPayment] = useState(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [refundAmount, setRefundAmount] = useState('');
+  const [refundReason, setRefundReason] = useState('');
+  const [refunding, setRefunding] = useState(false);
+
+  const buildFilterParams = useCallback(() => ({
+    ...(searchTerm && { search: searchTerm }),
+    ...(statusFilter !== 'all' && { status: statusFilter }),
+    ...(methodFilter !== 'all' && { method: methodFilter }),
+    ...(currencyFilter !== 'all' && { currency: currencyFilter }),
+    ...(courseFilter !== 'all' && { course: courseFilter }),
+    ...(fromDate && { from: fromDate }),
+    ...(toDate && { to: toDate }),
+  }), [searchTerm, statusFilter, methodFilter, currencyFilter, courseFilter, fromDate, toDate]);
+
+  const fetchPayments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 10, ...buildFilterParams() };
+
+      const response = await axios.get(`${API_BASE_URL}/payments`, getAuthConfig({ params }));
+      setPayments(response.data.payments || []);
+      setSummary(response.data.summary || []);
+      setTotalPages(response.data.pagination?.totalPages || 1);
+      setTotal(response.data.pagination?.total || 0);
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      toast.error(error.response?.data?.message || 'Failed to fetch payments');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, buildFilterParams]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  useEffect(() => {
+    const fetchCourses = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/courses`, getAuthConfig({ params: { limit: 100 } }));
+        setCourses(response.data.courses || []);
+      } catch (error) {
+        console.error('Error fetching courses:', error);
+      }
+    };
+    fetchCourses();
+  }, []);
+
+  // Go back to the first page whenever a filter changes
+  useEffect(() => {
+    setPage(1);
+  }, [buildFilterParams]);
+
+  const handleViewDetails = async (payment) => {
+    setSelectedPayment(payment);
+    try {
+      setDetailLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/payments/${payment._id}`, getAuthConfig());
+      setSelectedPayment(response.data.payment);
+    } catch (error) {
+      console.error('Error fetching payment details:', error);
+      toast.error('Failed to load payment details');
+    } finally {
+      setDetailLoading(false);
+    }
+  };
+
+  const handleOpenRefund = (payment) => {
+    setRefundTarget(payment);
+    setRefundAmount(String((payment.netAmount ?? payment.amount) - (payment.refund?.amount || 0)));
+    setRefundReason('');
+  };
+
+  const confirmRefund = async () => {
+    const endpoint = refundTarget.paymentMethod === 'sslcommerz'
+      ? `${API_BASE_URL}/payments/sslcommerz/${refundTarget._id}/refund`
+      : `${API_BASE_URL}/payments/${refundTarget._id}/refund`;
+
+    try {
+      setRefunding(true);
+      await axios.post(endpoint, {
+        amount: parseFloat(refundAmount),
+        reason: refundReason
+      }, getAuthConfig());
+
+      toast.success('Refund processed successfully');
+      setRefundTarget(null);
+      setSelectedPayment(null);
+      fetchPayments();
+    } catch (error) {
+      console.error('Error processing refund:', error);
+      toast.error(error.response?.data?.message || 'Failed to process refund');
+    } finally {
+      setRefunding(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await axios.get(`${API_BASE_URL}/payments/export`, {
+        ...getAuthConfig({ params: buildFilterParams() }),
+        responseType: 'blob',
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `payments-${new Date().toISOString().slice(0, 10)}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting payments:', error);
+      toast.error('Failed to export payments');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const canRefund = (payment) =>
+    payment.status === 'completed' && !(payment.refund?.amount > 0);
+
+  const formatStatsForDisplay = summary.reduce((stats, entry) => ({
+    ...stats,
+    [`collected ${entry.currency}`]: formatPrice(entry.completedAmount, entry.currency),
+    [`refunded ${entry.currency}`]: formatPrice(entry.refundedAmount, entry.currency),
+  }), { total });
+
+  const selectFilter = (label, value, onChange, options, gridSize = 2) => ({
+    gridSize,
+    component: (
+      <FormControl fullWidth>
+        <InputLabel>{label}</InputLabel>
+        <Select value={value} label={label} onChange={(e) => onChange(e.target.value)}>
+          {options.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+    ),
+    hasActiveValue: value !== 'all',
+    onClear: () => onChange('all'),
+    activeChip: value !== 'all' ? {
+      label: `${label}: ${options.find(opt => opt.value === value)?.label}`,
+      onDelete: () => onChange('all')
+    } : null,
+  });
+
+  const dateFilter = (label, value, onChange) => ({
+    gridSize: 2,
+    component: (
+      <TextField
+        fullWidth
+        type="date"
+        label={label}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        InputLabelProps={{ shrink: true }}
+      />
+    ),
+    hasActiveValue: Boolean(value),
+    onClear: () => onChange(''),
+    activeChip: value ? { label: `${label}: ${value}`, onDelete: () => onChange('') } : null,
+  });
+
+  const additionalFilters = [
+    selectFilter('Method', methodFilter, setMethodFilter, methodOptions),
+    selectFilter('Currency', currencyFilter, setCurrencyFilter, currencyOptions.map(code => ({
+      value: code,
+      label: code === 'all' ? 'All Currencies' : code,
+    }))),
+    selectFilter('Course', courseFilter, setCourseFilter, [
+      { value: 'all', label: 'All Courses' },
+      ...courses.map(course => ({ value: course._id, label: course.title })),
+    ], 3),
+    dateFilter('From', fromDate, setFromDate),
+    dateFilter('To', toDate, setToDate),
+  ];
+
+  const renderDetailRow = (label, value) => (
+    <ListItem disableGutters key={label}>
+      <ListItemText primary={label} secondary={value ?? '—'} />
+    </ListItem>
+  );
+
+  if (loading && payments.length === 0) {
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">
+          Payment Management
+        </Typography>
+        <Box display="flex" gap={1}>
+          <Button variant="outlined" component={Link} to="/admin/refund-requests">
+            Refund Requests
+          </Button>
+          <Button variant="outlined" component={Link} to="/admin/payouts">
+            Instructor Payouts
+          </Button>
+          <Button variant="outlined" component={Link} to="/admin/exchange-rates">
+            Exchange Rates
+          </Button>
+          <Button variant="outlined" component={Link} to="/admin/webhook-events">
+            Webhook Events
+          </Button>
+          <Button variant="outlined" component={Link} to="/admin/reconciliation">
+            Reconciliation
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={exporting ? <CircularProgress size={16} color="inherit" /> : <Download />}
+            onClick={handleExport}
+            disabled={exporting}
+          >
+            Export CSV
+          </Button>
+        </Box>
+      </Box>
+
+      {/* Search and Filter */}
+      <SearchAndFilter
+        searchTerm={searchTerm}
+        onSearchChange={setSearchTerm}
+        searchPlaceholder="Search by transaction ID or customer email..."
+        filterOptions={statusOptions}
+        selectedFilter={statusFilter}
+        onFilterChange={setStatusFilter}
+        filterLabel="Status"
+        onRefresh={fetchPayments}
+        loading={loading}
+        stats={formatStatsForDisplay}
+        additionalFilters={additionalFilters}
+      />
+
+      {/* Payments Table */}
+      <Paper sx={{ width: '100%', overflow: 'hidden' }}>
+        <TableContainer sx={{ maxHeight: 600 }}>
+          <Table stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Transaction</TableCell>
+                <TableCell>Customer</TableCell>
+                <TableCell>Course</TableCell>
+                <TableCell>Amount</TableCell>
+                <TableCell>Method</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Date</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {payments.map((payment) => (
+                <TableRow key={payment._id} hover>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                      {payment.transactionId}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="subtitle2">
+                      {payment.user
+                        ? `${payment.user.firstName} ${payment.user.lastName}`
+                        : payment.metadata?.customerName}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {payment.user?.email || payment.metadata?.customerEmail}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {payment.course?.title || payment.metadata?.courseTitle}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {formatPrice(payment.amount, payment.currency)}
+                    </Typography>
+                    {payment.refund?.amount > 0 && (
+                      <Typography variant="caption" color="error">
+                        -{formatPrice(payment.refund.amount, payment.currency)} refunded
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ textTransform: 'capitalize' }}>
+                    {payment.paymentMethod}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={payment.status}
+                      color={getStatusColor(payment.status)}
+                      size="small"
+                      variant="outlined"
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {new Date(payment.createdAt).toLocaleDateString()}
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title="View details">
+                      <IconButton size="small" onClick={() => handleViewDetails(payment)}>
+                        <Visibility />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Refund">
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          disabled={!canRefund(payment)}
+                          onClick={() => handleOpenRefund(payment)}
+                        >
+                          <Undo />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        {/* Pagination */}
+        {totalPages > 1 && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <Pagination
+              count={totalPages}
+              page={page}
+              onChange={(event, value) => setPage(value)}
+              color="primary"
+            />
+          </Box>
+        )}
+      </Paper>
+
+      {/* No payments found */}
+      {!loading && payments.length === 0 && (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          No payments found matching your criteria.
+        </Alert>
+      )}
+
+      {/* Payment Detail Drawer */}
+      <Drawer
+        anchor="right"
+        open={Boolean(selectedPayment)}
+        onClose={() => setSelectedPayment(null)}
+      >
+        {selectedPayment && (
+          <Box sx={{ width: { xs: '100vw', sm: 480 }, p: 3 }}>
+            <Box display="flex" justifyContent="space-between" alignItems="center">
+              <Typography variant="h6">Payment Details</Typography>
+              <IconButton onClick={() => setSelectedPayment(null)}>
+                <Close />
+              </IconButton>
+            </Box>
+            {detailLoading && <CircularProgress size={20} sx={{ my: 1 }} />}
+
+            <List dense>
+              {renderDetailRow('Transaction ID', selectedPayment.transactionId)}
+              {renderDetailRow('Status', selectedPayment.status)}
+              {renderDetailRow('Method', selectedPayment.paymentMethod)}
+              {renderDetailRow('Amount', formatPrice(selectedPayment.amount, selectedPayment.currency))}
+              {renderDetailRow('Net Amount', formatPrice(selectedPayment.netAmount, selectedPayment.currency))}
+              {renderDetailRow('Created', new Date(selectedPayment.createdAt).toLocaleString())}
+              {selectedPayment.failureReason?.message &&
+                renderDetailRow('Failure Reason', selectedPayment.failureReason.message)}
+            </List>
+
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" gutterBottom>
+              Metadata
+            </Typography>
+            <List dense>
+              {Object.entries(selectedPayment.metadata || {}).map(([key, value]) =>
+                renderDetailRow(key, String(value))
+              )}
+            </List>
+
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" gutterBottom>
+              Refund
+            </Typography>
+            {selectedPayment.refund?.amount > 0 ? (
+              <List dense>
+                {renderDetailRow('Amount', formatPrice(selectedPayment.refund.amount, selectedPayment.currency))}
+                {renderDetailRow('Reason', selectedPayment.refund.reason)}
+                {renderDetailRow('Processed', selectedPayment.refund.processedAt
+                  ? new Date(selectedPayment.refund.processedAt).toLocaleString()
+                  : null)}
+                {renderDetailRow('Gateway Refund ID', selectedPayment.refund.stripeRefundId)}
+              </List>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                No refunds issued.
+              </Typography>
+            )}
+            {canRefund(selectedPayment) && (
+              <Button
+                variant="outlined"
+                color="error"
+                startIcon={<Undo />}
+                sx={{ mt: 1 }}
+                onClick={() => handleOpenRefund(selectedPayment)}
+              >
+                Issue Refund
+              </Button>
+            )}
+
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" gutterBottom>
+              Webhook Events ({selectedPayment.webhookEvents?.length || 0})
+            </Typography>
+            {(selectedPayment.webhookEvents || []).map((event) => (
+              <Paper key={event._id} variant="outlined" sx={{ p: 1.5, mb: 1 }}>
+                <Box display="flex" justifyContent="space-between">
+                  <Typography variant="body2" fontWeight="bold">
+                    {event.event}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {new Date(event.timestamp).toLocaleString()}
+                  </Typography>
+                </Box>
+                {event.data && (
+                  <Box
+                    component="pre"
+                    sx={{ fontSize: 12, overflowX: 'auto', m: 0, mt: 1, whiteSpace: 'pre-wrap' }}
+                  >
+                    {JSON.stringify(event.data, null, 2)}
+                  </Box>
+                )}
+              </Paper>
+            ))}
+          </Box>
+        )}
+      </Drawer>
+
+      {/* Refund Dialog */}
+      <Dialog open={Boolean(refundTarget)} onClose={() => setRefundTarget(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Refund Payment</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {refundTarget?.transactionId} via {refundTarget?.paymentMethod}
+          </Typography>
+          <TextField
+            fullWidth
+            type="number"
+            label={`Amount (${refundTarget?.currency || ''})`}
+            value={refundAmount}
+            onChange={(e) => setRefundAmount(e.target.value)}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label="Reason"
+            value={refundReason}
+            onChange={(e) => setRefundReason(e.target.value)}
+            helperText="At least 5 characters"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRefundTarget(null)}>Cancel</Button>
+          <Button
+            onClick={confirmRefund}
+            variant="contained"
+            color="error"
+            disabled={refunding || !(parseFloat(refundAmount) > 0) || refundReason.trim().length < 5}
+          >
+            Refund
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
 };
 
-export default Payments; 
\ No newline at end of file
+export default AdminPayments;
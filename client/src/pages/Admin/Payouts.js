@@ -0,0 +1,350 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { Add, CheckCircle, Cancel, Description, PictureAsPdf } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+import { formatAmount } from '../../utils/currency';
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  paid: 'success',
+  cancelled: 'default',
+};
+
+const downloadStatement = async (batch, format) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/payouts/${batch._id}/statement`, {
+      params: { format },
+      responseType: 'blob',
+    });
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `payout-${batch.reference}.${format}`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading payout statement:', error);
+    toast.error('Failed to download statement');
+  }
+};
+
+const formatItems = (items) =>
+  items.map((item) => formatAmount(item.amount, item.currency)).join(' + ');
+
+// Instructor payouts: balances due from the revenue-share ledger and the
+// batches that settle them
+const AdminPayouts = () => {
+  const [balances, setBalances] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [createOpen, setCreateOpen] = useState(false);
+  const [createForm, setCreateForm] = useState({ periodEnd: '', note: '' });
+  const [payingBatch, setPayingBatch] = useState(null);
+  const [paymentReference, setPaymentReference] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [balancesRes, batchesRes] = await Promise.all([
+        axios.get(`${API_BASE_URL}/payouts/balances`),
+        axios.get(`${API_BASE_URL}/payouts`, { params: { page: page + 1, limit: 10 } }),
+      ]);
+      setBalances(balancesRes.data.balances);
+      setBatches(batchesRes.data.batches);
+      setTotal(batchesRes.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching payouts:', error);
+      toast.error(error.response?.data?.message || 'Failed to load payouts');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      await axios.post(`${API_BASE_URL}/payouts`, {
+        periodEnd: createForm.periodEnd ? new Date(createForm.periodEnd).toISOString() : undefined,
+        note: createForm.note || undefined,
+      });
+      toast.success('Payout batch created successfully');
+      setCreateOpen(false);
+      setCreateForm({ periodEnd: '', note: '' });
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create payout batch');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMarkPaid = async () => {
+    try {
+      setSaving(true);
+      await axios.put(`${API_BASE_URL}/payouts/${payingBatch._id}/pay`, {
+        paymentReference: paymentReference || undefined,
+      });
+      toast.success('Payout batch marked as paid');
+      setPayingBatch(null);
+      setPaymentReference('');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to mark payout batch as paid');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (batch) => {
+    if (!window.confirm(`Cancel payout batch ${batch.reference}?`)) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_BASE_URL}/payouts/${batch._id}`);
+      toast.success('Payout batch cancelled successfully');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel payout batch');
+    }
+  };
+
+  if (loading && batches.length === 0 && balances.length === 0) {
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Instructor Payouts</Typography>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => setCreateOpen(true)}
+          disabled={balances.length === 0}
+        >
+          Create Payout Batch
+        </Button>
+      </Box>
+
+      <Card sx={{ mb: 4 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Balances Due
+          </Typography>
+          {balances.length === 0 ? (
+            <Typography color="text.secondary">No instructor balances are due.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Instructor</TableCell>
+                  <TableCell>Currency</TableCell>
+                  <TableCell align="right">Entries</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {balances.map((balance) => (
+                  <TableRow key={`${balance.instructor._id}-${balance.currency}`}>
+                    <TableCell>
+                      {balance.instructor.firstName} {balance.instructor.lastName}
+                      <Typography variant="body2" color="text.secondary">
+                        {balance.instructor.email}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{balance.currency}</TableCell>
+                    <TableCell align="right">{balance.entryCount}</TableCell>
+                    <TableCell align="right">{formatAmount(balance.amount, balance.currency)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Typography variant="h6" gutterBottom>
+        Payout Batches
+      </Typography>
+      {batches.length === 0 ? (
+        <Alert severity="info">No payout batches yet.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Reference</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Period End</TableCell>
+                  <TableCell align="right">Instructors</TableCell>
+                  <TableCell align="right">Total</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {batches.map((batch) => (
+                  <TableRow key={batch._id}>
+                    <TableCell>
+                      {batch.reference}
+                      {batch.note && (
+                        <Typography variant="body2" color="text.secondary">
+                          {batch.note}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Chip size="small" label={batch.status} color={STATUS_COLORS[batch.status]} />
+                      {batch.paymentReference && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {batch.paymentReference}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{new Date(batch.periodEnd).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">{batch.items.length}</TableCell>
+                    <TableCell align="right">{formatItems(batch.items)}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {batch.status === 'pending' && (
+                        <>
+                          <Tooltip title="Mark as Paid">
+                            <IconButton size="small" color="success" onClick={() => setPayingBatch(batch)}>
+                              <CheckCircle />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Cancel Batch">
+                            <IconButton size="small" color="error" onClick={() => handleCancel(batch)}>
+                              <Cancel />
+                            </IconButton>
+                          </Tooltip>
+                        </>
+                      )}
+                      <Tooltip title="CSV Statement">
+                        <IconButton size="small" onClick={() => downloadStatement(batch, 'csv')}>
+                          <Description />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="PDF Statement">
+                        <IconButton size="small" onClick={() => downloadStatement(batch, 'pdf')}>
+                          <PictureAsPdf />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={10}
+            rowsPerPageOptions={[10]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+          />
+        </Paper>
+      )}
+
+      <Dialog open={createOpen} onClose={() => setCreateOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Create Payout Batch</DialogTitle>
+        <DialogContent>
+          <Box display="flex" flexDirection="column" gap={2} mt={1}>
+            <TextField
+              label="Include earnings up to"
+              type="date"
+              value={createForm.periodEnd}
+              onChange={(e) => setCreateForm({ ...createForm, periodEnd: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              helperText="Leave empty to include everything due today"
+              fullWidth
+            />
+            <TextField
+              label="Note"
+              value={createForm.note}
+              onChange={(e) => setCreateForm({ ...createForm, note: e.target.value })}
+              inputProps={{ maxLength: 500 }}
+              multiline
+              minRows={2}
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(payingBatch)} onClose={() => setPayingBatch(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Mark {payingBatch?.reference} as Paid</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {payingBatch && formatItems(payingBatch.items)} will be debited from the instructors&apos; balances.
+          </Typography>
+          <TextField
+            label="Payment Reference"
+            value={paymentReference}
+            onChange={(e) => setPaymentReference(e.target.value)}
+            helperText="Bank transfer or other reference for this payout"
+            inputProps={{ maxLength: 200 }}
+            fullWidth
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPayingBatch(null)}>Cancel</Button>
+          <Button variant="contained" color="success" onClick={handleMarkPaid} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Mark as Paid'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminPayouts;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  Alert,
+  CircularProgress,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { PlayArrow, Description } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const OUTCOMES = [
+  { key: 'completed', color: 'success' },
+  { key: 'failed', color: 'error' },
+  { key: 'expired', color: 'warning' },
+  { key: 'pending', color: 'default' },
+  { key: 'errors', color: 'error' },
+];
+
+const downloadReport = async (report) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/reconciliation-reports/${report._id}/download`, {
+      responseType: 'blob',
+    });
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `reconciliation-${report.startedAt.slice(0, 10)}-${report._id}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading reconciliation report:', error);
+    toast.error('Failed to download report');
+  }
+};
+
+// Runs of the job that settles payments left pending, e.g. when a student
+// closed the browser before returning from the gateway
+const AdminReconciliation = () => {
+  const [reports, setReports] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/reconciliation-reports`, {
+        params: { page: page + 1, limit: 10 },
+      });
+      setReports(response.data.reports);
+      setTotal(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching reconciliation reports:', error);
+      toast.error(error.response?.data?.message || 'Failed to load reconciliation reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      const response = await axios.post(`${API_BASE_URL}/reconciliation-reports/run`);
+      toast.success(`Checked ${response.data.report.summary.checked} pending payments`);
+      setPage(0);
+      fetchReports();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to run reconciliation');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Payment Reconciliation</Typography>
+        <Button
+          variant="contained"
+          startIcon={running ? <CircularProgress size={16} color="inherit" /> : <PlayArrow />}
+          onClick={handleRun}
+          disabled={running}
+        >
+          Run Now
+        </Button>
+      </Box>
+
+      {loading && reports.length === 0 ? (
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="300px">
+          <CircularProgress />
+        </Box>
+      ) : reports.length === 0 ? (
+        <Alert severity="info">No reconciliation runs yet.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Started</TableCell>
+                  <TableCell>Trigger</TableCell>
+                  <TableCell align="right">Checked</TableCell>
+                  <TableCell>Outcomes</TableCell>
+                  <TableCell align="right">Report</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {reports.map((report) => (
+                  <TableRow key={report._id}>
+                    <TableCell>{new Date(report.startedAt).toLocaleString()}</TableCell>
+                    <TableCell>
+                      {report.trigger}
+                      {report.triggeredBy && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {report.triggeredBy.firstName} {report.triggeredBy.lastName}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{report.summary.checked}</TableCell>
+                    <TableCell>
+                      <Box display="flex" gap={0.5} flexWrap="wrap">
+                        {OUTCOMES.filter(({ key }) => report.summary[key] > 0).map(({ key, color }) => (
+                          <Chip key={key} size="small" color={color} label={`${key}: ${report.summary[key]}`} />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Download CSV">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => downloadReport(report)}
+                            disabled={report.summary.checked === 0}
+                          >
+                            <Description />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={10}
+            rowsPerPageOptions={[10]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+          />
+        </Paper>
+      )}
+    </Container>
+  );
+};
+
+export default AdminReconciliation;
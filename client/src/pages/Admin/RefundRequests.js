@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { Check, Close } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+import { formatPrice } from '../../utils/currency';
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  approved: 'success',
+  rejected: 'error',
+};
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' },
+];
+
+// Refunds students asked for from their payment history, oldest first
+const AdminRefundRequests = () => {
+  const [refundRequests, setRefundRequests] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [review, setReview] = useState(null);
+  const [adminNote, setAdminNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchRefundRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/refund-requests`, {
+        params: { page: page + 1, limit: 20, status: status || undefined },
+      });
+      setRefundRequests(response.data.refundRequests);
+      setPolicy(response.data.policy);
+      setTotal(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching refund requests:', error);
+      toast.error(error.response?.data?.message || 'Failed to load refund requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status]);
+
+  useEffect(() => {
+    fetchRefundRequests();
+  }, [fetchRefundRequests]);
+
+  const openReview = (refundRequest, action) => {
+    setReview({ refundRequest, action });
+    setAdminNote('');
+  };
+
+  const handleReview = async () => {
+    const { refundRequest, action } = review;
+    try {
+      setSubmitting(true);
+      const response = await axios.put(`${API_BASE_URL}/refund-requests/${refundRequest._id}/${action}`, {
+        adminNote: adminNote || undefined,
+      });
+      toast.success(response.data.message);
+      setReview(null);
+      fetchRefundRequests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} refund request`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Refund Requests</Typography>
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(0);
+          }}
+          sx={{ minWidth: 160 }}
+        >
+          {STATUS_FILTERS.map((filter) => (
+            <MenuItem key={filter.value} value={filter.value}>
+              {filter.label}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {policy && (
+        <Typography variant="body2" color="text.secondary" mb={2}>
+          Policy: requests are accepted within {policy.windowDays} days of payment and up to {policy.maxProgress}% course
+          progress. Approving refunds the full remaining amount and closes the enrollment.
+        </Typography>
+      )}
+
+      {loading && refundRequests.length === 0 ? (
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="300px">
+          <CircularProgress />
+        </Box>
+      ) : refundRequests.length === 0 ? (
+        <Alert severity="info">No refund requests match this filter.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Requested</TableCell>
+                  <TableCell>Student</TableCell>
+                  <TableCell>Course</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                  <TableCell>Reason</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {refundRequests.map((refundRequest) => (
+                  <TableRow key={refundRequest._id}>
+                    <TableCell>
+                      {new Date(refundRequest.createdAt).toLocaleString()}
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        Day {refundRequest.policy?.daysSincePayment}, {refundRequest.policy?.progress}% progress
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {refundRequest.student?.firstName} {refundRequest.student?.lastName}
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        {refundRequest.student?.email}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{refundRequest.course?.title || '-'}</TableCell>
+                    <TableCell align="right">
+                      {formatPrice(refundRequest.amount, refundRequest.currency)}
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        {refundRequest.payment?.paymentMethod} {refundRequest.payment?.transactionId}
+                      </Typography>
+                    </TableCell>
+                    <TableCell sx={{ maxWidth: 280 }}>{refundRequest.reason}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={refundRequest.status} color={STATUS_COLORS[refundRequest.status]} />
+                      {refundRequest.adminNote && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {refundRequest.adminNote}
+                        </Typography>
+                      )}
+                      {refundRequest.reviewedBy && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          by {refundRequest.reviewedBy.firstName} {refundRequest.reviewedBy.lastName}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {refundRequest.status === 'pending' && (
+                        <>
+                          <Tooltip title="Approve and Refund">
+                            <IconButton size="small" color="success" onClick={() => openReview(refundRequest, 'approve')}>
+                              <Check />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Reject">
+                            <IconButton size="small" color="error" onClick={() => openReview(refundRequest, 'reject')}>
+                              <Close />
+                            </IconButton>
+                          </Tooltip>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={20}
+            rowsPerPageOptions={[20]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+          />
+        </Paper>
+      )}
+
+      <Dialog open={Boolean(review)} onClose={() => setReview(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {review?.action === 'approve' ? 'Approve Refund Request' : 'Reject Refund Request'}
+        </DialogTitle>
+        <DialogContent>
+          {review?.action === 'approve' && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              {formatPrice(review.refundRequest.amount, review.refundRequest.currency)} will be refunded to{' '}
+              {review.refundRequest.student?.firstName} and their enrollment will be closed.
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            margin="dense"
+            label={review?.action === 'approve' ? 'Note (optional)' : 'Reason for rejection'}
+            helperText={review?.action === 'reject' ? 'Sent to the student by email' : undefined}
+            value={adminNote}
+            onChange={(e) => setAdminNote(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReview(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={review?.action === 'approve' ? 'success' : 'error'}
+            onClick={handleReview}
+            disabled={submitting || (review?.action === 'reject' && adminNote.trim().length < 5)}
+          >
+            {review?.action === 'approve' ? 'Approve' : 'Reject'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminRefundRequests;
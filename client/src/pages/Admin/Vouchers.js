@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Alert,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { Add, Download } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const STATUS_COLORS = {
+  active: 'primary',
+  redeemed: 'success',
+  cancelled: 'default',
+};
+
+const EMPTY_FORM = { courseId: '', quantity: 10, label: '', expiresAt: '' };
+
+const downloadVouchers = async (batch) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/vouchers`, {
+      params: { batch: batch.batch, format: 'csv' },
+      responseType: 'blob',
+    });
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `vouchers-${batch.label}.csv`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading vouchers:', error);
+    toast.error('Failed to download vouchers');
+  }
+};
+
+// Voucher codes that enroll students without paying: batches generated
+// for corporate deals, and gifts bought by students
+const AdminVouchers = () => {
+  const [batches, setBatches] = useState([]);
+  const [vouchers, setVouchers] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [selectedBatch, setSelectedBatch] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [batchesRes, vouchersRes] = await Promise.all([
+        axios.get(`${API_BASE_URL}/vouchers/batches`),
+        axios.get(`${API_BASE_URL}/vouchers`, {
+          params: { page: page + 1, limit: 10, batch: selectedBatch?.batch },
+        }),
+      ]);
+      setBatches(batchesRes.data.batches);
+      setVouchers(vouchersRes.data.vouchers);
+      setTotal(vouchersRes.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching vouchers:', error);
+      toast.error(error.response?.data?.message || 'Failed to load vouchers');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, selectedBatch]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE_URL}/courses`, { params: { limit: 50, sortBy: 'title', sortOrder: 'asc' } })
+      .then((response) => setCourses(response.data.courses.filter((course) => course.price > 0)))
+      .catch((error) => console.error('Error fetching courses:', error));
+  }, []);
+
+  const selectBatch = (batch) => {
+    setSelectedBatch(batch);
+    setPage(0);
+  };
+
+  const handleGenerate = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.post(`${API_BASE_URL}/vouchers/bulk`, {
+        courseId: form.courseId,
+        quantity: parseInt(form.quantity, 10),
+        label: form.label,
+        expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : undefined,
+      });
+      toast.success(response.data.message);
+      setDialogOpen(false);
+      setForm(EMPTY_FORM);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate vouchers');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (voucher) => {
+    if (!window.confirm(`Cancel voucher ${voucher.code}? It can no longer be redeemed.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_BASE_URL}/vouchers/${voucher._id}`);
+      toast.success('Voucher cancelled successfully');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel voucher');
+    }
+  };
+
+  if (loading && batches.length === 0 && vouchers.length === 0) {
+    return (
+      <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Vouchers</Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => setDialogOpen(true)}>
+          Generate Vouchers
+        </Button>
+      </Box>
+
+      <Card sx={{ mb: 4 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Bulk Batches
+          </Typography>
+          {batches.length === 0 ? (
+            <Typography color="text.secondary">No vouchers have been generated.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Label</TableCell>
+                  <TableCell>Course</TableCell>
+                  <TableCell align="right">Redeemed</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {batches.map((batch) => (
+                  <TableRow key={batch.batch} selected={selectedBatch?.batch === batch.batch}>
+                    <TableCell>{batch.label}</TableCell>
+                    <TableCell>{batch.course?.title || '-'}</TableCell>
+                    <TableCell align="right">
+                      {batch.redeemed} / {batch.total - batch.cancelled}
+                    </TableCell>
+                    <TableCell>{batch.expiresAt ? new Date(batch.expiresAt).toLocaleDateString() : '-'}</TableCell>
+                    <TableCell>{new Date(batch.createdAt).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">
+                      <Button size="small" onClick={() => selectBatch(batch)}>
+                        View Codes
+                      </Button>
+                      <Button size="small" startIcon={<Download />} onClick={() => downloadVouchers(batch)}>
+                        CSV
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="h6">
+          {selectedBatch ? `Codes: ${selectedBatch.label}` : 'All Vouchers'}
+        </Typography>
+        {selectedBatch && (
+          <Button size="small" onClick={() => selectBatch(null)}>
+            Show All
+          </Button>
+        )}
+      </Box>
+      {vouchers.length === 0 ? (
+        <Alert severity="info">No vouchers yet.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Code</TableCell>
+                  <TableCell>Course</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Redeemed By</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {vouchers.map((voucher) => (
+                  <TableRow key={voucher._id}>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{voucher.code}</TableCell>
+                    <TableCell>{voucher.course?.title || '-'}</TableCell>
+                    <TableCell>
+                      {voucher.source === 'gift'
+                        ? `Gift for ${voucher.recipientEmail}`
+                        : voucher.label}
+                    </TableCell>
+                    <TableCell>
+                      <Chip size="small" label={voucher.status} color={STATUS_COLORS[voucher.status]} />
+                    </TableCell>
+                    <TableCell>
+                      {voucher.redeemedBy
+                        ? `${voucher.redeemedBy.firstName} ${voucher.redeemedBy.lastName} (${new Date(voucher.redeemedAt).toLocaleDateString()})`
+                        : '-'}
+                    </TableCell>
+                    <TableCell align="right">
+                      {voucher.status === 'active' && (
+                        <Button size="small" color="error" onClick={() => handleCancel(voucher)}>
+                          Cancel
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={10}
+            rowsPerPageOptions={[10]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+          />
+        </Paper>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Generate Vouchers</DialogTitle>
+        <DialogContent>
+          <Box display="flex" flexDirection="column" gap={2} mt={1}>
+            <TextField
+              select
+              label="Course"
+              value={form.courseId}
+              onChange={(e) => setForm({ ...form, courseId: e.target.value })}
+              fullWidth
+            >
+              {courses.map((course) => (
+                <MenuItem key={course._id} value={course._id}>
+                  {course.title}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Label"
+              value={form.label}
+              onChange={(e) => setForm({ ...form, label: e.target.value })}
+              helperText="E.g. the company the codes are for"
+              inputProps={{ maxLength: 100 }}
+              fullWidth
+            />
+            <Box display="flex" gap={2}>
+              <TextField
+                label="Quantity"
+                type="number"
+                value={form.quantity}
+                onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+                inputProps={{ min: 1, max: 500 }}
+                fullWidth
+              />
+              <TextField
+                label="Expires"
+                type="date"
+                value={form.expiresAt}
+                onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+              />
+            </Box>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleGenerate}
+            disabled={saving || !form.courseId || !form.label.trim() || !(parseInt(form.quantity, 10) > 0)}
+          >
+            {saving ? <CircularProgress size={20} /> : 'Generate'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminVouchers;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { Replay, Visibility } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const STATUS_COLORS = {
+  received: 'info',
+  processed: 'success',
+  failed: 'error',
+};
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'dead_letter', label: 'Dead letter' },
+  { value: 'received', label: 'Received' },
+  { value: 'processed', label: 'Processed' },
+];
+
+// Webhooks and IPNs received from payment gateways. Failed events are
+// retried automatically; once retries run out they can be replayed here.
+const AdminWebhookEvents = () => {
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [status, setStatus] = useState('failed');
+  const [loading, setLoading] = useState(true);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [replayingId, setReplayingId] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/webhook-events`, {
+        params: { page: page + 1, limit: 20, status: status || undefined },
+      });
+      setEvents(response.data.events);
+      setCounts(response.data.counts);
+      setTotal(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+      toast.error(error.response?.data?.message || 'Failed to load webhook events');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, status]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents]);
+
+  const handleView = async (event) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/webhook-events/${event._id}`);
+      setSelectedEvent(response.data.event);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load webhook event');
+    }
+  };
+
+  const handleReplay = async (event) => {
+    try {
+      setReplayingId(event._id);
+      const response = await axios.post(`${API_BASE_URL}/webhook-events/${event._id}/replay`);
+      if (response.data.event.status === 'processed') {
+        toast.success(response.data.message);
+      } else {
+        toast.error(`${response.data.message}: ${response.data.event.lastError}`);
+      }
+      setSelectedEvent(null);
+      fetchEvents();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to replay webhook event');
+    } finally {
+      setReplayingId(null);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="h4">Webhook Events</Typography>
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(0);
+          }}
+          sx={{ minWidth: 160 }}
+        >
+          {STATUS_FILTERS.map((filter) => (
+            <MenuItem key={filter.value} value={filter.value}>
+              {filter.label}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      <Box display="flex" gap={1} mb={2}>
+        {Object.keys(STATUS_COLORS).map((key) => (
+          <Chip
+            key={key}
+            size="small"
+            variant="outlined"
+            color={STATUS_COLORS[key]}
+            label={`${key}: ${counts[key] || 0}`}
+          />
+        ))}
+      </Box>
+
+      {loading && events.length === 0 ? (
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="300px">
+          <CircularProgress />
+        </Box>
+      ) : events.length === 0 ? (
+        <Alert severity="info">No webhook events match this filter.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Received</TableCell>
+                  <TableCell>Gateway</TableCell>
+                  <TableCell>Event</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Attempts</TableCell>
+                  <TableCell>Payment</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {events.map((event) => (
+                  <TableRow key={event._id}>
+                    <TableCell>{new Date(event.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{event.provider}</TableCell>
+                    <TableCell>
+                      {event.gatewayEvent || event.type}
+                      <Typography variant="caption" display="block" color="text.secondary">
+                        {event.eventId}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip size="small" label={event.status} color={STATUS_COLORS[event.status]} />
+                      {event.lastError && (
+                        <Typography variant="caption" display="block" color="error">
+                          {event.lastError}
+                        </Typography>
+                      )}
+                      {event.status === 'failed' && (
+                        <Typography variant="caption" display="block" color="text.secondary">
+                          {event.nextAttemptAt
+                            ? `Retry at ${new Date(event.nextAttemptAt).toLocaleString()}`
+                            : 'No more automatic retries'}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{event.attempts}</TableCell>
+                    <TableCell>{event.payment?.transactionId || '-'}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="View Event">
+                        <IconButton size="small" onClick={() => handleView(event)}>
+                          <Visibility />
+                        </IconButton>
+                      </Tooltip>
+                      {event.status !== 'processed' && (
+                        <Tooltip title="Replay Event">
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="primary"
+                              onClick={() => handleReplay(event)}
+                              disabled={replayingId === event._id}
+                            >
+                              <Replay />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={20}
+            rowsPerPageOptions={[20]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+          />
+        </Paper>
+      )}
+
+      <Dialog open={Boolean(selectedEvent)} onClose={() => setSelectedEvent(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {selectedEvent?.provider} {selectedEvent?.gatewayEvent || selectedEvent?.type}
+        </DialogTitle>
+        <DialogContent>
+          <Box
+            component="pre"
+            sx={{ p: 2, bgcolor: 'grey.100', borderRadius: 1, overflow: 'auto', fontSize: 12 }}
+          >
+            {selectedEvent && JSON.stringify(selectedEvent.event, null, 2)}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelectedEvent(null)}>Close</Button>
+          {selectedEvent && selectedEvent.status !== 'processed' && (
+            <Button
+              variant="contained"
+              startIcon={<Replay />}
+              onClick={() => handleReplay(selectedEvent)}
+              disabled={replayingId === selectedEvent._id}
+            >
+              Replay
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminWebhookEvents;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+} from '@mui/material';
+import { AttachFile, Grading } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+import { downloadSubmissionFile } from '../../components/Assignment/AssignmentPanel';
+
+// Instructor queue of ungraded assignment submissions for a course
+const GradingQueue = () => {
+  const { courseId } = useParams();
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [scores, setScores] = useState({});
+  const [feedback, setFeedback] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(
+        `${API_BASE_URL}/courses/${courseId}/assignments/grading-queue`
+      );
+      setQueue(response.data.queue);
+    } catch (error) {
+      console.error('Error fetching grading queue:', error);
+      toast.error(error.response?.data?.message || 'Failed to load grading queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const openGrading = (submission) => {
+    setSelected(submission);
+    setScores(
+      submission.assignment.rubric.reduce(
+        (initial, criterion) => ({ ...initial, [criterion._id]: { points: '', comment: '' } }),
+        {}
+      )
+    );
+    setFeedback('');
+  };
+
+  const setScore = (criterionId, key, value) => {
+    setScores((current) => ({
+      ...current,
+      [criterionId]: { ...current[criterionId], [key]: value },
+    }));
+  };
+
+  const handleGrade = async () => {
+    try {
+      setSaving(true);
+      await axios.put(
+        `${API_BASE_URL}/courses/${courseId}/assignments/${selected.assignment._id}/submissions/${selected._id}/grade`,
+        {
+          rubricScores: selected.assignment.rubric.map((criterion) => ({
+            criterionId: criterion._id,
+            points: Number(scores[criterion._id].points),
+            comment: scores[criterion._id].comment || undefined,
+          })),
+          feedback,
+        }
+      );
+      toast.success('Submission graded');
+      setSelected(null);
+      fetchQueue();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to grade submission');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  const allScored =
+    selected &&
+    selected.assignment.rubric.every((criterion) => scores[criterion._id]?.points !== '');
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Grading Queue
+      </Typography>
+
+      {queue.length === 0 ? (
+        <Alert severity="success">All submissions have been graded.</Alert>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Student</TableCell>
+                <TableCell>Assignment</TableCell>
+                <TableCell>Submitted</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {queue.map((submission) => (
+                <TableRow key={submission._id}>
+                  <TableCell>
+                    {submission.student.firstName} {submission.student.lastName}
+                    <Typography variant="body2" color="text.secondary">
+                      {submission.student.email}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {submission.assignment.title}
+                    {submission.submissionNumber > 1 && ` (submission #${submission.submissionNumber})`}
+                  </TableCell>
+                  <TableCell>
+                    {new Date(submission.submittedAt).toLocaleString()}
+                    {submission.isLate && (
+                      <Chip size="small" color="warning" label="Late" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button
+                      variant="contained"
+                      size="small"
+                      startIcon={<Grading />}
+                      onClick={() => openGrading(submission)}
+                    >
+                      Grade
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(selected)} onClose={() => setSelected(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {selected?.assignment.title} — {selected?.student.firstName} {selected?.student.lastName}
+        </DialogTitle>
+        <DialogContent>
+          {selected?.text && (
+            <Paper variant="outlined" sx={{ p: 2, mb: 2, whiteSpace: 'pre-line' }}>
+              {selected.text}
+            </Paper>
+          )}
+          {selected?.files.map((file) => (
+            <Button
+              key={file._id}
+              size="small"
+              startIcon={<AttachFile />}
+              onClick={() =>
+                downloadSubmissionFile(courseId, selected.assignment._id, selected._id, file)
+              }
+            >
+              {file.originalName}
+            </Button>
+          ))}
+
+          <Typography variant="h6" sx={{ mt: 2 }}>
+            Rubric
+          </Typography>
+          {selected?.assignment.rubric.map((criterion) => (
+            <Box key={criterion._id} display="flex" gap={2} alignItems="center" my={1}>
+              <Box flex={1}>
+                <Typography variant="subtitle2">{criterion.title}</Typography>
+                {criterion.description && (
+                  <Typography variant="body2" color="text.secondary">
+                    {criterion.description}
+                  </Typography>
+                )}
+              </Box>
+              <TextField
+                type="number"
+                size="small"
+                label={`Points / ${criterion.maxPoints}`}
+                value={scores[criterion._id]?.points ?? ''}
+                onChange={(e) => setScore(criterion._id, 'points', e.target.value)}
+                inputProps={{ min: 0, max: criterion.maxPoints, step: 0.5 }}
+                sx={{ width: 140 }}
+              />
+              <TextField
+                size="small"
+                label="Comment"
+                value={scores[criterion._id]?.comment ?? ''}
+                onChange={(e) => setScore(criterion._id, 'comment', e.target.value)}
+                sx={{ flex: 1 }}
+              />
+            </Box>
+          ))}
+          <TextField
+            multiline
+            minRows={3}
+            fullWidth
+            label="Feedback"
+            value={feedback}
+            onChange={(e) => setFeedback(e.target.value)}
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSelected(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleGrade} disabled={saving || !allScored}>
+            {saving ? <CircularProgress size={20} /> : 'Save Grade'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default GradingQueue;
@@ -11,11 +11,12 @@ import {
 } from '@mui/material';
 import { Link as RouterLink, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import TwoFactorSetup from '../../components/Auth/TwoFactorSetup';
 
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin, finishLogin } = useAuth();
   
   const [formData, setFormData] = useState({
     email: '',
@@ -23,6 +24,9 @@ const Login = () => {
   });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  // Set once the password is accepted but a two-factor step remains
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   const from = location.state?.from?.pathname || '/dashboard';
 
@@ -72,6 +76,8 @@ const Login = () => {
       const result = await login(formData);
       if (result.success) {
         navigate(from, { replace: true });
+      } else if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+        setTwoFactor(result);
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -80,6 +86,73 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const result = await completeTwoFactorLogin(twoFactor.twoFactorToken, twoFactorCode);
+      if (result.success) {
+        navigate(from, { replace: true });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetupComplete = (loginData) => {
+    finishLogin(loginData);
+    navigate(from, { replace: true });
+  };
+
+  const handleBack = () => {
+    setTwoFactor(null);
+    setTwoFactorCode('');
+  };
+
+  const renderTwoFactorStep = () => {
+    if (twoFactor.twoFactorSetupRequired) {
+      return (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Your account role requires two-factor authentication. Set it up to continue.
+          </Typography>
+          <TwoFactorSetup
+            twoFactorToken={twoFactor.twoFactorToken}
+            onComplete={handleSetupComplete}
+          />
+        </>
+      );
+    }
+
+    return (
+      <Box component="form" onSubmit={handleTwoFactorSubmit}>
+        <TextField
+          margin="normal"
+          required
+          fullWidth
+          autoFocus
+          id="twoFactorCode"
+          label="Authentication code"
+          value={twoFactorCode}
+          onChange={(e) => setTwoFactorCode(e.target.value)}
+          helperText="Enter the 6-digit code from your authenticator app, or a backup code"
+          inputProps={{ autoComplete: 'one-time-code' }}
+          disabled={loading}
+        />
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          sx={{ mt: 3, mb: 2, py: 1.5 }}
+          disabled={loading || !twoFactorCode}
+        >
+          {loading ? <CircularProgress size={24} /> : 'Verify'}
+        </Button>
+      </Box>
+    );
+  };
+
   return (
     <Container maxWidth="sm">
       <Box
@@ -104,76 +177,89 @@ const Login = () => {
               Welcome Back
             </Typography>
             <Typography variant="body1" color="text.secondary">
-              Sign in to your account to continue learning
+              {twoFactor
+                ? 'Two-factor authentication'
+                : 'Sign in to your account to continue learning'}
             </Typography>
           </Box>
 
-          <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1 }}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              autoFocus
-              value={formData.email}
-              onChange={handleChange}
-              error={!!errors.email}
-              helperText={errors.email}
-              disabled={loading}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="current-password"
-              value={formData.password}
-              onChange={handleChange}
-              error={!!errors.password}
-              helperText={errors.password}
-              disabled={loading}
-            />
-            
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2, py: 1.5 }}
-              disabled={loading}
-            >
-              {loading ? <CircularProgress size={24} /> : 'Sign In'}
-            </Button>
+          {twoFactor ? (
+            <>
+              {renderTwoFactorStep()}
+              <Box sx={{ textAlign: 'center', mt: 2 }}>
+                <Link component="button" variant="body2" onClick={handleBack}>
+                  Use a different account
+                </Link>
+              </Box>
+            </>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit} sx={{ mt: 1 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={formData.email}
+                onChange={handleChange}
+                error={!!errors.email}
+                helperText={errors.email}
+                disabled={loading}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="current-password"
+                value={formData.password}
+                onChange={handleChange}
+                error={!!errors.password}
+                helperText={errors.password}
+                disabled={loading}
+              />
             
-            <Box sx={{ textAlign: 'center', mt: 2 }}>
-              <Link
-                component={RouterLink}
-                to="/forgot-password"
-                variant="body2"
-                sx={{ textDecoration: 'none' }}
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={loading}
               >
-                Forgot your password?
-              </Link>
-            </Box>
+                {loading ? <CircularProgress size={24} /> : 'Sign In'}
+              </Button>
             
-            <Box sx={{ textAlign: 'center', mt: 3 }}>
-              <Typography variant="body2" color="text.secondary">
-                Don't have an account?{' '}
+              <Box sx={{ textAlign: 'center', mt: 2 }}>
                 <Link
                   component={RouterLink}
-                  to="/register"
-                  sx={{ textDecoration: 'none', fontWeight: 600 }}
+                  to="/forgot-password"
+                  variant="body2"
+                  sx={{ textDecoration: 'none' }}
                 >
-                  Sign up
+                  Forgot your password?
                 </Link>
-              </Typography>
+              </Box>
+            
+              <Box sx={{ textAlign: 'center', mt: 3 }}>
+                <Typography variant="body2" color="text.secondary">
+                  Don't have an account?{' '}
+                  <Link
+                    component={RouterLink}
+                    to="/register"
+                    sx={{ textDecoration: 'none', fontWeight: 600 }}
+                  >
+                    Sign up
+                  </Link>
+                </Typography>
+              </Box>
             </Box>
-          </Box>
+          )}
         </Paper>
       </Box>
     </Container>
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Box,
+  Typography,
+  Paper,
+  Divider,
+  CircularProgress
+} from '@mui/material';
+import { CheckCircle, Cancel, WorkspacePremium } from '@mui/icons-material';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+
+const VerifyCertificate = () => {
+  const { certificateId } = useParams();
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const verify = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/certificates/${certificateId}/verify`);
+        setResult(response.data);
+      } catch (error) {
+        setResult({
+          valid: false,
+          message: error.response?.data?.message || 'Certificate could not be verified'
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [certificateId]);
+
+  const certificate = result?.certificate;
+
+  return (
+    <Container maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '80vh',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          py: 4
+        }}
+      >
+        <Paper elevation={3} sx={{ p: 4, width: '100%', textAlign: 'center' }}>
+          {loading ? (
+            <>
+              <CircularProgress />
+              <Typography sx={{ mt: 2 }}>Verifying certificate...</Typography>
+            </>
+          ) : (
+            <>
+              {result.valid ? (
+                <CheckCircle color="success" sx={{ fontSize: 64 }} />
+              ) : (
+                <Cancel color="error" sx={{ fontSize: 64 }} />
+              )}
+              <Typography variant="h5" fontWeight={700} sx={{ mt: 1 }}>
+                {result.valid ? 'Valid Certificate' : 'Not Valid'}
+              </Typography>
+              <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+                {result.message}
+              </Typography>
+
+              {certificate && (
+                <>
+                  <Divider sx={{ mb: 3 }} />
+                  <WorkspacePremium color="warning" sx={{ fontSize: 40 }} />
+                  <Typography variant="h6">{certificate.studentName}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    completed
+                  </Typography>
+                  <Typography variant="h6" sx={{ mb: 2 }}>
+                    {certificate.course.title}
+                  </Typography>
+                  {certificate.course.instructor && (
+                    <Typography variant="body2" color="text.secondary">
+                      Instructor: {certificate.course.instructor}
+                    </Typography>
+                  )}
+                  <Typography variant="body2" color="text.secondary">
+                    Completed on {formatDate(certificate.completionDate || certificate.issuedDate)}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+                    Certificate ID: {certificate.certificateId}
+                  </Typography>
+                </>
+              )}
+            </>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyCertificate;
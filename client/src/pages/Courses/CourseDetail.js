@@ -41,9 +41,15 @@ import {
   VideocamOutlined,
   AttachFileOutlined,
   ShoppingCart,
+  AddShoppingCart,
+  CardGiftcard,
   Favorite,
   Share,
+  HourglassEmpty,
+  RadioButtonUnchecked,
 } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
 import { useAuth } from '../../context/AuthContext';
 import config from '../../config/api';
 import { formatPrice } from '../../utils/currency';
@@ -57,9 +63,13 @@ const CourseDetail = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [enrolling, setEnrolling] = useState(false);
+  const [addingToCart, setAddingToCart] = useState(false);
   const [enrollmentDialog, setEnrollmentDialog] = useState(false);
   const [isEnrolled, setIsEnrolled] = useState(false);
   const [similarCourses, setSimilarCourses] = useState([]);
+  const [waitlistEntry, setWaitlistEntry] = useState(null);
+  const [waitlistLoading, setWaitlistLoading] = useState(false);
+  const [seatsHeld, setSeatsHeld] = useState(false);
 
   const fetchSimilarCourses = useCallback(async (category, excludeId) => {
     try {
@@ -80,17 +90,7 @@ const CourseDetail = () => {
   const fetchCourseDetails = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${config.API_BASE_URL}/courses/${id}`, {
-        headers: {
-          'Authorization': isAuthenticated ? `Bearer ${localStorage.getItem('token')}` : '',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch course details');
-      }
-
-      const data = await response.json();
+      const { data } = await axios.get(`${config.API_BASE_URL}/courses/${id}`);
       setCourse(data.course);
 
       // Fetch similar courses
@@ -98,38 +98,76 @@ const CourseDetail = () => {
         fetchSimilarCourses(data.course.category, id);
       }
     } catch (err) {
-      setError(err.message);
+      setError('Failed to fetch course details');
     } finally {
       setLoading(false);
     }
+    // Refetched on sign-in so the prerequisites show the student's progress
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id, isAuthenticated, fetchSimilarCourses]);
 
   const checkEnrollmentStatus = useCallback(async () => {
     try {
-      const response = await fetch(`${config.API_BASE_URL}/enrollments/my-enrollments`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        const enrolled = data.enrollments.some(enrollment => 
-          enrollment.course._id === id || enrollment.course === id
-        );
-        setIsEnrolled(enrolled);
-      }
+      const { data } = await axios.get(`${config.API_BASE_URL}/enrollments/my-enrollments`);
+      const enrolled = data.enrollments.some(enrollment => 
+        enrollment.course._id === id || enrollment.course === id
+      );
+      setIsEnrolled(enrolled);
     } catch (err) {
       console.log('Failed to check enrollment status:', err);
     }
   }, [id]);
 
+  const fetchWaitlistStatus = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${config.API_BASE_URL}/courses/${id}/waitlist/me`);
+      setWaitlistEntry(data.entry);
+    } catch (err) {
+      setWaitlistEntry(null);
+      if (err.response?.status !== 404) {
+        console.log('Failed to check waitlist status:', err);
+      }
+    }
+  }, [id]);
+
   useEffect(() => {
     fetchCourseDetails();
     if (isAuthenticated) {
       checkEnrollmentStatus();
+      fetchWaitlistStatus();
+    }
+  }, [fetchCourseDetails, isAuthenticated, checkEnrollmentStatus, fetchWaitlistStatus]);
+
+  const handleJoinWaitlist = async () => {
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+
+    try {
+      setWaitlistLoading(true);
+      const { data } = await axios.post(`${config.API_BASE_URL}/courses/${id}/waitlist`);
+      setWaitlistEntry(data.entry);
+      toast.success(`You are #${data.entry.position} on the waitlist`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to join waitlist');
+    } finally {
+      setWaitlistLoading(false);
+    }
+  };
+
+  const handleLeaveWaitlist = async () => {
+    try {
+      setWaitlistLoading(true);
+      await axios.delete(`${config.API_BASE_URL}/courses/${id}/waitlist`);
+      setWaitlistEntry(null);
+      toast.info('You have left the waitlist');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to leave waitlist');
+    } finally {
+      setWaitlistLoading(false);
     }
-  }, [fetchCourseDetails, isAuthenticated, checkEnrollmentStatus]);
+  };
 
   const handleEnrollment = async () => {
     if (!isAuthenticated) {
@@ -139,25 +177,11 @@ const CourseDetail = () => {
 
     try {
       setEnrolling(true);
-      const response = await fetch(`${config.API_BASE_URL}/enrollments`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-        body: JSON.stringify({
-          courseId: id,
-          paymentMethod: 'stripe', // Default payment method
-        }),
+      const { data } = await axios.post(`${config.API_BASE_URL}/enrollments`, {
+        courseId: id,
+        paymentMethod: 'stripe', // Default payment method
       });
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to enroll in course');
-      }
-
-      const data = await response.json();
-      
       // If payment is required, redirect to payment
       if (data.paymentUrl) {
         window.location.href = data.paymentUrl;
@@ -167,12 +191,36 @@ const CourseDetail = () => {
         setEnrollmentDialog(true);
       }
     } catch (err) {
-      setError(err.message);
+      const errorData = err.response?.data || {};
+      // Remaining seats are held for students on the waitlist
+      if (errorData.waitlistAvailable) {
+        setSeatsHeld(true);
+        toast.info(errorData.message);
+        return;
+      }
+      setError(errorData.message || 'Failed to enroll in course');
     } finally {
       setEnrolling(false);
     }
   };
 
+  const handleAddToCart = async () => {
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+
+    try {
+      setAddingToCart(true);
+      await axios.post(`${config.API_BASE_URL}/cart/items`, { courseId: id });
+      toast.success('Course added to your cart');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add course to cart');
+    } finally {
+      setAddingToCart(false);
+    }
+  };
+
   const formatDuration = (hours) => {
     if (!hours || isNaN(hours) || hours <= 0) {
       return 'Duration not specified';
@@ -208,6 +256,9 @@ const CourseDetail = () => {
     );
   }
 
+  const hasUnmetPrerequisites = isAuthenticated &&
+    (course.prerequisites || []).some((prerequisite) => !prerequisite.met);
+
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
       <Grid container spacing={4}>
@@ -330,55 +381,101 @@ const CourseDetail = () => {
                 </>
               )}
 
-              {/* Course Syllabus */}
-              {course.syllabus && course.syllabus.length > 0 && (
+              {/* Course Prerequisites */}
+              {course.prerequisites && course.prerequisites.length > 0 && (
+                <>
+                  <Typography variant="h6" gutterBottom>
+                    Prerequisites
+                  </Typography>
+                  <List>
+                    {course.prerequisites.map((prerequisite) => (
+                      <ListItem
+                        key={prerequisite.course._id}
+                        button
+                        onClick={() => navigate(`/courses/${prerequisite.course._id}`)}
+                      >
+                        <ListItemIcon>
+                          {prerequisite.met ? (
+                            <CheckCircle color="success" />
+                          ) : (
+                            <RadioButtonUnchecked color="disabled" />
+                          )}
+                        </ListItemIcon>
+                        <ListItemText
+                          primary={prerequisite.course.title}
+                          secondary={[
+                            prerequisite.minimumGrade && `Minimum grade: ${prerequisite.minimumGrade}`,
+                            isAuthenticated &&
+                              (prerequisite.met
+                                ? `Completed (${prerequisite.grade})`
+                                : prerequisite.completed
+                                  ? `Completed with ${prerequisite.grade}, below the minimum grade`
+                                  : 'Not completed yet'),
+                          ].filter(Boolean).join(' · ')}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                  <Divider sx={{ my: 3 }} />
+                </>
+              )}
+
+              {/* Course Curriculum */}
+              {course.curriculum && course.curriculum.length > 0 && (
                 <>
                   <Typography variant="h6" gutterBottom>
                     Course Content
                   </Typography>
                   <Typography variant="body2" color="text.secondary" gutterBottom>
-                    {course.syllabus.length} sections
+                    {course.curriculum.length} sections
+                    {' • '}
+                    {course.curriculum.reduce((count, section) => count + section.lessons.length, 0)} lessons
                   </Typography>
                   
-                  {course.syllabus.map((section, index) => (
-                    <Accordion key={index}>
+                  {course.curriculum.map((section) => (
+                    <Accordion key={section._id}>
                       <AccordionSummary expandIcon={<ExpandMore />}>
                         <Box display="flex" alignItems="center" gap={1} width="100%">
                           <Typography variant="subtitle1">
                             {section.title}
                           </Typography>
-                          {section.duration && (
-                            <Typography variant="body2" color="text.secondary" sx={{ ml: 'auto' }}>
-                              {section.duration} min
-                            </Typography>
-                          )}
+                          <Typography variant="body2" color="text.secondary" sx={{ ml: 'auto' }}>
+                            {section.lessons.length} lessons
+                          </Typography>
                         </Box>
                       </AccordionSummary>
                       <AccordionDetails>
-                        <Typography variant="body2" paragraph>
-                          {section.description}
-                        </Typography>
-                        
-                        {section.videoUrl && (
-                          <Box display="flex" alignItems="center" gap={1} mb={1}>
-                            <VideocamOutlined fontSize="small" />
-                            <Typography variant="body2">Video Lesson</Typography>
-                          </Box>
+                        {section.description && (
+                          <Typography variant="body2" paragraph>
+                            {section.description}
+                          </Typography>
                         )}
                         
-                        {section.materials && section.materials.length > 0 && (
-                          <Box>
-                            <Typography variant="body2" fontWeight="bold" gutterBottom>
-                              Materials:
-                            </Typography>
-                            {section.materials.map((material, materialIndex) => (
-                              <Box key={materialIndex} display="flex" alignItems="center" gap={1} mb={0.5}>
-                                <AttachFileOutlined fontSize="small" />
-                                <Typography variant="body2">{material}</Typography>
-                              </Box>
-                            ))}
-                          </Box>
-                        )}
+                        <List dense disablePadding>
+                          {section.lessons.map((lesson) => (
+                            <ListItem key={lesson._id} disableGutters>
+                              <ListItemIcon sx={{ minWidth: 32 }}>
+                                {lesson.type === 'video' ? (
+                                  <VideocamOutlined fontSize="small" />
+                                ) : (
+                                  <AttachFileOutlined fontSize="small" />
+                                )}
+                              </ListItemIcon>
+                              <ListItemText
+                                primary={lesson.title}
+                                secondary={lesson.description}
+                              />
+                              {lesson.isFreePreview && (
+                                <Chip label="Preview" size="small" color="primary" variant="outlined" sx={{ mr: 1 }} />
+                              )}
+                              {lesson.duration > 0 && (
+                                <Typography variant="body2" color="text.secondary">
+                                  {lesson.duration} min
+                                </Typography>
+                              )}
+                            </ListItem>
+                          ))}
+                        </List>
                       </AccordionDetails>
                     </Accordion>
                   ))}
@@ -483,6 +580,11 @@ const CourseDetail = () => {
 
               {/* Action Buttons */}
               <Box display="flex" flexDirection="column" gap={2}>
+                {!isEnrolled && hasUnmetPrerequisites && (
+                  <Alert severity="warning">
+                    Complete the prerequisites for this course before enrolling.
+                  </Alert>
+                )}
                 {isEnrolled ? (
                   <Button
                     variant="contained"
@@ -493,15 +595,87 @@ const CourseDetail = () => {
                   >
                     Go to Course
                   </Button>
-                ) : (
+                ) : waitlistEntry?.status === 'offered' ? (
+                  <>
+                    <Alert severity="success">
+                      A seat is being held for you until{' '}
+                      {new Date(waitlistEntry.offerExpiresAt).toLocaleString()}.
+                    </Alert>
+                    <Button
+                      variant="contained"
+                      fullWidth
+                      startIcon={<ShoppingCart />}
+                      onClick={handleEnrollment}
+                      disabled={enrolling}
+                    >
+                      {enrolling ? 'Enrolling...' : 'Claim Your Seat'}
+                    </Button>
+                    <Button
+                      variant="text"
+                      fullWidth
+                      onClick={handleLeaveWaitlist}
+                      disabled={waitlistLoading}
+                    >
+                      Give Up Seat
+                    </Button>
+                  </>
+                ) : waitlistEntry ? (
+                  <>
+                    <Alert severity="info" icon={<HourglassEmpty />}>
+                      You are #{waitlistEntry.position} on the waitlist. We will email you when a seat opens up.
+                    </Alert>
+                    <Button
+                      variant="outlined"
+                      fullWidth
+                      onClick={handleLeaveWaitlist}
+                      disabled={waitlistLoading}
+                    >
+                      Leave Waitlist
+                    </Button>
+                  </>
+                ) : seatsHeld || (course.maxStudents > 0 && course.currentStudents >= course.maxStudents) ? (
                   <Button
                     variant="contained"
                     fullWidth
-                    startIcon={<ShoppingCart />}
-                    onClick={handleEnrollment}
-                    disabled={enrolling || (course.maxStudents > 0 && course.currentStudents >= course.maxStudents)}
+                    startIcon={<HourglassEmpty />}
+                    onClick={handleJoinWaitlist}
+                    disabled={waitlistLoading || hasUnmetPrerequisites}
+                  >
+                    {waitlistLoading ? 'Joining...' : 'Join Waitlist'}
+                  </Button>
+                ) : (
+                  <>
+                    <Button
+                      variant="contained"
+                      fullWidth
+                      startIcon={<ShoppingCart />}
+                      onClick={handleEnrollment}
+                      disabled={enrolling || hasUnmetPrerequisites}
+                    >
+                      {enrolling ? 'Enrolling...' : course.price === 0 ? 'Enroll for Free' : 'Enroll Now'}
+                    </Button>
+                    {course.price > 0 && (
+                      <Button
+                        variant="outlined"
+                        fullWidth
+                        startIcon={<AddShoppingCart />}
+                        onClick={handleAddToCart}
+                        disabled={addingToCart || hasUnmetPrerequisites}
+                      >
+                        {addingToCart ? 'Adding...' : 'Add to Cart'}
+                      </Button>
+                    )}
+                  </>
+                )}
+
+                {course.price > 0 && (
+                  <Button
+                    variant="text"
+                    fullWidth
+                    startIcon={<CardGiftcard />}
+                    onClick={() => navigate(isAuthenticated ? `/gift/${id}` : '/login')}
                   >
-                    {enrolling ? 'Enrolling...' : course.price === 0 ? 'Enroll for Free' : 'Enroll Now'}
+                    Give as a Gift
                   </Button>
                 )}
 
@@ -11,6 +11,7 @@ import {
   ListItemIcon,
   ListItemText,
   ListItemButton,
+  ListSubheader,
   Chip,
   Avatar,
   Dialog,
@@ -32,30 +33,27 @@ import {
   EmojiEvents,
   School,
   Bookmark,
+  RadioButtonUnchecked,
 } from '@mui/icons-material';
 import { toast } from 'react-toastify';
 import axios from 'axios';
 import { API_BASE_URL } from '../../config/api';
+import QuizPlayer from '../../components/Quiz/QuizPlayer';
+import AssignmentPanel from '../../components/Assignment/AssignmentPanel';
 
 const CourseProgress = () => {
   const { courseId } = useParams();
   const navigate = useNavigate();
   const [course, setCourse] = useState(null);
   const [enrollment, setEnrollment] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [currentLessonId, setCurrentLessonId] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [completedLessons, setCompletedLessons] = useState([]);
+  const [completing, setCompleting] = useState(false);
   const [bookmarkedLessons] = useState([]);
   const [certificateDialog, setCertificateDialog] = useState(false);
   const [shareDialog, setShareDialog] = useState(false);
 
-  // Helper function to get all lessons
-  const getAllLessons = useCallback((course) => {
-    if (!course || !course.curriculum) return [];
-    return course.curriculum.reduce((lessons, module) => {
-      return lessons.concat(module.lessons || []);
-    }, []);
-  }, []);
-
   const fetchCourseProgress = useCallback(async () => {
     try {
       setLoading(true);
@@ -73,24 +71,12 @@ const CourseProgress = () => {
       if (userEnrollment) {
         setEnrollment(userEnrollment);
         
-        // Set up mock progress data
-        const totalLessons = getAllLessons(courseResponse.data.course).length;
-        const completed = Math.floor(Math.random() * totalLessons);
-        setCompletedLessons(Array.from({ length: completed }, (_, i) => `lesson-${i}`));
-        
-        // Set first incomplete lesson as current
-        const allLessons = getAllLessons(courseResponse.data.course);
-        const firstIncompleteLesson = allLessons.find(
-          lesson => !userEnrollment.completedLessons?.some(
-            completed => completed.lessonId === lesson.id
-          )
+        // Fetch lesson-level progress and resume where the student left off
+        const progressResponse = await axios.get(
+          `${API_BASE_URL}/enrollments/${userEnrollment._id}/progress`
         );
-        
-        if (firstIncompleteLesson) {
-          // setCurrentLesson would be used here in a real implementation
-        } else if (allLessons.length > 0) {
-          // setCurrentLesson would be used here in a real implementation
-        }
+        setProgress(progressResponse.data.progress);
+        setCurrentLessonId(progressResponse.data.progress.resumeLessonId);
       } else {
         // User not enrolled
         navigate(`/courses/${courseId}`);
@@ -103,7 +89,7 @@ const CourseProgress = () => {
     } finally {
       setLoading(false);
     }
-  }, [courseId, navigate, getAllLessons]);
+  }, [courseId, navigate]);
 
   useEffect(() => {
     if (courseId) {
@@ -111,9 +97,54 @@ const CourseProgress = () => {
     }
   }, [courseId, fetchCourseProgress]);
 
-  const handleDownloadCertificate = () => {
-    // Mock certificate download
-    toast.info('Certificate download would be implemented here');
+  const handleCompleteLesson = async (lessonId) => {
+    try {
+      setCompleting(true);
+      const response = await axios.post(
+        `${API_BASE_URL}/enrollments/${enrollment._id}/lessons/${lessonId}/complete`
+      );
+      const updatedProgress = response.data.progress;
+      setProgress(updatedProgress);
+      setCurrentLessonId(updatedProgress.resumeLessonId);
+      toast.success('Lesson marked as completed');
+
+      if (updatedProgress.progress === 100) {
+        if (course.certificate) {
+          setCertificateDialog(true);
+        } else {
+          toast.success(`Congratulations on completing ${course.title}!`);
+        }
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update lesson progress');
+      console.error('Error completing lesson:', error);
+    } finally {
+      setCompleting(false);
+    }
+  };
+
+  const handleDownloadCertificate = async () => {
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/enrollments/${enrollment._id}/certificate`,
+        { responseType: 'blob' }
+      );
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `certificate-${course.title}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(
+        error.response?.status === 404
+          ? 'This course does not offer a certificate'
+          : 'Failed to download certificate'
+      );
+    }
     setCertificateDialog(false);
   };
 
@@ -121,7 +152,7 @@ const CourseProgress = () => {
     if (navigator.share) {
       navigator.share({
         title: `My progress in ${course.title}`,
-        text: `I've completed ${enrollment.progress}% of ${course.title}!`,
+        text: `I've completed ${progress?.progress || 0}% of ${course.title}!`,
         url: window.location.href,
       });
     } else {
@@ -152,7 +183,7 @@ const CourseProgress = () => {
     );
   }
 
-  if (!course || !enrollment) {
+  if (!course || !enrollment || !progress) {
     return (
       <Container>
         <Alert severity="error" sx={{ mt: 2 }}>
@@ -162,9 +193,12 @@ const CourseProgress = () => {
     );
   }
 
-  const progressPercentage = enrollment.progress || 0;
-  const totalLessons = getAllLessons(course).length;
-  const completedCount = completedLessons.length;
+  const progressPercentage = progress.progress || 0;
+  const totalLessons = progress.totalLessons;
+  const completedCount = progress.completedCount;
+  const currentLesson = progress.lessons.find(
+    (lesson) => lesson.lessonId === currentLessonId
+  );
 
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
@@ -186,7 +220,7 @@ const CourseProgress = () => {
               />
               <Chip
                 icon={<AccessTime />}
-                label={formatDuration(course.duration)}
+                label={`${course.duration}h`}
                 variant="outlined"
               />
             </Box>
@@ -211,7 +245,7 @@ const CourseProgress = () => {
               >
                 Share Progress
               </Button>
-              {progressPercentage === 100 && (
+              {progressPercentage === 100 && course.certificate && (
                 <Button
                   variant="contained"
                   startIcon={<WorkspacePremium />}
@@ -235,30 +269,40 @@ const CourseProgress = () => {
               Course Content
             </Typography>
             
-            <Alert severity="info" sx={{ mb: 2 }}>
-              This is a demo course progress page. In a real application, this would show actual course modules and lessons.
-            </Alert>
-
-            {/* Mock course content */}
-            <Box>
-              <Typography variant="h6" gutterBottom>
-                Module 1: Introduction
-              </Typography>
+            {totalLessons === 0 ? (
+              <Alert severity="info">
+                No lessons have been published for this course yet.
+              </Alert>
+            ) : (
               <List>
-                <ListItemButton>
-                  <ListItemIcon>
-                    <CheckCircle color="success" />
-                  </ListItemIcon>
-                  <ListItemText primary="Welcome to the Course" secondary="5 minutes" />
-                </ListItemButton>
-                <ListItemButton>
-                  <ListItemIcon>
-                    <PlayArrow />
-                  </ListItemIcon>
-                  <ListItemText primary="Course Overview" secondary="10 minutes" />
-                </ListItemButton>
+                {progress.lessons.map((lesson, index) => (
+                  <React.Fragment key={lesson.lessonId}>
+                    {(index === 0 ||
+                      progress.lessons[index - 1].sectionId !== lesson.sectionId) && (
+                      <ListSubheader disableSticky>{lesson.sectionTitle}</ListSubheader>
+                    )}
+                    <ListItemButton
+                      selected={lesson.lessonId === currentLessonId}
+                      onClick={() => setCurrentLessonId(lesson.lessonId)}
+                    >
+                      <ListItemIcon>
+                        {lesson.completed ? (
+                          <CheckCircle color="success" />
+                        ) : lesson.lessonId === progress.resumeLessonId ? (
+                          <PlayArrow color="primary" />
+                        ) : (
+                          <RadioButtonUnchecked />
+                        )}
+                      </ListItemIcon>
+                      <ListItemText
+                        primary={`${index + 1}. ${lesson.title}`}
+                        secondary={formatDuration(lesson.duration)}
+                      />
+                    </ListItemButton>
+                  </React.Fragment>
+                ))}
               </List>
-            </Box>
+            )}
           </Paper>
         </Grid>
 
@@ -267,9 +311,76 @@ const CourseProgress = () => {
             <Typography variant="h6" gutterBottom>
               Current Lesson
             </Typography>
-            <Alert severity="info">
-              Select a lesson to start learning
-            </Alert>
+            {currentLesson ? (
+              <Box>
+                <Typography variant="subtitle1" gutterBottom>
+                  {currentLesson.title}
+                </Typography>
+                {currentLesson.description && (
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    {currentLesson.description}
+                  </Typography>
+                )}
+                {currentLesson.duration > 0 && (
+                  <Chip
+                    icon={<AccessTime />}
+                    label={formatDuration(currentLesson.duration)}
+                    size="small"
+                    variant="outlined"
+                    sx={{ mb: 2 }}
+                  />
+                )}
+                <Box display="flex" flexDirection="column" gap={1}>
+                  {currentLesson.videoUrl && (
+                    <Button
+                      variant="outlined"
+                      startIcon={<PlayArrow />}
+                      href={currentLesson.videoUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      fullWidth
+                    >
+                      Watch Lesson
+                    </Button>
+                  )}
+                  {currentLesson.type === 'quiz' && !currentLesson.completed && (
+                    <QuizPlayer
+                      courseId={courseId}
+                      lessonId={currentLesson.lessonId}
+                      onPassed={() => handleCompleteLesson(currentLesson.lessonId)}
+                    />
+                  )}
+                  {currentLesson.type === 'assignment' && (
+                    <AssignmentPanel
+                      courseId={courseId}
+                      lessonId={currentLesson.lessonId}
+                      onSubmitted={() =>
+                        !currentLesson.completed && handleCompleteLesson(currentLesson.lessonId)
+                      }
+                    />
+                  )}
+                  {currentLesson.completed ? (
+                    <Alert severity="success">
+                      Completed on {new Date(currentLesson.completedAt).toLocaleDateString()}
+                    </Alert>
+                  ) : (
+                    <Button
+                      variant="contained"
+                      startIcon={completing ? <CircularProgress size={20} /> : <CheckCircle />}
+                      onClick={() => handleCompleteLesson(currentLesson.lessonId)}
+                      disabled={completing}
+                      fullWidth
+                    >
+                      Mark as Complete
+                    </Button>
+                  )}
+                </Box>
+              </Box>
+            ) : (
+              <Alert severity="info">
+                Select a lesson to start learning
+              </Alert>
+            )}
           </Paper>
         </Grid>
       </Grid>
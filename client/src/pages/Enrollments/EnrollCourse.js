@@ -545,7 +545,10 @@ const EnrollCourse = () => {
                       <ListItemIcon>
                         <School />
                       </ListItemIcon>
-                      <ListItemText primary={prereq} />
+                      <ListItemText
+                        primary={prereq.course?.title || prereq}
+                        secondary={prereq.minimumGrade && `Minimum grade: ${prereq.minimumGrade}`}
+                      />
                     </ListItem>
                   ))}
                 </List>
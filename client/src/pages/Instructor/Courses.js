@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  LinearProgress,
+} from '@mui/material';
+import { Edit, Visibility, Quiz, Grading, People } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+import { formatPrice } from '../../utils/currency';
+
+const EDITABLE_FIELDS = ['title', 'shortDescription', 'description', 'price', 'maxStudents', 'status'];
+
+const STATUS_COLORS = {
+  published: 'success',
+  draft: 'warning',
+  archived: 'default',
+};
+
+// Instructor view of their own courses. Edits go through PUT /courses/:id,
+// which only lets instructors change courses they teach.
+const InstructorCourses = () => {
+  const navigate = useNavigate();
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const fetchCourses = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/instructor/courses`);
+      setCourses(response.data.courses);
+    } catch (error) {
+      console.error('Error fetching instructor courses:', error);
+      toast.error(error.response?.data?.message || 'Failed to load courses');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCourses();
+  }, [fetchCourses]);
+
+  const openEdit = (course) => {
+    setEditing(course);
+    setForm(
+      EDITABLE_FIELDS.reduce((values, field) => ({ ...values, [field]: course[field] ?? '' }), {})
+    );
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await axios.put(`${API_BASE_URL}/courses/${editing._id}`, {
+        ...form,
+        price: Number(form.price),
+        maxStudents: Number(form.maxStudents) || 0,
+      });
+      toast.success('Course updated successfully');
+      setEditing(null);
+      fetchCourses();
+    } catch (error) {
+      const details = error.response?.data?.errors?.map((entry) => entry.msg).join(', ');
+      toast.error(details || error.response?.data?.message || 'Failed to update course');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        My Courses
+      </Typography>
+
+      {courses.length === 0 ? (
+        <Alert severity="info">
+          You are not teaching any courses yet. Ask an administrator to assign you a course.
+        </Alert>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Course</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Price</TableCell>
+                <TableCell align="right">Enrollments</TableCell>
+                <TableCell align="right">Completed</TableCell>
+                <TableCell sx={{ minWidth: 160 }}>Average Progress</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {courses.map((course) => (
+                <TableRow key={course._id}>
+                  <TableCell>{course.title}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={course.status} color={STATUS_COLORS[course.status]} />
+                  </TableCell>
+                  <TableCell align="right">{formatPrice(course.price, course.currency)}</TableCell>
+                  <TableCell align="right">
+                    {course.stats.enrollments}
+                    {course.maxStudents > 0 && ` / ${course.maxStudents}`}
+                  </TableCell>
+                  <TableCell align="right">{course.stats.completed}</TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{course.stats.averageProgress}%</Typography>
+                    <LinearProgress variant="determinate" value={course.stats.averageProgress} />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => openEdit(course)}>
+                        <Edit />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="View">
+                      <IconButton size="small" onClick={() => navigate(`/courses/${course._id}`)}>
+                        <Visibility />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Learners">
+                      <IconButton
+                        size="small"
+                        onClick={() => navigate(`/instructor/learners?courseId=${course._id}`)}
+                      >
+                        <People />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Quiz Analytics">
+                      <IconButton
+                        size="small"
+                        onClick={() => navigate(`/courses/${course._id}/quizzes/analytics`)}
+                      >
+                        <Quiz />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Grading Queue">
+                      <IconButton
+                        size="small"
+                        onClick={() => navigate(`/courses/${course._id}/assignments/grading`)}
+                      >
+                        <Grading />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Edit Course</DialogTitle>
+        <DialogContent>
+          <Box display="flex" flexDirection="column" gap={2} mt={1}>
+            <TextField
+              label="Title"
+              value={form.title || ''}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              fullWidth
+            />
+            <TextField
+              label="Short Description"
+              value={form.shortDescription || ''}
+              onChange={(e) => setForm({ ...form, shortDescription: e.target.value })}
+              inputProps={{ maxLength: 200 }}
+              fullWidth
+            />
+            <TextField
+              label="Description"
+              value={form.description || ''}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              multiline
+              minRows={4}
+              fullWidth
+            />
+            <Box display="flex" gap={2}>
+              <TextField
+                label="Price"
+                type="number"
+                value={form.price}
+                onChange={(e) => setForm({ ...form, price: e.target.value })}
+                inputProps={{ min: 0 }}
+                fullWidth
+              />
+              <TextField
+                label="Seat Limit"
+                type="number"
+                value={form.maxStudents}
+                onChange={(e) => setForm({ ...form, maxStudents: e.target.value })}
+                helperText="0 means unlimited"
+                inputProps={{ min: 0 }}
+                fullWidth
+              />
+            </Box>
+            <TextField
+              select
+              label="Status"
+              value={form.status || 'draft'}
+              onChange={(e) => setForm({ ...form, status: e.target.value })}
+              fullWidth
+            >
+              <MenuItem value="draft">Draft</MenuItem>
+              <MenuItem value="published">Published</MenuItem>
+              <MenuItem value="archived">Archived</MenuItem>
+            </TextField>
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Save Changes'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default InstructorCourses;
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Avatar,
+  Chip,
+  Rating,
+  List,
+  ListItem,
+  ListItemText,
+  Alert,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { School, People, Payment, Star, Download } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+import { formatPrice, formatAmount } from '../../utils/currency';
+
+// Landing page of the instructor area: totals, revenue and recent activity
+// for the courses the signed-in instructor teaches
+const InstructorDashboard = () => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [overview, setOverview] = useState(null);
+  const [revenue, setRevenue] = useState([]);
+  const [recentEnrollments, setRecentEnrollments] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const [balances, setBalances] = useState([]);
+  const [sharePercent, setSharePercent] = useState(null);
+
+  const fetchDashboardData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [overviewRes, reviewsRes, balanceRes] = await Promise.all([
+        axios.get(`${API_BASE_URL}/instructor/overview`),
+        axios.get(`${API_BASE_URL}/instructor/reviews`),
+        axios.get(`${API_BASE_URL}/instructor/balance`),
+      ]);
+      setOverview(overviewRes.data.overview);
+      setRevenue(overviewRes.data.revenue);
+      setRecentEnrollments(overviewRes.data.recentEnrollments);
+      setReviews(reviewsRes.data.reviews.slice(0, 5));
+      setBalances(balanceRes.data.balances);
+      setSharePercent(balanceRes.data.defaultSharePercent);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDashboardData();
+  }, [fetchDashboardData]);
+
+  const handleExportLedger = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/instructor/ledger`, {
+        params: { format: 'csv' },
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `earnings-${new Date().toISOString().slice(0, 10)}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting earnings:', err);
+      toast.error('Failed to export earnings');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container maxWidth="xl" sx={{ py: 4 }}>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+          <LinearProgress sx={{ width: '300px' }} />
+        </Box>
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="xl" sx={{ py: 4 }}>
+        <Alert severity="error" sx={{ mb: 3 }}>
+          Error loading instructor dashboard: {error}
+        </Alert>
+        <Button variant="contained" onClick={fetchDashboardData}>
+          Retry
+        </Button>
+      </Container>
+    );
+  }
+
+  const statCards = [
+    {
+      label: 'My Courses',
+      value: overview.totalCourses,
+      caption: `${overview.publishedCourses} published`,
+      icon: <School />,
+      color: 'info.main',
+    },
+    {
+      label: 'Students',
+      value: overview.totalStudents,
+      caption: `${overview.completedEnrollments} completions`,
+      icon: <People />,
+      color: 'primary.main',
+    },
+    {
+      label: 'Revenue',
+      value: revenue.length
+        ? revenue.map((entry) => formatPrice(entry.completedAmount, entry.currency)).join(' + ')
+        : formatPrice(0),
+      caption: `${revenue.reduce((sum, entry) => sum + entry.count, 0)} payments`,
+      icon: <Payment />,
+      color: 'success.main',
+    },
+    {
+      label: 'Average Rating',
+      value: overview.averageRating || '—',
+      caption: `${overview.reviewCount} reviews`,
+      icon: <Star />,
+      color: 'warning.main',
+    },
+  ];
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 4 }}>
+      <Box mb={4} display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2}>
+        <Box>
+          <Typography variant="h3" component="h1" gutterBottom>
+            Instructor Dashboard
+          </Typography>
+          <Typography variant="h6" color="text.secondary">
+            Your courses, learners and earnings at a glance
+          </Typography>
+        </Box>
+        <Box display="flex" gap={1}>
+          <Button variant="outlined" component={Link} to="/instructor/courses">
+            My Courses
+          </Button>
+          <Button variant="outlined" component={Link} to="/instructor/learners">
+            Learners
+          </Button>
+        </Box>
+      </Box>
+
+      <Grid container spacing={3} mb={4}>
+        {statCards.map((card) => (
+          <Grid item xs={12} sm={6} md={3} key={card.label}>
+            <Card>
+              <CardContent>
+                <Box display="flex" alignItems="center" gap={2}>
+                  <Avatar sx={{ bgcolor: card.color }}>{card.icon}</Avatar>
+                  <Box>
+                    <Typography color="text.secondary" gutterBottom>
+                      {card.label}
+                    </Typography>
+                    <Typography variant="h5">{card.value}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {card.caption}
+                    </Typography>
+                  </Box>
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Card sx={{ mb: 4 }}>
+        <CardContent>
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+            <Box>
+              <Typography variant="h6">Earnings</Typography>
+              {sharePercent !== null && (
+                <Typography variant="body2" color="text.secondary">
+                  You earn {sharePercent}% of each sale unless a course sets its own share.
+                </Typography>
+              )}
+            </Box>
+            <Button size="small" startIcon={<Download />} onClick={handleExportLedger}>
+              Export Statement
+            </Button>
+          </Box>
+          {balances.length === 0 ? (
+            <Typography color="text.secondary">No earnings yet.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Currency</TableCell>
+                  <TableCell align="right">Earned</TableCell>
+                  <TableCell align="right">Refunded</TableCell>
+                  <TableCell align="right">Paid Out</TableCell>
+                  <TableCell align="right">Payout Pending</TableCell>
+                  <TableCell align="right">Balance</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {balances.map((entry) => (
+                  <TableRow key={entry.currency}>
+                    <TableCell>{entry.currency}</TableCell>
+                    <TableCell align="right">{formatAmount(entry.earned, entry.currency)}</TableCell>
+                    <TableCell align="right">{formatAmount(entry.refunded, entry.currency)}</TableCell>
+                    <TableCell align="right">{formatAmount(entry.paidOut, entry.currency)}</TableCell>
+                    <TableCell align="right">{formatAmount(entry.pendingPayout, entry.currency)}</TableCell>
+                    <TableCell align="right">
+                      <strong>{formatAmount(entry.balance, entry.currency)}</strong>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Recent Enrollments
+              </Typography>
+              {recentEnrollments.length === 0 ? (
+                <Typography color="text.secondary">No enrollments yet.</Typography>
+              ) : (
+                <List dense>
+                  {recentEnrollments.map((enrollment) => (
+                    <ListItem
+                      key={enrollment._id}
+                      secondaryAction={<Chip size="small" label={enrollment.status} />}
+                    >
+                      <ListItemText
+                        primary={`${enrollment.student?.firstName} ${enrollment.student?.lastName}`}
+                        secondary={`${enrollment.course?.title} · ${new Date(enrollment.enrollmentDate).toLocaleDateString()}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Latest Reviews
+              </Typography>
+              {reviews.length === 0 ? (
+                <Typography color="text.secondary">No reviews yet.</Typography>
+              ) : (
+                <List dense>
+                  {reviews.map((review) => (
+                    <ListItem key={review._id} alignItems="flex-start">
+                      <ListItemText
+                        primary={
+                          <Box display="flex" alignItems="center" gap={1}>
+                            <Rating value={review.rating} size="small" readOnly />
+                            <Typography variant="body2" color="text.secondary">
+                              {review.course.title}
+                            </Typography>
+                          </Box>
+                        }
+                        secondary={`${review.comment || 'No comment'} — ${review.user?.firstName || 'Student'}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Container>
+  );
+};
+
+export default InstructorDashboard;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Chip,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  LinearProgress,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const STATUS_COLORS = {
+  active: 'primary',
+  completed: 'success',
+  pending: 'warning',
+  cancelled: 'default',
+  refunded: 'default',
+};
+
+// Progress of the learners enrolled in the instructor's courses
+const InstructorLearners = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const courseId = searchParams.get('courseId') || '';
+  const status = searchParams.get('status') || '';
+  const [courses, setCourses] = useState([]);
+  const [enrollments, setEnrollments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE_URL}/instructor/courses`)
+      .then((response) => setCourses(response.data.courses))
+      .catch((error) => console.error('Error fetching instructor courses:', error));
+  }, []);
+
+  const fetchEnrollments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/instructor/enrollments`, {
+        params: {
+          courseId: courseId || undefined,
+          status: status || undefined,
+          page: page + 1,
+          limit: rowsPerPage,
+        },
+      });
+      setEnrollments(response.data.enrollments);
+      setTotal(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching learners:', error);
+      toast.error(error.response?.data?.message || 'Failed to load learners');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId, status, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchEnrollments();
+  }, [fetchEnrollments]);
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(key, value);
+    } else {
+      next.delete(key);
+    }
+    setSearchParams(next);
+    setPage(0);
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Learners
+      </Typography>
+
+      <Box display="flex" gap={2} mb={3} flexWrap="wrap">
+        <FormControl sx={{ minWidth: 280 }}>
+          <InputLabel>Course</InputLabel>
+          <Select value={courseId} label="Course" onChange={(e) => setFilter('courseId', e.target.value)}>
+            <MenuItem value="">All courses</MenuItem>
+            {courses.map((course) => (
+              <MenuItem key={course._id} value={course._id}>
+                {course.title}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl sx={{ minWidth: 180 }}>
+          <InputLabel>Status</InputLabel>
+          <Select value={status} label="Status" onChange={(e) => setFilter('status', e.target.value)}>
+            <MenuItem value="">All statuses</MenuItem>
+            {Object.keys(STATUS_COLORS).map((value) => (
+              <MenuItem key={value} value={value}>
+                {value}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" py={4}>
+          <CircularProgress />
+        </Box>
+      ) : enrollments.length === 0 ? (
+        <Alert severity="info">No learners match these filters.</Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Student</TableCell>
+                  <TableCell>Course</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell sx={{ minWidth: 160 }}>Progress</TableCell>
+                  <TableCell>Grade</TableCell>
+                  <TableCell>Last Active</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {enrollments.map((enrollment) => (
+                  <TableRow key={enrollment._id}>
+                    <TableCell>
+                      {enrollment.student?.firstName} {enrollment.student?.lastName}
+                      <Typography variant="body2" color="text.secondary">
+                        {enrollment.student?.email}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{enrollment.course?.title}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={enrollment.status} color={STATUS_COLORS[enrollment.status]} />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {enrollment.progress}% ({enrollment.completedLessons.length} lessons)
+                      </Typography>
+                      <LinearProgress variant="determinate" value={enrollment.progress} />
+                    </TableCell>
+                    <TableCell>
+                      {enrollment.grade || '—'}
+                      {enrollment.score !== undefined && enrollment.score !== null && ` (${enrollment.score}%)`}
+                    </TableCell>
+                    <TableCell>
+                      {enrollment.lastAccessed
+                        ? new Date(enrollment.lastAccessed).toLocaleDateString()
+                        : '—'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[10, 20, 50]}
+            onPageChange={(e, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+          />
+        </Paper>
+      )}
+    </Container>
+  );
+};
+
+export default InstructorLearners;
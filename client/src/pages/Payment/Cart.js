@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Button,
+  IconButton,
+  Avatar,
+  Alert,
+  CircularProgress,
+  Divider,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+} from '@mui/material';
+import { Delete, School, ShoppingCart } from '@mui/icons-material';
+import { Elements } from '@stripe/react-stripe-js';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import getStripe from '../../config/stripe';
+import config from '../../config/api';
+import StripeCheckoutForm from '../../components/Payment/StripeCheckoutForm';
+import { formatPrice } from '../../utils/currency';
+
+const stripePromise = getStripe();
+
+const paymentMethods = [
+  { id: 'stripe', name: 'Credit/Debit Card' },
+  { id: 'sslcommerz', name: 'SSLCommerz' },
+];
+
+const Cart = () => {
+  const navigate = useNavigate();
+  const [cart, setCart] = useState({ items: [] });
+  const [total, setTotal] = useState(0);
+  const [currency, setCurrency] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [paymentMethod, setPaymentMethod] = useState('stripe');
+  const [processing, setProcessing] = useState(false);
+  const [problems, setProblems] = useState([]);
+  const [stripeCheckout, setStripeCheckout] = useState(null);
+  const idempotencyKeys = useRef({});
+
+  const applyCart = (data) => {
+    setCart(data.cart);
+    setTotal(data.total);
+    setCurrency(data.currency);
+  };
+
+  const fetchCart = useCallback(async () => {
+    try {
+      const response = await axios.get(`${config.API_BASE_URL}/cart`);
+      applyCart(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load cart');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCart();
+  }, [fetchCart]);
+
+  const handleRemove = async (courseId) => {
+    try {
+      const response = await axios.delete(`${config.API_BASE_URL}/cart/items/${courseId}`);
+      applyCart(response.data);
+      setProblems((current) => current.filter((problem) => problem.courseId !== courseId));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove course');
+    }
+  };
+
+  const handleCheckout = async () => {
+    // Retries reuse the key, so a double-click can't pay twice
+    if (!idempotencyKeys.current[paymentMethod]) {
+      idempotencyKeys.current[paymentMethod] = window.crypto.randomUUID();
+    }
+
+    setProcessing(true);
+    setProblems([]);
+    try {
+      const { data } = await axios.post(
+        `${config.API_BASE_URL}/cart/checkout`,
+        { paymentMethod },
+        { headers: { 'Idempotency-Key': idempotencyKeys.current[paymentMethod] } }
+      );
+
+      if (data.redirectUrl) {
+        window.location.href = data.redirectUrl;
+      } else if (data.clientSecret) {
+        setStripeCheckout({ clientSecret: data.clientSecret, paymentId: data.paymentId });
+      } else {
+        toast.success(data.message);
+        navigate(`/payment/receipt/${data.paymentId}`);
+      }
+    } catch (err) {
+      const status = err.response?.status;
+      const data = err.response?.data || {};
+      // Rejected checkouts get a fresh key once the cart is fixed; one
+      // still in progress keeps it
+      if (status >= 400 && status < 500 && status !== 409) {
+        delete idempotencyKeys.current[paymentMethod];
+      }
+      setProblems(data.problems || []);
+      toast.error(data.error || data.message || 'Checkout failed');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleStripeSuccess = async (paymentIntent) => {
+    try {
+      await axios.post(`${config.API_BASE_URL}/payments/confirm`, {
+        paymentIntentId: paymentIntent.id,
+        paymentId: stripeCheckout.paymentId,
+      });
+    } catch (err) {
+      // The webhook completes the payment if confirming here fails
+      console.error('Error confirming payment:', err);
+    }
+    toast.success('Payment successful!');
+    navigate(`/payment/receipt/${stripeCheckout.paymentId}`);
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const items = cart.items.filter((item) => item.course);
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Your Cart
+      </Typography>
+
+      {items.length === 0 ? (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <ShoppingCart sx={{ fontSize: 48, color: 'text.secondary', mb: 2 }} />
+          <Typography variant="body1" gutterBottom>
+            Your cart is empty.
+          </Typography>
+          <Button component={Link} to="/courses" variant="contained" sx={{ mt: 2 }}>
+            Browse Courses
+          </Button>
+        </Paper>
+      ) : (
+        <>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            {items.map((item) => {
+              const problem = problems.find((entry) => entry.courseId === item.course._id);
+              return (
+                <Box key={item._id} sx={{ py: 1 }}>
+                  <Box display="flex" alignItems="center" justifyContent="space-between">
+                    <Box display="flex" alignItems="center" gap={2}>
+                      <Avatar src={item.course.thumbnail} sx={{ width: 48, height: 48 }}>
+                        <School />
+                      </Avatar>
+                      <Box>
+                        <Typography variant="subtitle1">{item.course.title}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {item.course.category} · {item.course.level}
+                        </Typography>
+                      </Box>
+                    </Box>
+                    <Box display="flex" alignItems="center" gap={1}>
+                      <Typography variant="body1">{formatPrice(item.course.price, item.course.currency)}</Typography>
+                      <IconButton
+                        size="small"
+                        onClick={() => handleRemove(item.course._id)}
+                        disabled={processing || Boolean(stripeCheckout)}
+                      >
+                        <Delete />
+                      </IconButton>
+                    </Box>
+                  </Box>
+                  {problem && (
+                    <Alert severity="warning" sx={{ mt: 1 }}>
+                      {problem.message}
+                    </Alert>
+                  )}
+                </Box>
+              );
+            })}
+            <Divider sx={{ my: 2 }} />
+            <Box display="flex" justifyContent="space-between">
+              <Typography variant="h6">Total</Typography>
+              <Typography variant="h6">{formatPrice(total, currency)}</Typography>
+            </Box>
+          </Paper>
+
+          {stripeCheckout ? (
+            stripePromise ? (
+              <Elements stripe={stripePromise} options={{ clientSecret: stripeCheckout.clientSecret }}>
+                <StripeCheckoutForm
+                  clientSecret={stripeCheckout.clientSecret}
+                  amount={Math.round(total * 100)}
+                  currency={currency}
+                  onSuccess={handleStripeSuccess}
+                  onError={(err) => toast.error(err.message || 'Payment failed')}
+                />
+              </Elements>
+            ) : (
+              <Alert severity="error">Card payments are not configured.</Alert>
+            )
+          ) : (
+            <Paper sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Payment Method
+              </Typography>
+              <RadioGroup value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+                {paymentMethods.map((method) => (
+                  <FormControlLabel key={method.id} value={method.id} control={<Radio />} label={method.name} />
+                ))}
+              </RadioGroup>
+              <Button
+                variant="contained"
+                size="large"
+                fullWidth
+                sx={{ mt: 2 }}
+                disabled={processing}
+                startIcon={processing ? <CircularProgress size={20} /> : <ShoppingCart />}
+                onClick={handleCheckout}
+              >
+                {processing ? 'Processing...' : `Checkout ${items.length} courses`}
+              </Button>
+            </Paper>
+          )}
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default Cart;
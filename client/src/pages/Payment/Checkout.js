@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Container,
@@ -25,6 +25,7 @@ import {
   ListItemAvatar,
   Avatar,
   Chip,
+  TextField,
 } from '@mui/material';
 import {
   CreditCard,
@@ -42,7 +43,7 @@ import { Elements } from '@stripe/react-stripe-js';
 import getStripe from '../../config/stripe';
 import StripeCheckoutForm from '../../components/Payment/StripeCheckoutForm';
 import { API_BASE_URL } from '../../config/api';
-import { formatPrice } from '../../utils/currency';
+import { formatPrice, getLocalizedPrice } from '../../utils/currency';
 import { useAuth } from '../../context/AuthContext';
 
 const Checkout = () => {
@@ -56,6 +57,13 @@ const Checkout = () => {
   const [activeStep, setActiveStep] = useState(0);
   const [clientSecret, setClientSecret] = useState(null);
   const [stripePromise] = useState(() => getStripe());
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [selectedPlanId, setSelectedPlanId] = useState('');
+  const idempotencyKeys = useRef({});
   // eslint-disable-next-line no-unused-vars
   const [paymentData, setPaymentData] = useState({
     cardNumber: '',
@@ -106,12 +114,117 @@ const Checkout = () => {
     fetchEnrollmentDetails();
   }, [fetchEnrollmentDetails]);
 
+  // An installment plan chosen earlier decides what is paid now
+  const fetchSchedule = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/installment-schedules`, {
+        params: { enrollment: enrollmentId, status: 'active' },
+      });
+      setSchedule(response.data.schedules[0] || null);
+    } catch (error) {
+      console.error('Error fetching installment schedule:', error);
+    }
+  }, [enrollmentId]);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE_URL}/exchange-rates`)
+      .then(response => setExchangeRates(response.data.rates))
+      .catch(error => console.error('Error fetching exchange rates:', error));
+  }, []);
+
+  const installmentPlans = (enrollment?.course?.installmentPlans || []).filter(plan => plan.isActive);
+  const dueInstallment = schedule?.installments.find(installment => installment.status !== 'paid');
+  const paysInInstallments = Boolean(dueInstallment || selectedPlanId);
+
+  const totalAmount = dueInstallment
+    ? dueInstallment.amount
+    : appliedCoupon
+      ? appliedCoupon.finalAmount
+      : enrollment?.payment.amount;
+
+  const getInstallmentPreview = (plan) => {
+    const total = enrollment.payment.amount * (1 + (plan.surchargePercent || 0) / 100);
+    return Math.round((total * 100) / plan.installmentCount) / 100;
+  };
+
+  // SSLCommerz charges in BDT, converted the same way the server does
+  const coursePriceInBdt =
+    enrollment?.course?.price > 0
+      ? getLocalizedPrice(enrollment.course, 'BDT', exchangeRates)
+      : null;
+  const bdtAmount =
+    paymentMethod === 'sslcommerz' &&
+    enrollment?.payment.currency !== 'BDT' &&
+    coursePriceInBdt !== null
+      ? Math.round((totalAmount * coursePriceInBdt * 100) / enrollment.course.price) / 100
+      : null;
+
+  const handleApplyCoupon = async () => {
+    setApplyingCoupon(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/payments/validate-coupon`, {
+        code: couponCode,
+        enrollmentId,
+      });
+      setAppliedCoupon({
+        code: response.data.coupon.code,
+        discount: response.data.discount,
+        finalAmount: response.data.finalAmount,
+      });
+      toast.success('Coupon applied');
+    } catch (error) {
+      setAppliedCoupon(null);
+      toast.error(error.response?.data?.message || 'Invalid coupon code');
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode('');
+  };
+
   const handlePaymentMethodChange = (event) => {
     setPaymentMethod(event.target.value);
   };
 
-  const handleNext = () => {
-    if (activeStep === steps.length - 1) {
+  const handlePlanChange = (event) => {
+    setSelectedPlanId(event.target.value);
+    setAppliedCoupon(null);
+    setCouponCode('');
+  };
+
+  const handleCreateSchedule = async () => {
+    setProcessing(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/installment-schedules`, {
+        enrollmentId,
+        planId: selectedPlanId,
+      });
+      setSchedule(response.data.schedule);
+      setSelectedPlanId('');
+      toast.success(response.data.message);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to set up installment plan');
+      return false;
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleNext = async () => {
+    if (activeStep === 0 && selectedPlanId && !schedule) {
+      if (await handleCreateSchedule()) {
+        setActiveStep(prev => prev + 1);
+      }
+    } else if (activeStep === steps.length - 1) {
       if (paymentMethod === 'stripe') {
         handleCreatePaymentIntent();
       } else {
@@ -122,16 +235,28 @@ const Checkout = () => {
     }
   };
 
+  // Retries and double-clicks reuse the key of an identical request, so the
+  // server returns the payment it already created instead of a new one
+  const getIdempotencyHeaders = (url, payload) => {
+    const requestKey = `${url}:${JSON.stringify(payload)}`;
+    if (!idempotencyKeys.current[requestKey]) {
+      idempotencyKeys.current[requestKey] = window.crypto.randomUUID();
+    }
+    return { headers: { 'Idempotency-Key': idempotencyKeys.current[requestKey] } };
+  };
+
   const handleCreatePaymentIntent = async () => {
     setProcessing(true);
     try {
       const paymentPayload = {
         enrollmentId,
         paymentMethod: 'stripe',
+        ...(appliedCoupon && { couponCode: appliedCoupon.code }),
       };
 
       console.log('Creating payment intent with payload:', paymentPayload);
-      const response = await axios.post(`${API_BASE_URL}/payments/create-payment-intent`, paymentPayload);
+      const url = `${API_BASE_URL}/payments/create-payment-intent`;
+      const response = await axios.post(url, paymentPayload, getIdempotencyHeaders(url, paymentPayload));
       console.log('Payment intent response:', response.data);
       
       if (response.data.clientSecret) {
@@ -187,9 +312,11 @@ const Checkout = () => {
         // Use dedicated SSLCommerz endpoint
         const sslcommerzPayload = {
           enrollmentId,
+          ...(appliedCoupon && { couponCode: appliedCoupon.code }),
         };
         console.log('Creating SSLCommerz payment with payload:', sslcommerzPayload);
-        response = await axios.post(`${API_BASE_URL}/payments/sslcommerz/init`, sslcommerzPayload);
+        const url = `${API_BASE_URL}/payments/sslcommerz/init`;
+        response = await axios.post(url, sslcommerzPayload, getIdempotencyHeaders(url, sslcommerzPayload));
       } else {
         // Use generic endpoint for other payment methods
         const paymentPayload = {
@@ -198,7 +325,8 @@ const Checkout = () => {
           ...(paymentMethod !== 'stripe' && { paymentData }),
         };
         console.log('Creating payment with payload:', paymentPayload);
-        response = await axios.post(`${API_BASE_URL}/payments/create-payment-intent`, paymentPayload);
+        const url = `${API_BASE_URL}/payments/create-payment-intent`;
+        response = await axios.post(url, paymentPayload, getIdempotencyHeaders(url, paymentPayload));
       }
       
       console.log('Payment response:', response.data);
@@ -269,6 +397,52 @@ const Checkout = () => {
                 </Box>
               </Paper>
             )}
+
+            {dueInstallment ? (
+              <Alert severity="info" sx={{ mb: 3 }}>
+                You are paying with the {schedule.plan.name} plan. This payment covers installment{' '}
+                {dueInstallment.number} of {schedule.installments.length}, due{' '}
+                {new Date(dueInstallment.dueDate).toLocaleDateString()}.
+              </Alert>
+            ) : (
+              installmentPlans.length > 0 && (
+                <>
+                  <Typography variant="h6" gutterBottom>
+                    Payment Option
+                  </Typography>
+                  <FormControl component="fieldset" fullWidth sx={{ mb: 3 }}>
+                    <RadioGroup value={selectedPlanId} onChange={handlePlanChange}>
+                      <Paper sx={{ p: 2, mb: 2 }}>
+                        <FormControlLabel
+                          value=""
+                          control={<Radio />}
+                          label={`Pay in full: ${formatPrice(enrollment.payment.amount, enrollment.payment.currency)}`}
+                        />
+                      </Paper>
+                      {installmentPlans.map((plan) => (
+                        <Paper key={plan._id} sx={{ p: 2, mb: 2 }}>
+                          <FormControlLabel
+                            value={plan._id}
+                            control={<Radio />}
+                            label={
+                              <Box>
+                                <Typography variant="body1">{plan.name}</Typography>
+                                <Typography variant="body2" color="text.secondary">
+                                  {plan.installmentCount} payments of about{' '}
+                                  {formatPrice(getInstallmentPreview(plan), enrollment.payment.currency)}, every{' '}
+                                  {plan.intervalMonths > 1 ? `${plan.intervalMonths} months` : 'month'}
+                                  {plan.surchargePercent > 0 && ` (includes a ${plan.surchargePercent}% surcharge)`}
+                                </Typography>
+                              </Box>
+                            }
+                          />
+                        </Paper>
+                      ))}
+                    </RadioGroup>
+                  </FormControl>
+                </>
+              )
+            )}
             
             <Typography variant="h6" gutterBottom>
               Student Information
@@ -398,11 +572,21 @@ const Checkout = () => {
                   </Typography>
                 </Box>
                 <Box display="flex" justifyContent="space-between" mb={1}>
-                  <Typography>Amount:</Typography>
+                  <Typography>
+                    {dueInstallment
+                      ? `Installment ${dueInstallment.number} of ${schedule.installments.length}:`
+                      : 'Amount:'}
+                  </Typography>
                   <Typography variant="h6" color="primary">
-                    {formatPrice(enrollment.payment.amount, enrollment.payment.currency)}
+                    {formatPrice(totalAmount, enrollment.payment.currency)}
                   </Typography>
                 </Box>
+                {bdtAmount !== null && (
+                  <Box display="flex" justifyContent="space-between" mb={1}>
+                    <Typography>Charged in BDT:</Typography>
+                    <Typography>{formatPrice(bdtAmount, 'BDT')}</Typography>
+                  </Box>
+                )}
               </Paper>
             )}
 
@@ -411,7 +595,7 @@ const Checkout = () => {
               <Elements stripe={stripePromise} options={{ clientSecret }}>
                 <StripeCheckoutForm
                   clientSecret={clientSecret}
-                  amount={Math.round(enrollment.payment.amount * 100)}
+                  amount={Math.round(totalAmount * 100)}
                   currency={enrollment.payment.currency}
                   onSuccess={handleStripePaymentSuccess}
                   onError={handleStripePaymentError}
@@ -537,17 +721,59 @@ const Checkout = () => {
                       {formatPrice(enrollment.payment.amount, enrollment.payment.currency)}
                     </Typography>
                   </Box>
+                  {appliedCoupon && (
+                    <Box display="flex" justifyContent="space-between" mb={1}>
+                      <Typography>Discount ({appliedCoupon.code}):</Typography>
+                      <Typography color="success.main">
+                        -{formatPrice(appliedCoupon.discount, enrollment.payment.currency)}
+                      </Typography>
+                    </Box>
+                  )}
                   <Box display="flex" justifyContent="space-between" mb={1}>
                     <Typography>Tax:</Typography>
                     <Typography>{formatPrice(0, enrollment.payment.currency)}</Typography>
                   </Box>
                   <Divider sx={{ my: 1 }} />
                   <Box display="flex" justifyContent="space-between">
-                    <Typography variant="h6">Total:</Typography>
+                    <Typography variant="h6">{dueInstallment ? 'Due now:' : 'Total:'}</Typography>
                     <Typography variant="h6" color="primary">
-                      {formatPrice(enrollment.payment.amount, enrollment.payment.currency)}
+                      {formatPrice(totalAmount, enrollment.payment.currency)}
                     </Typography>
                   </Box>
+                  {bdtAmount !== null && (
+                    <Typography variant="body2" color="text.secondary" align="right">
+                      Charged as {formatPrice(bdtAmount, 'BDT')}
+                    </Typography>
+                  )}
+                  <Divider sx={{ my: 2 }} />
+                  {paysInInstallments ? (
+                    <Typography variant="body2" color="text.secondary">
+                      Coupons can't be used with installment plans.
+                    </Typography>
+                  ) : appliedCoupon ? (
+                    <Chip
+                      label={`Coupon ${appliedCoupon.code} applied`}
+                      color="success"
+                      onDelete={clientSecret ? undefined : handleRemoveCoupon}
+                    />
+                  ) : (
+                    <Box display="flex" gap={1}>
+                      <TextField
+                        size="small"
+                        label="Coupon code"
+                        value={couponCode}
+                        onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                        disabled={Boolean(clientSecret)}
+                      />
+                      <Button
+                        variant="outlined"
+                        onClick={handleApplyCoupon}
+                        disabled={!couponCode.trim() || applyingCoupon || Boolean(clientSecret)}
+                      >
+                        Apply
+                      </Button>
+                    </Box>
+                  )}
                 </Box>
               )}
             </CardContent>
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Button,
+  Avatar,
+  Alert,
+  CircularProgress,
+  Divider,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  TextField,
+} from '@mui/material';
+import { CardGiftcard, School } from '@mui/icons-material';
+import { Elements } from '@stripe/react-stripe-js';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import getStripe from '../../config/stripe';
+import config from '../../config/api';
+import StripeCheckoutForm from '../../components/Payment/StripeCheckoutForm';
+import { formatPrice } from '../../utils/currency';
+
+const stripePromise = getStripe();
+
+const paymentMethods = [
+  { id: 'stripe', name: 'Credit/Debit Card' },
+  { id: 'sslcommerz', name: 'SSLCommerz' },
+];
+
+// Buy a course for someone else. Once paid, they are emailed a voucher
+// code to redeem.
+const GiftCourse = () => {
+  const { courseId } = useParams();
+  const navigate = useNavigate();
+  const [course, setCourse] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ recipientEmail: '', recipientName: '', message: '' });
+  const [paymentMethod, setPaymentMethod] = useState('stripe');
+  const [processing, setProcessing] = useState(false);
+  const [stripeCheckout, setStripeCheckout] = useState(null);
+  const idempotencyKeys = useRef({});
+
+  useEffect(() => {
+    const fetchCourse = async () => {
+      try {
+        const response = await axios.get(`${config.API_BASE_URL}/courses/${courseId}`);
+        setCourse(response.data.course);
+      } catch (err) {
+        toast.error(err.response?.data?.message || 'Failed to load course');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCourse();
+  }, [courseId]);
+
+  const handlePurchase = async () => {
+    const payload = {
+      courseId,
+      recipientEmail: form.recipientEmail,
+      recipientName: form.recipientName || undefined,
+      message: form.message || undefined,
+      paymentMethod,
+    };
+
+    // Retries of an identical gift reuse the key, so a double-click can't
+    // pay twice; correcting the recipient makes it a new request
+    const requestKey = JSON.stringify(payload);
+    if (!idempotencyKeys.current[requestKey]) {
+      idempotencyKeys.current[requestKey] = window.crypto.randomUUID();
+    }
+
+    setProcessing(true);
+    try {
+      const { data } = await axios.post(`${config.API_BASE_URL}/vouchers/gifts`, payload, {
+        headers: { 'Idempotency-Key': idempotencyKeys.current[requestKey] },
+      });
+
+      if (data.redirectUrl) {
+        window.location.href = data.redirectUrl;
+      } else if (data.clientSecret) {
+        setStripeCheckout({ clientSecret: data.clientSecret, paymentId: data.paymentId });
+      } else {
+        toast.success(data.message);
+        navigate(`/payment/receipt/${data.paymentId}`);
+      }
+    } catch (err) {
+      const data = err.response?.data || {};
+      toast.error(data.error || data.errors?.[0]?.msg || data.message || 'Gift purchase failed');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleStripeSuccess = async (paymentIntent) => {
+    try {
+      await axios.post(`${config.API_BASE_URL}/payments/confirm`, {
+        paymentIntentId: paymentIntent.id,
+        paymentId: stripeCheckout.paymentId,
+      });
+    } catch (err) {
+      // The webhook completes the payment if confirming here fails
+      console.error('Error confirming payment:', err);
+    }
+    toast.success('Payment successful! The gift is on its way.');
+    navigate(`/payment/receipt/${stripeCheckout.paymentId}`);
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!course) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="error">Course not found.</Alert>
+      </Container>
+    );
+  }
+
+  const validEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.recipientEmail);
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Give a Course
+      </Typography>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box display="flex" alignItems="center" justifyContent="space-between">
+          <Box display="flex" alignItems="center" gap={2}>
+            <Avatar src={course.thumbnail} sx={{ width: 48, height: 48 }}>
+              <School />
+            </Avatar>
+            <Typography variant="subtitle1">{course.title}</Typography>
+          </Box>
+          <Typography variant="h6">{formatPrice(course.price, course.currency)}</Typography>
+        </Box>
+        <Divider sx={{ my: 2 }} />
+        <Box display="flex" flexDirection="column" gap={2}>
+          <TextField
+            label="Recipient's email"
+            type="email"
+            value={form.recipientEmail}
+            onChange={(e) => setForm({ ...form, recipientEmail: e.target.value })}
+            disabled={Boolean(stripeCheckout)}
+            helperText="We'll email them a code to redeem once you've paid"
+            required
+            fullWidth
+          />
+          <TextField
+            label="Recipient's name"
+            value={form.recipientName}
+            onChange={(e) => setForm({ ...form, recipientName: e.target.value })}
+            disabled={Boolean(stripeCheckout)}
+            inputProps={{ maxLength: 100 }}
+            fullWidth
+          />
+          <TextField
+            label="Message"
+            value={form.message}
+            onChange={(e) => setForm({ ...form, message: e.target.value })}
+            disabled={Boolean(stripeCheckout)}
+            inputProps={{ maxLength: 500 }}
+            multiline
+            minRows={3}
+            fullWidth
+          />
+        </Box>
+      </Paper>
+
+      {stripeCheckout ? (
+        stripePromise ? (
+          <Elements stripe={stripePromise} options={{ clientSecret: stripeCheckout.clientSecret }}>
+            <StripeCheckoutForm
+              clientSecret={stripeCheckout.clientSecret}
+              amount={Math.round(course.price * 100)}
+              currency={course.currency}
+              onSuccess={handleStripeSuccess}
+              onError={(err) => toast.error(err.message || 'Payment failed')}
+            />
+          </Elements>
+        ) : (
+          <Alert severity="error">Card payments are not configured.</Alert>
+        )
+      ) : (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Payment Method
+          </Typography>
+          <RadioGroup value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+            {paymentMethods.map((method) => (
+              <FormControlLabel key={method.id} value={method.id} control={<Radio />} label={method.name} />
+            ))}
+          </RadioGroup>
+          <Button
+            variant="contained"
+            size="large"
+            fullWidth
+            sx={{ mt: 2 }}
+            disabled={processing || !validEmail}
+            startIcon={processing ? <CircularProgress size={20} /> : <CardGiftcard />}
+            onClick={handlePurchase}
+          >
+            {processing ? 'Processing...' : `Buy Gift for ${formatPrice(course.price, course.currency)}`}
+          </Button>
+        </Paper>
+      )}
+    </Container>
+  );
+};
+
+export default GiftCourse;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  CardActions,
+  Button,
+  Chip,
+  Box,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Paper,
+} from '@mui/material';
+import { Lock, CardMembership } from '@mui/icons-material';
+import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import getStripe from '../../config/stripe';
+import config from '../../config/api';
+import { formatPrice } from '../../utils/currency';
+import { useAuth } from '../../context/AuthContext';
+
+const stripePromise = getStripe();
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case 'active':
+      return 'success';
+    case 'trialing':
+      return 'info';
+    case 'past_due':
+    case 'incomplete':
+      return 'warning';
+    default:
+      return 'default';
+  }
+};
+
+// Confirms the first payment, or saves the card when the plan starts with a trial
+const SubscriptionCardForm = ({ clientSecret, onSuccess }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [error, setError] = useState(null);
+  const [processing, setProcessing] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!stripe || !elements) {
+      return;
+    }
+
+    setProcessing(true);
+    setError(null);
+
+    const paymentMethod = { payment_method: { card: elements.getElement(CardElement) } };
+    const result = clientSecret.startsWith('seti_')
+      ? await stripe.confirmCardSetup(clientSecret, paymentMethod)
+      : await stripe.confirmCardPayment(clientSecret, paymentMethod);
+
+    setProcessing(false);
+    if (result.error) {
+      setError(result.error.message);
+      return;
+    }
+    onSuccess();
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Box sx={{ p: 2, my: 2, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+        <CardElement />
+      </Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      <Button
+        type="submit"
+        variant="contained"
+        fullWidth
+        disabled={!stripe || processing}
+        startIcon={processing ? <CircularProgress size={20} /> : <Lock />}
+      >
+        {processing ? 'Processing...' : 'Subscribe'}
+      </Button>
+    </form>
+  );
+};
+
+const Memberships = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const [plans, setPlans] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [checkout, setCheckout] = useState(null);
+
+  const fetchSubscriptions = useCallback(async () => {
+    if (!isAuthenticated) {
+      return;
+    }
+    try {
+      const response = await axios.get(`${config.API_BASE_URL}/subscriptions?limit=50`);
+      setSubscriptions(response.data.subscriptions || []);
+    } catch (err) {
+      setSubscriptions([]);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    axios
+      .get(`${config.API_BASE_URL}/plans`)
+      .then((response) => setPlans(response.data.plans || []))
+      .catch(() => setPlans([]))
+      .finally(() => setLoading(false));
+    fetchSubscriptions();
+  }, [fetchSubscriptions]);
+
+  const handleSubscribe = async (plan) => {
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+    try {
+      const { data } = await axios.post(`${config.API_BASE_URL}/subscriptions`, { planId: plan._id });
+      setCheckout({ plan, clientSecret: data.clientSecret });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to start subscription');
+    }
+  };
+
+  const handleCancel = async (subscription) => {
+    try {
+      const { data } = await axios.post(`${config.API_BASE_URL}/subscriptions/${subscription._id}/cancel`);
+      toast.success(data.message);
+      fetchSubscriptions();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to cancel subscription');
+    }
+  };
+
+  const handleCheckoutSuccess = () => {
+    setCheckout(null);
+    toast.success('Subscription started. Your access will be ready in a moment.');
+    // The subscription activates once Stripe's webhook arrives
+    setTimeout(fetchSubscriptions, 3000);
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="400px">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const currentSubscriptions = subscriptions.filter(
+    (subscription) => !['incomplete', 'cancelled'].includes(subscription.status)
+  );
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Memberships
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 4 }}>
+        Subscribe once and enroll in every course your plan covers at no extra cost.
+      </Typography>
+
+      {currentSubscriptions.length > 0 && (
+        <Paper sx={{ p: 3, mb: 4 }}>
+          <Typography variant="h6" gutterBottom>
+            Your Subscriptions
+          </Typography>
+          {currentSubscriptions.map((subscription) => (
+            <Box
+              key={subscription._id}
+              display="flex"
+              justifyContent="space-between"
+              alignItems="center"
+              sx={{ py: 1 }}
+            >
+              <Box>
+                <Typography variant="subtitle1">{subscription.plan?.name}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {subscription.currentPeriodEnd &&
+                    `${subscription.cancelAtPeriodEnd ? 'Ends' : 'Renews'} on ${new Date(subscription.currentPeriodEnd).toLocaleDateString()}`}
+                </Typography>
+              </Box>
+              <Box display="flex" alignItems="center" gap={1}>
+                <Chip label={subscription.status} color={getStatusColor(subscription.status)} size="small" />
+                {!subscription.cancelAtPeriodEnd && (
+                  <Button size="small" color="error" onClick={() => handleCancel(subscription)}>
+                    Cancel
+                  </Button>
+                )}
+              </Box>
+            </Box>
+          ))}
+        </Paper>
+      )}
+
+      {plans.length === 0 ? (
+        <Alert severity="info">No membership plans are available right now.</Alert>
+      ) : (
+        <Grid container spacing={3}>
+          {plans.map((plan) => (
+            <Grid item xs={12} sm={6} md={4} key={plan._id}>
+              <Card sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+                <CardContent sx={{ flexGrow: 1 }}>
+                  <Box display="flex" alignItems="center" gap={1} mb={1}>
+                    <CardMembership color="primary" />
+                    <Typography variant="h6">{plan.name}</Typography>
+                  </Box>
+                  <Typography variant="h5" color="primary" gutterBottom>
+                    {formatPrice(plan.price, plan.currency)} / {plan.interval}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    {plan.scope === 'all' ? 'Every course' : `Every ${plan.category} course`}
+                  </Typography>
+                  {plan.description && (
+                    <Typography variant="body2">{plan.description}</Typography>
+                  )}
+                  {plan.trialDays > 0 && (
+                    <Chip label={`${plan.trialDays}-day free trial`} color="info" size="small" sx={{ mt: 1 }} />
+                  )}
+                </CardContent>
+                <CardActions>
+                  <Button
+                    variant="contained"
+                    fullWidth
+                    disabled={currentSubscriptions.some((subscription) => subscription.plan?._id === plan._id)}
+                    onClick={() => handleSubscribe(plan)}
+                  >
+                    Subscribe
+                  </Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      <Dialog open={Boolean(checkout)} onClose={() => setCheckout(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Subscribe to {checkout?.plan.name}</DialogTitle>
+        <DialogContent>
+          {checkout && stripePromise ? (
+            <Elements stripe={stripePromise} options={{ clientSecret: checkout.clientSecret }}>
+              <SubscriptionCardForm clientSecret={checkout.clientSecret} onSuccess={handleCheckoutSuccess} />
+            </Elements>
+          ) : (
+            <Alert severity="error">Card payments are not configured.</Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCheckout(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default Memberships;
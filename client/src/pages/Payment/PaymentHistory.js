@@ -25,6 +25,11 @@ import {
   InputLabel,
   Select,
   MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
 } from '@mui/material';
 import {
   Receipt as ReceiptIcon,
@@ -35,11 +40,14 @@ import {
   CreditCard as CreditCardIcon,
   AccountBalance as BankIcon,
   AttachMoney as MoneyIcon,
+  Undo as RefundIcon,
+  Description as InvoiceIcon,
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import config from '../../config/api';
 import { formatPrice } from '../../utils/currency';
 import { toast } from 'react-toastify';
+import axios from 'axios';
 
 const PaymentHistory = () => {
   const navigate = useNavigate();
@@ -56,6 +64,12 @@ const PaymentHistory = () => {
     completedTransactions: 0,
     pendingTransactions: 0,
   });
+  const [refundPolicy, setRefundPolicy] = useState(null);
+  const [refundPayment, setRefundPayment] = useState(null);
+  const [refundReason, setRefundReason] = useState('');
+  const [refundItemId, setRefundItemId] = useState('');
+  const [requestingRefund, setRequestingRefund] = useState(false);
+  const [schedules, setSchedules] = useState([]);
 
   const fetchPayments = useCallback(async () => {
     try {
@@ -113,6 +127,48 @@ const PaymentHistory = () => {
     fetchPayments();
   }, [fetchPayments]);
 
+  useEffect(() => {
+    axios
+      .get(`${config.API_BASE_URL}/installment-schedules`, { params: { status: 'active', limit: 50 } })
+      .then((response) => setSchedules(response.data.schedules || []))
+      .catch(() => setSchedules([]));
+  }, []);
+
+  useEffect(() => {
+    fetch(`${config.API_BASE_URL}/refund-requests/policy`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => setRefundPolicy(data?.policy || null))
+      .catch(() => setRefundPolicy(null));
+  }, []);
+
+  // Line items of a cart payment that can still be refunded
+  const getRefundableItems = (payment) =>
+    (payment?.items || []).filter((item) => item.amount - (item.refundedAmount || 0) > 0);
+
+  const openRefundDialog = (payment) => {
+    setRefundPayment(payment);
+    setRefundReason('');
+    setRefundItemId(getRefundableItems(payment)[0]?._id || '');
+  };
+
+  const handleRequestRefund = async () => {
+    try {
+      setRequestingRefund(true);
+      await axios.post(`${config.API_BASE_URL}/payments/${refundPayment._id}/refund-requests`, {
+        reason: refundReason,
+        ...(refundItemId && { itemId: refundItemId }),
+      });
+      toast.success('Refund request submitted. We will email you once it has been reviewed.');
+      setRefundPayment(null);
+      fetchPayments();
+    } catch (err) {
+      const data = err.response?.data || {};
+      toast.error(data.errors?.[0]?.msg || data.message || 'Failed to request refund');
+    } finally {
+      setRequestingRefund(false);
+    }
+  };
+
   const handleChangePage = (event, newPage) => {
     setPage(newPage);
   };
@@ -154,6 +210,36 @@ const PaymentHistory = () => {
     }
   };
 
+  // Downloads the payment's invoice, or its latest credit note once refunded
+  const handleDownloadInvoice = async (payment, type) => {
+    try {
+      const { data } = await axios.get(`${config.API_BASE_URL}/invoices`, {
+        params: { payment: payment._id, type, limit: 1 },
+      });
+      if (!data.invoices.length) {
+        toast.error('No invoice has been issued for this payment yet');
+        return;
+      }
+
+      const invoice = data.invoices[0];
+      const response = await axios.get(`${config.API_BASE_URL}/invoices/${invoice._id}/download`, {
+        responseType: 'blob',
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${invoice.number}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      console.error('Invoice download error:', err);
+      toast.error('Failed to download invoice');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
@@ -171,6 +257,41 @@ const PaymentHistory = () => {
     }
   };
 
+  const getRefundRequestColor = (status) => {
+    switch (status) {
+      case 'approved':
+        return 'success';
+      case 'rejected':
+        return 'error';
+      default:
+        return 'warning';
+    }
+  };
+
+  const getInstallmentColor = (status) => {
+    switch (status) {
+      case 'paid':
+        return 'success';
+      case 'overdue':
+        return 'error';
+      default:
+        return 'warning';
+    }
+  };
+
+  // Cart payments can be refunded one course at a time
+  const canRequestRefund = (payment) =>
+    payment.status === 'completed' &&
+    payment.refundRequest?.status !== 'pending' &&
+    (payment.items?.length > 0
+      ? getRefundableItems(payment).length > 0
+      : payment.refundRequest?.status !== 'approved');
+
+  const getCourseTitle = (payment) =>
+    payment.items?.length > 0
+      ? payment.items.map((item) => item.course?.title || item.title).join(', ')
+      : payment.course?.title || payment.metadata?.courseTitle || 'Course';
+
   const getPaymentMethodIcon = (method) => {
     switch (method) {
       case 'stripe':
@@ -299,6 +420,68 @@ const PaymentHistory = () => {
         </Grid>
       </Grid>
 
+      {/* Installment Schedules */}
+      {schedules.map((schedule) => {
+        const nextInstallment = schedule.installments.find((installment) => installment.status !== 'paid');
+        return (
+          <Paper key={schedule._id} sx={{ p: 3, mb: 4 }}>
+            <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+              <Box>
+                <Typography variant="h6">{schedule.course?.title || 'Course'}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {schedule.plan.name} - {formatPrice(schedule.totalAmount, schedule.currency)} in{' '}
+                  {schedule.installments.length} installments
+                </Typography>
+              </Box>
+              {schedule.enrollment?.status === 'suspended' && (
+                <Chip label="Access suspended" color="error" size="small" />
+              )}
+            </Box>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Installment</TableCell>
+                    <TableCell>Due Date</TableCell>
+                    <TableCell>Amount</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {schedule.installments.map((installment) => (
+                    <TableRow key={installment.number}>
+                      <TableCell>#{installment.number}</TableCell>
+                      <TableCell>{new Date(installment.dueDate).toLocaleDateString()}</TableCell>
+                      <TableCell>{formatPrice(installment.amount, schedule.currency)}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={installment.status}
+                          color={getInstallmentColor(installment.status)}
+                          size="small"
+                          sx={{ textTransform: 'capitalize' }}
+                        />
+                      </TableCell>
+                      <TableCell align="right">
+                        {installment.number === nextInstallment?.number && (
+                          <Button
+                            size="small"
+                            variant="contained"
+                            onClick={() => navigate(`/checkout/${schedule.enrollment?._id}`)}
+                          >
+                            Pay Now
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        );
+      })}
+
       {/* Filters */}
       <Box mb={3}>
         <FormControl size="small" sx={{ minWidth: 120 }}>
@@ -371,10 +554,12 @@ const PaymentHistory = () => {
                           </Avatar>
                           <Box>
                             <Typography variant="subtitle2" noWrap>
-                              {payment.course?.title || payment.metadata?.courseTitle || 'Course'}
+                              {getCourseTitle(payment)}
                             </Typography>
                             <Typography variant="caption" color="text.secondary">
-                              {payment.course?.category || 'Category'}
+                              {payment.items?.length > 0
+                                ? `${payment.items.length} courses`
+                                : payment.course?.category || 'Category'}
                             </Typography>
                           </Box>
                         </Box>
@@ -406,6 +591,17 @@ const PaymentHistory = () => {
                           size="small"
                           sx={{ textTransform: 'capitalize' }}
                         />
+                        {payment.refundRequest && (
+                          <Tooltip title={payment.refundRequest.adminNote || ''}>
+                            <Chip
+                              label={`Refund ${payment.refundRequest.status}`}
+                              color={getRefundRequestColor(payment.refundRequest.status)}
+                              variant="outlined"
+                              size="small"
+                              sx={{ ml: 1 }}
+                            />
+                          </Tooltip>
+                        )}
                       </TableCell>
                       <TableCell>
                         <Typography variant="body2">
@@ -429,6 +625,36 @@ const PaymentHistory = () => {
                               </IconButton>
                             </Tooltip>
                           )}
+                          {['completed', 'refunded'].includes(payment.status) && (
+                            <Tooltip title="Download Invoice">
+                              <IconButton
+                                size="small"
+                                onClick={() => handleDownloadInvoice(payment, 'invoice')}
+                              >
+                                <InvoiceIcon />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {payment.refund?.amount > 0 && (
+                            <Tooltip title="Download Credit Note">
+                              <IconButton
+                                size="small"
+                                onClick={() => handleDownloadInvoice(payment, 'credit_note')}
+                              >
+                                <InvoiceIcon color="action" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {canRequestRefund(payment) && (
+                            <Tooltip title="Request Refund">
+                              <IconButton
+                                size="small"
+                                onClick={() => openRefundDialog(payment)}
+                              >
+                                <RefundIcon />
+                              </IconButton>
+                            </Tooltip>
+                          )}
                           <Tooltip title="View Details">
                             <IconButton
                               size="small"
@@ -463,6 +689,57 @@ const PaymentHistory = () => {
           <CircularProgress size={30} />
         </Box>
       )}
+
+      <Dialog open={Boolean(refundPayment)} onClose={() => setRefundPayment(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Request a Refund</DialogTitle>
+        <DialogContent>
+          {refundPayment?.items?.length > 0 ? (
+            <FormControl fullWidth margin="dense">
+              <InputLabel>Course</InputLabel>
+              <Select value={refundItemId} label="Course" onChange={(e) => setRefundItemId(e.target.value)}>
+                {getRefundableItems(refundPayment).map((item) => (
+                  <MenuItem key={item._id} value={item._id}>
+                    {item.course?.title || item.title} -{' '}
+                    {formatPrice(item.amount - (item.refundedAmount || 0), refundPayment.currency)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          ) : (
+            <Typography variant="body2" gutterBottom>
+              {getCourseTitle(refundPayment || {})} -{' '}
+              {refundPayment && formatPrice(refundPayment.netAmount, refundPayment.currency)}
+            </Typography>
+          )}
+          {refundPolicy && (
+            <Alert severity="info" sx={{ my: 2 }}>
+              Refunds can be requested within {refundPolicy.windowDays} days of payment, as long as you have
+              completed no more than {refundPolicy.maxProgress}% of the course. If approved, you will lose access
+              to the course.
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            margin="dense"
+            label="Why would you like a refund?"
+            value={refundReason}
+            onChange={(e) => setRefundReason(e.target.value)}
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRefundPayment(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleRequestRefund}
+            disabled={requestingRefund || refundReason.trim().length < 5}
+          >
+            Submit Request
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
@@ -524,41 +524,67 @@ const PaymentReceipt = () => {
           <Divider sx={{ my: 3 }} />
 
           {/* Course Details */}
-          <Paper sx={{ p: 3, mb: 3 }}>
-            <Typography variant="h6" gutterBottom color="primary">
-              Course Information
-            </Typography>
-            
-            <Box display="flex" alignItems="center" mb={2}>
-              <Avatar
-                src={payment.course?.thumbnail}
-                sx={{ width: 80, height: 80, mr: 3 }}
-              >
-                <School />
-              </Avatar>
-              <Box flex={1}>
-                <Typography variant="h6" gutterBottom>
-                  {payment.course?.title || payment.metadata?.courseTitle}
-                </Typography>
-                <Typography variant="body2" color="text.secondary" paragraph>
-                  {payment.course?.description || payment.description}
-                </Typography>
-                {payment.course && (
-                  <Box display="flex" gap={1}>
-                    {payment.course.category && (
-                      <Chip label={payment.course.category} size="small" />
-                    )}
-                    {payment.course.level && (
-                      <Chip label={payment.course.level} size="small" variant="outlined" />
-                    )}
-                    {payment.course.duration && (
-                      <Chip label={`${payment.course.duration} hours`} size="small" variant="outlined" />
+          {payment.items?.length > 0 ? (
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h6" gutterBottom color="primary">
+                Courses
+              </Typography>
+              {payment.items.map((item) => (
+                <Box key={item._id} display="flex" alignItems="center" justifyContent="space-between" py={1}>
+                  <Box display="flex" alignItems="center" gap={2}>
+                    <Avatar src={item.course?.thumbnail} sx={{ width: 40, height: 40 }}>
+                      <School />
+                    </Avatar>
+                    <Typography variant="subtitle1">{item.course?.title || item.title}</Typography>
+                  </Box>
+                  <Box textAlign="right">
+                    <Typography variant="body1">{formatPrice(item.amount, payment.currency)}</Typography>
+                    {item.refundedAmount > 0 && (
+                      <Typography variant="caption" color="text.secondary">
+                        Refunded {formatPrice(item.refundedAmount, payment.currency)}
+                      </Typography>
                     )}
                   </Box>
-                )}
+                </Box>
+              ))}
+            </Paper>
+          ) : (
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h6" gutterBottom color="primary">
+                Course Information
+              </Typography>
+
+              <Box display="flex" alignItems="center" mb={2}>
+                <Avatar
+                  src={payment.course?.thumbnail}
+                  sx={{ width: 80, height: 80, mr: 3 }}
+                >
+                  <School />
+                </Avatar>
+                <Box flex={1}>
+                  <Typography variant="h6" gutterBottom>
+                    {payment.course?.title || payment.metadata?.courseTitle}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" paragraph>
+                    {payment.course?.description || payment.description}
+                  </Typography>
+                  {payment.course && (
+                    <Box display="flex" gap={1}>
+                      {payment.course.category && (
+                        <Chip label={payment.course.category} size="small" />
+                      )}
+                      {payment.course.level && (
+                        <Chip label={payment.course.level} size="small" variant="outlined" />
+                      )}
+                      {payment.course.duration && (
+                        <Chip label={`${payment.course.duration} hours`} size="small" variant="outlined" />
+                      )}
+                    </Box>
+                  )}
+                </Box>
               </Box>
-            </Box>
-          </Paper>
+            </Paper>
+          )}
 
           {/* Payment Summary */}
           <Paper sx={{ p: 3, backgroundColor: 'grey.50' }}>
@@ -567,7 +593,7 @@ const PaymentReceipt = () => {
             </Typography>
             
             <Box display="flex" justifyContent="space-between" mb={1}>
-              <Typography variant="body1">Course Price:</Typography>
+              <Typography variant="body1">{payment.items?.length > 0 ? 'Order Total' : 'Course Price'}:</Typography>
               <Typography variant="body1">
                 {payment.metadata?.originalAmount && payment.metadata?.originalCurrency
                   ? formatPrice(payment.metadata.originalAmount, payment.metadata.originalCurrency)
@@ -587,6 +613,19 @@ const PaymentReceipt = () => {
               </Box>
             )}
 
+            {payment.exchangeRate?.rate && (
+              <Box display="flex" justifyContent="space-between" mb={1}>
+                <Typography variant="body2" color="text.secondary">
+                  Exchange Rate:
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  1 {payment.exchangeRate.from} = {Number(payment.exchangeRate.rate.toFixed(4))}{' '}
+                  {payment.exchangeRate.to}
+                  {payment.exchangeRate.source === 'course_price' && ' (course price)'}
+                </Typography>
+              </Box>
+            )}
+
             <Box display="flex" justifyContent="space-between" mb={1}>
               <Typography variant="body1">Processing Fee:</Typography>
               <Typography variant="body1">
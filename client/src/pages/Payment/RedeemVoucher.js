@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Paper,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+} from '@mui/material';
+import { Redeem } from '@mui/icons-material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import config from '../../config/api';
+
+const statusColors = {
+  active: 'primary',
+  redeemed: 'success',
+  cancelled: 'default',
+};
+
+// Redeem a gift or company voucher, and see the gifts the student has sent
+const RedeemVoucher = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [code, setCode] = useState(searchParams.get('code') || '');
+  const [redeeming, setRedeeming] = useState(false);
+  const [gifts, setGifts] = useState([]);
+
+  const fetchGifts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${config.API_BASE_URL}/vouchers/gifts`);
+      setGifts(response.data.vouchers);
+    } catch (err) {
+      console.error('Error fetching gifts:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGifts();
+  }, [fetchGifts]);
+
+  const handleRedeem = async () => {
+    setRedeeming(true);
+    try {
+      const { data } = await axios.post(`${config.API_BASE_URL}/enrollments/redeem`, { code: code.trim() });
+      toast.success(`You're enrolled in ${data.enrollment.course.title}!`);
+      navigate(`/courses/${data.enrollment.course._id}/learn`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to redeem voucher');
+    } finally {
+      setRedeeming(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Redeem a Voucher
+      </Typography>
+
+      <Paper sx={{ p: 3, mb: 4 }}>
+        <Typography variant="body1" color="text.secondary" gutterBottom>
+          Enter the code from your gift email or from your company to start the course.
+        </Typography>
+        <Box display="flex" gap={2} mt={2}>
+          <TextField
+            label="Voucher code"
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            placeholder="XXXX-XXXX-XXXX"
+            fullWidth
+          />
+          <Button
+            variant="contained"
+            startIcon={redeeming ? <CircularProgress size={20} /> : <Redeem />}
+            onClick={handleRedeem}
+            disabled={redeeming || !code.trim()}
+          >
+            Redeem
+          </Button>
+        </Box>
+      </Paper>
+
+      {gifts.length > 0 && (
+        <>
+          <Typography variant="h6" gutterBottom>
+            Gifts You've Sent
+          </Typography>
+          <Paper>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Course</TableCell>
+                  <TableCell>Recipient</TableCell>
+                  <TableCell>Code</TableCell>
+                  <TableCell>Status</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {gifts.map((gift) => (
+                  <TableRow key={gift._id}>
+                    <TableCell>{gift.course?.title || '-'}</TableCell>
+                    <TableCell>{gift.recipientName ? `${gift.recipientName} (${gift.recipientEmail})` : gift.recipientEmail}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{gift.code}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={gift.status} color={statusColors[gift.status]} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default RedeemVoucher;
@@ -4,3 +4,7 @@ export { default as PaymentFailure } from './PaymentFailure';
 export { default as PaymentPending } from './PaymentPending';
 export { default as PaymentReceipt } from './PaymentReceipt';
 export { default as PaymentHistory } from './PaymentHistory';
+export { default as Memberships } from './Memberships';
+export { default as Cart } from './Cart';
+export { default as GiftCourse } from './GiftCourse';
+export { default as RedeemVoucher } from './RedeemVoucher';
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Container,
   Grid,
@@ -17,6 +17,10 @@ import {
   DialogContent,
   DialogActions,
   CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
 } from '@mui/material';
 import {
   Edit as EditIcon,
@@ -30,13 +34,25 @@ import {
   Shield,
   Verified,
   AccessTime,
+  Devices,
+  Logout,
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
+import TwoFactorSetup, { BackupCodes } from '../components/Auth/TwoFactorSetup';
 import { formatPrice } from '../utils/currency';
 import { toast } from 'react-toastify';
 
 const Profile = () => {
-  const { user, updateProfile, changePassword } = useAuth();
+  const {
+    user,
+    updateProfile,
+    changePassword,
+    getSessions,
+    revokeSession,
+    logoutEverywhere,
+    disableTwoFactor,
+    regenerateBackupCodes,
+  } = useAuth();
   const [editing, setEditing] = useState(false);
   const [loading, setLoading] = useState(false);
   const [passwordDialog, setPasswordDialog] = useState(false);
@@ -59,6 +75,11 @@ const Profile = () => {
     newPassword: '',
     confirmPassword: '',
   });
+  const [sessions, setSessions] = useState([]);
+  // 'setup' | 'disable' | 'backupCodes' while a two-factor dialog is open
+  const [twoFactorDialog, setTwoFactorDialog] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ password: '', code: '' });
+  const [newBackupCodes, setNewBackupCodes] = useState(null);
   const [stats, setStats] = useState({
     totalEnrollments: 0,
     activeEnrollments: 0,
@@ -88,6 +109,64 @@ const Profile = () => {
     }
   }, [user]);
 
+  const fetchSessions = useCallback(async () => {
+    const result = await getSessions();
+    if (result.success) {
+      setSessions(result.sessions);
+    }
+  }, [getSessions]);
+
+  useEffect(() => {
+    if (user) {
+      fetchSessions();
+    }
+  }, [user, fetchSessions]);
+
+  const handleRevokeSession = async (sessionId) => {
+    const result = await revokeSession(sessionId);
+    if (result.success) {
+      setSessions(prev => prev.filter(session => session._id !== sessionId));
+    }
+  };
+
+  const closeTwoFactorDialog = () => {
+    setTwoFactorDialog(null);
+    setTwoFactorForm({ password: '', code: '' });
+    setNewBackupCodes(null);
+  };
+
+  const handleTwoFactorFormChange = (e) => {
+    const { name, value } = e.target;
+    setTwoFactorForm(prev => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const handleDisableTwoFactor = async () => {
+    setLoading(true);
+    const result = await disableTwoFactor(twoFactorForm.password, twoFactorForm.code);
+    setLoading(false);
+    if (result.success) {
+      closeTwoFactorDialog();
+    }
+  };
+
+  const handleRegenerateBackupCodes = async () => {
+    setLoading(true);
+    const result = await regenerateBackupCodes(twoFactorForm.code);
+    setLoading(false);
+    if (result.success) {
+      setNewBackupCodes(result.backupCodes);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (window.confirm('Log out of all devices, including this one?')) {
+      await logoutEverywhere();
+    }
+  };
+
   const fetchUserStats = async () => {
     try {
       // This would typically come from API calls
@@ -471,6 +550,96 @@ const Profile = () => {
               </Card>
             </Grid>
 
+            {/* Two-Factor Authentication */}
+            <Grid item xs={12}>
+              <Card>
+                <CardHeader
+                  title="Two-Factor Authentication"
+                  action={
+                    <Chip
+                      label={user.twoFactor?.enabled ? 'On' : 'Off'}
+                      color={user.twoFactor?.enabled ? 'success' : 'default'}
+                      size="small"
+                    />
+                  }
+                />
+                <CardContent sx={{ pt: 0 }}>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    {user.twoFactor?.required
+                      ? `Required for ${user.role} accounts.`
+                      : 'Ask for a code from your authenticator app when signing in.'}
+                  </Typography>
+                  {user.twoFactor?.enabled ? (
+                    <Box display="flex" gap={1} flexWrap="wrap">
+                      <Button size="small" variant="outlined" onClick={() => setTwoFactorDialog('backupCodes')}>
+                        New backup codes
+                      </Button>
+                      {!user.twoFactor?.required && (
+                        <Button size="small" color="error" onClick={() => setTwoFactorDialog('disable')}>
+                          Disable
+                        </Button>
+                      )}
+                    </Box>
+                  ) : (
+                    <Button size="small" variant="contained" startIcon={<Shield />} onClick={() => setTwoFactorDialog('setup')}>
+                      Enable
+                    </Button>
+                  )}
+                </CardContent>
+              </Card>
+            </Grid>
+
+            {/* Active Sessions */}
+            <Grid item xs={12}>
+              <Card>
+                <CardHeader
+                  title="Active Sessions"
+                  action={
+                    <Button size="small" color="error" onClick={handleLogoutEverywhere}>
+                      Log out everywhere
+                    </Button>
+                  }
+                />
+                <CardContent sx={{ pt: 0 }}>
+                  <List dense disablePadding>
+                    {sessions.map((session) => (
+                      <ListItem
+                        key={session._id}
+                        disableGutters
+                        secondaryAction={
+                          !session.isCurrent && (
+                            <IconButton
+                              edge="end"
+                              size="small"
+                              title="Revoke session"
+                              onClick={() => handleRevokeSession(session._id)}
+                            >
+                              <Logout fontSize="small" />
+                            </IconButton>
+                          )
+                        }
+                      >
+                        <Devices sx={{ mr: 2, color: 'text.secondary' }} />
+                        <ListItemText
+                          primary={
+                            <Box display="flex" alignItems="center" gap={1}>
+                              <Typography variant="body2" noWrap sx={{ maxWidth: 180 }}>
+                                {session.userAgent || 'Unknown device'}
+                              </Typography>
+                              {session.isCurrent && (
+                                <Chip label="This device" size="small" color="primary" />
+                              )}
+                            </Box>
+                          }
+                          secondary={`${session.ipAddress || 'Unknown IP'} · Last active ${formatDate(session.lastUsedAt)}`}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                </CardContent>
+              </Card>
+            </Grid>
+
             {/* Learning Stats */}
             <Grid item xs={12}>
               <Card>
@@ -510,6 +679,82 @@ const Profile = () => {
         </Grid>
       </Grid>
 
+      {/* Two-Factor Dialog */}
+      <Dialog open={Boolean(twoFactorDialog)} onClose={closeTwoFactorDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {twoFactorDialog === 'setup' && 'Enable Two-Factor Authentication'}
+          {twoFactorDialog === 'disable' && 'Disable Two-Factor Authentication'}
+          {twoFactorDialog === 'backupCodes' && 'New Backup Codes'}
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 1 }}>
+            {twoFactorDialog === 'setup' && (
+              <TwoFactorSetup onComplete={closeTwoFactorDialog} />
+            )}
+            {twoFactorDialog === 'disable' && (
+              <>
+                <TextField
+                  fullWidth
+                  margin="normal"
+                  label="Password"
+                  name="password"
+                  type="password"
+                  value={twoFactorForm.password}
+                  onChange={handleTwoFactorFormChange}
+                />
+                <TextField
+                  fullWidth
+                  margin="normal"
+                  label="Authentication or backup code"
+                  name="code"
+                  value={twoFactorForm.code}
+                  onChange={handleTwoFactorFormChange}
+                />
+              </>
+            )}
+            {twoFactorDialog === 'backupCodes' && (
+              newBackupCodes ? (
+                <BackupCodes codes={newBackupCodes} />
+              ) : (
+                <TextField
+                  fullWidth
+                  margin="normal"
+                  label="Authentication code"
+                  name="code"
+                  value={twoFactorForm.code}
+                  onChange={handleTwoFactorFormChange}
+                  helperText="Your current backup codes stop working once new ones are generated"
+                />
+              )
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeTwoFactorDialog}>
+            {newBackupCodes ? 'Done' : 'Cancel'}
+          </Button>
+          {twoFactorDialog === 'disable' && (
+            <Button
+              onClick={handleDisableTwoFactor}
+              color="error"
+              variant="contained"
+              disabled={loading || !twoFactorForm.password || !twoFactorForm.code}
+            >
+              {loading ? <CircularProgress size={20} /> : 'Disable'}
+            </Button>
+          )}
+          {twoFactorDialog === 'backupCodes' && !newBackupCodes && (
+            <Button
+              onClick={handleRegenerateBackupCodes}
+              variant="contained"
+              disabled={loading || !twoFactorForm.code}
+            >
+              {loading ? <CircularProgress size={20} /> : 'Generate'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
       {/* Change Password Dialog */}
       <Dialog open={passwordDialog} onClose={() => setPasswordDialog(false)} maxWidth="sm" fullWidth>
         <DialogTitle>Change Password</DialogTitle>
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  LinearProgress,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import axios from 'axios';
+import { API_BASE_URL } from '../../config/api';
+
+const QUESTION_TYPE_LABELS = {
+  single_choice: 'Single choice',
+  multiple_choice: 'Multiple choice',
+  true_false: 'True/false',
+  short_answer: 'Short answer',
+};
+
+const formatPercent = (value) => (value === null ? '—' : `${value}%`);
+
+// Instructor view of quiz scores and per-question results for a course
+const QuizAnalytics = () => {
+  const { courseId } = useParams();
+  const [quizzes, setQuizzes] = useState([]);
+  const [selectedQuizId, setSelectedQuizId] = useState('');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchQuizzes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/courses/${courseId}/quizzes`);
+      setQuizzes(response.data.quizzes);
+      if (response.data.quizzes.length > 0) {
+        setSelectedQuizId(response.data.quizzes[0]._id);
+      }
+    } catch (error) {
+      console.error('Error fetching quizzes:', error);
+      toast.error(error.response?.data?.message || 'Failed to load quizzes');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId]);
+
+  const fetchAnalytics = useCallback(async () => {
+    if (!selectedQuizId) return;
+    try {
+      const response = await axios.get(
+        `${API_BASE_URL}/courses/${courseId}/quizzes/${selectedQuizId}/analytics`
+      );
+      setAnalytics(response.data.analytics);
+    } catch (error) {
+      console.error('Error fetching quiz analytics:', error);
+      toast.error('Failed to load quiz analytics');
+    }
+  }, [courseId, selectedQuizId]);
+
+  useEffect(() => {
+    fetchQuizzes();
+  }, [fetchQuizzes]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  if (loading) {
+    return (
+      <Container>
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+          <CircularProgress />
+        </Box>
+      </Container>
+    );
+  }
+
+  const summaryCards = analytics
+    ? [
+        { label: 'Attempts', value: analytics.attemptCount },
+        { label: 'Students', value: analytics.studentCount },
+        { label: 'Average Score', value: formatPercent(analytics.averageScore) },
+        { label: 'Pass Rate', value: formatPercent(analytics.passRate) },
+      ]
+    : [];
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Quiz Analytics
+      </Typography>
+
+      {quizzes.length === 0 ? (
+        <Alert severity="info">This course has no quizzes yet.</Alert>
+      ) : (
+        <>
+          <FormControl sx={{ minWidth: 300, mb: 3 }}>
+            <InputLabel>Quiz</InputLabel>
+            <Select
+              value={selectedQuizId}
+              label="Quiz"
+              onChange={(e) => setSelectedQuizId(e.target.value)}
+            >
+              {quizzes.map((quiz) => (
+                <MenuItem key={quiz._id} value={quiz._id}>
+                  {quiz.title}{quiz.isPublished ? '' : ' (unpublished)'}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {analytics && (
+            <>
+              <Grid container spacing={2} sx={{ mb: 3 }}>
+                {summaryCards.map((card) => (
+                  <Grid item xs={6} md={3} key={card.label}>
+                    <Card>
+                      <CardContent>
+                        <Typography variant="body2" color="text.secondary">
+                          {card.label}
+                        </Typography>
+                        <Typography variant="h5">{card.value}</Typography>
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                ))}
+              </Grid>
+
+              <TableContainer component={Paper}>
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Question</TableCell>
+                      <TableCell>Type</TableCell>
+                      <TableCell align="right">Answered</TableCell>
+                      <TableCell sx={{ minWidth: 160 }}>Correct</TableCell>
+                      <TableCell>Answer breakdown</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {analytics.questions.map((question, index) => (
+                      <TableRow key={question.questionId}>
+                        <TableCell>
+                          {index + 1}. {question.text}
+                        </TableCell>
+                        <TableCell>{QUESTION_TYPE_LABELS[question.type]}</TableCell>
+                        <TableCell align="right">{question.answered}</TableCell>
+                        <TableCell>
+                          <Typography variant="body2">
+                            {formatPercent(question.correctRate)}
+                          </Typography>
+                          <LinearProgress
+                            variant="determinate"
+                            value={question.correctRate || 0}
+                            color={question.correctRate !== null && question.correctRate < 50 ? 'error' : 'primary'}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Box display="flex" flexWrap="wrap" gap={0.5}>
+                            {question.options?.map((option) => (
+                              <Chip
+                                key={option.optionId}
+                                size="small"
+                                label={`${option.text}: ${option.selectedCount}`}
+                                color={option.isCorrect ? 'success' : 'default'}
+                                variant={option.isCorrect ? 'filled' : 'outlined'}
+                              />
+                            ))}
+                            {question.commonWrongAnswers?.map((answer) => (
+                              <Chip
+                                key={answer.text}
+                                size="small"
+                                label={`"${answer.text}": ${answer.count}`}
+                                variant="outlined"
+                              />
+                            ))}
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default QuizAnalytics;
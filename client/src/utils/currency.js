@@ -42,6 +42,22 @@ export const formatPrice = (price, currency = 'BDT') => {
   }
 };
 
+/**
+ * Format a money amount such as a balance; unlike formatPrice, zero and
+ * negative amounts are shown as numbers rather than "Free"
+ * @param {number} amount - The amount to format
+ * @param {string} currency - The currency code (default: 'BDT')
+ * @returns {string} Formatted amount string
+ */
+export const formatAmount = (amount, currency = 'BDT') => {
+  const numericAmount = Number(amount) || 0;
+  const sign = numericAmount < 0 ? '-' : '';
+  return `${sign}${getCurrencySymbol(currency)}${Math.abs(numericAmount).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+};
+
 /**
  * Format currency for input fields (without symbol)
  * @param {number} price - The price to format
@@ -87,12 +103,55 @@ export const getCurrencySymbol = (currency = 'BDT') => {
   return symbols[currency] || currency;
 };
 
+/**
+ * Get a course's price in another currency, the way checkout charges it:
+ * an explicit course price wins, otherwise the current exchange rate (or
+ * the inverse of the opposite pair) is applied
+ * @param {Object} course - Course with price, currency and optional prices
+ * @param {string} currency - The currency code to show
+ * @param {Array} rates - Current rates from GET /api/exchange-rates
+ * @returns {number|null} Price in the currency, or null if no rate is set
+ */
+export const getLocalizedPrice = (course, currency, rates = []) => {
+  const baseCurrency = course.currency || 'BDT';
+  if (currency === baseCurrency) {
+    return course.price;
+  }
+
+  const explicitPrice = (course.prices || []).find(
+    (price) => price.currency === currency
+  );
+  if (explicitPrice) {
+    return explicitPrice.amount;
+  }
+
+  const direct = rates.find(
+    (rate) => rate.baseCurrency === baseCurrency && rate.quoteCurrency === currency
+  );
+  const opposite = rates.find(
+    (rate) => rate.baseCurrency === currency && rate.quoteCurrency === baseCurrency
+  );
+  let rate = null;
+  if (direct) {
+    rate = direct.rate;
+  } else if (opposite) {
+    rate = 1 / opposite.rate;
+  }
+  if (rate === null) {
+    return null;
+  }
+
+  return Math.round(course.price * rate * 100) / 100;
+};
+
 // Default export
 const currencyUtils = {
   formatPrice,
+  formatAmount,
   formatPriceInput,
   parsePrice,
   getCurrencySymbol,
+  getLocalizedPrice,
 };
 
 export default currencyUtils;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+module.exports = {
+  up: async function () {
+    console.log('  📚 Converting course syllabus into sections and lessons...');
+
+    const db = mongoose.connection.db;
+    const courses = await db
+      .collection('courses')
+      .find({ syllabus: { $exists: true } })
+      .toArray();
+
+    for (const course of courses) {
+      // Keep each syllabus entry's _id as the lesson _id so that
+      // enrollment.completedLessons keeps pointing at the same lessons
+      const lessons = (course.syllabus || []).map((item, index) => ({
+        _id: item._id || new mongoose.Types.ObjectId(),
+        title: item.title,
+        description: item.description,
+        type: item.videoUrl ? 'video' : 'reading',
+        order: index,
+        duration: item.duration || 0,
+        videoUrl: item.videoUrl,
+        materials: item.materials || [],
+        isFreePreview: false,
+      }));
+
+      const curriculum =
+        lessons.length > 0
+          ? [
+              {
+                _id: new mongoose.Types.ObjectId(),
+                title: 'Course Content',
+                order: 0,
+                lessons,
+              },
+            ]
+          : [];
+
+      // Use raw MongoDB update to avoid Mongoose validation during migration
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: course._id },
+          { $set: { curriculum: curriculum }, $unset: { syllabus: '' } }
+        );
+    }
+    console.log(`  ✅ Converted curriculum for ${courses.length} courses`);
+  },
+
+  down: async function () {
+    console.log('  🔄 Flattening course curriculum back into syllabus...');
+
+    const db = mongoose.connection.db;
+    const courses = await db
+      .collection('courses')
+      .find({ curriculum: { $exists: true } })
+      .toArray();
+
+    for (const course of courses) {
+      const syllabus = [];
+      (course.curriculum || []).forEach(section => {
+        (section.lessons || []).forEach(lesson => {
+          syllabus.push({
+            _id: lesson._id,
+            title: lesson.title,
+            description: lesson.description,
+            duration: lesson.duration,
+            videoUrl: lesson.videoUrl,
+            materials: lesson.materials || [],
+          });
+        });
+      });
+
+      await db
+        .collection('courses')
+        .updateOne(
+          { _id: course._id },
+          { $set: { syllabus: syllabus }, $unset: { curriculum: '' } }
+        );
+    }
+    console.log(`  ✅ Restored syllabus for ${courses.length} courses`);
+  },
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// The rate SSLCommerz payments were converted with before rates were
+// stored, so existing USD courses keep the same BDT price
+const SEED_NOTE = 'Previous fixed SSLCommerz rate';
+
+module.exports = {
+  up: async function () {
+    console.log('  💱 Seeding USD to BDT exchange rate...');
+
+    const db = mongoose.connection.db;
+    const existing = await db
+      .collection('exchangerates')
+      .findOne({ baseCurrency: 'USD', quoteCurrency: 'BDT' });
+    if (existing) {
+      console.log('  ⏭️  USD to BDT rate already set, skipping');
+      return;
+    }
+
+    const now = new Date();
+    await db.collection('exchangerates').insertOne({
+      baseCurrency: 'USD',
+      quoteCurrency: 'BDT',
+      rate: 110,
+      note: SEED_NOTE,
+      createdAt: now,
+      updatedAt: now,
+    });
+    await db
+      .collection('exchangerates')
+      .createIndex({ baseCurrency: 1, quoteCurrency: 1, createdAt: -1 });
+    console.log('  ✅ Seeded USD to BDT rate of 110');
+  },
+
+  down: async function () {
+    console.log('  🔄 Removing seeded USD to BDT exchange rate...');
+
+    const db = mongoose.connection.db;
+    const result = await db
+      .collection('exchangerates')
+      .deleteMany({
+        baseCurrency: 'USD',
+        quoteCurrency: 'BDT',
+        note: SEED_NOTE,
+      });
+    console.log(`  ✅ Removed ${result.deletedCount} exchange rates`);
+  },
+};
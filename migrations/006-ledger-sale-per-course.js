@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Cart checkouts credit one sale per course of a payment, so the unique
+// index on sales now includes the course
+const OLD_INDEX = 'payment_1_type_1';
+
+module.exports = {
+  up: async function () {
+    console.log('  📒 Allowing one ledger sale per course of a payment...');
+
+    const collection = mongoose.connection.db.collection(
+      'instructorledgerentries'
+    );
+    if (await collection.indexExists(OLD_INDEX)) {
+      await collection.dropIndex(OLD_INDEX);
+    }
+    await collection.createIndex(
+      { payment: 1, course: 1, type: 1 },
+      { unique: true, partialFilterExpression: { type: 'sale' } }
+    );
+    console.log('  ✅ Ledger sale index now includes the course');
+  },
+
+  down: async function () {
+    console.log('  🔄 Restoring one ledger sale per payment...');
+
+    const collection = mongoose.connection.db.collection(
+      'instructorledgerentries'
+    );
+    const index = 'payment_1_course_1_type_1';
+    if (await collection.indexExists(index)) {
+      await collection.dropIndex(index);
+    }
+    await collection.createIndex(
+      { payment: 1, type: 1 },
+      { unique: true, partialFilterExpression: { type: 'sale' } }
+    );
+    console.log('  ✅ Ledger sale index restored');
+  },
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Fixed coupons now need a currency, and percentage coupons must stay
+// below 100%. Coupons touched here are marked so `down` only undoes them.
+const DEFAULT_CURRENCY = 'BDT';
+const MARKER = 'migratedBy007';
+
+module.exports = {
+  up: async function () {
+    console.log('  🏷️  Bringing coupons in line with the new rules...');
+
+    const coupons = mongoose.connection.db.collection('coupons');
+    const fixed = await coupons.updateMany(
+      { type: 'fixed', currency: { $in: [null, ''] } },
+      { $set: { currency: DEFAULT_CURRENCY, [MARKER]: 'currency' } }
+    );
+    console.log(
+      `  ✅ Set ${DEFAULT_CURRENCY} on ${fixed.modifiedCount} fixed coupons`
+    );
+
+    // These no longer pass validation, even with a maximum discount, so
+    // they are switched off for an admin to fix
+    const free = await coupons.updateMany(
+      { type: 'percentage', value: { $gte: 100 }, isActive: true },
+      { $set: { isActive: false, [MARKER]: 'deactivated' } }
+    );
+    console.log(
+      `  ✅ Deactivated ${free.modifiedCount} coupons of 100% or more`
+    );
+  },
+
+  down: async function () {
+    console.log('  🔄 Restoring coupons changed by the coupon rules...');
+
+    const coupons = mongoose.connection.db.collection('coupons');
+    await coupons.updateMany(
+      { [MARKER]: 'currency' },
+      { $unset: { currency: '', [MARKER]: '' } }
+    );
+    await coupons.updateMany(
+      { [MARKER]: 'deactivated' },
+      { $set: { isActive: true }, $unset: { [MARKER]: '' } }
+    );
+    console.log('  ✅ Coupons restored');
+  },
+};
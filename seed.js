@@ -81,27 +81,32 @@ const sampleCourses = [
       'https://images.unsplash.com/photo-1555066931-4365d14bab8c?w=800',
     ],
     videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-    syllabus: [
+    curriculum: [
       {
-        title: 'Introduction to Web Development',
-        description: 'Overview of web technologies and development tools',
-        duration: 60,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['Slides', 'Code Examples'],
-      },
-      {
-        title: 'HTML Fundamentals',
-        description: 'Learn HTML structure and semantic elements',
-        duration: 90,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['HTML Cheat Sheet', 'Practice Exercises'],
-      },
-      {
-        title: 'CSS Styling',
-        description: 'Master CSS for beautiful web design',
-        duration: 120,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['CSS Reference', 'Design Templates'],
+        title: 'Course Content',
+        lessons: [
+          {
+            title: 'Introduction to Web Development',
+            description: 'Overview of web technologies and development tools',
+            duration: 60,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['Slides', 'Code Examples'],
+          },
+          {
+            title: 'HTML Fundamentals',
+            description: 'Learn HTML structure and semantic elements',
+            duration: 90,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['HTML Cheat Sheet', 'Practice Exercises'],
+          },
+          {
+            title: 'CSS Styling',
+            description: 'Master CSS for beautiful web design',
+            duration: 120,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['CSS Reference', 'Design Templates'],
+          },
+        ],
       },
     ],
     requirements: [
@@ -149,20 +154,25 @@ const sampleCourses = [
       'https://images.unsplash.com/photo-1461749280684-dccba630e2f6?w=800',
     ],
     videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-    syllabus: [
+    curriculum: [
       {
-        title: 'ES6+ Features',
-        description: 'Modern JavaScript syntax and features',
-        duration: 120,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['ES6 Cheat Sheet', 'Code Examples'],
-      },
-      {
-        title: 'Async Programming',
-        description: 'Promises, async/await, and event loops',
-        duration: 150,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['Async Patterns Guide', 'Practice Problems'],
+        title: 'Course Content',
+        lessons: [
+          {
+            title: 'ES6+ Features',
+            description: 'Modern JavaScript syntax and features',
+            duration: 120,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['ES6 Cheat Sheet', 'Code Examples'],
+          },
+          {
+            title: 'Async Programming',
+            description: 'Promises, async/await, and event loops',
+            duration: 150,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['Async Patterns Guide', 'Practice Problems'],
+          },
+        ],
       },
     ],
     requirements: [
@@ -210,20 +220,25 @@ const sampleCourses = [
       'https://images.unsplash.com/photo-1558655146-d09347e92766?w=800',
     ],
     videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-    syllabus: [
+    curriculum: [
       {
-        title: 'Design Principles',
-        description: 'Core principles of good design',
-        duration: 90,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['Design Principles Guide', 'Examples'],
-      },
-      {
-        title: 'User Research',
-        description: 'Understanding user needs and behaviors',
-        duration: 120,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['Research Methods', 'Templates'],
+        title: 'Course Content',
+        lessons: [
+          {
+            title: 'Design Principles',
+            description: 'Core principles of good design',
+            duration: 90,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['Design Principles Guide', 'Examples'],
+          },
+          {
+            title: 'User Research',
+            description: 'Understanding user needs and behaviors',
+            duration: 120,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['Research Methods', 'Templates'],
+          },
+        ],
       },
     ],
     requirements: [
@@ -271,20 +286,25 @@ const sampleCourses = [
       'https://images.unsplash.com/photo-1460925895917-afdab827c52f?w=800',
     ],
     videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-    syllabus: [
-      {
-        title: 'SEO Fundamentals',
-        description: 'Search engine optimization basics',
-        duration: 120,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['SEO Checklist', 'Keyword Research Tools'],
-      },
+    curriculum: [
       {
-        title: 'Social Media Marketing',
-        description: 'Strategies for social media success',
-        duration: 150,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['Content Calendar', 'Analytics Guide'],
+        title: 'Course Content',
+        lessons: [
+          {
+            title: 'SEO Fundamentals',
+            description: 'Search engine optimization basics',
+            duration: 120,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['SEO Checklist', 'Keyword Research Tools'],
+          },
+          {
+            title: 'Social Media Marketing',
+            description: 'Strategies for social media success',
+            duration: 150,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['Content Calendar', 'Analytics Guide'],
+          },
+        ],
       },
     ],
     requirements: [
@@ -338,20 +358,25 @@ const sampleCourses = [
       'https://images.unsplash.com/photo-1551288049-bebda4e38f71?w=800',
     ],
     videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-    syllabus: [
-      {
-        title: 'Python Basics',
-        description: 'Python fundamentals for data science',
-        duration: 180,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['Python Cheat Sheet', 'Jupyter Notebooks'],
-      },
+    curriculum: [
       {
-        title: 'Data Analysis with Pandas',
-        description: 'Data manipulation and analysis',
-        duration: 240,
-        videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
-        materials: ['Pandas Guide', 'Sample Datasets'],
+        title: 'Course Content',
+        lessons: [
+          {
+            title: 'Python Basics',
+            description: 'Python fundamentals for data science',
+            duration: 180,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['Python Cheat Sheet', 'Jupyter Notebooks'],
+          },
+          {
+            title: 'Data Analysis with Pandas',
+            description: 'Data manipulation and analysis',
+            duration: 240,
+            videoUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            materials: ['Pandas Guide', 'Sample Datasets'],
+          },
+        ],
       },
     ],
     requirements: [
@@ -14,10 +14,32 @@ app.set('trust proxy', 1);
 // Import routes
 const authRoutes = require('./server/routes/auth');
 const courseRoutes = require('./server/routes/courses');
+const bundleRoutes = require('./server/routes/bundles');
+const quizRoutes = require('./server/routes/quizzes');
+const assignmentRoutes = require('./server/routes/assignments');
+const instructorRoutes = require('./server/routes/instructor');
 const enrollmentRoutes = require('./server/routes/enrollments');
 const paymentRoutes = require('./server/routes/payments');
+const payoutRoutes = require('./server/routes/payouts');
 const sslcommerzRoutes = require('./server/routes/sslcommerz');
 const userRoutes = require('./server/routes/users');
+const couponRoutes = require('./server/routes/coupons');
+const exchangeRateRoutes = require('./server/routes/exchangeRates');
+const webhookEventRoutes = require('./server/routes/webhookEvents');
+const reconciliationRoutes = require('./server/routes/reconciliation');
+const refundRequestRoutes = require('./server/routes/refundRequests');
+const invoiceRoutes = require('./server/routes/invoices');
+const installmentScheduleRoutes = require('./server/routes/installmentSchedules');
+const planRoutes = require('./server/routes/plans');
+const subscriptionRoutes = require('./server/routes/subscriptions');
+const cartRoutes = require('./server/routes/cart');
+const voucherRoutes = require('./server/routes/vouchers');
+const certificateRoutes = require('./server/routes/certificates');
+const { startWebhookRetryJob } = require('./server/utils/webhookEvents');
+const { startReconciliationJob } = require('./server/utils/reconciliation');
+const { startInstallmentJob } = require('./server/utils/installments');
+const { startSubscriptionJob } = require('./server/utils/subscriptions');
+const { startWaitlistJob } = require('./server/utils/waitlist');
 
 // Security middleware
 app.use(helmet());
@@ -138,8 +160,9 @@ app.use(
       'Authorization',
       'Cache-Control',
       'X-Access-Token',
+      'Idempotency-Key',
     ],
-    exposedHeaders: ['X-Total-Count'],
+    exposedHeaders: ['X-Total-Count', 'Idempotent-Replayed'],
     maxAge: 86400, // 24 hours preflight cache
   })
 );
@@ -153,7 +176,14 @@ mongoose
       useUnifiedTopology: true,
     }
   )
-  .then(() => console.log('MongoDB Connected'))
+  .then(() => {
+    console.log('MongoDB Connected');
+    startWebhookRetryJob();
+    startReconciliationJob();
+    startInstallmentJob();
+    startSubscriptionJob();
+    startWaitlistJob();
+  })
   .catch(err => console.log('MongoDB Connection Error:', err));
 
 // Health check endpoint (must be before catch-all route)
@@ -198,10 +228,27 @@ app.get('/api/metrics', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/courses', courseRoutes);
+app.use('/api/courses/:courseId/quizzes', quizRoutes);
+app.use('/api/courses/:courseId/assignments', assignmentRoutes);
+app.use('/api/bundles', bundleRoutes);
 app.use('/api/enrollments', enrollmentRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/payments/sslcommerz', sslcommerzRoutes);
+app.use('/api/payouts', payoutRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/instructor', instructorRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/webhook-events', webhookEventRoutes);
+app.use('/api/reconciliation-reports', reconciliationRoutes);
+app.use('/api/refund-requests', refundRequestRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/installment-schedules', installmentScheduleRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/vouchers', voucherRoutes);
+app.use('/api/certificates', certificateRoutes);
 
 // Method not allowed handler for API routes (must be after all specific routes)
 
@@ -1,5 +1,15 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Tokens issued before sessions existed carry no sessionId and simply expire
+async function isSessionRevoked(sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await Session.findById(sessionId);
+  return !session || Boolean(session.revokedAt);
+}
 
 // Middleware to verify JWT token
 async function authenticateToken(req, res, next) {
@@ -15,6 +25,19 @@ async function authenticateToken(req, res, next) {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Purpose-bound tokens (e.g. a pending two-factor login) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        message: 'Invalid token.',
+      });
+    }
+
+    if (await isSessionRevoked(decoded.sessionId)) {
+      return res.status(401).json({
+        message: 'Session has been revoked.',
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
 
@@ -31,6 +54,7 @@ async function authenticateToken(req, res, next) {
     }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -71,6 +95,16 @@ function requireStudent(req, res, next) {
   next();
 }
 
+// Middleware to check if user has the instructor role (admins included)
+function requireInstructorRole(req, res, next) {
+  if (!['instructor', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      message: 'Access denied. Instructor privileges required.',
+    });
+  }
+  next();
+}
+
 // Middleware to check if user is instructor (admin or course instructor)
 async function requireInstructor(req, res, next) {
   try {
@@ -146,8 +180,14 @@ async function optionalAuth(req, res, next) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password');
 
-      if (user && user.isActive) {
+      if (
+        user &&
+        user.isActive &&
+        !decoded.purpose &&
+        !(await isSessionRevoked(decoded.sessionId))
+      ) {
         req.user = user;
+        req.sessionId = decoded.sessionId;
       }
     }
 
@@ -163,6 +203,7 @@ module.exports = {
   requireAdmin,
   requireStudent,
   requireInstructor,
+  requireInstructorRole,
   requireOwnership,
   optionalAuth,
 };
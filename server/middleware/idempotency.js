@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+}
+
+// Middleware to make a POST endpoint safe to retry. When the request has an
+// `Idempotency-Key` header, the first successful (or 409 conflict) response
+// for that key is stored and returned to every retry with the same body, so
+// double-submits cannot create several payments. Requests without the
+// header run as usual. Must run after authenticateToken; keys are scoped
+// per user.
+function idempotent(scope) {
+  return async function idempotencyMiddleware(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    try {
+      if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+        });
+      }
+
+      const fingerprint = fingerprintRequest(req);
+      const { record, existing } = await IdempotencyKey.claim({
+        key,
+        user: req.user._id,
+        scope,
+        fingerprint,
+      });
+
+      if (existing) {
+        if (
+          existing.scope &&
+          (existing.scope !== scope || existing.fingerprint !== fingerprint)
+        ) {
+          return res.status(422).json({
+            message:
+              'Idempotency-Key has already been used with a different request',
+          });
+        }
+        if (existing.status !== 'completed') {
+          return res.status(409).json({
+            message: 'A request with this Idempotency-Key is still in progress',
+          });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res
+          .status(existing.responseStatus)
+          .json(JSON.parse(existing.responseBody));
+      }
+
+      // Store the response before sending it, so a retry never sees the
+      // key in progress after the client already has an answer. Other
+      // errors release the key instead, letting the client try again once
+      // it has fixed its input.
+      const sendJson = res.json.bind(res);
+      res.json = function storeResponse(body) {
+        const stored =
+          (res.statusCode >= 200 && res.statusCode < 300) ||
+          res.statusCode === 409;
+        const saved = stored
+          ? record.complete(res.statusCode, body)
+          : record.deleteOne();
+        saved
+          .catch(error => {
+            // eslint-disable-next-line no-console
+            console.error('Store idempotent response error:', error);
+          })
+          .then(() => sendJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Idempotency key error:', error);
+      res.status(500).json({
+        message: 'Server error while checking idempotency key',
+      });
+    }
+  };
+}
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const rubricCriterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Criterion title is required'],
+    trim: true,
+    maxlength: [200, 'Criterion title cannot exceed 200 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Criterion description cannot exceed 1000 characters'],
+  },
+  maxPoints: {
+    type: Number,
+    required: [true, 'Criterion points are required'],
+    min: [1, 'Criterion must be worth at least 1 point'],
+  },
+});
+
+const assignmentSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: [true, 'Course is required'],
+    },
+    // Curriculum lesson (of type 'assignment') this assignment belongs to
+    lessonId: {
+      type: String,
+      required: [true, 'Lesson is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Assignment title is required'],
+      trim: true,
+      maxlength: [200, 'Assignment title cannot exceed 200 characters'],
+    },
+    instructions: {
+      type: String,
+      maxlength: [5000, 'Instructions cannot exceed 5000 characters'],
+    },
+    dueDate: {
+      type: Date,
+    },
+    allowLateSubmissions: {
+      type: Boolean,
+      default: false,
+    },
+    allowTextSubmission: {
+      type: Boolean,
+      default: true,
+    },
+    allowFileSubmission: {
+      type: Boolean,
+      default: true,
+    },
+    // File extensions accepted for uploads, e.g. '.pdf'; empty means any
+    allowedFileTypes: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\.[a-z0-9]+$/, 'File types must be extensions like .pdf'],
+      },
+    ],
+    maxSubmissions: {
+      type: Number,
+      min: [0, 'Submission limit cannot be negative'],
+      default: 1, // 0 means unlimited
+    },
+    // Whether students may submit again once a submission has been graded
+    allowResubmissionAfterGrading: {
+      type: Boolean,
+      default: false,
+    },
+    rubric: [rubricCriterionSchema],
+    // Relative weight of this assignment in the course score
+    weight: {
+      type: Number,
+      min: [0, 'Weight cannot be negative'],
+      default: 1,
+    },
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assignmentSchema.index({ course: 1, lessonId: 1 }, { unique: true });
+
+// Check that the assignment can be submitted and graded
+assignmentSchema.pre('validate', function preValidateAssignment(next) {
+  if (this.rubric.length === 0) {
+    this.invalidate('rubric', 'Assignments need at least one rubric criterion');
+  }
+  if (!this.allowTextSubmission && !this.allowFileSubmission) {
+    this.invalidate(
+      'allowFileSubmission',
+      'Assignments must accept text or file submissions'
+    );
+  }
+  next();
+});
+
+// Virtual for totalPoints
+assignmentSchema.virtual('totalPoints').get(function getTotalPoints() {
+  return this.rubric.reduce(function sumPoints(total, criterion) {
+    return total + criterion.maxPoints;
+  }, 0);
+});
+
+// Virtual for isPastDue
+assignmentSchema.virtual('isPastDue').get(function getIsPastDue() {
+  return !!this.dueDate && Date.now() > this.dueDate.getTime();
+});
+
+// Method to get the assignment details shown to students
+assignmentSchema.methods.getPublicInfo = function getPublicInfo() {
+  return {
+    _id: this._id,
+    course: this.course,
+    lessonId: this.lessonId,
+    title: this.title,
+    instructions: this.instructions,
+    dueDate: this.dueDate,
+    isPastDue: this.isPastDue,
+    allowLateSubmissions: this.allowLateSubmissions,
+    allowTextSubmission: this.allowTextSubmission,
+    allowFileSubmission: this.allowFileSubmission,
+    allowedFileTypes: this.allowedFileTypes,
+    maxSubmissions: this.maxSubmissions,
+    allowResubmissionAfterGrading: this.allowResubmissionAfterGrading,
+    rubric: this.rubric,
+    totalPoints: this.totalPoints,
+  };
+};
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
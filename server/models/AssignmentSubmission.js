@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const submissionFileSchema = new mongoose.Schema({
+  // Location of the file in the storage adapter
+  key: {
+    type: String,
+    required: true,
+  },
+  originalName: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    min: 0,
+  },
+  mimetype: {
+    type: String,
+  },
+});
+
+const assignmentSubmissionSchema = new mongoose.Schema(
+  {
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assignment',
+      required: [true, 'Assignment is required'],
+    },
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Enrollment',
+      required: [true, 'Enrollment is required'],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student is required'],
+    },
+    submissionNumber: {
+      type: Number,
+      required: true,
+    },
+    text: {
+      type: String,
+      maxlength: [20000, 'Submission text cannot exceed 20000 characters'],
+    },
+    files: [submissionFileSchema],
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    isLate: {
+      type: Boolean,
+      default: false,
+    },
+    // 'superseded' submissions were replaced by a resubmission before grading
+    status: {
+      type: String,
+      enum: ['submitted', 'graded', 'superseded'],
+      default: 'submitted',
+    },
+    rubricScores: [
+      {
+        _id: false,
+        criterion: mongoose.Schema.Types.ObjectId,
+        points: {
+          type: Number,
+          min: 0,
+        },
+        comment: {
+          type: String,
+          maxlength: 1000,
+        },
+      },
+    ],
+    score: {
+      type: Number,
+      min: 0,
+    },
+    maxScore: {
+      type: Number,
+      min: 0,
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    feedback: {
+      type: String,
+      maxlength: [5000, 'Feedback cannot exceed 5000 characters'],
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    gradedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assignmentSubmissionSchema.index({
+  assignment: 1,
+  student: 1,
+  submissionNumber: 1,
+});
+assignmentSubmissionSchema.index({ assignment: 1, status: 1 });
+assignmentSubmissionSchema.index({ enrollment: 1, status: 1 });
+
+// Method to get the submission as shown to students and graders
+assignmentSubmissionSchema.methods.getResult = function getResult() {
+  return {
+    _id: this._id,
+    assignment: this.assignment,
+    submissionNumber: this.submissionNumber,
+    text: this.text,
+    files: this.files.map(function toFileInfo(file) {
+      return {
+        _id: file._id,
+        originalName: file.originalName,
+        size: file.size,
+        mimetype: file.mimetype,
+      };
+    }),
+    submittedAt: this.submittedAt,
+    isLate: this.isLate,
+    status: this.status,
+    rubricScores: this.rubricScores,
+    score: this.score,
+    maxScore: this.maxScore,
+    percentage: this.percentage,
+    feedback: this.feedback,
+    gradedAt: this.gradedAt,
+  };
+};
+
+module.exports = mongoose.model(
+  'AssignmentSubmission',
+  assignmentSubmissionSchema
+);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currencies');
+
+// A learning path of several courses sold together for one price. Buying
+// it enrolls the student in every course.
+const bundleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Bundle title is required'],
+      trim: true,
+      maxlength: [100, 'Bundle title cannot be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot be more than 2000 characters'],
+    },
+    thumbnail: {
+      type: String,
+    },
+    courses: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+        },
+      ],
+      validate: {
+        validator: function hasSeveralCourses(courses) {
+          return courses.length >= 2;
+        },
+        message: 'A bundle needs at least two courses',
+      },
+    },
+    price: {
+      type: Number,
+      required: [true, 'Bundle price is required'],
+      min: [0.01, 'Bundle price must be greater than 0'],
+    },
+    currency: {
+      type: String,
+      default: 'BDT',
+      enum: CURRENCIES,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bundleSchema.index({ isActive: 1, createdAt: -1 });
+bundleSchema.index({ courses: 1 });
+
+module.exports = mongoose.model('Bundle', bundleSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Courses a student has picked to pay for together in one checkout
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      unique: true,
+    },
+    items: [
+      {
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+          required: [true, 'Course is required'],
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cartSchema.methods.hasCourse = function hasCourse(courseId) {
+  return this.items.some(
+    item => (item.course._id || item.course).toString() === courseId.toString()
+  );
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+
+// Payments in these states hold on to a coupon use
+const REDEEMING_STATUSES = ['pending', 'processing', 'completed'];
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [
+        /^[A-Z0-9_-]{3,30}$/,
+        'Coupon code must be 3-30 letters, numbers, dashes or underscores',
+      ],
+    },
+    description: {
+      type: String,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: [true, 'Discount type is required'],
+    },
+    value: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0.01, 'Discount value must be greater than 0'],
+      // Checkouts can't be discounted to zero, so neither can a percentage
+      validate: {
+        validator: function validatePercentage(value) {
+          return this.type !== 'percentage' || value < 100;
+        },
+        message: 'Percentage discount must be less than 100%',
+      },
+    },
+    // Fixed amounts only make sense in the currency they were set in
+    currency: {
+      type: String,
+      enum: ['BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'],
+      required: [
+        function requiresCurrency() {
+          return this.type === 'fixed';
+        },
+        'Currency is required for fixed discounts',
+      ],
+    },
+    maxDiscount: {
+      type: Number,
+      min: [0, 'Maximum discount cannot be negative'],
+      default: 0, // 0 means no cap
+    },
+    minAmount: {
+      type: Number,
+      min: [0, 'Minimum amount cannot be negative'],
+      default: 0,
+    },
+    usageLimit: {
+      type: Number,
+      min: [0, 'Usage limit cannot be negative'],
+      default: 0, // 0 means unlimited
+    },
+    perUserLimit: {
+      type: Number,
+      min: [0, 'Per-user limit cannot be negative'],
+      default: 1, // 0 means unlimited
+    },
+    startsAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    courses: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+      },
+    ],
+    categories: [
+      {
+        type: String,
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.index({ isActive: 1 });
+couponSchema.index({ expiresAt: 1 });
+
+// Virtual for isExpired
+couponSchema.virtual('isExpired').get(function getIsExpired() {
+  return Boolean(this.expiresAt && this.expiresAt < new Date());
+});
+
+// Method to check whether the coupon is scoped to a course
+couponSchema.methods.appliesToCourse = function appliesToCourse(course) {
+  const hasCourseScope = this.courses.length > 0;
+  const hasCategoryScope = this.categories.length > 0;
+
+  if (!hasCourseScope && !hasCategoryScope) {
+    return true;
+  }
+
+  const courseId = (course._id || course).toString();
+  const inCourses = this.courses.some(function matchCourse(id) {
+    return id.toString() === courseId;
+  });
+  const inCategories = this.categories.includes(course.category);
+
+  return inCourses || inCategories;
+};
+
+// Method to calculate the discount for an amount
+couponSchema.methods.calculateDiscount = function calculateDiscount(amount) {
+  let discount =
+    this.type === 'percentage' ? (amount * this.value) / 100 : this.value;
+
+  if (this.type === 'percentage' && this.maxDiscount > 0) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+// Method to count uses, ignoring payments for the enrollment being checked out
+couponSchema.methods.countRedemptions = function countRedemptions(
+  filter = {},
+  excludeEnrollment = null
+) {
+  const query = {
+    ...filter,
+    'discount.code': this.code,
+    status: { $in: REDEEMING_STATUSES },
+  };
+  if (excludeEnrollment) {
+    query.enrollment = { $ne: excludeEnrollment };
+  }
+  return mongoose.model('Payment').countDocuments(query);
+};
+
+// Method to validate the coupon for a checkout
+couponSchema.methods.checkEligibility = async function checkEligibility({
+  user,
+  course,
+  amount,
+  currency,
+  enrollment = null,
+}) {
+  const now = new Date();
+
+  if (!this.isActive) {
+    return { valid: false, message: 'This coupon is no longer active' };
+  }
+  if (this.startsAt && this.startsAt > now) {
+    return { valid: false, message: 'This coupon is not active yet' };
+  }
+  if (this.isExpired) {
+    return { valid: false, message: 'This coupon has expired' };
+  }
+  if (!this.appliesToCourse(course)) {
+    return {
+      valid: false,
+      message: 'This coupon does not apply to this course',
+    };
+  }
+  if (this.type === 'fixed' && this.currency !== currency) {
+    return {
+      valid: false,
+      message: `This coupon can only be used for ${this.currency} payments`,
+    };
+  }
+  if (amount < this.minAmount) {
+    return {
+      valid: false,
+      message: `A minimum amount of ${this.minAmount} is required for this coupon`,
+    };
+  }
+
+  if (this.usageLimit > 0) {
+    const used = await this.countRedemptions({}, enrollment);
+    if (used >= this.usageLimit) {
+      return {
+        valid: false,
+        message: 'This coupon has reached its usage limit',
+      };
+    }
+  }
+
+  if (this.perUserLimit > 0) {
+    const usedByUser = await this.countRedemptions({ user }, enrollment);
+    if (usedByUser >= this.perUserLimit) {
+      return { valid: false, message: 'You have already used this coupon' };
+    }
+  }
+
+  const discount = this.calculateDiscount(amount);
+  if (discount >= amount) {
+    return {
+      valid: false,
+      message: 'This coupon cannot reduce the price to zero',
+    };
+  }
+
+  return { valid: true, discount };
+};
+
+// Static to look up and validate a code in one step
+couponSchema.statics.validateCode = async function validateCode(code, context) {
+  const coupon = await this.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+  if (!coupon) {
+    return { valid: false, message: 'Invalid coupon code' };
+  }
+
+  const result = await coupon.checkEligibility(context);
+  return { ...result, coupon };
+};
+
+// Static to build the Payment.discount entry for an enrollment checkout
+couponSchema.statics.resolveForEnrollment = async function resolveForEnrollment(
+  code,
+  enrollment,
+  userId
+) {
+  const result = await this.validateCode(code, {
+    user: userId,
+    course: enrollment.course,
+    amount: enrollment.payment.amount,
+    currency: enrollment.payment.currency,
+    enrollment: enrollment._id,
+  });
+
+  if (!result.valid) {
+    return result;
+  }
+
+  return {
+    ...result,
+    paymentDiscount: {
+      amount: result.discount,
+      code: result.coupon.code,
+      type: result.coupon.type,
+    },
+  };
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -1,4 +1,59 @@
 const mongoose = require('mongoose');
+const { TEMPLATE_NAMES } = require('../utils/certificate');
+const { GRADES } = require('../utils/grades');
+const { CURRENCIES } = require('../utils/currencies');
+
+const lessonSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Lesson title is required'],
+    trim: true,
+    maxlength: [200, 'Lesson title cannot exceed 200 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Lesson description cannot exceed 2000 characters'],
+  },
+  type: {
+    type: String,
+    enum: ['video', 'reading', 'quiz', 'assignment'],
+    default: 'video',
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  duration: {
+    type: Number, // in minutes
+    default: 0,
+    min: [0, 'Lesson duration cannot be negative'],
+  },
+  videoUrl: String,
+  content: String,
+  materials: [String],
+  isFreePreview: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+const sectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    trim: true,
+    maxlength: [200, 'Section title cannot exceed 200 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Section description cannot exceed 1000 characters'],
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  lessons: [lessonSchema],
+});
 
 const courseSchema = new mongoose.Schema(
   {
@@ -66,8 +121,68 @@ const courseSchema = new mongoose.Schema(
     currency: {
       type: String,
       default: 'BDT',
-      enum: ['BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'],
+      enum: CURRENCIES,
     },
+    // Optional fixed prices in other currencies. Where one is missing the
+    // price is converted with the current exchange rate.
+    prices: {
+      type: [
+        {
+          _id: false,
+          currency: {
+            type: String,
+            required: [true, 'Price currency is required'],
+            enum: CURRENCIES,
+          },
+          amount: {
+            type: Number,
+            required: [true, 'Price amount is required'],
+            min: [0, 'Price cannot be negative'],
+          },
+        },
+      ],
+      validate: {
+        validator: function validatePrices(prices) {
+          const currencies = prices.map(price => price.currency);
+          return new Set(currencies).size === currencies.length;
+        },
+        message: 'Each currency can only have one price',
+      },
+    },
+    // Ways to pay the price in installments instead of all at once. The
+    // surcharge is added to the price before it is split.
+    installmentPlans: [
+      {
+        name: {
+          type: String,
+          required: [true, 'Plan name is required'],
+          trim: true,
+          maxlength: [100, 'Plan name cannot be more than 100 characters'],
+        },
+        installmentCount: {
+          type: Number,
+          required: [true, 'Number of installments is required'],
+          min: [2, 'A plan needs at least 2 installments'],
+          max: [12, 'A plan cannot have more than 12 installments'],
+        },
+        intervalMonths: {
+          type: Number,
+          default: 1,
+          min: [1, 'Installments must be at least a month apart'],
+          max: [6, 'Installments cannot be more than 6 months apart'],
+        },
+        surchargePercent: {
+          type: Number,
+          default: 0,
+          min: [0, 'Surcharge cannot be negative'],
+          max: [100, 'Surcharge cannot exceed 100%'],
+        },
+        isActive: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    ],
     thumbnail: {
       type: String,
       default: '',
@@ -80,18 +195,26 @@ const courseSchema = new mongoose.Schema(
     videoUrl: {
       type: String,
     },
-    syllabus: [
+    curriculum: [sectionSchema],
+    requirements: [
       {
-        title: String,
-        description: String,
-        duration: Number, // in minutes
-        videoUrl: String,
-        materials: [String],
+        type: String,
       },
     ],
-    requirements: [
+    // Courses a student must complete before enrolling, optionally with a
+    // minimum grade
+    prerequisites: [
       {
-        type: String,
+        _id: false,
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+          required: [true, 'Prerequisite course is required'],
+        },
+        minimumGrade: {
+          type: String,
+          enum: GRADES,
+        },
       },
     ],
     learningOutcomes: [
@@ -170,6 +293,15 @@ const courseSchema = new mongoose.Schema(
     },
     certificateTemplate: {
       type: String,
+      enum: TEMPLATE_NAMES,
+      default: 'classic',
+    },
+    // Instructor's share of each sale in percent; unset uses the
+    // INSTRUCTOR_REVENUE_SHARE default
+    revenueSharePercent: {
+      type: Number,
+      min: [0, 'Revenue share cannot be negative'],
+      max: [100, 'Revenue share cannot exceed 100%'],
     },
     materials: [
       {
@@ -230,10 +362,53 @@ courseSchema.methods.updateRating = function updateRating() {
   }
 };
 
+// Method to get an ordered, flat list of lessons
+courseSchema.methods.getLessons = function getLessons() {
+  return this.curriculum.reduce(function collectLessons(lessons, section) {
+    return lessons.concat(
+      section.lessons.map(function toLesson(lesson) {
+        return {
+          lessonId: lesson._id.toString(),
+          sectionId: section._id.toString(),
+          sectionTitle: section.title,
+          title: lesson.title,
+          description: lesson.description,
+          type: lesson.type,
+          duration: lesson.duration,
+          videoUrl: lesson.videoUrl,
+          isFreePreview: lesson.isFreePreview,
+        };
+      })
+    );
+  }, []);
+};
+
+// Method to find a lesson anywhere in the curriculum
+courseSchema.methods.findLesson = function findLesson(lessonId) {
+  for (const section of this.curriculum) {
+    const lesson = section.lessons.id(lessonId);
+    if (lesson) {
+      return { section, lesson };
+    }
+  }
+  return null;
+};
+
 // Pre-save middleware to update rating
 courseSchema.pre('save', function preSaveUpdateRating(next) {
   this.updateRating();
   next();
 });
 
+// Pre-save middleware to keep curriculum order in sync with array position
+courseSchema.pre('save', function preSaveOrderCurriculum(next) {
+  this.curriculum.forEach(function orderSection(section, sectionIndex) {
+    section.order = sectionIndex;
+    section.lessons.forEach(function orderLesson(lesson, lessonIndex) {
+      lesson.order = lessonIndex;
+    });
+  });
+  next();
+});
+
 module.exports = mongoose.model('Course', courseSchema);
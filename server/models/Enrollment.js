@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { getVerifyUrl } = require('../utils/certificate');
+const { GRADES } = require('../utils/grades');
 
 const enrollmentSchema = new mongoose.Schema(
   {
@@ -14,7 +17,16 @@ const enrollmentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'active', 'completed', 'cancelled', 'refunded'],
+      enum: [
+        'pending',
+        'active',
+        'completed',
+        'cancelled',
+        'refunded',
+        // Access paused while an installment is overdue or the membership
+        // the enrollment came with has lapsed
+        'suspended',
+      ],
       default: 'pending',
     },
     enrollmentDate: {
@@ -44,21 +56,7 @@ const enrollmentSchema = new mongoose.Schema(
     ],
     grade: {
       type: String,
-      enum: [
-        'A+',
-        'A',
-        'A-',
-        'B+',
-        'B',
-        'B-',
-        'C+',
-        'C',
-        'C-',
-        'D+',
-        'D',
-        'F',
-        'Incomplete',
-      ],
+      enum: [...GRADES, 'Incomplete'],
       default: 'Incomplete',
     },
     score: {
@@ -86,7 +84,7 @@ const enrollmentSchema = new mongoose.Schema(
       },
       paymentMethod: {
         type: String,
-        enum: ['stripe', 'cash', 'sslcommerz'],
+        enum: ['stripe', 'cash', 'sslcommerz', 'fake'],
         default: 'sslcommerz',
       },
       paymentStatus: {
@@ -103,6 +101,16 @@ const enrollmentSchema = new mongoose.Schema(
       refundDate: Date,
       refundReason: String,
     },
+    // Membership the course is accessed through instead of a payment
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+    },
+    // Voucher redeemed for the enrollment instead of paying
+    voucher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Voucher',
+    },
     notes: {
       student: [
         {
@@ -148,6 +156,16 @@ enrollmentSchema.index({ course: 1 });
 enrollmentSchema.index({ status: 1 });
 enrollmentSchema.index({ enrollmentDate: 1 });
 enrollmentSchema.index({ 'payment.paymentStatus': 1 });
+enrollmentSchema.index({ subscription: 1 }, { sparse: true });
+enrollmentSchema.index(
+  { 'certificate.certificateId': 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      'certificate.certificateId': { $type: 'string' },
+    },
+  }
+);
 
 // Virtual for enrollment duration
 enrollmentSchema.virtual('duration').get(function getDuration() {
@@ -200,14 +218,37 @@ enrollmentSchema.methods.addCompletedLesson = function addCompletedLesson(
   }
 };
 
+// Method to check whether a lesson has been completed
+enrollmentSchema.methods.hasCompletedLesson = function hasCompletedLesson(
+  lessonId
+) {
+  return this.completedLessons.some(function matchLesson(lesson) {
+    return lesson.lessonId === lessonId;
+  });
+};
+
+// Method to recalculate progress against the course's current lessons
+enrollmentSchema.methods.syncProgress = function syncProgress(lessons) {
+  const completedCount = lessons.filter(lesson =>
+    this.hasCompletedLesson(lesson.lessonId)
+  ).length;
+  this.updateProgress(completedCount, lessons.length);
+};
+
 // Method to issue certificate
 enrollmentSchema.methods.issueCertificate = function issueCertificate() {
   if (this.status === 'completed' && !this.certificate.issued) {
     this.certificate.issued = true;
     this.certificate.issuedDate = new Date();
-    this.certificate.certificateId = `CERT-${this._id}-${Date.now()}`;
-    // Generate certificate URL logic here
+    this.certificate.certificateId = `CERT-${crypto
+      .randomBytes(6)
+      .toString('hex')
+      .toUpperCase()}`;
+    this.certificate.certificateUrl = getVerifyUrl(
+      this.certificate.certificateId
+    );
   }
+  return this.certificate.issued;
 };
 
 // Pre-save middleware to update last accessed
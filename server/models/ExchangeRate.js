@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currencies');
+
+// One admin-set rate for converting `baseCurrency` into `quoteCurrency`
+// (1 base = `rate` quote). Rates are never edited in place: setting a new
+// rate adds an entry, so the latest entry per pair is the current rate and
+// older ones are its history.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    baseCurrency: {
+      type: String,
+      required: [true, 'Base currency is required'],
+      enum: CURRENCIES,
+    },
+    quoteCurrency: {
+      type: String,
+      required: [true, 'Quote currency is required'],
+      enum: CURRENCIES,
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be greater than 0'],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exchangeRateSchema.index({ baseCurrency: 1, quoteCurrency: 1, createdAt: -1 });
+
+exchangeRateSchema.pre('validate', function preValidateCurrencies(next) {
+  if (this.baseCurrency === this.quoteCurrency) {
+    this.invalidate(
+      'quoteCurrency',
+      'Quote currency must differ from base currency'
+    );
+  }
+  next();
+});
+
+// Current rate from one currency to another. Falls back to the inverse of
+// the opposite pair, so a single USD→BDT rate also converts BDT to USD.
+exchangeRateSchema.statics.getCurrent = async function getCurrent(from, to) {
+  const direct = await this.findOne({
+    baseCurrency: from,
+    quoteCurrency: to,
+  }).sort({ createdAt: -1 });
+  if (direct) {
+    return { _id: direct._id, rate: direct.rate, inverse: false };
+  }
+
+  const opposite = await this.findOne({
+    baseCurrency: to,
+    quoteCurrency: from,
+  }).sort({ createdAt: -1 });
+  if (opposite) {
+    return { _id: opposite._id, rate: 1 / opposite.rate, inverse: true };
+  }
+
+  return null;
+};
+
+// Latest rate for every pair that has one
+exchangeRateSchema.statics.listCurrent = function listCurrent() {
+  return this.aggregate([
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { base: '$baseCurrency', quote: '$quoteCurrency' },
+        rateId: { $first: '$_id' },
+        rate: { $first: '$rate' },
+        note: { $first: '$note' },
+        updatedAt: { $first: '$createdAt' },
+      },
+    },
+    {
+      $project: {
+        _id: '$rateId',
+        baseCurrency: '$_id.base',
+        quoteCurrency: '$_id.quote',
+        rate: 1,
+        note: 1,
+        updatedAt: 1,
+      },
+    },
+    { $sort: { baseCurrency: 1, quoteCurrency: 1 } },
+  ]);
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
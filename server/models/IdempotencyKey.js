@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// How long a completed response is replayed for, and how long a request
+// may hold its key before a retry is allowed to run it again
+const KEY_TTL_HOURS = parseInt(
+  process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24',
+  10
+);
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+// An `Idempotency-Key` sent with a payment request. The first request with
+// a key stores its response; retries with the same key and body get that
+// response back instead of creating another payment.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Key is required'],
+      maxlength: 255,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    // The endpoint the key was first used with
+    scope: {
+      type: String,
+      required: true,
+    },
+    // Hash of the request body, to reject a key reused for another request
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    responseStatus: {
+      type: Number,
+    },
+    // Serialized JSON, as the response may hold documents and dotted keys
+    responseBody: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// Let MongoDB drop keys once they can no longer be replayed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static to claim a key for a request. Returns `{ record }` when this request
+// should run, or `{ existing }` when the key was already used.
+idempotencyKeySchema.statics.claim = async function claim({
+  key,
+  user,
+  scope,
+  fingerprint,
+}) {
+  // A request that never finished, e.g. after a crash, releases its key
+  await this.deleteOne({
+    user,
+    key,
+    status: 'processing',
+    expiresAt: { $lte: new Date() },
+  });
+
+  try {
+    const record = await this.create({
+      key,
+      user,
+      scope,
+      fingerprint,
+      expiresAt: new Date(Date.now() + LOCK_TIMEOUT_MS),
+    });
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const existing = await this.findOne({ user, key });
+    if (!existing) {
+      // Released in the meantime; let the client retry
+      return { existing: { status: 'processing' } };
+    }
+    return { existing };
+  }
+};
+
+// Method to store the response that retries will receive
+idempotencyKeySchema.methods.complete = function complete(statusCode, body) {
+  this.status = 'completed';
+  this.responseStatus = statusCode;
+  this.responseBody = JSON.stringify(body);
+  this.expiresAt = new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000);
+  return this.save();
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// The installments a student pays a course off in, following one of the
+// course's installment plans
+const installmentScheduleSchema = new mongoose.Schema(
+  {
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Enrollment',
+      required: [true, 'Enrollment is required'],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student is required'],
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: [true, 'Course is required'],
+    },
+    // The plan as it was when the schedule was set up, so later changes to
+    // the course don't affect it
+    plan: {
+      planId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      installmentCount: Number,
+      intervalMonths: Number,
+      surchargePercent: Number,
+    },
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+    },
+    // Course price plus surcharge
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled'],
+      default: 'active',
+    },
+    installments: [
+      {
+        number: {
+          type: Number,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        dueDate: {
+          type: Date,
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'paid', 'overdue'],
+          default: 'pending',
+        },
+        payment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Payment',
+        },
+        paidAt: Date,
+        reminderSentAt: Date,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+installmentScheduleSchema.index({ student: 1, createdAt: -1 });
+installmentScheduleSchema.index({
+  status: 1,
+  'installments.status': 1,
+  'installments.dueDate': 1,
+});
+// Only one schedule in use per enrollment
+installmentScheduleSchema.index(
+  { enrollment: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Method to get the first installment still to be paid
+installmentScheduleSchema.methods.getNextInstallment =
+  function getNextInstallment() {
+    return (
+      this.installments.find(installment => installment.status !== 'paid') ||
+      null
+    );
+  };
+
+module.exports = mongoose.model(
+  'InstallmentSchedule',
+  installmentScheduleSchema
+);
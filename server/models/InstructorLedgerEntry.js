@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// One line of an instructor's earnings ledger. Sales credit the instructor's
+// share of a payment, refunds debit it back and payouts debit what was paid
+// out, so an instructor's balance is the sum of `amount` per currency.
+const instructorLedgerEntrySchema = new mongoose.Schema(
+  {
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Instructor is required'],
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    type: {
+      type: String,
+      enum: ['sale', 'refund', 'payout'],
+      required: [true, 'Entry type is required'],
+    },
+    // Signed: positive for credits, negative for debits
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+    },
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'BDT'],
+    },
+    // Payment amount the share was taken from, and the share applied
+    baseAmount: {
+      type: Number,
+      default: 0,
+    },
+    sharePercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Set once the entry is included in a payout batch
+    payoutBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutBatch',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+instructorLedgerEntrySchema.index({
+  instructor: 1,
+  currency: 1,
+  createdAt: -1,
+});
+instructorLedgerEntrySchema.index({ payoutBatch: 1 });
+instructorLedgerEntrySchema.index({ payment: 1 });
+// Each course of a payment is credited to its instructor only once
+instructorLedgerEntrySchema.index(
+  { payment: 1, course: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'sale' } }
+);
+
+// Balance per currency for one instructor, split into what is already in a
+// payout batch and what is still unbatched
+instructorLedgerEntrySchema.statics.getBalances = async function getBalances(
+  instructorId
+) {
+  const totals = await this.aggregate([
+    { $match: { instructor: new mongoose.Types.ObjectId(instructorId) } },
+    {
+      $group: {
+        _id: '$currency',
+        balance: { $sum: '$amount' },
+        earned: {
+          $sum: { $cond: [{ $eq: ['$type', 'sale'] }, '$amount', 0] },
+        },
+        refunded: {
+          $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] },
+        },
+        paidOut: {
+          $sum: { $cond: [{ $eq: ['$type', 'payout'] }, '$amount', 0] },
+        },
+        unbatched: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ['$type', 'payout'] },
+                  { $eq: ['$payoutBatch', null] },
+                ],
+              },
+              '$amount',
+              0,
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return totals.map(entry => ({
+    currency: entry._id,
+    balance: round(entry.balance),
+    earned: round(entry.earned),
+    refunded: round(-entry.refunded),
+    paidOut: round(-entry.paidOut),
+    pendingPayout: round(entry.balance - entry.unbatched),
+    unbatched: round(entry.unbatched),
+  }));
+};
+
+module.exports = mongoose.model(
+  'InstructorLedgerEntry',
+  instructorLedgerEntrySchema
+);
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+// Numbering series per document type
+const SERIES = new Map([
+  ['invoice', 'INV'],
+  ['credit_note', 'CN'],
+]);
+
+// Month (1-12) the fiscal year starts in; a fiscal year is named after the
+// calendar year it starts in
+const FISCAL_YEAR_START_MONTH = parseInt(
+  process.env.FISCAL_YEAR_START_MONTH || '1',
+  10
+);
+
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const partySchema = new mongoose.Schema(
+  {
+    name: String,
+    email: String,
+    phone: String,
+    taxId: String,
+    address: {
+      line1: String,
+      line2: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String,
+    },
+  },
+  { _id: false }
+);
+
+// An invoice for a completed payment, or a credit note for money refunded
+// against one. Numbers run without gaps per series and fiscal year, and a
+// document can't be changed once issued.
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [...SERIES.keys()],
+      required: [true, 'Invoice type is required'],
+    },
+    number: {
+      type: String,
+      unique: true,
+    },
+    series: {
+      type: String,
+      enum: [...SERIES.values()],
+    },
+    fiscalYear: {
+      type: Number,
+    },
+    sequence: {
+      type: Number,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: [true, 'Payment is required'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+    },
+    // Invoice a credit note corrects
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    lines: [
+      {
+        _id: false,
+        description: String,
+        // Course of a cart checkout's line item
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+        },
+        quantity: { type: Number, default: 1 },
+        unitPrice: Number,
+        amount: Number,
+      },
+    ],
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    discount: {
+      amount: { type: Number, default: 0 },
+      code: String,
+    },
+    tax: {
+      amount: { type: Number, default: 0 },
+      rate: { type: Number, default: 0 },
+      country: String,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    paymentMethod: String,
+    transactionId: String,
+    // Why a credit note was issued
+    reason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSchema.index(
+  { series: 1, fiscalYear: 1, sequence: 1 },
+  { unique: true }
+);
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ payment: 1 });
+// A payment is invoiced only once
+invoiceSchema.index(
+  { payment: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice' } }
+);
+
+// Static to get the fiscal year a date falls in
+invoiceSchema.statics.getFiscalYear = function getFiscalYear(date) {
+  const year = date.getFullYear();
+  return date.getMonth() + 1 >= FISCAL_YEAR_START_MONTH ? year : year - 1;
+};
+
+// Static to issue a document with the next number in its series. Numbers are
+// taken from the last issued document, so one only exists once its document
+// is saved; two issues racing for the same number retry with the next.
+invoiceSchema.statics.issue = async function issue(data) {
+  const series = SERIES.get(data.type);
+  const issuedAt = data.issuedAt || new Date();
+  const fiscalYear = this.getFiscalYear(issuedAt);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const last = await this.findOne({ series, fiscalYear })
+      .sort({ sequence: -1 })
+      .select('sequence');
+    const sequence = last ? last.sequence + 1 : 1;
+
+    try {
+      return await this.create({
+        ...data,
+        series,
+        fiscalYear,
+        sequence,
+        issuedAt,
+        number: `${series}-${fiscalYear}-${String(sequence).padStart(6, '0')}`,
+      });
+    } catch (error) {
+      const numberTaken =
+        error.code === 11000 &&
+        (error.keyPattern?.sequence || error.keyPattern?.number);
+      if (!numberTaken || attempt >= MAX_NUMBERING_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Issued documents are immutable: corrections are made with credit notes
+invoiceSchema.pre('save', function preSaveImmutable(next) {
+  if (!this.isNew) {
+    return next(new Error('Issued invoices cannot be changed'));
+  }
+  next();
+});
+
+invoiceSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'findOneAndDelete',
+  ],
+  function preQueryImmutable(next) {
+    next(new Error('Issued invoices cannot be changed'));
+  }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
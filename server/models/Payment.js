@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { syncPaymentLedger } = require('../utils/revenueShare');
+const { syncPaymentInvoices } = require('../utils/invoices');
+
+function hasNoLineItems() {
+  return !this.items || this.items.length === 0;
+}
+
+// Gifts are for someone else, so their enrollment only exists once the
+// voucher is redeemed
+function paysForOwnEnrollment() {
+  return hasNoLineItems.call(this) && !this.gift?.recipientEmail;
+}
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -7,15 +19,68 @@ const paymentSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'User is required'],
     },
+    // Cart checkouts pay for several enrollments at once; their courses
+    // and enrollments are in `items` instead
     enrollment: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Enrollment',
-      required: [true, 'Enrollment is required'],
+      required: [paysForOwnEnrollment, 'Enrollment is required'],
     },
     course: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Course',
-      required: [true, 'Course is required'],
+      required: [hasNoLineItems, 'Course is required'],
+    },
+    // Line items of a cart or bundle checkout, one per course
+    items: [
+      {
+        course: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Course',
+          required: [true, 'Course is required'],
+        },
+        enrollment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Enrollment',
+          required: [true, 'Enrollment is required'],
+        },
+        title: {
+          type: String,
+          required: [true, 'Course title is required'],
+        },
+        amount: {
+          type: Number,
+          required: [true, 'Line item amount is required'],
+          min: [0, 'Amount cannot be negative'],
+        },
+        refundedAmount: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    // Bundle bought with this payment; its price is spread over the items
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bundle',
+    },
+    // Course bought for someone else. Completing the payment issues them a
+    // voucher; `enrollment` is set when they redeem it.
+    gift: {
+      recipientEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      recipientName: {
+        type: String,
+        trim: true,
+      },
+      message: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Gift message cannot be more than 500 characters'],
+      },
     },
     amount: {
       type: Number,
@@ -29,7 +94,7 @@ const paymentSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ['stripe', 'cash', 'sslcommerz'],
+      enum: ['stripe', 'cash', 'sslcommerz', 'fake'],
       required: [true, 'Payment method is required'],
     },
     status: {
@@ -136,6 +201,30 @@ const paymentSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'Net amount is required'],
     },
+    // Conversion used when the payment is charged in another currency than
+    // the course is priced in, e.g. USD courses paid in BDT via SSLCommerz
+    exchangeRate: {
+      from: String,
+      to: String,
+      rate: Number,
+      source: {
+        type: String,
+        enum: ['exchange_rate', 'course_price'],
+      },
+      rateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExchangeRate',
+      },
+      capturedAt: Date,
+    },
+    // Installment of a payment plan this payment pays for
+    installment: {
+      schedule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InstallmentSchedule',
+      },
+      number: Number,
+    },
     failureReason: {
       code: String,
       message: String,
@@ -167,12 +256,14 @@ const paymentSchema = new mongoose.Schema(
 // Indexes for better query performance
 paymentSchema.index({ user: 1 });
 paymentSchema.index({ enrollment: 1 });
+paymentSchema.index({ 'items.enrollment': 1 });
 paymentSchema.index({ course: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: 1 });
 paymentSchema.index({ transactionId: 1 });
 paymentSchema.index({ stripePaymentIntentId: 1 });
 paymentSchema.index({ stripeChargeId: 1 });
+paymentSchema.index({ 'discount.code': 1 });
 
 // Virtual for formatted amount
 paymentSchema.virtual('formattedAmount').get(function getFormattedAmount() {
@@ -197,10 +288,14 @@ paymentSchema.virtual('isRefunded').get(function getIsRefunded() {
   return this.status === 'refunded' || this.refund.amount > 0;
 });
 
-// Virtual for refundable amount
+// Virtual for refundable amount. Cart payments stay refundable after a
+// partial refund, since each line item is refunded on its own.
 paymentSchema.virtual('refundableAmount').get(function getRefundableAmount() {
-  if (this.status === 'completed' && !this.isRefunded) {
-    return this.amount - this.refund.amount;
+  if (
+    this.status === 'completed' &&
+    (this.items.length > 0 || !this.isRefunded)
+  ) {
+    return this.netAmount - this.refund.amount;
   }
   return 0;
 });
@@ -212,26 +307,41 @@ paymentSchema.methods.generateTransactionId = function generateTransactionId() {
   return `TXN-${timestamp}-${random}`.toUpperCase();
 };
 
-// Method to process refund
+// Method to process refund. `item` is the line item of a cart checkout the
+// refund is for.
 paymentSchema.methods.processRefund = function processRefund(
   amount,
   reason,
-  processedBy
+  processedBy,
+  item
 ) {
   if (amount > this.refundableAmount) {
     throw new Error('Refund amount exceeds refundable amount');
   }
+  if (item && amount > item.amount - item.refundedAmount) {
+    throw new Error('Refund amount exceeds the line item amount');
+  }
 
+  if (item) {
+    item.refundedAmount += amount;
+  }
   this.refund.amount += amount;
   this.refund.reason = reason;
   this.refund.processedBy = processedBy;
   this.refund.processedAt = new Date();
 
-  if (this.refund.amount >= this.amount) {
+  if (this.refund.amount >= this.netAmount) {
     this.status = 'refunded';
   }
 };
 
+// Method to list the enrollments the payment pays for
+paymentSchema.methods.getEnrollmentIds = function getEnrollmentIds() {
+  return this.items.length > 0
+    ? this.items.map(item => item.enrollment)
+    : [this.enrollment];
+};
+
 // Method to add webhook event
 paymentSchema.methods.addWebhookEvent = function addWebhookEvent(event, data) {
   this.webhookEvents.push({ event, data });
@@ -246,7 +356,40 @@ paymentSchema.pre('save', function preSaveGenerateTransaction(next) {
   // Calculate net amount
   this.netAmount = this.amount - this.discount.amount + this.tax.amount;
 
+  // Remember whether the instructor ledger and invoices need to follow
+  // this save
+  this.$locals.syncAccounting =
+    this.isNew || this.isModified('status') || this.isModified('refund.amount');
+
   next();
 });
 
+// Credit or debit the course instructor when a payment completes or is
+// refunded. Ledger problems must never fail the payment itself.
+paymentSchema.post('save', async function postSaveSyncLedger(payment) {
+  if (!payment.$locals.syncAccounting) {
+    return;
+  }
+  try {
+    await syncPaymentLedger(payment);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Instructor ledger sync error:', error);
+  }
+});
+
+// Issue the invoice when a payment completes and credit notes as it is
+// refunded. Like the ledger, this must never fail the payment itself.
+paymentSchema.post('save', async function postSaveSyncInvoices(payment) {
+  if (!payment.$locals.syncAccounting) {
+    return;
+  }
+  try {
+    await syncPaymentInvoices(payment);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Invoice sync error:', error);
+  }
+});
+
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const payoutItemSchema = new mongoose.Schema(
+  {
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Instructor is required'],
+    },
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Payout amount cannot be negative'],
+    },
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: true }
+);
+
+// A run of instructor payouts. Creating a batch reserves every unbatched
+// ledger entry up to `periodEnd`; marking it paid books the payouts.
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'cancelled'],
+      default: 'pending',
+    },
+    periodEnd: {
+      type: Date,
+      required: [true, 'Period end is required'],
+    },
+    items: [payoutItemSchema],
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    paidAt: {
+      type: Date,
+    },
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Bank transfer or other external reference for the payout run
+    paymentReference: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'items.instructor': 1 });
+
+payoutBatchSchema.pre('save', function preSaveGenerateReference(next) {
+  if (!this.reference) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const random = Math.random().toString(36).substr(2, 6);
+    this.reference = `PO-${date}-${random}`.toUpperCase();
+  }
+  next();
+});
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A membership students subscribe to for access to every course, or to
+// every course in one category, billed monthly or yearly through Stripe
+const planSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Plan name is required'],
+      trim: true,
+      maxlength: [100, 'Plan name cannot be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters'],
+    },
+    interval: {
+      type: String,
+      enum: ['month', 'year'],
+      required: [true, 'Billing interval is required'],
+    },
+    price: {
+      type: Number,
+      required: [true, 'Plan price is required'],
+      min: [0, 'Price cannot be negative'],
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+      enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'BDT'],
+    },
+    // Which courses the plan gives access to
+    scope: {
+      type: String,
+      enum: ['all', 'category'],
+      default: 'all',
+    },
+    category: {
+      type: String,
+      trim: true,
+      required: [
+        function requiresCategory() {
+          return this.scope === 'category';
+        },
+        'Category is required for category plans',
+      ],
+    },
+    trialDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Trial days cannot be negative'],
+      max: [90, 'Trial cannot be longer than 90 days'],
+    },
+    stripePriceId: {
+      type: String,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+planSchema.index({ isActive: 1, price: 1 });
+
+// Method to check whether the plan gives access to a course
+planSchema.methods.coversCourse = function coversCourse(course) {
+  return this.scope === 'all' || this.category === course.category;
+};
+
+module.exports = mongoose.model('Plan', planSchema);
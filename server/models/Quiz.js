@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+const optionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Option text is required'],
+    trim: true,
+    maxlength: [500, 'Option text cannot exceed 500 characters'],
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['single_choice', 'multiple_choice', 'true_false', 'short_answer'],
+    required: [true, 'Question type is required'],
+  },
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [1000, 'Question text cannot exceed 1000 characters'],
+  },
+  options: [optionSchema],
+  // Answers accepted for short answer questions (compared case-insensitively)
+  acceptedAnswers: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  points: {
+    type: Number,
+    min: [0, 'Points cannot be negative'],
+    default: 1,
+  },
+  explanation: {
+    type: String,
+    maxlength: [1000, 'Explanation cannot exceed 1000 characters'],
+  },
+});
+
+// Check that each question type has the answers it needs to be graded
+questionSchema.pre('validate', function preValidateAnswers(next) {
+  const correctCount = this.options.filter(function isCorrect(option) {
+    return option.isCorrect;
+  }).length;
+
+  if (this.type === 'short_answer') {
+    if (this.acceptedAnswers.length === 0) {
+      this.invalidate(
+        'acceptedAnswers',
+        'Short answer questions need at least one accepted answer'
+      );
+    }
+  } else if (this.type === 'true_false' && this.options.length !== 2) {
+    this.invalidate('options', 'True/false questions need exactly two options');
+  } else if (this.options.length < 2) {
+    this.invalidate('options', 'Choice questions need at least two options');
+  } else if (this.type === 'multiple_choice' && correctCount < 1) {
+    this.invalidate(
+      'options',
+      'Multiple choice questions need at least one correct option'
+    );
+  }
+
+  if (
+    (this.type === 'single_choice' || this.type === 'true_false') &&
+    correctCount !== 1
+  ) {
+    this.invalidate(
+      'options',
+      'This question needs exactly one correct option'
+    );
+  }
+
+  next();
+});
+
+const quizSchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: [true, 'Course is required'],
+    },
+    // Curriculum lesson (of type 'quiz') this quiz belongs to
+    lessonId: {
+      type: String,
+      required: [true, 'Lesson is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Quiz title is required'],
+      trim: true,
+      maxlength: [200, 'Quiz title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [2000, 'Quiz description cannot exceed 2000 characters'],
+    },
+    questions: [questionSchema],
+    // Minutes allowed per attempt; 0 means no limit
+    timeLimit: {
+      type: Number,
+      min: [0, 'Time limit cannot be negative'],
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      min: [0, 'Attempt limit cannot be negative'],
+      default: 0, // 0 means unlimited
+    },
+    passingScore: {
+      type: Number,
+      min: [0, 'Passing score cannot be negative'],
+      max: [100, 'Passing score cannot exceed 100'],
+      default: 70,
+    },
+    shuffleQuestions: {
+      type: Boolean,
+      default: false,
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false,
+    },
+    // Number of questions drawn from the bank per attempt; 0 means all
+    questionsPerAttempt: {
+      type: Number,
+      min: [0, 'Questions per attempt cannot be negative'],
+      default: 0,
+    },
+    // Relative weight of this quiz in the course score
+    weight: {
+      type: Number,
+      min: [0, 'Weight cannot be negative'],
+      default: 1,
+    },
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+quizSchema.index({ course: 1, lessonId: 1 }, { unique: true });
+
+// Virtual for totalPoints
+quizSchema.virtual('totalPoints').get(function getTotalPoints() {
+  return this.questions.reduce(function sumPoints(total, question) {
+    return total + question.points;
+  }, 0);
+});
+
+// Method to get the quiz details shown to students (no answers)
+quizSchema.methods.getPublicInfo = function getPublicInfo() {
+  return {
+    _id: this._id,
+    course: this.course,
+    lessonId: this.lessonId,
+    title: this.title,
+    description: this.description,
+    questionCount:
+      this.questionsPerAttempt > 0
+        ? Math.min(this.questionsPerAttempt, this.questions.length)
+        : this.questions.length,
+    timeLimit: this.timeLimit,
+    maxAttempts: this.maxAttempts,
+    passingScore: this.passingScore,
+  };
+};
+
+module.exports = mongoose.model('Quiz', quizSchema);
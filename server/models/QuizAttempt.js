@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Late submissions within this window still count, to allow for latency
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+const quizAttemptSchema = new mongoose.Schema(
+  {
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: [true, 'Quiz is required'],
+    },
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Enrollment',
+      required: [true, 'Enrollment is required'],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student is required'],
+    },
+    attemptNumber: {
+      type: Number,
+      required: true,
+    },
+    // Questions served in this attempt, with options in the order shown
+    questions: [
+      {
+        _id: false,
+        question: mongoose.Schema.Types.ObjectId,
+        options: [mongoose.Schema.Types.ObjectId],
+      },
+    ],
+    answers: [
+      {
+        _id: false,
+        question: mongoose.Schema.Types.ObjectId,
+        selectedOptions: [mongoose.Schema.Types.ObjectId],
+        textAnswer: {
+          type: String,
+          maxlength: 1000,
+        },
+        isCorrect: Boolean,
+        pointsAwarded: Number,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['in_progress', 'submitted', 'expired'],
+      default: 'in_progress',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    submittedAt: {
+      type: Date,
+    },
+    score: {
+      type: Number,
+      min: 0,
+    },
+    maxScore: {
+      type: Number,
+      min: 0,
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    passed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+quizAttemptSchema.index({ quiz: 1, student: 1, attemptNumber: 1 });
+quizAttemptSchema.index({ enrollment: 1, status: 1 });
+
+// Virtual for isOverdue
+quizAttemptSchema.virtual('isOverdue').get(function getIsOverdue() {
+  return (
+    !!this.expiresAt && Date.now() > this.expiresAt.getTime() + SUBMIT_GRACE_MS
+  );
+});
+
+// Method to close an attempt that ran past its time limit. It scores zero.
+quizAttemptSchema.methods.expire = function expire() {
+  this.status = 'expired';
+  this.submittedAt = new Date();
+  this.score = 0;
+  this.percentage = 0;
+  this.passed = false;
+  return this.save();
+};
+
+// Method to get the attempt result shown to the student
+quizAttemptSchema.methods.getResult = function getResult() {
+  return {
+    _id: this._id,
+    quiz: this.quiz,
+    attemptNumber: this.attemptNumber,
+    status: this.status,
+    startedAt: this.startedAt,
+    expiresAt: this.expiresAt,
+    submittedAt: this.submittedAt,
+    score: this.score,
+    maxScore: this.maxScore,
+    percentage: this.percentage,
+    passed: this.passed,
+  };
+};
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
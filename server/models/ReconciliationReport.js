@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One run of the pending payment reconciliation: every payment it checked
+// and what became of it
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      default: 'scheduled',
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    summary: {
+      checked: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      expired: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    items: [
+      {
+        _id: false,
+        payment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Payment',
+        },
+        enrollment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Enrollment',
+        },
+        transactionId: String,
+        paymentMethod: String,
+        amount: Number,
+        currency: String,
+        createdAt: Date,
+        outcome: {
+          type: String,
+          enum: ['completed', 'failed', 'expired', 'pending', 'error'],
+        },
+        message: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model(
+  'ReconciliationReport',
+  reconciliationReportSchema
+);
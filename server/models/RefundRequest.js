@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A student's request to be refunded for a course payment, waiting on an
+// admin to approve or reject it
+const refundRequestSchema = new mongoose.Schema(
+  {
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: [true, 'Payment is required'],
+    },
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Enrollment',
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student is required'],
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+    },
+    // Line item of a cart payment the request is for
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+      maxlength: [500, 'Reason cannot be more than 500 characters'],
+    },
+    // What was refundable, of the payment or line item, when requested
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'USD',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    // Where the student stood against the refund policy when asking
+    policy: {
+      daysSincePayment: Number,
+      progress: Number,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot be more than 500 characters'],
+    },
+    refundId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refundRequestSchema.index({ status: 1, createdAt: 1 });
+refundRequestSchema.index({ student: 1, createdAt: -1 });
+// Only one open request per payment
+refundRequestSchema.index(
+  { payment: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('RefundRequest', refundRequestSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || '30',
+  10
+);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the token this one replaced, kept to detect reuse after rotation
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'logout_all', 'password_change', 'reuse'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for isActive
+sessionSchema.virtual('isActive').get(function getIsActive() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to issue a new refresh token, remembering the one it replaces
+sessionSchema.methods.rotateRefreshToken = function rotateRefreshToken() {
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  if (this.refreshTokenHash) {
+    this.previousTokenHash = this.refreshTokenHash;
+  }
+  this.refreshTokenHash = hashToken(secret);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  // The session id prefix lets the token be looked up without a hash scan
+  return `${this._id}.${secret}`;
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function revoke(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Method to get the session details shown to its owner
+sessionSchema.methods.getPublicInfo = function getPublicInfo() {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+  };
+};
+
+// Static to start a session for a user and return its first refresh token
+sessionSchema.statics.start = async function start(userId, req) {
+  const session = new this({
+    user: userId,
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ipAddress: req.ip,
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Static to find the session a refresh token belongs to
+sessionSchema.statics.findByRefreshToken = async function findByRefreshToken(
+  refreshToken
+) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { session: null };
+  }
+
+  const session = await this.findById(sessionId).select(
+    '+refreshTokenHash +previousTokenHash'
+  );
+  if (!session) {
+    return { session: null };
+  }
+
+  const hash = hashToken(secret);
+  if (hash === session.refreshTokenHash) {
+    return { session };
+  }
+  if (hash === session.previousTokenHash) {
+    return { session, reused: true };
+  }
+  return { session: null };
+};
+
+// Static to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function revokeAllForUser(
+  userId,
+  reason = 'logout_all',
+  exceptSessionId = null
+) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
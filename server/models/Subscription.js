@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Statuses in which a subscriber can use the courses their plan covers
+const ACCESS_STATUSES = ['trialing', 'active'];
+
+// A student's membership of a plan. Its lifecycle follows the Stripe
+// subscription behind it, which is kept in sync through webhooks.
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan',
+      required: [true, 'Plan is required'],
+    },
+    status: {
+      type: String,
+      enum: [
+        // Waiting for the first payment
+        'incomplete',
+        'trialing',
+        'active',
+        // A renewal payment failed; Stripe is retrying it
+        'past_due',
+        'cancelled',
+      ],
+      default: 'incomplete',
+    },
+    stripeSubscriptionId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    stripeCustomerId: {
+      type: String,
+    },
+    currentPeriodStart: {
+      type: Date,
+    },
+    currentPeriodEnd: {
+      type: Date,
+    },
+    trialEnd: {
+      type: Date,
+    },
+    // The subscription ends instead of renewing at the end of the period
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    // When the latest Stripe event applied to it happened
+    lastEventAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+subscriptionSchema.index({ user: 1, status: 1 });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+// Method to check whether the subscription currently grants access
+subscriptionSchema.methods.hasAccess = function hasAccess() {
+  return (
+    ACCESS_STATUSES.includes(this.status) &&
+    Boolean(this.currentPeriodEnd) &&
+    this.currentPeriodEnd > new Date()
+  );
+};
+
+// Static to find a user's subscriptions that currently grant access, with
+// their plans
+subscriptionSchema.statics.findWithAccess = function findWithAccess(userId) {
+  return this.find({
+    user: userId,
+    status: { $in: ACCESS_STATUSES },
+    currentPeriodEnd: { $gt: new Date() },
+  }).populate('plan');
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+// Roles that must have two-factor authentication to sign in
+const TWO_FACTOR_REQUIRED_ROLES = (
+  process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,instructor'
+)
+  .split(',')
+  .map(function trimRole(role) {
+    return role.trim();
+  })
+  .filter(Boolean);
+
+const BACKUP_CODE_COUNT = 10;
+
+function hashBackupCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+}
 
 const userSchema = new mongoose.Schema(
   {
@@ -72,6 +93,31 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting its first verified code during setup
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      backupCodes: {
+        type: [String], // sha256 hashes
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
   },
   {
     timestamps: true,
@@ -109,6 +155,91 @@ userSchema.methods.comparePassword = async function comparePassword(
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the role policy requires two-factor authentication
+userSchema.methods.requiresTwoFactor = function requiresTwoFactor() {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+// Method to start two-factor setup; the secret is only used once confirmed
+userSchema.methods.startTwoFactorSetup = function startTwoFactorSetup() {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = secret;
+
+  return {
+    secret,
+    otpauthUrl: totp.buildOtpAuthUrl({
+      secret,
+      accountName: this.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Students Enrollment System',
+    }),
+  };
+};
+
+// Method to replace the backup codes, returning the plain codes once
+userSchema.methods.generateBackupCodes = function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, function newCode() {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  this.twoFactor.backupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+// Method to confirm setup with a code from the pending secret
+userSchema.methods.confirmTwoFactorSetup = function confirmTwoFactorSetup(
+  code
+) {
+  const { pendingSecret } = this.twoFactor;
+  const step = pendingSecret ? totp.verifyCode(pendingSecret, code) : null;
+  if (step === null) {
+    return null;
+  }
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.secret = pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.lastUsedStep = step;
+
+  return this.generateBackupCodes();
+};
+
+// Method to check an authenticator or backup code (requires the
+// twoFactor.secret, backupCodes and lastUsedStep fields to be selected)
+userSchema.methods.verifyTwoFactorCode = function verifyTwoFactorCode(code) {
+  if (!this.twoFactor.enabled || !code) {
+    return false;
+  }
+
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  // Backup codes work once each
+  const hash = hashBackupCode(String(code));
+  const index = (this.twoFactor.backupCodes || []).indexOf(hash);
+  if (index === -1) {
+    return false;
+  }
+  this.twoFactor.backupCodes.splice(index, 1);
+  return true;
+};
+
+// Method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function disableTwoFactor() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = undefined;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.backupCodes = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function getPublicProfile() {
   const userObject = this.toObject();
@@ -117,6 +248,13 @@ userSchema.methods.getPublicProfile = function getPublicProfile() {
   delete userObject.emailVerificationExpires;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt,
+      required: this.requiresTwoFactor(),
+    };
+  }
   return userObject;
 };
 
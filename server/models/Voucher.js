@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// A single-use code that enrolls whoever redeems it in a course without
+// paying. Gift vouchers are issued when a gift payment completes; bulk
+// vouchers are generated by admins in batches, e.g. for corporate deals.
+const voucherSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Voucher code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: [true, 'Course is required'],
+    },
+    source: {
+      type: String,
+      enum: ['gift', 'bulk'],
+      required: [true, 'Voucher source is required'],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'redeemed', 'cancelled'],
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // Gifts: the payment that bought the voucher and who it is for
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    purchasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    recipientEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    recipientName: {
+      type: String,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Gift message cannot be more than 500 characters'],
+    },
+    // Bulk vouchers: the batch they were generated in and its name
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Label cannot be more than 100 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    redeemedAt: {
+      type: Date,
+    },
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Enrollment',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One voucher per gift payment, even if the payment completes twice
+voucherSchema.index({ payment: 1 }, { unique: true, sparse: true });
+voucherSchema.index({ batch: 1, status: 1 });
+voucherSchema.index({ purchasedBy: 1, createdAt: -1 });
+
+voucherSchema.virtual('isExpired').get(function getIsExpired() {
+  return Boolean(this.expiresAt && this.expiresAt < new Date());
+});
+
+module.exports = mongoose.model('Voucher', voucherSchema);
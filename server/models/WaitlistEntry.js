@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const WAITLIST_HOLD_HOURS = parseInt(
+  process.env.WAITLIST_HOLD_HOURS || '48',
+  10
+);
+
+// Entries in these states still occupy a place in the queue
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: [true, 'Course is required'],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Student is required'],
+    },
+    // Sort key within the course queue; lower goes first
+    position: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'enrolled', 'expired', 'left'],
+      default: 'waiting',
+    },
+    offeredAt: {
+      type: Date,
+    },
+    offerExpiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+waitlistEntrySchema.index({ course: 1, status: 1, position: 1 });
+// A student can only be in a course queue once at a time
+waitlistEntrySchema.index(
+  { course: 1, student: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_STATUSES } },
+  }
+);
+
+// Virtual for hasActiveOffer
+waitlistEntrySchema.virtual('hasActiveOffer').get(function getHasActiveOffer() {
+  return this.status === 'offered' && this.offerExpiresAt > new Date();
+});
+
+// Method to get the 1-based place in the queue of a waiting entry
+waitlistEntrySchema.methods.getQueuePosition =
+  async function getQueuePosition() {
+    if (this.status !== 'waiting') {
+      return null;
+    }
+    const ahead = await this.constructor.countDocuments({
+      course: this.course,
+      status: 'waiting',
+      position: { $lt: this.position },
+    });
+    return ahead + 1;
+  };
+
+// Method to get the entry details shown to the student
+waitlistEntrySchema.methods.getPublicInfo = async function getPublicInfo() {
+  return {
+    _id: this._id,
+    course: this.course,
+    status: this.status,
+    position: await this.getQueuePosition(),
+    offeredAt: this.offeredAt,
+    offerExpiresAt: this.offerExpiresAt,
+    createdAt: this.createdAt,
+  };
+};
+
+// Static to get the position for a new entry at the back of the queue
+waitlistEntrySchema.statics.nextPosition = async function nextPosition(
+  courseId
+) {
+  const last = await this.findOne({ course: courseId })
+    .sort({ position: -1 })
+    .select('position');
+  return last ? last.position + 1 : 1;
+};
+
+// Static to find the entry a student currently holds in a course queue
+waitlistEntrySchema.statics.findActive = function findActive(
+  courseId,
+  studentId
+) {
+  return this.findOne({
+    course: courseId,
+    student: studentId,
+    status: { $in: ACTIVE_STATUSES },
+  });
+};
+
+// Static to count seats held for students who were offered one
+waitlistEntrySchema.statics.countHeldSeats = function countHeldSeats(courseId) {
+  return this.countDocuments({
+    course: courseId,
+    status: 'offered',
+    offerExpiresAt: { $gt: new Date() },
+  });
+};
+
+// Static to offer any free seats in a course to the next students in line and
+// return the entries that received an offer. Offers that ran out are expired
+// first so their seats move on too.
+waitlistEntrySchema.statics.offerOpenSeats = async function offerOpenSeats(
+  course
+) {
+  if (!course.maxStudents) {
+    return [];
+  }
+
+  await this.updateMany(
+    {
+      course: course._id,
+      status: 'offered',
+      offerExpiresAt: { $lte: new Date() },
+    },
+    { $set: { status: 'expired' } }
+  );
+
+  const heldSeats = await this.countHeldSeats(course._id);
+  const openSeats = course.maxStudents - course.currentStudents - heldSeats;
+  if (openSeats <= 0) {
+    return [];
+  }
+
+  const entries = await this.find({ course: course._id, status: 'waiting' })
+    .sort({ position: 1 })
+    .limit(openSeats)
+    .populate('student', 'firstName email');
+
+  const offerExpiresAt = new Date(
+    Date.now() + WAITLIST_HOLD_HOURS * 60 * 60 * 1000
+  );
+
+  for (const entry of entries) {
+    entry.status = 'offered';
+    entry.offeredAt = new Date();
+    entry.offerExpiresAt = offerExpiresAt;
+    await entry.save();
+  }
+
+  return entries;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A webhook or IPN received from a payment gateway. Events are stored
+// before they are applied, so one that fails can be retried or replayed
+// instead of being lost.
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: [true, 'Provider is required'],
+    },
+    // The gateway's own ID for the event, used to drop redeliveries
+    eventId: {
+      type: String,
+      required: [true, 'Event ID is required'],
+    },
+    // Normalized event type, e.g. payment.completed
+    type: {
+      type: String,
+      required: true,
+    },
+    // Event name as the gateway sent it, e.g. payment_intent.succeeded
+    gatewayEvent: {
+      type: String,
+    },
+    // The parsed event, as returned by the gateway's parseWebhook
+    event: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['received', 'processed', 'failed'],
+      default: 'received',
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    // When the next automatic retry is due; null once retries are used up,
+    // which leaves the event for an admin to replay
+    nextAttemptAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+// Virtual for failed events that will not be retried automatically
+webhookEventSchema.virtual('isDeadLetter').get(function getIsDeadLetter() {
+  return this.status === 'failed' && !this.nextAttemptAt;
+});
+
+webhookEventSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
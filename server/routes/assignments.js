@@ -0,0 +1,1041 @@
+/* eslint-disable no-console */
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const { updateEnrollmentScore } = require('../utils/gradebook');
+const { getCourseAccess } = require('../utils/courseAccess');
+const { getStorage } = require('../utils/storage');
+const { sendEmail, emailTemplates } = require('../utils/email');
+const { authenticateToken, requireInstructor } = require('../middleware/auth');
+
+// Mounted at /api/courses/:courseId/assignments
+// eslint-disable-next-line new-cap
+const router = express.Router({ mergeParams: true });
+
+const MAX_FILES_PER_SUBMISSION = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024,
+    files: MAX_FILES_PER_SUBMISSION,
+  },
+});
+
+// Accept multipart uploads, turning upload limit errors into 400 responses
+function uploadSubmissionFiles(req, res, next) {
+  upload.array('files', MAX_FILES_PER_SUBMISSION)(
+    req,
+    res,
+    function handleUploadError(error) {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          message:
+            error.code === 'LIMIT_FILE_SIZE'
+              ? 'Uploaded file is too large'
+              : `Upload error: ${error.message}`,
+        });
+      }
+      next(error);
+    }
+  );
+}
+
+const ASSIGNMENT_FIELDS = [
+  'lessonId',
+  'title',
+  'instructions',
+  'dueDate',
+  'allowLateSubmissions',
+  'allowTextSubmission',
+  'allowFileSubmission',
+  'allowedFileTypes',
+  'maxSubmissions',
+  'allowResubmissionAfterGrading',
+  'rubric',
+  'weight',
+  'isPublished',
+];
+
+function pickAssignmentFields(source) {
+  return ASSIGNMENT_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+    return fields;
+  }, {});
+}
+
+// Shared validators; `optional` makes every field optional for updates
+function assignmentValidators(optional) {
+  function field(name) {
+    return optional ? body(name).optional() : body(name);
+  }
+
+  return [
+    field('lessonId').notEmpty().withMessage('Lesson ID is required'),
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Assignment title must be between 1 and 200 characters'),
+    body('instructions')
+      .optional()
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Instructions cannot exceed 5000 characters'),
+    body('dueDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Due date must be a valid date'),
+    body('allowedFileTypes')
+      .optional()
+      .isArray()
+      .withMessage('Allowed file types must be an array'),
+    body('rubric').optional().isArray().withMessage('Rubric must be an array'),
+    body('rubric.*.title')
+      .trim()
+      .notEmpty()
+      .withMessage('Each rubric criterion needs a title'),
+    body('rubric.*.maxPoints')
+      .isFloat({ min: 1 })
+      .withMessage('Each rubric criterion must be worth at least 1 point'),
+    body('maxSubmissions')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Submission limit must be a non-negative integer'),
+    body('weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Weight cannot be negative'),
+    body([
+      'allowLateSubmissions',
+      'allowTextSubmission',
+      'allowFileSubmission',
+      'allowResubmissionAfterGrading',
+      'isPublished',
+    ])
+      .optional()
+      .isBoolean()
+      .withMessage('Settings must be booleans'),
+  ];
+}
+
+// Check that a lesson exists in the course and is an assignment lesson
+function checkAssignmentLesson(course, lessonId) {
+  const found = course.findLesson(lessonId);
+  if (!found) {
+    return 'Lesson not found in this course';
+  }
+  if (found.lesson.type !== 'assignment') {
+    return 'Assignments can only be attached to assignment lessons';
+  }
+  return null;
+}
+
+// Work out why a student may not submit (again), or null if they may
+function getSubmissionBlocker(assignment, submissions) {
+  if (assignment.isPastDue && !assignment.allowLateSubmissions) {
+    return 'The due date for this assignment has passed';
+  }
+  if (
+    assignment.maxSubmissions > 0 &&
+    submissions.length >= assignment.maxSubmissions
+  ) {
+    return 'You have used all submissions for this assignment';
+  }
+  if (
+    !assignment.allowResubmissionAfterGrading &&
+    submissions.some(submission => submission.status === 'graded')
+  ) {
+    return 'This assignment has already been graded';
+  }
+  return null;
+}
+
+// Files whose extension the assignment does not accept
+function findRejectedFiles(assignment, files) {
+  if (assignment.allowedFileTypes.length === 0) {
+    return [];
+  }
+  return files.filter(
+    file =>
+      !assignment.allowedFileTypes.includes(
+        path.extname(file.originalname).toLowerCase()
+      )
+  );
+}
+
+function getCourseLearnUrl(courseId) {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/courses/${courseId}/learn`;
+}
+
+// @route   GET /api/courses/:courseId/assignments
+// @desc    Get the assignments of a course (students see published ones only)
+// @access  Private (Enrolled students/Instructor)
+router.get(
+  '/',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    query('lessonId').optional().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, canManage, enrollment } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      if (!canManage && !enrollment) {
+        return res.status(403).json({
+          message: 'Access denied. You are not enrolled in this course.',
+        });
+      }
+
+      const filter = { course: course._id };
+      if (req.query.lessonId) {
+        filter.lessonId = req.query.lessonId;
+      }
+      if (!canManage) {
+        filter.isPublished = true;
+      }
+
+      const assignments = await Assignment.find(filter).sort({
+        dueDate: 1,
+        createdAt: 1,
+      });
+
+      if (canManage) {
+        return res.json({ assignments });
+      }
+
+      // Students get each assignment with their own submissions
+      const submissions = await AssignmentSubmission.find({
+        enrollment: enrollment._id,
+        assignment: { $in: assignments.map(assignment => assignment._id) },
+      }).sort({ submissionNumber: 1 });
+
+      res.json({
+        assignments: assignments.map(assignment => {
+          const own = submissions.filter(
+            submission =>
+              submission.assignment.toString() === assignment._id.toString()
+          );
+          return {
+            ...assignment.getPublicInfo(),
+            submissionsUsed: own.length,
+            canSubmit: !getSubmissionBlocker(assignment, own),
+            submissions: own.map(submission => submission.getResult()),
+          };
+        }),
+      });
+    } catch (error) {
+      console.error('Get assignments error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching assignments',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:courseId/assignments
+// @desc    Create an assignment for an assignment lesson
+// @access  Private (Admin/Instructor)
+router.post(
+  '/',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    requireInstructor,
+    ...assignmentValidators(false),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      const lessonError = checkAssignmentLesson(course, req.body.lessonId);
+      if (lessonError) {
+        return res.status(400).json({
+          message: lessonError,
+        });
+      }
+
+      if (
+        await Assignment.exists({
+          course: course._id,
+          lessonId: req.body.lessonId,
+        })
+      ) {
+        return res.status(400).json({
+          message: 'This lesson already has an assignment',
+        });
+      }
+
+      const assignment = new Assignment({
+        ...pickAssignmentFields(req.body),
+        course: course._id,
+      });
+      await assignment.save();
+
+      res.status(201).json({
+        message: 'Assignment created successfully',
+        assignment,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while creating assignment',
+          details: error.message,
+        });
+      }
+      console.error('Create assignment error:', error);
+      res.status(500).json({
+        message: 'Server error while creating assignment',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:courseId/assignments/grading-queue
+// @desc    Get submissions waiting to be graded, oldest first
+// @access  Private (Admin/Instructor)
+router.get(
+  '/grading-queue',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    requireInstructor,
+    query('assignmentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid assignment ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const assignmentFilter = { course: req.params.courseId };
+      if (req.query.assignmentId) {
+        assignmentFilter._id = req.query.assignmentId;
+      }
+      const assignments = await Assignment.find(assignmentFilter).select(
+        'title dueDate rubric'
+      );
+
+      const submissions = await AssignmentSubmission.find({
+        assignment: { $in: assignments.map(assignment => assignment._id) },
+        status: 'submitted',
+      })
+        .populate('student', 'firstName lastName email')
+        .sort({ submittedAt: 1 });
+
+      const assignmentsById = new Map(
+        assignments.map(assignment => [assignment._id.toString(), assignment])
+      );
+
+      res.json({
+        queue: submissions.map(submission => ({
+          ...submission.getResult(),
+          student: submission.student,
+          assignment: assignmentsById.get(submission.assignment.toString()),
+        })),
+      });
+    } catch (error) {
+      console.error('Get grading queue error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching grading queue',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:courseId/assignments/:assignmentId
+// @desc    Get an assignment
+// @access  Private (Enrolled students/Instructor)
+router.get(
+  '/:assignmentId',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('assignmentId').isMongoId().withMessage('Invalid assignment ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, canManage, enrollment } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+      const assignment = course
+        ? await Assignment.findOne({
+            _id: req.params.assignmentId,
+            course: course._id,
+          })
+        : null;
+
+      if (!assignment || (!canManage && !assignment.isPublished)) {
+        return res.status(404).json({
+          message: 'Assignment not found',
+        });
+      }
+
+      if (!canManage && !enrollment) {
+        return res.status(403).json({
+          message: 'Access denied. You are not enrolled in this course.',
+        });
+      }
+
+      res.json({
+        assignment: canManage ? assignment : assignment.getPublicInfo(),
+      });
+    } catch (error) {
+      console.error('Get assignment error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching assignment',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:courseId/assignments/:assignmentId
+// @desc    Update an assignment
+// @access  Private (Admin/Instructor)
+router.put(
+  '/:assignmentId',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('assignmentId').isMongoId().withMessage('Invalid assignment ID'),
+    requireInstructor,
+    ...assignmentValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const assignment = await Assignment.findOne({
+        _id: req.params.assignmentId,
+        course: req.params.courseId,
+      });
+
+      if (!assignment) {
+        return res.status(404).json({
+          message: 'Assignment not found',
+        });
+      }
+
+      if (req.body.lessonId && req.body.lessonId !== assignment.lessonId) {
+        const course = await Course.findById(req.params.courseId);
+        const lessonError = checkAssignmentLesson(course, req.body.lessonId);
+        if (lessonError) {
+          return res.status(400).json({
+            message: lessonError,
+          });
+        }
+      }
+
+      // Graded submissions are scored against the rubric they were graded with
+      if (
+        req.body.rubric &&
+        (await AssignmentSubmission.exists({
+          assignment: assignment._id,
+          status: 'graded',
+        }))
+      ) {
+        return res.status(400).json({
+          message: 'The rubric cannot be changed after grading has started',
+        });
+      }
+
+      assignment.set(pickAssignmentFields(req.body));
+      await assignment.save();
+
+      res.json({
+        message: 'Assignment updated successfully',
+        assignment,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while updating assignment',
+          details: error.message,
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({
+          message: 'This lesson already has an assignment',
+        });
+      }
+      console.error('Update assignment error:', error);
+      res.status(500).json({
+        message: 'Server error while updating assignment',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/courses/:courseId/assignments/:assignmentId
+// @desc    Delete an assignment (ones with submissions are unpublished instead)
+// @access  Private (Admin/Instructor)
+router.delete(
+  '/:assignmentId',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('assignmentId').isMongoId().withMessage('Invalid assignment ID'),
+    requireInstructor,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const assignment = await Assignment.findOne({
+        _id: req.params.assignmentId,
+        course: req.params.courseId,
+      });
+
+      if (!assignment) {
+        return res.status(404).json({
+          message: 'Assignment not found',
+        });
+      }
+
+      // Submissions feed student grades, so keep the assignment they refer to
+      if (await AssignmentSubmission.exists({ assignment: assignment._id })) {
+        assignment.isPublished = false;
+        await assignment.save();
+        return res.json({
+          message:
+            'Assignment has submissions and was unpublished instead of deleted',
+          assignment,
+        });
+      }
+
+      await assignment.deleteOne();
+
+      res.json({
+        message: 'Assignment deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete assignment error:', error);
+      res.status(500).json({
+        message: 'Server error while deleting assignment',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:courseId/assignments/:assignmentId/submissions
+// @desc    Submit text and/or files for an assignment (multipart/form-data)
+// @access  Private (Enrolled students)
+router.post(
+  '/:assignmentId/submissions',
+  [
+    authenticateToken,
+    uploadSubmissionFiles,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('assignmentId').isMongoId().withMessage('Invalid assignment ID'),
+    body('text')
+      .optional()
+      .isString()
+      .isLength({ max: 20000 })
+      .withMessage('Submission text cannot exceed 20000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, enrollment } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+      const assignment = course
+        ? await Assignment.findOne({
+            _id: req.params.assignmentId,
+            course: course._id,
+            isPublished: true,
+          })
+        : null;
+
+      if (!assignment) {
+        return res.status(404).json({
+          message: 'Assignment not found',
+        });
+      }
+
+      if (!enrollment) {
+        return res.status(403).json({
+          message: 'Access denied. You are not enrolled in this course.',
+        });
+      }
+
+      const text = (req.body.text || '').trim();
+      const files = req.files || [];
+
+      if (!text && files.length === 0) {
+        return res.status(400).json({
+          message: 'Submission must include text or at least one file',
+        });
+      }
+      if (text && !assignment.allowTextSubmission) {
+        return res.status(400).json({
+          message: 'This assignment does not accept text submissions',
+        });
+      }
+      if (files.length > 0 && !assignment.allowFileSubmission) {
+        return res.status(400).json({
+          message: 'This assignment does not accept file uploads',
+        });
+      }
+
+      const rejected = findRejectedFiles(assignment, files);
+      if (rejected.length > 0) {
+        return res.status(400).json({
+          message: `Allowed file types: ${assignment.allowedFileTypes.join(', ')}`,
+          rejectedFiles: rejected.map(file => file.originalname),
+        });
+      }
+
+      const previous = await AssignmentSubmission.find({
+        assignment: assignment._id,
+        enrollment: enrollment._id,
+      });
+
+      const blocker = getSubmissionBlocker(assignment, previous);
+      if (blocker) {
+        return res.status(400).json({
+          message: blocker,
+        });
+      }
+
+      const storage = getStorage();
+      const storedFiles = [];
+      for (const file of files) {
+        const key = await storage.save(file.buffer, {
+          folder: path.posix.join(
+            'assignments',
+            assignment._id.toString(),
+            req.user._id.toString()
+          ),
+          originalName: file.originalname,
+        });
+        storedFiles.push({
+          key,
+          originalName: file.originalname,
+          size: file.size,
+          mimetype: file.mimetype,
+        });
+      }
+
+      const submission = new AssignmentSubmission({
+        assignment: assignment._id,
+        enrollment: enrollment._id,
+        student: req.user._id,
+        submissionNumber: previous.length + 1,
+        text: text || undefined,
+        files: storedFiles,
+        isLate: assignment.isPastDue,
+      });
+
+      try {
+        await submission.save();
+      } catch (saveError) {
+        await Promise.all(storedFiles.map(file => storage.remove(file.key)));
+        throw saveError;
+      }
+
+      // Only the latest submission waits in the grading queue
+      await AssignmentSubmission.updateMany(
+        {
+          assignment: assignment._id,
+          enrollment: enrollment._id,
+          status: 'submitted',
+          _id: { $ne: submission._id },
+        },
+        { status: 'superseded' }
+      );
+
+      try {
+        await sendEmail({
+          to: req.user.email,
+          ...emailTemplates.assignmentSubmitted(
+            req.user.firstName,
+            assignment.title,
+            course.title,
+            submission
+          ),
+        });
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+
+      res.status(201).json({
+        message: submission.isLate
+          ? 'Assignment submitted late'
+          : 'Assignment submitted successfully',
+        submission: submission.getResult(),
+      });
+    } catch (error) {
+      console.error('Submit assignment error:', error);
+      res.status(500).json({
+        message: 'Server error while submitting assignment',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:courseId/assignments/:assignmentId/submissions
+// @desc    Get submissions for an assignment (students see their own)
+// @access  Private (Enrolled students/Instructor)
+router.get(
+  '/:assignmentId/submissions',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('assignmentId').isMongoId().withMessage('Invalid assignment ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, canManage } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+      const assignment = course
+        ? await Assignment.findOne({
+            _id: req.params.assignmentId,
+            course: course._id,
+          })
+        : null;
+
+      if (!assignment) {
+        return res.status(404).json({
+          message: 'Assignment not found',
+        });
+      }
+
+      const filter = { assignment: assignment._id };
+      if (!canManage) {
+        filter.student = req.user._id;
+      }
+
+      const submissions = await AssignmentSubmission.find(filter)
+        .populate('student', 'firstName lastName email')
+        .sort({ submittedAt: -1 });
+
+      res.json({
+        submissions: submissions.map(submission => ({
+          ...submission.getResult(),
+          student: submission.student,
+        })),
+      });
+    } catch (error) {
+      console.error('Get assignment submissions error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching submissions',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:courseId/assignments/:assignmentId/submissions/:submissionId/files/:fileId
+// @desc    Download a file from a submission
+// @access  Private (Submitting student/Instructor)
+router.get(
+  '/:assignmentId/submissions/:submissionId/files/:fileId',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('assignmentId').isMongoId().withMessage('Invalid assignment ID'),
+    param('submissionId').isMongoId().withMessage('Invalid submission ID'),
+    param('fileId').isMongoId().withMessage('Invalid file ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, canManage } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+      const assignment = course
+        ? await Assignment.findOne({
+            _id: req.params.assignmentId,
+            course: course._id,
+          })
+        : null;
+      const submission = assignment
+        ? await AssignmentSubmission.findOne({
+            _id: req.params.submissionId,
+            assignment: assignment._id,
+          })
+        : null;
+      const file = submission ? submission.files.id(req.params.fileId) : null;
+
+      if (!file) {
+        return res.status(404).json({
+          message: 'File not found',
+        });
+      }
+
+      if (
+        !canManage &&
+        submission.student.toString() !== req.user._id.toString()
+      ) {
+        return res.status(403).json({
+          message: 'Access denied. You can only download your own files.',
+        });
+      }
+
+      const stream = getStorage().createReadStream(file.key);
+      stream.on('error', streamError => {
+        console.error('Read submission file error:', streamError);
+        if (!res.headersSent) {
+          res.status(404).json({
+            message: 'File not found',
+          });
+        } else {
+          res.end();
+        }
+      });
+
+      res.attachment(file.originalName);
+      if (file.mimetype) {
+        res.type(file.mimetype);
+      }
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Download submission file error:', error);
+      res.status(500).json({
+        message: 'Server error while downloading file',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:courseId/assignments/:assignmentId/submissions/:submissionId/grade
+// @desc    Grade a submission against the assignment rubric
+// @access  Private (Admin/Instructor)
+router.put(
+  '/:assignmentId/submissions/:submissionId/grade',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('assignmentId').isMongoId().withMessage('Invalid assignment ID'),
+    param('submissionId').isMongoId().withMessage('Invalid submission ID'),
+    requireInstructor,
+    body('rubricScores')
+      .isArray({ min: 1 })
+      .withMessage('Rubric scores are required'),
+    body('rubricScores.*.criterionId')
+      .isMongoId()
+      .withMessage('Each rubric score needs a valid criterion ID'),
+    body('rubricScores.*.points')
+      .isFloat({ min: 0 })
+      .withMessage('Rubric points cannot be negative'),
+    body('rubricScores.*.comment')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Rubric comments cannot exceed 1000 characters'),
+    body('feedback')
+      .optional()
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Feedback cannot exceed 5000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const assignment = await Assignment.findOne({
+        _id: req.params.assignmentId,
+        course: req.params.courseId,
+      }).populate('course', 'title');
+      const submission = assignment
+        ? await AssignmentSubmission.findOne({
+            _id: req.params.submissionId,
+            assignment: assignment._id,
+          }).populate('student', 'firstName email')
+        : null;
+
+      if (!submission) {
+        return res.status(404).json({
+          message: 'Submission not found',
+        });
+      }
+
+      if (submission.status === 'superseded') {
+        return res.status(400).json({
+          message: 'This submission was replaced by a newer one',
+        });
+      }
+
+      // Every rubric criterion must be scored exactly once
+      const scoresByCriterion = new Map(
+        req.body.rubricScores.map(entry => [String(entry.criterionId), entry])
+      );
+      if (
+        scoresByCriterion.size !== req.body.rubricScores.length ||
+        scoresByCriterion.size !== assignment.rubric.length ||
+        assignment.rubric.some(
+          criterion => !scoresByCriterion.has(criterion._id.toString())
+        )
+      ) {
+        return res.status(400).json({
+          message: 'Score every rubric criterion exactly once',
+        });
+      }
+
+      const overLimit = assignment.rubric.find(
+        criterion =>
+          Number(scoresByCriterion.get(criterion._id.toString()).points) >
+          criterion.maxPoints
+      );
+      if (overLimit) {
+        return res.status(400).json({
+          message: `"${overLimit.title}" is worth at most ${overLimit.maxPoints} points`,
+        });
+      }
+
+      submission.rubricScores = assignment.rubric.map(criterion => {
+        const entry = scoresByCriterion.get(criterion._id.toString());
+        return {
+          criterion: criterion._id,
+          points: Number(entry.points),
+          comment: entry.comment,
+        };
+      });
+      submission.score = submission.rubricScores.reduce(
+        (sum, entry) => sum + entry.points,
+        0
+      );
+      submission.maxScore = assignment.totalPoints;
+      submission.percentage =
+        Math.round((submission.score / submission.maxScore) * 10000) / 100;
+      submission.feedback = req.body.feedback;
+      submission.status = 'graded';
+      submission.gradedBy = req.user._id;
+      submission.gradedAt = new Date();
+      await submission.save();
+
+      const enrollment = await Enrollment.findById(submission.enrollment);
+      if (enrollment) {
+        await updateEnrollmentScore(enrollment);
+        await enrollment.save();
+      }
+
+      try {
+        await sendEmail({
+          to: submission.student.email,
+          ...emailTemplates.assignmentGraded(
+            submission.student.firstName,
+            assignment.title,
+            assignment.course.title,
+            submission,
+            getCourseLearnUrl(assignment.course._id)
+          ),
+        });
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+
+      res.json({
+        message: 'Submission graded successfully',
+        submission: submission.getResult(),
+        enrollment: enrollment
+          ? { score: enrollment.score, grade: enrollment.grade }
+          : null,
+      });
+    } catch (error) {
+      console.error('Grade submission error:', error);
+      res.status(500).json({
+        message: 'Server error while grading submission',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { authenticateToken } = require('../middleware/auth');
 const { sendEmail } = require('../utils/email');
 
@@ -17,7 +18,16 @@ router.get('/test', (req, res) => {
     methods: {
       'POST /register': 'Register a new user',
       'POST /login': 'Login user',
+      'POST /login/2fa': 'Complete login with a two-factor code',
+      'POST /2fa/setup': 'Start two-factor setup',
+      'POST /2fa/enable': 'Confirm two-factor setup',
+      'POST /2fa/disable': 'Disable two-factor authentication',
+      'POST /2fa/backup-codes': 'Regenerate backup codes',
+      'POST /refresh': 'Exchange a refresh token for new tokens',
       'POST /logout': 'Logout user',
+      'GET /sessions': 'List active sessions',
+      'DELETE /sessions/:id': 'Revoke a session',
+      'DELETE /sessions': 'Log out everywhere',
       'POST /forgot-password': 'Request password reset',
       'POST /reset-password': 'Reset password',
       'GET /me': 'Get current user',
@@ -27,13 +37,71 @@ router.get('/test', (req, res) => {
   });
 });
 
-// Generate JWT token
-function generateToken(userId) {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d',
+// Generate a short-lived access token bound to a session
+function generateAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
   });
 }
 
+// Fields needed to check two-factor codes, hidden by default
+const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+// Generate a token that only lets the holder finish a two-factor step
+function generateTwoFactorToken(userId, purpose) {
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: '10m',
+  });
+}
+
+// Return the user ID of a two-factor token, or null if it is not valid
+function verifyTwoFactorToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Two-factor setup is reachable with an access token or, for accounts that
+// must enroll before they can sign in, with the setup token from /login
+async function authenticateTwoFactorSetup(req, res, next) {
+  if (!req.body.twoFactorToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const userId = verifyTwoFactorToken(req.body.twoFactorToken, 'setup');
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        message: 'Invalid or expired two-factor token',
+      });
+    }
+
+    req.user = user;
+    req.isLoginSetup = true;
+    next();
+  } catch (error) {
+    console.error('Two-factor setup auth error:', error);
+    res.status(500).json({
+      message: 'Internal server error.',
+    });
+  }
+}
+
+// Start a session and issue its access and refresh tokens
+async function issueTokens(user, req) {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+  };
+}
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -131,13 +199,13 @@ router.post(
         // Continue with registration even if email fails
       }
 
-      // Generate token
-      const token = generateToken(user._id);
+      const { token, refreshToken } = await issueTokens(user, req);
 
       res.status(201).json({
         message:
           'User registered successfully. Please check your email to verify your account.',
         token,
+        refreshToken,
         user: user.getPublicProfile(),
       });
     } catch (error) {
@@ -197,16 +265,33 @@ router.post(
         });
       }
 
+      // Accounts with two-factor authentication finish at /login/2fa;
+      // roles that require it but have not set it up must do so first
+      if (user.twoFactor.enabled || user.requiresTwoFactor()) {
+        const setupRequired = !user.twoFactor.enabled;
+        return res.json({
+          message: setupRequired
+            ? 'Two-factor authentication must be set up before you can sign in'
+            : 'Enter the code from your authenticator app',
+          twoFactorRequired: !setupRequired,
+          twoFactorSetupRequired: setupRequired,
+          twoFactorToken: generateTwoFactorToken(
+            user._id,
+            setupRequired ? 'setup' : 'login'
+          ),
+        });
+      }
+
       // Update last login
       user.lastLogin = new Date();
       await user.save();
 
-      // Generate token
-      const token = generateToken(user._id);
+      const { token, refreshToken } = await issueTokens(user, req);
 
       res.json({
         message: 'Login successful',
         token,
+        refreshToken,
         user: user.getPublicProfile(),
       });
     } catch (error) {
@@ -218,6 +303,443 @@ router.post(
   }
 );
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with an authenticator or backup code
+// @access  Public
+router.post(
+  '/login/2fa',
+  [
+    body('twoFactorToken')
+      .notEmpty()
+      .withMessage('Two-factor token is required'),
+    body('code').trim().notEmpty().withMessage('Code is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = verifyTwoFactorToken(req.body.twoFactorToken, 'login');
+      const user = userId
+        ? await User.findById(userId).select(TWO_FACTOR_FIELDS)
+        : null;
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          message: 'Invalid or expired two-factor token',
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(401).json({
+          message: 'Invalid two-factor code',
+        });
+      }
+
+      user.lastLogin = new Date();
+      await user.save();
+
+      const { token, refreshToken } = await issueTokens(user, req);
+
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: user.getPublicProfile(),
+        backupCodesRemaining: user.twoFactor.backupCodes.length,
+      });
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        message: 'Server error during login',
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate a new authenticator secret and provisioning URI
+// @access  Private (or setup token from login)
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const { secret, otpauthUrl } = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl,
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Server error during two-factor setup',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm setup with a code and enable two-factor authentication
+// @access  Private (or setup token from login)
+router.post(
+  '/2fa/enable',
+  [
+    authenticateTwoFactorSetup,
+    body('code').trim().notEmpty().withMessage('Code is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({
+          message: 'Two-factor authentication is already enabled',
+        });
+      }
+
+      const backupCodes = user.confirmTwoFactorSetup(req.body.code);
+      if (!backupCodes) {
+        return res.status(400).json({
+          message: 'Invalid two-factor code',
+        });
+      }
+
+      if (req.isLoginSetup) {
+        user.lastLogin = new Date();
+      }
+      await user.save();
+
+      const response = {
+        message: 'Two-factor authentication enabled',
+        backupCodes,
+      };
+
+      // Enrolling from the login screen also completes the login
+      if (req.isLoginSetup) {
+        Object.assign(response, await issueTokens(user, req), {
+          user: user.getPublicProfile(),
+        });
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      res.status(500).json({
+        message: 'Server error while enabling two-factor authentication',
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post(
+  '/2fa/disable',
+  [
+    authenticateToken,
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').trim().notEmpty().withMessage('Code is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      if (req.user.requiresTwoFactor()) {
+        return res.status(403).json({
+          message: `Two-factor authentication is required for ${req.user.role} accounts`,
+        });
+      }
+
+      const user = await User.findById(req.user._id).select(
+        `+password ${TWO_FACTOR_FIELDS}`
+      );
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          message: 'Two-factor authentication is not enabled',
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(req.body.password);
+      if (!isPasswordValid || !user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(400).json({
+          message: 'Password or two-factor code is incorrect',
+        });
+      }
+
+      user.disableTwoFactor();
+      await user.save();
+
+      res.json({
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      res.status(500).json({
+        message: 'Server error while disabling two-factor authentication',
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes
+// @access  Private
+router.post(
+  '/2fa/backup-codes',
+  [
+    authenticateToken,
+    body('code').trim().notEmpty().withMessage('Code is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          message: 'Two-factor authentication is not enabled',
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(req.body.code)) {
+        return res.status(400).json({
+          message: 'Invalid two-factor code',
+        });
+      }
+
+      const backupCodes = user.generateBackupCodes();
+      await user.save();
+
+      res.json({
+        message: 'Backup codes regenerated',
+        backupCodes,
+      });
+    } catch (error) {
+      console.error('Backup codes error:', error);
+      res.status(500).json({
+        message: 'Server error while generating backup codes',
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate a refresh token and issue a new access token
+// @access  Public
+router.post(
+  '/refresh',
+  [body('refreshToken').notEmpty().withMessage('Refresh token is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { session, reused } = await Session.findByRefreshToken(
+        req.body.refreshToken
+      );
+
+      if (!session || !session.isActive) {
+        return res.status(401).json({
+          message: 'Invalid or expired refresh token',
+        });
+      }
+
+      // A rotated-out token coming back means it leaked; end the session
+      if (reused) {
+        await session.revoke('reuse');
+        return res.status(401).json({
+          message: 'Refresh token has already been used. Please log in again.',
+        });
+      }
+
+      const user = await User.findById(session.user);
+      if (!user || !user.isActive) {
+        await session.revoke();
+        return res.status(401).json({
+          message: 'Account is deactivated.',
+        });
+      }
+
+      // Sessions of accounts that fall under the two-factor policy without
+      // having set it up end here, sending the user through login setup
+      if (user.requiresTwoFactor() && !user.twoFactor.enabled) {
+        await session.revoke();
+        return res.status(401).json({
+          message:
+            'Two-factor authentication must be set up. Please log in again.',
+        });
+      }
+
+      const refreshToken = session.rotateRefreshToken();
+      session.userAgent = (req.get('user-agent') || '').slice(0, 500);
+      session.ipAddress = req.ip;
+      await session.save();
+
+      res.json({
+        token: generateAccessToken(user._id, session._id),
+        refreshToken,
+      });
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        message: 'Server error while refreshing token',
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      const session = await Session.findById(req.sessionId);
+      if (session) {
+        await session.revoke('logout');
+      }
+    }
+
+    res.json({
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout',
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.getPublicInfo(),
+        isCurrent: session._id.toString() === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching sessions',
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete(
+  '/sessions/:id',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid session ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const session = await Session.findOne({
+        _id: req.params.id,
+        user: req.user._id,
+        revokedAt: null,
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          message: 'Session not found',
+        });
+      }
+
+      await session.revoke('revoked');
+
+      res.json({
+        message: 'Session revoked successfully',
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        message: 'Server error while revoking session',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions (log out everywhere)
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all devices',
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      message: 'Server error while revoking sessions',
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -395,6 +917,8 @@ router.post(
       user.passwordResetExpires = undefined;
       await user.save();
 
+      await Session.revokeAllForUser(user._id, 'password_change');
+
       res.json({
         message: 'Password reset successfully',
       });
@@ -449,6 +973,13 @@ router.put(
       user.password = newPassword;
       await user.save();
 
+      // Sign out other devices; the current one stays logged in
+      await Session.revokeAllForUser(
+        user._id,
+        'password_change',
+        req.sessionId
+      );
+
       res.json({
         message: 'Password changed successfully',
       });
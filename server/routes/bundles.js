@@ -0,0 +1,511 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Bundle = require('../models/Bundle');
+const {
+  authenticateToken,
+  requireAdmin,
+  requireStudent,
+  optionalAuth,
+} = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { getGateway } = require('../utils/gateways');
+const { startCartPayment } = require('../utils/paymentLifecycle');
+const { checkCartCourse, reserveCartEnrollment } = require('../utils/cart');
+const { loadBundleCourses, allocateBundlePrice } = require('../utils/bundles');
+const { CURRENCIES } = require('../utils/currencies');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+const BUNDLE_FIELDS = [
+  'title',
+  'description',
+  'thumbnail',
+  'courses',
+  'price',
+  'currency',
+  'isActive',
+];
+
+const BUNDLE_COURSE_FIELDS =
+  'title thumbnail category level price currency instructor status isActive';
+
+function pickBundleFields(source) {
+  return BUNDLE_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+    return fields;
+  }, {});
+}
+
+// Shared validators; `optional` makes every field optional for updates
+function bundleValidators(optional) {
+  function field(name) {
+    return optional ? body(name).optional() : body(name);
+  }
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Bundle title must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot be more than 2000 characters'),
+    body('thumbnail')
+      .optional()
+      .isString()
+      .withMessage('Thumbnail must be a string'),
+    field('courses')
+      .isArray({ min: 2 })
+      .withMessage('A bundle needs at least two courses'),
+    body('courses.*').isMongoId().withMessage('Invalid course ID'),
+    field('price')
+      .isFloat({ min: 0.01 })
+      .withMessage('Price must be greater than 0'),
+    body('currency')
+      .optional()
+      .isIn(CURRENCIES)
+      .withMessage('Invalid currency'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ];
+}
+
+// What the courses cost bought one by one, shown next to the bundle price
+function formatBundle(bundle) {
+  const data = bundle.toObject();
+  const courses = data.courses.filter(Boolean);
+  const listPrice =
+    Math.round(
+      courses.reduce((sum, course) => sum + (course.price || 0), 0) * 100
+    ) / 100;
+
+  return {
+    ...data,
+    listPrice,
+    savings: Math.max(0, Math.round((listPrice - data.price) * 100) / 100),
+  };
+}
+
+// @route   GET /api/bundles
+// @desc    Get active course bundles with pagination. Admins can include
+//          deactivated bundles.
+// @access  Public
+router.get(
+  '/',
+  [
+    optionalAuth,
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('includeInactive')
+      .optional()
+      .isBoolean()
+      .withMessage('includeInactive must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const page = parseInt(req.query.page || '1', 10);
+      const limit = parseInt(req.query.limit || '10', 10);
+
+      const filter = {};
+      if (
+        !(
+          req.query.includeInactive === 'true' &&
+          req.user &&
+          req.user.role === 'admin'
+        )
+      ) {
+        filter.isActive = true;
+      }
+
+      const bundles = await Bundle.find(filter)
+        .populate('courses', BUNDLE_COURSE_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const total = await Bundle.countDocuments(filter);
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        bundles: bundles.map(formatBundle),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit,
+        },
+      });
+    } catch (error) {
+      console.error('Get bundles error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching bundles',
+      });
+    }
+  }
+);
+
+// @route   GET /api/bundles/:id
+// @desc    Get a course bundle by ID
+// @access  Public
+router.get(
+  '/:id',
+  [optionalAuth, param('id').isMongoId().withMessage('Invalid bundle ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const bundle = await Bundle.findById(req.params.id).populate({
+        path: 'courses',
+        select: BUNDLE_COURSE_FIELDS,
+        populate: { path: 'instructor', select: 'firstName lastName' },
+      });
+
+      // Deactivated bundles are only visible to admins
+      if (
+        !bundle ||
+        (!bundle.isActive && !(req.user && req.user.role === 'admin'))
+      ) {
+        return res.status(404).json({
+          message: 'Bundle not found',
+        });
+      }
+
+      res.json({ bundle: formatBundle(bundle) });
+    } catch (error) {
+      console.error('Get bundle error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching bundle',
+      });
+    }
+  }
+);
+
+// @route   POST /api/bundles
+// @desc    Create a course bundle
+// @access  Private (Admin)
+router.post(
+  '/',
+  [authenticateToken, requireAdmin, ...bundleValidators(false)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const bundle = new Bundle({
+        ...pickBundleFields(req.body),
+        createdBy: req.user._id,
+      });
+
+      const { problem } = await loadBundleCourses(
+        bundle.courses,
+        bundle.currency
+      );
+      if (problem) {
+        return res.status(400).json({
+          message: problem,
+        });
+      }
+
+      await bundle.save();
+
+      res.status(201).json({
+        message: 'Bundle created successfully',
+        bundle,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while creating bundle',
+          details: error.message,
+        });
+      }
+      console.error('Create bundle error:', error);
+      res.status(500).json({
+        message: 'Server error while creating bundle',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/bundles/:id
+// @desc    Update a course bundle. Payments already made keep the price
+//          they were split at.
+// @access  Private (Admin)
+router.put(
+  '/:id',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid bundle ID'),
+    ...bundleValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const bundle = await Bundle.findById(req.params.id);
+      if (!bundle) {
+        return res.status(404).json({
+          message: 'Bundle not found',
+        });
+      }
+
+      bundle.set(pickBundleFields(req.body));
+      if (bundle.isModified('courses') || bundle.isModified('currency')) {
+        const { problem } = await loadBundleCourses(
+          bundle.courses,
+          bundle.currency
+        );
+        if (problem) {
+          return res.status(400).json({
+            message: problem,
+          });
+        }
+      }
+      await bundle.save();
+
+      res.json({
+        message: 'Bundle updated successfully',
+        bundle,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while updating bundle',
+          details: error.message,
+        });
+      }
+      console.error('Update bundle error:', error);
+      res.status(500).json({
+        message: 'Server error while updating bundle',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/bundles/:id
+// @desc    Stop selling a course bundle; students who bought it keep their
+//          enrollments
+// @access  Private (Admin)
+router.delete(
+  '/:id',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid bundle ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const bundle = await Bundle.findById(req.params.id);
+      if (!bundle) {
+        return res.status(404).json({
+          message: 'Bundle not found',
+        });
+      }
+
+      bundle.isActive = false;
+      await bundle.save();
+
+      res.json({
+        message: 'Bundle deactivated successfully',
+        bundle,
+      });
+    } catch (error) {
+      console.error('Delete bundle error:', error);
+      res.status(500).json({
+        message: 'Server error while deactivating bundle',
+      });
+    }
+  }
+);
+
+// @route   POST /api/bundles/:id/purchase
+// @desc    Buy every course in a bundle with one payment of the bundle
+//          price. The price is split over the courses by their own prices,
+//          so each course's instructor is credited with its share.
+// @access  Private (Students only)
+router.post(
+  '/:id/purchase',
+  [
+    authenticateToken,
+    requireStudent,
+    idempotent('bundle-purchase'),
+    param('id').isMongoId().withMessage('Invalid bundle ID'),
+    body('paymentMethod')
+      .custom(value => Boolean(getGateway(value)))
+      .withMessage('Valid payment method is required'),
+    body('billingAddress')
+      .optional()
+      .isObject()
+      .withMessage('Billing address must be an object'),
+    body('cardDetails')
+      .optional()
+      .isObject()
+      .withMessage('Card details must be an object'),
+    body('couponCode')
+      .optional()
+      .isString()
+      .withMessage('Coupon code must be a string'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { paymentMethod, billingAddress, cardDetails, couponCode } =
+        req.body;
+
+      if (couponCode) {
+        return res.status(400).json({
+          message: 'Coupons cannot be applied to bundles',
+        });
+      }
+
+      const bundle = await Bundle.findById(req.params.id);
+      if (!bundle || !bundle.isActive) {
+        return res.status(404).json({
+          message: 'Bundle not found',
+        });
+      }
+
+      // Courses may have been repriced since the bundle was set up
+      const { courses, problem } = await loadBundleCourses(
+        bundle.courses,
+        bundle.currency
+      );
+      if (problem) {
+        return res.status(400).json({
+          message: 'This bundle cannot be bought right now',
+          problems: [{ message: problem }],
+        });
+      }
+
+      const checks = [];
+      const problems = [];
+      for (const course of courses) {
+        const check = await checkCartCourse(course, req.user._id);
+        if (check.problem) {
+          problems.push({
+            courseId: course._id,
+            title: course.title,
+            message: check.problem,
+          });
+        }
+        checks.push(check);
+      }
+      if (problems.length > 0) {
+        return res.status(400).json({
+          message: 'Some courses in this bundle cannot be bought right now',
+          problems,
+        });
+      }
+
+      const shares = allocateBundlePrice(bundle.price, courses);
+      const enrollments = [];
+      for (const [index, course] of courses.entries()) {
+        const enrollment = await reserveCartEnrollment(
+          course,
+          req.user._id,
+          paymentMethod,
+          checks[index],
+          { amount: shares[index], currency: bundle.currency }
+        );
+        enrollment.course = course;
+        enrollments.push(enrollment);
+      }
+
+      const { payment, result } = await startCartPayment(
+        getGateway(paymentMethod),
+        {
+          enrollments,
+          user: req.user,
+          bundle,
+          billingAddress,
+          cardDetails,
+        }
+      );
+
+      if (result.status === 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment failed',
+          error: result.failure?.message,
+          paymentId: payment._id,
+        });
+      }
+
+      res.json({
+        success: true,
+        message:
+          result.status === 'completed'
+            ? 'Payment successful!'
+            : 'Payment initiated',
+        payment,
+        paymentId: payment._id,
+        transactionId: payment.transactionId,
+        redirectUrl: result.redirectUrl,
+        clientSecret: result.clientSecret,
+      });
+    } catch (error) {
+      console.error('Bundle purchase error:', error);
+      res.status(500).json({
+        message: 'Server error while purchasing bundle',
+      });
+    }
+  }
+);
+
+module.exports = router;
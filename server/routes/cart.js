@@ -0,0 +1,328 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Course = require('../models/Course');
+const { authenticateToken, requireStudent } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { getGateway } = require('../utils/gateways');
+const { startCartPayment } = require('../utils/paymentLifecycle');
+const {
+  MAX_CART_ITEMS,
+  checkCartCourse,
+  reserveCartEnrollment,
+} = require('../utils/cart');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken, requireStudent);
+
+const CART_COURSE_FIELDS =
+  'title thumbnail category level price currency status isActive';
+
+async function findCart(userId) {
+  return Cart.findOne({ user: userId }).populate(
+    'items.course',
+    CART_COURSE_FIELDS
+  );
+}
+
+function formatCart(cart) {
+  const items = cart ? cart.items.filter(item => item.course) : [];
+  const total = items.reduce((sum, item) => sum + (item.course.price || 0), 0);
+
+  return {
+    cart: { items },
+    total: Math.round(total * 100) / 100,
+    currency: items.length > 0 ? items[0].course.currency || 'BDT' : null,
+  };
+}
+
+// @route   GET /api/cart
+// @desc    Get the student's cart
+// @access  Private (Students only)
+router.get('/', async (req, res) => {
+  try {
+    const cart = await findCart(req.user._id);
+    res.json(formatCart(cart));
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching cart',
+    });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a course to the cart
+// @access  Private (Students only)
+router.post(
+  '/items',
+  [body('courseId').isMongoId().withMessage('Valid course ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.body.courseId);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      const cart =
+        (await findCart(req.user._id)) || new Cart({ user: req.user._id });
+
+      if (cart.hasCourse(course._id)) {
+        return res.status(409).json({
+          message: 'Course is already in your cart',
+        });
+      }
+
+      if (cart.items.length >= MAX_CART_ITEMS) {
+        return res.status(400).json({
+          message: `Your cart can hold up to ${MAX_CART_ITEMS} courses`,
+        });
+      }
+
+      // One checkout is paid in a single currency
+      const currency = course.currency || 'BDT';
+      const otherCurrency = cart.items.find(
+        item => item.course && (item.course.currency || 'BDT') !== currency
+      );
+      if (otherCurrency) {
+        return res.status(400).json({
+          message: `Courses priced in ${currency} cannot share a cart with courses priced in ${otherCurrency.course.currency || 'BDT'}`,
+        });
+      }
+
+      const { problem } = await checkCartCourse(course, req.user._id);
+      if (problem) {
+        return res.status(400).json({
+          message: problem,
+        });
+      }
+
+      cart.items.push({ course: course._id });
+      await cart.save();
+      await cart.populate('items.course', CART_COURSE_FIELDS);
+
+      res.status(201).json({
+        message: 'Course added to cart',
+        ...formatCart(cart),
+      });
+    } catch (error) {
+      // Lost the race to create the student's cart
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: 'Your cart was updated at the same time. Please try again.',
+        });
+      }
+      console.error('Add to cart error:', error);
+      res.status(500).json({
+        message: 'Server error while adding to cart',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/cart/items/:courseId
+// @desc    Remove a course from the cart
+// @access  Private (Students only)
+router.delete(
+  '/items/:courseId',
+  [param('courseId').isMongoId().withMessage('Invalid course ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const cart = await Cart.findOneAndUpdate(
+        { user: req.user._id },
+        { $pull: { items: { course: req.params.courseId } } },
+        { new: true }
+      ).populate('items.course', CART_COURSE_FIELDS);
+
+      res.json({
+        message: 'Course removed from cart',
+        ...formatCart(cart),
+      });
+    } catch (error) {
+      console.error('Remove from cart error:', error);
+      res.status(500).json({
+        message: 'Server error while removing from cart',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/cart
+// @desc    Empty the cart
+// @access  Private (Students only)
+router.delete('/', async (req, res) => {
+  try {
+    await Cart.updateOne({ user: req.user._id }, { $set: { items: [] } });
+
+    res.json({
+      message: 'Cart cleared',
+      ...formatCart(null),
+    });
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      message: 'Server error while clearing cart',
+    });
+  }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Pay for every course in the cart with one payment. Each course
+//          gets its own enrollment, activated when the payment completes.
+// @access  Private (Students only)
+router.post(
+  '/checkout',
+  [
+    idempotent('cart-checkout'),
+    body('paymentMethod')
+      .custom(value => Boolean(getGateway(value)))
+      .withMessage('Valid payment method is required'),
+    body('billingAddress')
+      .optional()
+      .isObject()
+      .withMessage('Billing address must be an object'),
+    body('cardDetails')
+      .optional()
+      .isObject()
+      .withMessage('Card details must be an object'),
+    body('couponCode')
+      .optional()
+      .isString()
+      .withMessage('Coupon code must be a string'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { paymentMethod, billingAddress, cardDetails, couponCode } =
+        req.body;
+
+      if (couponCode) {
+        return res.status(400).json({
+          message: 'Coupons cannot be applied to cart checkouts',
+        });
+      }
+
+      const cart = await Cart.findOne({ user: req.user._id }).populate(
+        'items.course'
+      );
+      const courses = cart
+        ? cart.items.map(item => item.course).filter(Boolean)
+        : [];
+      if (courses.length === 0) {
+        return res.status(400).json({
+          message: 'Your cart is empty',
+        });
+      }
+
+      // Courses may have filled up or changed since they were added
+      const checks = [];
+      const problems = [];
+      for (const course of courses) {
+        const check = await checkCartCourse(course, req.user._id);
+        if (check.problem) {
+          problems.push({
+            courseId: course._id,
+            title: course.title,
+            message: check.problem,
+          });
+        }
+        checks.push(check);
+      }
+      if (problems.length > 0) {
+        return res.status(400).json({
+          message: 'Some courses in your cart cannot be bought right now',
+          problems,
+        });
+      }
+
+      if (new Set(courses.map(course => course.currency || 'BDT')).size > 1) {
+        return res.status(400).json({
+          message: 'Every course in your cart must be priced in one currency',
+        });
+      }
+
+      const enrollments = [];
+      for (const [index, course] of courses.entries()) {
+        const enrollment = await reserveCartEnrollment(
+          course,
+          req.user._id,
+          paymentMethod,
+          checks[index]
+        );
+        enrollment.course = course;
+        enrollments.push(enrollment);
+      }
+
+      // The gateway decides whether the payment settles now, redirects the
+      // student or waits for a webhook
+      const { payment, result } = await startCartPayment(
+        getGateway(paymentMethod),
+        {
+          enrollments,
+          user: req.user,
+          billingAddress,
+          cardDetails,
+        }
+      );
+
+      if (result.status === 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment failed',
+          error: result.failure?.message,
+          paymentId: payment._id,
+        });
+      }
+
+      cart.items = [];
+      await cart.save();
+
+      res.json({
+        success: true,
+        message:
+          result.status === 'completed'
+            ? 'Payment successful!'
+            : 'Payment initiated',
+        payment,
+        paymentId: payment._id,
+        transactionId: payment.transactionId,
+        redirectUrl: result.redirectUrl,
+        clientSecret: result.clientSecret,
+      });
+    } catch (error) {
+      console.error('Cart checkout error:', error);
+      res.status(500).json({
+        message: 'Server error while checking out',
+      });
+    }
+  }
+);
+
+module.exports = router;
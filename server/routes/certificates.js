@@ -0,0 +1,79 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Enrollment = require('../models/Enrollment');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+// @route   GET /api/certificates/:certificateId/verify
+// @desc    Check that a certificate is genuine
+// @access  Public
+router.get(
+  '/:certificateId/verify',
+  [
+    param('certificateId')
+      .trim()
+      .matches(/^CERT-[A-Za-z0-9-]+$/)
+      .withMessage('Invalid certificate ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const enrollment = await Enrollment.findOne({
+        'certificate.certificateId': req.params.certificateId,
+        'certificate.issued': true,
+      })
+        .populate('student', 'firstName lastName')
+        .populate({
+          path: 'course',
+          select: 'title level duration instructor',
+          populate: { path: 'instructor', select: 'firstName lastName' },
+        });
+
+      if (!enrollment) {
+        return res.status(404).json({
+          valid: false,
+          message: 'Certificate not found',
+        });
+      }
+
+      // A refunded or cancelled enrollment no longer backs its certificate
+      const valid = enrollment.status === 'completed';
+
+      res.json({
+        valid,
+        message: valid
+          ? 'Certificate is valid'
+          : 'This certificate has been revoked',
+        certificate: {
+          certificateId: enrollment.certificate.certificateId,
+          issuedDate: enrollment.certificate.issuedDate,
+          completionDate: enrollment.completionDate,
+          studentName: `${enrollment.student.firstName} ${enrollment.student.lastName}`,
+          course: {
+            title: enrollment.course.title,
+            level: enrollment.course.level,
+            duration: enrollment.course.duration,
+            instructor: enrollment.course.instructor
+              ? `${enrollment.course.instructor.firstName} ${enrollment.course.instructor.lastName}`
+              : null,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Verify certificate error:', error);
+      res.status(500).json({
+        message: 'Server error while verifying certificate',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,390 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'currency',
+  'maxDiscount',
+  'minAmount',
+  'usageLimit',
+  'perUserLimit',
+  'startsAt',
+  'expiresAt',
+  'courses',
+  'categories',
+  'isActive',
+];
+
+function pickCouponFields(source) {
+  return COUPON_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+    return fields;
+  }, {});
+}
+
+// Shared validators; `optional` makes every field optional for updates
+function couponValidators(optional) {
+  function field(name) {
+    return optional ? body(name).optional() : body(name);
+  }
+
+  return [
+    field('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage(
+        'Coupon code must be 3-30 letters, numbers, dashes or underscores'
+      ),
+    field('type')
+      .isIn(['percentage', 'fixed'])
+      .withMessage('Discount type must be percentage or fixed'),
+    field('value')
+      .isFloat({ min: 0.01 })
+      .withMessage('Discount value must be greater than 0'),
+    body('currency')
+      .optional()
+      .isIn(['BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'])
+      .withMessage('Invalid currency'),
+    body(['maxDiscount', 'minAmount'])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Amounts cannot be negative'),
+    body(['usageLimit', 'perUserLimit'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Limits must be non-negative integers'),
+    body(['startsAt', 'expiresAt'])
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Dates must be valid ISO 8601 dates'),
+    body('courses')
+      .optional()
+      .isArray()
+      .withMessage('Courses must be an array'),
+    body('courses.*').isMongoId().withMessage('Invalid course ID'),
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ];
+}
+
+// @route   GET /api/coupons
+// @desc    Get all coupons with usage counts
+// @access  Private (Admin)
+router.get(
+  '/',
+  [
+    authenticateToken,
+    requireAdmin,
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('status')
+      .optional()
+      .isIn(['active', 'inactive', 'expired'])
+      .withMessage('Invalid status'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 10, status, search } = req.query;
+
+      const filter = {};
+      if (status === 'active') {
+        filter.isActive = true;
+        filter.$or = [
+          { expiresAt: { $exists: false } },
+          { expiresAt: null },
+          { expiresAt: { $gte: new Date() } },
+        ];
+      } else if (status === 'inactive') {
+        filter.isActive = false;
+      } else if (status === 'expired') {
+        filter.expiresAt = { $lt: new Date() };
+      }
+      if (search) {
+        filter.code = { $regex: search, $options: 'i' };
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const coupons = await Coupon.find(filter)
+        .populate('courses', 'title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const usage = await Payment.aggregate([
+        {
+          $match: {
+            'discount.code': { $in: coupons.map(coupon => coupon.code) },
+            status: 'completed',
+          },
+        },
+        {
+          $group: {
+            _id: '$discount.code',
+            count: { $sum: 1 },
+            totalDiscount: { $sum: '$discount.amount' },
+          },
+        },
+      ]);
+      const usageByCode = new Map(usage.map(entry => [entry._id, entry]));
+
+      const total = await Coupon.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      res.json({
+        coupons: coupons.map(coupon => ({
+          ...coupon.toObject({ virtuals: true }),
+          usedCount: usageByCode.get(coupon.code)?.count || 0,
+          totalDiscount: usageByCode.get(coupon.code)?.totalDiscount || 0,
+        })),
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get coupons error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching coupons',
+      });
+    }
+  }
+);
+
+// @route   GET /api/coupons/:id
+// @desc    Get coupon by ID
+// @access  Private (Admin)
+router.get(
+  '/:id',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const coupon = await Coupon.findById(req.params.id).populate(
+        'courses',
+        'title category'
+      );
+
+      if (!coupon) {
+        return res.status(404).json({
+          message: 'Coupon not found',
+        });
+      }
+
+      res.json({ coupon });
+    } catch (error) {
+      console.error('Get coupon error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching coupon',
+      });
+    }
+  }
+);
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private (Admin)
+router.post(
+  '/',
+  [authenticateToken, requireAdmin, ...couponValidators(false)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const existing = await Coupon.findOne({
+        code: req.body.code.toUpperCase(),
+      });
+      if (existing) {
+        return res.status(400).json({
+          message: 'A coupon with this code already exists',
+        });
+      }
+
+      const coupon = new Coupon({
+        ...pickCouponFields(req.body),
+        createdBy: req.user._id,
+      });
+      await coupon.save();
+
+      res.status(201).json({
+        message: 'Coupon created successfully',
+        coupon,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while creating coupon',
+          details: error.message,
+        });
+      }
+      console.error('Create coupon error:', error);
+      res.status(500).json({
+        message: 'Server error while creating coupon',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Private (Admin)
+router.put(
+  '/:id',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    ...couponValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon) {
+        return res.status(404).json({
+          message: 'Coupon not found',
+        });
+      }
+
+      if (req.body.code && req.body.code.toUpperCase() !== coupon.code) {
+        const redemptions = await coupon.countRedemptions();
+        if (redemptions > 0) {
+          return res.status(400).json({
+            message: 'The code of a coupon that has been used cannot change',
+          });
+        }
+      }
+
+      coupon.set(pickCouponFields(req.body));
+      await coupon.save();
+
+      res.json({
+        message: 'Coupon updated successfully',
+        coupon,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while updating coupon',
+          details: error.message,
+        });
+      }
+      console.error('Update coupon error:', error);
+      res.status(500).json({
+        message: 'Server error while updating coupon',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon (deactivates it once it has been used)
+// @access  Private (Admin)
+router.delete(
+  '/:id',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const coupon = await Coupon.findById(req.params.id);
+      if (!coupon) {
+        return res.status(404).json({
+          message: 'Coupon not found',
+        });
+      }
+
+      // Keep used coupons so payment history still resolves the code
+      if ((await coupon.countRedemptions()) > 0) {
+        coupon.isActive = false;
+        await coupon.save();
+        return res.json({
+          message: 'Coupon has been used, so it was deactivated instead',
+          coupon,
+        });
+      }
+
+      await coupon.deleteOne();
+
+      res.json({
+        message: 'Coupon deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete coupon error:', error);
+      res.status(500).json({
+        message: 'Server error while deleting coupon',
+      });
+    }
+  }
+);
+
+module.exports = router;
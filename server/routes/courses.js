@@ -1,16 +1,108 @@
 const express = require('express');
 const { body, validationResult, query, param } = require('express-validator');
 const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { TEMPLATE_NAMES } = require('../utils/certificate');
+const { fillOpenSeats } = require('../utils/waitlist');
+const { GRADES } = require('../utils/grades');
+const {
+  getPrerequisiteStatus,
+  validatePrerequisites,
+} = require('../utils/prerequisites');
+const { CURRENCIES, validatePrices } = require('../utils/currencies');
 const {
   authenticateToken,
   requireAdmin,
   requireInstructor,
+  requireStudent,
   optionalAuth,
 } = require('../middleware/auth');
 
 // eslint-disable-next-line new-cap
 const router = express.Router();
 
+const LESSON_TYPES = ['video', 'reading', 'quiz', 'assignment'];
+const LESSON_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'duration',
+  'videoUrl',
+  'content',
+  'materials',
+  'isFreePreview',
+];
+// Fields only admins may change through PUT /api/courses/:id
+const ADMIN_ONLY_COURSE_FIELDS = [
+  'instructor',
+  'isFeatured',
+  'currentStudents',
+  'rating',
+  'reviews',
+  'revenueSharePercent',
+];
+
+// Build the admin view of a course waitlist: students holding an offer
+// first, then everyone still waiting in queue order
+async function getWaitlistQueue(courseId) {
+  const entries = await WaitlistEntry.find({
+    course: courseId,
+    status: { $in: ['offered', 'waiting'] },
+  })
+    .populate('student', 'firstName lastName email')
+    .sort({ status: 1, position: 1 });
+
+  let position = 0;
+  return entries.map(entry => ({
+    _id: entry._id,
+    student: entry.student,
+    status: entry.status,
+    position: entry.status === 'waiting' ? (position += 1) : null,
+    offeredAt: entry.offeredAt,
+    offerExpiresAt: entry.offerExpiresAt,
+    createdAt: entry.createdAt,
+  }));
+}
+
+// Check whether a user may see the content of every lesson in a course
+async function canAccessFullCurriculum(user, course) {
+  if (!user) {
+    return false;
+  }
+
+  const instructorId = course.instructor._id || course.instructor;
+  if (
+    user.role === 'admin' ||
+    instructorId.toString() === user._id.toString()
+  ) {
+    return true;
+  }
+
+  const enrollment = await Enrollment.exists({
+    student: user._id,
+    course: course._id,
+    status: { $in: ['active', 'completed'] },
+  });
+  return !!enrollment;
+}
+
+// Strip lesson content that is not part of the free preview
+function toPublicCurriculum(curriculum) {
+  return curriculum.map(section => ({
+    ...section.toObject(),
+    lessons: section.lessons.map(lesson => {
+      const lessonData = lesson.toObject();
+      if (!lessonData.isFreePreview) {
+        delete lessonData.videoUrl;
+        delete lessonData.content;
+        delete lessonData.materials;
+      }
+      return lessonData;
+    }),
+  }));
+}
+
 // @route   GET /api/courses
 // @desc    Get all courses with filtering and pagination
 // @access  Public
@@ -120,7 +212,7 @@ router.get(
         .sort(sort)
         .skip(skip)
         .limit(parseInt(limit, 10))
-        .select('-syllabus -reviews -materials');
+        .select('-curriculum -reviews -materials');
 
       // Get total count
       const total = await Course.countDocuments(filter);
@@ -169,7 +261,7 @@ router.get('/featured', async (req, res) => {
     })
       .populate('instructor', 'firstName lastName')
       .limit(6)
-      .select('-syllabus -reviews -materials');
+      .select('-curriculum -reviews -materials');
 
     res.json({ courses: featuredCourses });
   } catch (error) {
@@ -225,16 +317,31 @@ router.get(
         });
       }
 
+      // Drafts are visible to admins and the course's own instructor
       if (
         course.status !== 'published' &&
-        (!req.user || req.user.role !== 'admin')
+        !(
+          req.user &&
+          (req.user.role === 'admin' ||
+            course.instructor._id.toString() === req.user._id.toString())
+        )
       ) {
         return res.status(404).json({
           message: 'Course not found',
         });
       }
 
-      res.json({ course });
+      const courseData = course.toObject();
+      if (!(await canAccessFullCurriculum(req.user, course))) {
+        courseData.curriculum = toPublicCurriculum(course.curriculum);
+      }
+      // Each prerequisite shows whether the signed-in student has met it
+      courseData.prerequisites = await getPrerequisiteStatus(
+        course,
+        req.user && req.user._id
+      );
+
+      res.json({ course: courseData });
     } catch (error) {
       console.error('Get course error:', error);
       res.status(500).json({
@@ -292,6 +399,57 @@ router.post(
       .isArray()
       .withMessage('Learning outcomes must be an array'),
     body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('prerequisites')
+      .optional()
+      .isArray()
+      .withMessage('Prerequisites must be an array'),
+    body('prerequisites.*.course')
+      .isMongoId()
+      .withMessage('Each prerequisite needs a valid course ID'),
+    body('prerequisites.*.minimumGrade')
+      .optional({ nullable: true })
+      .isIn(GRADES)
+      .withMessage('Invalid minimum grade'),
+    body('certificate')
+      .optional()
+      .isBoolean()
+      .withMessage('Certificate must be a boolean'),
+    body('prices').optional().isArray().withMessage('Prices must be an array'),
+    body('prices.*.currency')
+      .isIn(CURRENCIES)
+      .withMessage('Invalid price currency'),
+    body('prices.*.amount')
+      .isFloat({ min: 0 })
+      .withMessage('Each price must be a positive number'),
+    body('installmentPlans')
+      .optional()
+      .isArray({ max: 5 })
+      .withMessage('Installment plans must be an array of at most 5 plans'),
+    body('installmentPlans.*.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each installment plan needs a name'),
+    body('installmentPlans.*.installmentCount')
+      .isInt({ min: 2, max: 12 })
+      .withMessage('Installment plans must have between 2 and 12 installments'),
+    body('installmentPlans.*.intervalMonths')
+      .optional()
+      .isInt({ min: 1, max: 6 })
+      .withMessage('Installments must be between 1 and 6 months apart'),
+    body('installmentPlans.*.surchargePercent')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Surcharge must be between 0 and 100'),
+    body('revenueSharePercent')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Revenue share must be between 0 and 100'),
+    body('certificateTemplate')
+      .optional()
+      .isIn(TEMPLATE_NAMES)
+      .withMessage(
+        `Certificate template must be one of: ${TEMPLATE_NAMES.join(', ')}`
+      ),
   ],
   async (req, res) => {
     try {
@@ -303,6 +461,30 @@ router.post(
         });
       }
 
+      if (req.body.prerequisites) {
+        const prerequisiteError = await validatePrerequisites(
+          null,
+          req.body.prerequisites
+        );
+        if (prerequisiteError) {
+          return res.status(400).json({
+            message: prerequisiteError,
+          });
+        }
+      }
+
+      if (req.body.prices) {
+        const pricesError = validatePrices(
+          req.body.prices,
+          req.body.currency || 'BDT'
+        );
+        if (pricesError) {
+          return res.status(400).json({
+            message: pricesError,
+          });
+        }
+      }
+
       const courseData = {
         ...req.body,
         instructor: req.user._id,
@@ -370,6 +552,57 @@ router.put(
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Price must be a positive number'),
+    body('prerequisites')
+      .optional()
+      .isArray()
+      .withMessage('Prerequisites must be an array'),
+    body('prerequisites.*.course')
+      .isMongoId()
+      .withMessage('Each prerequisite needs a valid course ID'),
+    body('prerequisites.*.minimumGrade')
+      .optional({ nullable: true })
+      .isIn(GRADES)
+      .withMessage('Invalid minimum grade'),
+    body('certificate')
+      .optional()
+      .isBoolean()
+      .withMessage('Certificate must be a boolean'),
+    body('prices').optional().isArray().withMessage('Prices must be an array'),
+    body('prices.*.currency')
+      .isIn(CURRENCIES)
+      .withMessage('Invalid price currency'),
+    body('prices.*.amount')
+      .isFloat({ min: 0 })
+      .withMessage('Each price must be a positive number'),
+    body('installmentPlans')
+      .optional()
+      .isArray({ max: 5 })
+      .withMessage('Installment plans must be an array of at most 5 plans'),
+    body('installmentPlans.*.name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each installment plan needs a name'),
+    body('installmentPlans.*.installmentCount')
+      .isInt({ min: 2, max: 12 })
+      .withMessage('Installment plans must have between 2 and 12 installments'),
+    body('installmentPlans.*.intervalMonths')
+      .optional()
+      .isInt({ min: 1, max: 6 })
+      .withMessage('Installments must be between 1 and 6 months apart'),
+    body('installmentPlans.*.surchargePercent')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Surcharge must be between 0 and 100'),
+    body('revenueSharePercent')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Revenue share must be between 0 and 100'),
+    body('certificateTemplate')
+      .optional()
+      .isIn(TEMPLATE_NAMES)
+      .withMessage(
+        `Certificate template must be one of: ${TEMPLATE_NAMES.join(', ')}`
+      ),
   ],
   async (req, res) => {
     try {
@@ -400,12 +633,46 @@ router.put(
         });
       }
 
+      if (req.body.prerequisites) {
+        const prerequisiteError = await validatePrerequisites(
+          course._id,
+          req.body.prerequisites
+        );
+        if (prerequisiteError) {
+          return res.status(400).json({
+            message: prerequisiteError,
+          });
+        }
+      }
+
+      if (req.body.prices || req.body.currency) {
+        const pricesError = validatePrices(
+          req.body.prices || course.prices,
+          req.body.currency || course.currency
+        );
+        if (pricesError) {
+          return res.status(400).json({
+            message: pricesError,
+          });
+        }
+      }
+
+      const updates = { ...req.body };
+      if (req.user.role !== 'admin') {
+        ADMIN_ONLY_COURSE_FIELDS.forEach(field => delete updates[field]);
+      }
+
       const updatedCourse = await Course.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        updates,
         { new: true, runValidators: true }
       );
 
+      // A raised limit opens seats for students on the waitlist
+      if (updatedCourse.maxStudents > course.maxStudents) {
+        await fillOpenSeats(updatedCourse);
+      }
+
       res.json({
         message: 'Course updated successfully',
         course: updatedCourse,
@@ -542,4 +809,837 @@ router.post(
   }
 );
 
+// @route   GET /api/courses/:id/curriculum
+// @desc    Get course curriculum (locked lessons are hidden for guests)
+// @access  Public
+router.get(
+  '/:id/curriculum',
+  [optionalAuth, param('id').isMongoId().withMessage('Invalid course ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id).select(
+        'title instructor status curriculum'
+      );
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      const fullAccess = await canAccessFullCurriculum(req.user, course);
+
+      if (course.status !== 'published' && !fullAccess) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      res.json({
+        curriculum: fullAccess
+          ? course.curriculum
+          : toPublicCurriculum(course.curriculum),
+      });
+    } catch (error) {
+      console.error('Get curriculum error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching curriculum',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:id/curriculum/sections
+// @desc    Add a section to the curriculum
+// @access  Private (Admin/Instructor)
+router.post(
+  '/:id/curriculum/sections',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    requireInstructor,
+    body('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Section title must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Section description cannot exceed 1000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      course.curriculum.push({
+        title: req.body.title,
+        description: req.body.description,
+      });
+      await course.save();
+
+      res.status(201).json({
+        message: 'Section added successfully',
+        section: course.curriculum[course.curriculum.length - 1],
+        curriculum: course.curriculum,
+      });
+    } catch (error) {
+      console.error('Add section error:', error);
+      res.status(500).json({
+        message: 'Server error while adding section',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:id/curriculum/sections/:sectionId
+// @desc    Update a curriculum section
+// @access  Private (Admin/Instructor)
+router.put(
+  '/:id/curriculum/sections/:sectionId',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('sectionId').isMongoId().withMessage('Invalid section ID'),
+    requireInstructor,
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Section title must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Section description cannot exceed 1000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+      const section = course.curriculum.id(req.params.sectionId);
+
+      if (!section) {
+        return res.status(404).json({
+          message: 'Section not found',
+        });
+      }
+
+      ['title', 'description'].forEach(field => {
+        if (req.body[field] !== undefined) {
+          section[field] = req.body[field];
+        }
+      });
+      await course.save();
+
+      res.json({
+        message: 'Section updated successfully',
+        section,
+      });
+    } catch (error) {
+      console.error('Update section error:', error);
+      res.status(500).json({
+        message: 'Server error while updating section',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/courses/:id/curriculum/sections/:sectionId
+// @desc    Delete a curriculum section and its lessons
+// @access  Private (Admin/Instructor)
+router.delete(
+  '/:id/curriculum/sections/:sectionId',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('sectionId').isMongoId().withMessage('Invalid section ID'),
+    requireInstructor,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      if (!course.curriculum.id(req.params.sectionId)) {
+        return res.status(404).json({
+          message: 'Section not found',
+        });
+      }
+
+      course.curriculum.pull(req.params.sectionId);
+      await course.save();
+
+      res.json({
+        message: 'Section deleted successfully',
+        curriculum: course.curriculum,
+      });
+    } catch (error) {
+      console.error('Delete section error:', error);
+      res.status(500).json({
+        message: 'Server error while deleting section',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:id/curriculum/sections/:sectionId/lessons
+// @desc    Add a lesson to a curriculum section
+// @access  Private (Admin/Instructor)
+router.post(
+  '/:id/curriculum/sections/:sectionId/lessons',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('sectionId').isMongoId().withMessage('Invalid section ID'),
+    requireInstructor,
+    body('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Lesson title must be between 1 and 200 characters'),
+    body('type')
+      .optional()
+      .isIn(LESSON_TYPES)
+      .withMessage('Invalid lesson type'),
+    body('duration')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Duration must be a positive number of minutes'),
+    body('videoUrl')
+      .optional({ checkFalsy: true })
+      .isURL()
+      .withMessage('Video URL must be a valid URL'),
+    body('materials')
+      .optional()
+      .isArray()
+      .withMessage('Materials must be an array'),
+    body('isFreePreview')
+      .optional()
+      .isBoolean()
+      .withMessage('Free preview flag must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+      const section = course.curriculum.id(req.params.sectionId);
+
+      if (!section) {
+        return res.status(404).json({
+          message: 'Section not found',
+        });
+      }
+
+      const lessonData = {};
+      LESSON_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          lessonData[field] = req.body[field];
+        }
+      });
+
+      section.lessons.push(lessonData);
+      await course.save();
+
+      res.status(201).json({
+        message: 'Lesson added successfully',
+        lesson: section.lessons[section.lessons.length - 1],
+      });
+    } catch (error) {
+      console.error('Add lesson error:', error);
+      res.status(500).json({
+        message: 'Server error while adding lesson',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:id/curriculum/sections/:sectionId/lessons/:lessonId
+// @desc    Update a lesson
+// @access  Private (Admin/Instructor)
+router.put(
+  '/:id/curriculum/sections/:sectionId/lessons/:lessonId',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('sectionId').isMongoId().withMessage('Invalid section ID'),
+    param('lessonId').isMongoId().withMessage('Invalid lesson ID'),
+    requireInstructor,
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Lesson title must be between 1 and 200 characters'),
+    body('type')
+      .optional()
+      .isIn(LESSON_TYPES)
+      .withMessage('Invalid lesson type'),
+    body('duration')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Duration must be a positive number of minutes'),
+    body('videoUrl')
+      .optional({ checkFalsy: true })
+      .isURL()
+      .withMessage('Video URL must be a valid URL'),
+    body('materials')
+      .optional()
+      .isArray()
+      .withMessage('Materials must be an array'),
+    body('isFreePreview')
+      .optional()
+      .isBoolean()
+      .withMessage('Free preview flag must be a boolean'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+      const section = course.curriculum.id(req.params.sectionId);
+      const lesson = section && section.lessons.id(req.params.lessonId);
+
+      if (!lesson) {
+        return res.status(404).json({
+          message: 'Lesson not found',
+        });
+      }
+
+      LESSON_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          lesson[field] = req.body[field];
+        }
+      });
+      await course.save();
+
+      res.json({
+        message: 'Lesson updated successfully',
+        lesson,
+      });
+    } catch (error) {
+      console.error('Update lesson error:', error);
+      res.status(500).json({
+        message: 'Server error while updating lesson',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/courses/:id/curriculum/sections/:sectionId/lessons/:lessonId
+// @desc    Delete a lesson
+// @access  Private (Admin/Instructor)
+router.delete(
+  '/:id/curriculum/sections/:sectionId/lessons/:lessonId',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    param('sectionId').isMongoId().withMessage('Invalid section ID'),
+    param('lessonId').isMongoId().withMessage('Invalid lesson ID'),
+    requireInstructor,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+      const section = course.curriculum.id(req.params.sectionId);
+
+      if (!section || !section.lessons.id(req.params.lessonId)) {
+        return res.status(404).json({
+          message: 'Lesson not found',
+        });
+      }
+
+      section.lessons.pull(req.params.lessonId);
+      await course.save();
+
+      res.json({
+        message: 'Lesson deleted successfully',
+        section,
+      });
+    } catch (error) {
+      console.error('Delete lesson error:', error);
+      res.status(500).json({
+        message: 'Server error while deleting lesson',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:id/curriculum/reorder
+// @desc    Reorder sections and lessons (lessons may move between sections)
+// @access  Private (Admin/Instructor)
+router.put(
+  '/:id/curriculum/reorder',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    requireInstructor,
+    body('sections').isArray().withMessage('Sections must be an array'),
+    body('sections.*.sectionId')
+      .isMongoId()
+      .withMessage('Each section needs a valid section ID'),
+    body('sections.*.lessonIds')
+      .isArray()
+      .withMessage('Each section needs a lessonIds array'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { sections } = req.body;
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      const lessonsById = new Map();
+      course.curriculum.forEach(section => {
+        section.lessons.forEach(lesson => {
+          lessonsById.set(lesson._id.toString(), lesson);
+        });
+      });
+
+      const existingSectionIds = course.curriculum
+        .map(section => section._id.toString())
+        .sort();
+      const requestedSectionIds = sections
+        .map(entry => String(entry.sectionId))
+        .sort();
+      const requestedLessonIds = sections
+        .reduce((ids, entry) => ids.concat(entry.lessonIds), [])
+        .map(String)
+        .sort();
+
+      if (
+        existingSectionIds.join() !== requestedSectionIds.join() ||
+        [...lessonsById.keys()].sort().join() !== requestedLessonIds.join()
+      ) {
+        return res.status(400).json({
+          message:
+            'Reorder must list every section and every lesson exactly once',
+        });
+      }
+
+      course.curriculum = sections.map(entry => {
+        const section = course.curriculum.id(entry.sectionId);
+        return {
+          _id: section._id,
+          title: section.title,
+          description: section.description,
+          lessons: entry.lessonIds.map(lessonId =>
+            lessonsById.get(String(lessonId)).toObject()
+          ),
+        };
+      });
+      await course.save();
+
+      res.json({
+        message: 'Curriculum reordered successfully',
+        curriculum: course.curriculum,
+      });
+    } catch (error) {
+      console.error('Reorder curriculum error:', error);
+      res.status(500).json({
+        message: 'Server error while reordering curriculum',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:id/waitlist
+// @desc    Join the waitlist of a full course
+// @access  Private (Students only)
+router.post(
+  '/:id/waitlist',
+  [
+    authenticateToken,
+    requireStudent,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      if (course.status !== 'published' || !course.isActive) {
+        return res.status(400).json({
+          message: 'Course is not available for enrollment',
+        });
+      }
+
+      if (!course.maxStudents) {
+        return res.status(400).json({
+          message: 'This course has no enrollment limit',
+        });
+      }
+
+      const existingEnrollment = await Enrollment.findOne({
+        student: req.user._id,
+        course: course._id,
+      });
+
+      if (existingEnrollment) {
+        return res.status(400).json({
+          message: 'You are already enrolled in this course',
+        });
+      }
+
+      const unmetPrerequisites = (
+        await getPrerequisiteStatus(course, req.user._id)
+      ).filter(prerequisite => !prerequisite.met);
+
+      if (unmetPrerequisites.length > 0) {
+        return res.status(400).json({
+          message: 'You have not met the prerequisites for this course',
+          unmetPrerequisites,
+        });
+      }
+
+      if (await WaitlistEntry.findActive(course._id, req.user._id)) {
+        return res.status(400).json({
+          message: 'You are already on the waitlist for this course',
+        });
+      }
+
+      // Pass any free seats to students already in line before checking
+      await fillOpenSeats(course);
+      const heldSeats = await WaitlistEntry.countHeldSeats(course._id);
+
+      if (course.currentStudents + heldSeats < course.maxStudents) {
+        return res.status(400).json({
+          message: 'Seats are still available. Enroll in the course instead.',
+        });
+      }
+
+      const entry = await WaitlistEntry.create({
+        course: course._id,
+        student: req.user._id,
+        position: await WaitlistEntry.nextPosition(course._id),
+      });
+
+      res.status(201).json({
+        message: 'Joined the waitlist successfully',
+        entry: await entry.getPublicInfo(),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          message: 'You are already on the waitlist for this course',
+        });
+      }
+      console.error('Join waitlist error:', error);
+      res.status(500).json({
+        message: 'Server error while joining waitlist',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:id/waitlist/me
+// @desc    Get the current user's place on a course waitlist
+// @access  Private
+router.get(
+  '/:id/waitlist/me',
+  [authenticateToken, param('id').isMongoId().withMessage('Invalid course ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      // Expire lapsed offers so the student sees an up-to-date status
+      await fillOpenSeats(course);
+      const entry = await WaitlistEntry.findActive(course._id, req.user._id);
+
+      if (!entry) {
+        return res.status(404).json({
+          message: 'You are not on the waitlist for this course',
+        });
+      }
+
+      res.json({
+        entry: await entry.getPublicInfo(),
+      });
+    } catch (error) {
+      console.error('Get waitlist entry error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching waitlist entry',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/courses/:id/waitlist
+// @desc    Leave a course waitlist (a held seat passes to the next student)
+// @access  Private
+router.delete(
+  '/:id/waitlist',
+  [authenticateToken, param('id').isMongoId().withMessage('Invalid course ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const entry = await WaitlistEntry.findActive(req.params.id, req.user._id);
+
+      if (!entry) {
+        return res.status(404).json({
+          message: 'You are not on the waitlist for this course',
+        });
+      }
+
+      const heldSeat = entry.hasActiveOffer;
+      entry.status = 'left';
+      await entry.save();
+
+      if (heldSeat) {
+        const course = await Course.findById(req.params.id);
+        if (course) {
+          await fillOpenSeats(course);
+        }
+      }
+
+      res.json({
+        message: 'Left the waitlist successfully',
+      });
+    } catch (error) {
+      console.error('Leave waitlist error:', error);
+      res.status(500).json({
+        message: 'Server error while leaving waitlist',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:id/waitlist
+// @desc    Get the waitlist of a course
+// @access  Private (Admin only)
+router.get(
+  '/:id/waitlist',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.id);
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      await fillOpenSeats(course);
+
+      res.json({
+        course: {
+          _id: course._id,
+          title: course.title,
+          maxStudents: course.maxStudents,
+          currentStudents: course.currentStudents,
+        },
+        waitlist: await getWaitlistQueue(course._id),
+      });
+    } catch (error) {
+      console.error('Get waitlist error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching waitlist',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:id/waitlist/reorder
+// @desc    Reorder the students waiting for a seat
+// @access  Private (Admin only)
+router.put(
+  '/:id/waitlist/reorder',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid course ID'),
+    body('entryIds').isArray().withMessage('Entry IDs must be an array'),
+    body('entryIds.*').isMongoId().withMessage('Invalid waitlist entry ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { entryIds } = req.body;
+      const entries = await WaitlistEntry.find({
+        course: req.params.id,
+        status: 'waiting',
+      });
+
+      const existingIds = entries.map(entry => entry._id.toString()).sort();
+      const requestedIds = entryIds.map(String).sort();
+
+      if (existingIds.join() !== requestedIds.join()) {
+        return res.status(400).json({
+          message: 'Reorder must list every waiting student exactly once',
+        });
+      }
+
+      await WaitlistEntry.bulkWrite(
+        entryIds.map((entryId, index) => ({
+          updateOne: {
+            filter: { _id: entryId },
+            update: { $set: { position: index + 1 } },
+          },
+        }))
+      );
+
+      res.json({
+        message: 'Waitlist reordered successfully',
+        waitlist: await getWaitlistQueue(req.params.id),
+      });
+    } catch (error) {
+      console.error('Reorder waitlist error:', error);
+      res.status(500).json({
+        message: 'Server error while reordering waitlist',
+      });
+    }
+  }
+);
+
 module.exports = router;
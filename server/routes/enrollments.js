@@ -1,8 +1,27 @@
 /* eslint-disable no-console */
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, validationResult, query, param } = require('express-validator');
 const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const Voucher = require('../models/Voucher');
+const Payment = require('../models/Payment');
+const { sendEmail, emailTemplates } = require('../utils/email');
+const {
+  renderCertificateHtml,
+  generateCertificatePdf,
+} = require('../utils/certificate');
+const { fillOpenSeats, releaseSeat } = require('../utils/waitlist');
+const { getPrerequisiteStatus } = require('../utils/prerequisites');
+const { getGateway } = require('../utils/gateways');
+const { findCoveringSubscription } = require('../utils/subscriptions');
+const { cancelInstallmentSchedule } = require('../utils/installments');
+const { checkCartCourse, reserveCartEnrollment } = require('../utils/cart');
 const {
   authenticateToken,
   requireAdmin,
@@ -12,6 +31,60 @@ const {
 // eslint-disable-next-line new-cap
 const router = express.Router();
 
+// Issue the certificate (if the course offers one), save, and congratulate
+// the student on an enrollment that has just been completed
+async function finalizeCompletion(enrollment, course) {
+  if (course.certificate) {
+    enrollment.issueCertificate();
+  }
+  await enrollment.save();
+
+  try {
+    const student = await User.findById(enrollment.student);
+    await sendEmail({
+      to: student.email,
+      ...emailTemplates.courseCompletion(
+        student.firstName,
+        course.title,
+        enrollment.certificate.issued ? enrollment.certificate : null
+      ),
+    });
+  } catch (emailError) {
+    console.error('Email sending failed:', emailError);
+  }
+}
+
+// Build the per-lesson progress view for an enrollment
+function buildProgressSummary(enrollment, lessons) {
+  const lessonProgress = lessons.map(lesson => {
+    const completed = enrollment.completedLessons.find(
+      entry => entry.lessonId === lesson.lessonId
+    );
+    return {
+      ...lesson,
+      completed: !!completed,
+      completedAt: completed ? completed.completedAt : null,
+    };
+  });
+
+  const completedCount = lessonProgress.filter(
+    lesson => lesson.completed
+  ).length;
+  const resumeLesson =
+    lessonProgress.find(lesson => !lesson.completed) ||
+    lessonProgress[lessonProgress.length - 1];
+
+  return {
+    enrollmentId: enrollment._id,
+    status: enrollment.status,
+    progress: enrollment.progress,
+    completedCount,
+    totalLessons: lessonProgress.length,
+    resumeLessonId: resumeLesson ? resumeLesson.lessonId : null,
+    lessons: lessonProgress,
+  };
+}
+
 // @route   GET /api/enrollments
 // @desc    Get user enrollments
 // @access  Private
@@ -21,7 +94,14 @@ router.get(
     authenticateToken,
     query('status')
       .optional()
-      .isIn(['pending', 'active', 'completed', 'cancelled', 'refunded'])
+      .isIn([
+        'pending',
+        'active',
+        'completed',
+        'cancelled',
+        'refunded',
+        'suspended',
+      ])
       .withMessage('Invalid status'),
     query('page')
       .optional()
@@ -184,6 +264,7 @@ router.get('/my-enrollments', [authenticateToken], async (req, res) => {
       pending: allEnrollments.filter(e => e.status === 'pending').length,
       cancelled: allEnrollments.filter(e => e.status === 'cancelled').length,
       refunded: allEnrollments.filter(e => e.status === 'refunded').length,
+      suspended: allEnrollments.filter(e => e.status === 'suspended').length,
     };
 
     res.json({
@@ -214,7 +295,7 @@ router.get('/:id', [authenticateToken], async (req, res) => {
     const enrollment = await Enrollment.findById(req.params.id)
       .populate(
         'course',
-        'title description thumbnail price duration instructor syllabus materials'
+        'title description thumbnail price currency prices installmentPlans duration instructor curriculum materials'
       )
       .populate('student', 'firstName lastName email')
       .populate('course.instructor', 'firstName lastName email');
@@ -254,7 +335,7 @@ router.post(
     requireStudent,
     body('courseId').isMongoId().withMessage('Valid course ID is required'),
     body('paymentMethod')
-      .isIn(['stripe', 'cash', 'sslcommerz'])
+      .custom(value => Boolean(getGateway(value)))
       .withMessage('Valid payment method is required'),
   ],
   async (req, res) => {
@@ -295,18 +376,46 @@ router.post(
         });
       }
 
-      // Check if course has available spots
-      if (
-        course.maxStudents > 0 &&
-        course.currentStudents >= course.maxStudents
-      ) {
+      const unmetPrerequisites = (
+        await getPrerequisiteStatus(course, req.user._id)
+      ).filter(prerequisite => !prerequisite.met);
+
+      if (unmetPrerequisites.length > 0) {
         return res.status(400).json({
-          message: 'Course is full. No more enrollments available.',
+          message: 'You have not met the prerequisites for this course',
+          unmetPrerequisites,
         });
       }
 
+      // Check if course has available spots. Seats held for students offered
+      // one from the waitlist are not available to anyone else.
+      let waitlistEntry = null;
+      if (course.maxStudents > 0) {
+        await fillOpenSeats(course);
+        waitlistEntry = await WaitlistEntry.findActive(courseId, req.user._id);
+
+        const heldSeats = await WaitlistEntry.countHeldSeats(courseId);
+        const holdsSeat = waitlistEntry && waitlistEntry.hasActiveOffer;
+        if (
+          !holdsSeat &&
+          course.currentStudents + heldSeats >= course.maxStudents
+        ) {
+          return res.status(400).json({
+            message: 'Course is full. No more enrollments available.',
+            waitlistAvailable: true,
+          });
+        }
+      }
+
+      // Members whose plan covers the course enroll without paying, for as
+      // long as their subscription lasts
+      const subscription =
+        course.price > 0
+          ? await findCoveringSubscription(req.user._id, course)
+          : null;
+
       // Create enrollment with proper payment amount validation
-      const paymentAmount = course.price || 0;
+      const paymentAmount = subscription ? 0 : course.price || 0;
       const enrollment = new Enrollment({
         student: req.user._id,
         course: courseId,
@@ -317,6 +426,7 @@ router.post(
           paymentStatus: paymentAmount === 0 ? 'completed' : 'pending',
           ...(paymentAmount === 0 && { paymentDate: new Date() }),
         },
+        ...(subscription && { subscription: subscription._id }),
         // Set status to active for free courses
         status: paymentAmount === 0 ? 'active' : 'pending',
         ...(paymentAmount === 0 && { startDate: new Date() }),
@@ -324,6 +434,11 @@ router.post(
 
       await enrollment.save();
 
+      if (waitlistEntry) {
+        waitlistEntry.status = 'enrolled';
+        await waitlistEntry.save();
+      }
+
       // Update course student count
       await Course.findByIdAndUpdate(
         courseId,
@@ -353,6 +468,150 @@ router.post(
   }
 );
 
+// @route   POST /api/enrollments/redeem
+// @desc    Redeem a gift or bulk voucher code for an active enrollment in
+//          its course, without paying
+// @access  Private (Students only)
+router.post(
+  '/redeem',
+  [
+    authenticateToken,
+    requireStudent,
+    body('code')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Voucher code is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const voucher = await Voucher.findOne({
+        code: req.body.code.toUpperCase(),
+      });
+      if (!voucher) {
+        return res.status(404).json({
+          message: 'Voucher code not found',
+        });
+      }
+
+      if (voucher.status !== 'active') {
+        return res.status(400).json({
+          message:
+            voucher.status === 'redeemed'
+              ? 'This voucher has already been redeemed'
+              : 'This voucher has been cancelled',
+        });
+      }
+
+      if (voucher.isExpired) {
+        return res.status(400).json({
+          message: 'This voucher has expired',
+        });
+      }
+
+      const course = await Course.findById(voucher.course);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      // The same checks as buying the course; the seat is taken now
+      const check = await checkCartCourse(course, req.user._id);
+      if (check.problem) {
+        return res.status(400).json({
+          message: check.problem,
+        });
+      }
+
+      // Claim the voucher first so it can't be redeemed twice at once
+      const claimed = await Voucher.findOneAndUpdate(
+        { _id: voucher._id, status: 'active' },
+        {
+          $set: {
+            status: 'redeemed',
+            redeemedBy: req.user._id,
+            redeemedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        return res.status(409).json({
+          message: 'This voucher has already been redeemed',
+        });
+      }
+
+      let enrollment;
+      try {
+        // A gift enrollment is worth what was paid for it, so refunding
+        // the gift closes it
+        const payment = claimed.payment
+          ? await Payment.findById(claimed.payment)
+          : null;
+        enrollment = await reserveCartEnrollment(
+          course,
+          req.user._id,
+          payment ? payment.paymentMethod : undefined,
+          check,
+          payment
+            ? { amount: payment.amount, currency: payment.currency }
+            : { amount: 0, currency: course.currency || 'BDT' }
+        );
+
+        enrollment.voucher = claimed._id;
+        enrollment.status = 'active';
+        enrollment.startDate = new Date();
+        enrollment.payment.paymentStatus = 'completed';
+        enrollment.payment.paymentDate = new Date();
+        enrollment.payment.transactionId = payment?.transactionId;
+        await enrollment.save();
+
+        if (payment) {
+          await Payment.updateOne(
+            { _id: payment._id },
+            { $set: { enrollment: enrollment._id } }
+          );
+        }
+      } catch (enrollError) {
+        await Voucher.updateOne(
+          { _id: claimed._id },
+          {
+            $set: { status: 'active' },
+            $unset: { redeemedBy: 1, redeemedAt: 1 },
+          }
+        );
+        throw enrollError;
+      }
+
+      claimed.enrollment = enrollment._id;
+      await claimed.save();
+
+      await enrollment.populate(
+        'course',
+        'title description thumbnail price duration instructor'
+      );
+
+      res.status(201).json({
+        message: 'Voucher redeemed successfully',
+        enrollment,
+      });
+    } catch (error) {
+      console.error('Redeem voucher error:', error);
+      res.status(500).json({
+        message: 'Server error while redeeming voucher',
+      });
+    }
+  }
+);
+
 // @route   PUT /api/enrollments/:id/status
 // @desc    Update enrollment status
 // @access  Private (Admin/Student)
@@ -361,7 +620,14 @@ router.put(
   [
     authenticateToken,
     body('status')
-      .isIn(['pending', 'active', 'completed', 'cancelled', 'refunded'])
+      .isIn([
+        'pending',
+        'active',
+        'completed',
+        'cancelled',
+        'refunded',
+        'suspended',
+      ])
       .withMessage('Valid status is required'),
     body('reason')
       .optional()
@@ -420,6 +686,7 @@ router.put(
 
       const oldStatus = enrollment.status;
       enrollment.status = status;
+      let releasesSeat = false;
 
       console.log(`Status change: ${oldStatus} -> ${status}`);
 
@@ -430,35 +697,13 @@ router.put(
       } else if (status === 'completed') {
         console.log('Setting completion date for completed enrollment');
         enrollment.completionDate = new Date();
-      } else if (status === 'cancelled' || status === 'refunded') {
-        console.log(
-          'Processing cancellation/refund - updating course student count'
-        );
-        try {
-          // Update course student count
-          const course = await Course.findById(enrollment.course);
-          if (course) {
-            console.log(
-              `Found course: ${course.title}, current students: ${course.currentStudents}`
-            );
-            if (course.currentStudents > 0) {
-              course.currentStudents -= 1;
-              await course.save();
-              console.log(
-                `Updated course student count to: ${course.currentStudents}`
-              );
-            } else {
-              console.log(
-                'Course currentStudents already at 0, skipping decrement'
-              );
-            }
-          } else {
-            console.log('Course not found for enrollment:', enrollment.course);
-          }
-        } catch (courseError) {
-          console.error('Error updating course student count:', courseError);
-          // Don't fail the entire operation due to course update error
-        }
+      } else if (
+        (status === 'cancelled' || status === 'refunded') &&
+        oldStatus !== 'cancelled' &&
+        oldStatus !== 'refunded'
+      ) {
+        console.log('Processing cancellation/refund - releasing course seat');
+        releasesSeat = true;
       }
 
       // Add note if reason provided
@@ -483,6 +728,19 @@ router.put(
       await enrollment.save();
       console.log('Enrollment saved successfully');
 
+      // Stop any installment schedule, give the seat back and offer it to
+      // the next student on the waitlist
+      if (releasesSeat) {
+        try {
+          await cancelInstallmentSchedule(enrollment._id);
+          const offered = await releaseSeat(enrollment.course);
+          console.log(`Offered ${offered.length} seat(s) from the waitlist`);
+        } catch (seatError) {
+          // Don't fail the entire operation due to course update error
+          console.error('Error releasing course seat:', seatError);
+        }
+      }
+
       res.json({
         message: 'Enrollment status updated successfully',
         enrollment,
@@ -582,6 +840,186 @@ router.put(
   }
 );
 
+// @route   GET /api/enrollments/:id/progress
+// @desc    Get lesson-level progress for an enrollment
+// @access  Private
+router.get(
+  '/:id/progress',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid enrollment ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const enrollment = await Enrollment.findById(req.params.id);
+
+      if (!enrollment) {
+        return res.status(404).json({
+          message: 'Enrollment not found',
+        });
+      }
+
+      if (
+        req.user.role !== 'admin' &&
+        enrollment.student.toString() !== req.user._id.toString()
+      ) {
+        return res.status(403).json({
+          message: 'Access denied. You can only view your own enrollments.',
+        });
+      }
+
+      const course = await Course.findById(enrollment.course);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      res.json({
+        progress: buildProgressSummary(enrollment, course.getLessons()),
+      });
+    } catch (error) {
+      console.error('Get progress error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching progress',
+      });
+    }
+  }
+);
+
+// @route   POST /api/enrollments/:id/lessons/:lessonId/complete
+// @desc    Mark a lesson as completed and recalculate progress
+// @access  Private (Student)
+router.post(
+  '/:id/lessons/:lessonId/complete',
+  [
+    authenticateToken,
+    requireStudent,
+    param('id').isMongoId().withMessage('Invalid enrollment ID'),
+    param('lessonId').notEmpty().withMessage('Lesson ID is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const enrollment = await Enrollment.findById(req.params.id);
+
+      if (!enrollment) {
+        return res.status(404).json({
+          message: 'Enrollment not found',
+        });
+      }
+
+      // Check if user owns this enrollment
+      if (enrollment.student.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          message: 'Access denied. You can only update your own enrollments.',
+        });
+      }
+
+      if (!['active', 'completed'].includes(enrollment.status)) {
+        return res.status(400).json({
+          message: 'Lessons can only be completed on active enrollments',
+        });
+      }
+
+      const course = await Course.findById(enrollment.course);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      const lessons = course.getLessons();
+      const lesson = lessons.find(
+        entry => entry.lessonId === req.params.lessonId
+      );
+
+      if (!lesson) {
+        return res.status(404).json({
+          message: 'Lesson not found in this course',
+        });
+      }
+
+      // Quiz lessons are completed by passing their quiz
+      if (lesson.type === 'quiz') {
+        const quiz = await Quiz.findOne({
+          course: course._id,
+          lessonId: lesson.lessonId,
+          isPublished: true,
+        });
+        if (
+          quiz &&
+          !(await QuizAttempt.exists({
+            quiz: quiz._id,
+            enrollment: enrollment._id,
+            passed: true,
+          }))
+        ) {
+          return res.status(400).json({
+            message: 'Pass the quiz to complete this lesson',
+          });
+        }
+      }
+
+      // Assignment lessons are completed by submitting their assignment
+      if (lesson.type === 'assignment') {
+        const assignment = await Assignment.findOne({
+          course: course._id,
+          lessonId: lesson.lessonId,
+          isPublished: true,
+        });
+        if (
+          assignment &&
+          !(await AssignmentSubmission.exists({
+            assignment: assignment._id,
+            enrollment: enrollment._id,
+          }))
+        ) {
+          return res.status(400).json({
+            message: 'Submit the assignment to complete this lesson',
+          });
+        }
+      }
+
+      const wasCompleted = enrollment.status === 'completed';
+      enrollment.addCompletedLesson(lesson.lessonId);
+      enrollment.syncProgress(lessons);
+
+      // The final lesson completes the course
+      if (!wasCompleted && enrollment.status === 'completed') {
+        await finalizeCompletion(enrollment, course);
+      } else {
+        await enrollment.save();
+      }
+
+      res.json({
+        message: 'Lesson marked as completed',
+        progress: buildProgressSummary(enrollment, lessons),
+      });
+    } catch (error) {
+      console.error('Complete lesson error:', error);
+      res.status(500).json({
+        message: 'Server error while completing lesson',
+      });
+    }
+  }
+);
+
 // @route   POST /api/enrollments/:id/complete
 // @desc    Mark enrollment as completed
 // @access  Private (Student)
@@ -616,14 +1054,13 @@ router.post(
       enrollment.completionDate = new Date();
       enrollment.progress = 100;
 
-      // Issue certificate if course has certificate
       const course = await Course.findById(enrollment.course);
-      if (course && course.certificate) {
-        enrollment.issueCertificate();
+      if (course) {
+        await finalizeCompletion(enrollment, course);
+      } else {
+        await enrollment.save();
       }
 
-      await enrollment.save();
-
       res.json({
         message: 'Enrollment completed successfully',
         enrollment,
@@ -637,6 +1074,82 @@ router.post(
   }
 );
 
+// @route   GET /api/enrollments/:id/certificate
+// @desc    Download the completion certificate PDF
+// @access  Private
+router.get(
+  '/:id/certificate',
+  [
+    authenticateToken,
+    param('id').isMongoId().withMessage('Invalid enrollment ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const enrollment = await Enrollment.findById(req.params.id)
+        .populate('student', 'firstName lastName')
+        .populate({
+          path: 'course',
+          select: 'title certificateTemplate instructor',
+          populate: { path: 'instructor', select: 'firstName lastName' },
+        });
+
+      if (!enrollment) {
+        return res.status(404).json({
+          message: 'Enrollment not found',
+        });
+      }
+
+      if (
+        req.user.role !== 'admin' &&
+        enrollment.student._id.toString() !== req.user._id.toString()
+      ) {
+        return res.status(403).json({
+          message: 'Access denied. You can only view your own enrollments.',
+        });
+      }
+
+      if (enrollment.status !== 'completed' || !enrollment.certificate.issued) {
+        return res.status(404).json({
+          message: 'No certificate has been issued for this enrollment',
+        });
+      }
+
+      const html = renderCertificateHtml(enrollment);
+
+      // Printable HTML, as with receipts, for when PDF generation is unavailable
+      if (req.query.fallback === 'html') {
+        res.setHeader('Content-Type', 'text/html');
+        return res.send(html);
+      }
+
+      const pdfBuffer = await generateCertificatePdf(html);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="certificate-${enrollment.certificate.certificateId}.pdf"`
+      );
+      res.setHeader('Content-Length', pdfBuffer.length);
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error('Download certificate error:', error);
+      res.status(500).json({
+        message:
+          'Certificate PDF generation currently unavailable. Use ?fallback=html for printable HTML version.',
+        fallbackUrl: `/api/enrollments/${req.params.id}/certificate?fallback=html`,
+      });
+    }
+  }
+);
+
 // @route   GET /api/enrollments/analytics/overview
 // @desc    Get enrollment analytics (Admin only)
 // @access  Private (Admin)
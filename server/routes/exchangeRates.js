@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { CURRENCIES } = require('../utils/currencies');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+// @route   GET /api/exchange-rates
+// @desc    Get the current rate for every currency pair
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.listCurrent();
+
+    res.json({ rates });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching exchange rates',
+    });
+  }
+});
+
+// @route   GET /api/exchange-rates/history
+// @desc    Get past rates, newest first
+// @access  Private (Admin)
+router.get(
+  '/history',
+  [
+    authenticateToken,
+    requireAdmin,
+    query(['baseCurrency', 'quoteCurrency'])
+      .optional()
+      .isIn(CURRENCIES)
+      .withMessage('Invalid currency'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 20, baseCurrency, quoteCurrency } = req.query;
+
+      const filter = {};
+      if (baseCurrency) {
+        filter.baseCurrency = baseCurrency;
+      }
+      if (quoteCurrency) {
+        filter.quoteCurrency = quoteCurrency;
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const rates = await ExchangeRate.find(filter)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await ExchangeRate.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      res.json({
+        rates,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get exchange rate history error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching exchange rate history',
+      });
+    }
+  }
+);
+
+// @route   POST /api/exchange-rates
+// @desc    Set a new current rate for a currency pair
+// @access  Private (Admin)
+router.post(
+  '/',
+  [
+    authenticateToken,
+    requireAdmin,
+    body(['baseCurrency', 'quoteCurrency'])
+      .isIn(CURRENCIES)
+      .withMessage('Invalid currency'),
+    body('quoteCurrency')
+      .custom((value, { req }) => value !== req.body.baseCurrency)
+      .withMessage('Quote currency must differ from base currency'),
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be greater than 0'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { baseCurrency, quoteCurrency, rate, note } = req.body;
+
+      const exchangeRate = new ExchangeRate({
+        baseCurrency,
+        quoteCurrency,
+        rate,
+        note,
+        createdBy: req.user._id,
+      });
+      await exchangeRate.save();
+
+      res.status(201).json({
+        message: 'Exchange rate updated successfully',
+        rate: exchangeRate,
+      });
+    } catch (error) {
+      console.error('Create exchange rate error:', error);
+      res.status(500).json({
+        message: 'Server error while updating exchange rate',
+      });
+    }
+  }
+);
+
+module.exports = router;
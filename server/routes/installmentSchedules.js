@@ -0,0 +1,252 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const InstallmentSchedule = require('../models/InstallmentSchedule');
+const Enrollment = require('../models/Enrollment');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  createInstallmentSchedule,
+  runInstallmentChecks,
+} = require('../utils/installments');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// @route   GET /api/installment-schedules
+// @desc    Get installment schedules; admins see everyone's, students their own
+// @access  Private
+router.get(
+  '/',
+  [
+    query('enrollment')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid enrollment ID'),
+    query('status')
+      .optional()
+      .isIn(InstallmentSchedule.schema.path('status').enumValues)
+      .withMessage('Invalid schedule status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 10, enrollment, status } = req.query;
+      const filter = {};
+      if (req.user.role !== 'admin') {
+        filter.student = req.user._id;
+      }
+      if (enrollment) {
+        filter.enrollment = enrollment;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const schedules = await InstallmentSchedule.find(filter)
+        .populate('student', 'firstName lastName email')
+        .populate('course', 'title')
+        .populate('enrollment', 'status')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await InstallmentSchedule.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      res.json({
+        schedules,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get installment schedules error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching installment schedules',
+      });
+    }
+  }
+);
+
+// @route   POST /api/installment-schedules
+// @desc    Choose an installment plan for an unpaid enrollment
+// @access  Private
+router.post(
+  '/',
+  [
+    body('enrollmentId')
+      .isMongoId()
+      .withMessage('Valid enrollment ID is required'),
+    body('planId').isMongoId().withMessage('Valid plan ID is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { enrollmentId, planId } = req.body;
+
+      const enrollment =
+        await Enrollment.findById(enrollmentId).populate('course');
+      if (!enrollment) {
+        return res.status(404).json({
+          message: 'Enrollment not found',
+        });
+      }
+
+      if (enrollment.student.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          message: 'Access denied. You can only pay for your own enrollments.',
+        });
+      }
+
+      if (
+        enrollment.payment.paymentStatus === 'completed' ||
+        enrollment.payment.amount === 0
+      ) {
+        return res.status(400).json({
+          message: 'This enrollment has nothing left to pay',
+        });
+      }
+
+      const plan = enrollment.course.installmentPlans.find(
+        item => item._id.toString() === planId && item.isActive
+      );
+      if (!plan) {
+        return res.status(404).json({
+          message: 'Installment plan not found for this course',
+        });
+      }
+
+      const existing = await InstallmentSchedule.exists({
+        enrollment: enrollment._id,
+        status: 'active',
+      });
+      if (existing) {
+        return res.status(409).json({
+          message: 'This enrollment is already on an installment plan',
+        });
+      }
+
+      const schedule = await createInstallmentSchedule(enrollment, plan);
+
+      res.status(201).json({
+        message: 'Installment plan set up successfully',
+        schedule,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: 'This enrollment is already on an installment plan',
+        });
+      }
+      console.error('Create installment schedule error:', error);
+      res.status(500).json({
+        message: 'Server error while setting up installment plan',
+      });
+    }
+  }
+);
+
+// @route   POST /api/installment-schedules/run-checks
+// @desc    Send due reminders and suspend overdue enrollments now
+// @access  Private (Admin)
+router.post('/run-checks', requireAdmin, async (req, res) => {
+  try {
+    const summary = await runInstallmentChecks();
+    res.json({ summary });
+  } catch (error) {
+    console.error('Run installment checks error:', error);
+    res.status(500).json({
+      message: 'Server error while checking installments',
+    });
+  }
+});
+
+// @route   DELETE /api/installment-schedules/:id
+// @desc    Cancel an installment plan before anything is paid, so the
+//          enrollment can be paid in full instead
+// @access  Private (Owner or Admin)
+router.delete(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid schedule ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const schedule = await InstallmentSchedule.findById(req.params.id);
+      if (!schedule) {
+        return res.status(404).json({
+          message: 'Installment schedule not found',
+        });
+      }
+
+      if (
+        req.user.role !== 'admin' &&
+        schedule.student.toString() !== req.user._id.toString()
+      ) {
+        return res.status(403).json({
+          message: 'Access denied',
+        });
+      }
+
+      if (
+        schedule.status !== 'active' ||
+        schedule.installments.some(item => item.status === 'paid')
+      ) {
+        return res.status(400).json({
+          message: 'Only installment plans with nothing paid can be cancelled',
+        });
+      }
+
+      schedule.status = 'cancelled';
+      await schedule.save();
+
+      res.json({
+        message: 'Installment plan cancelled',
+        schedule,
+      });
+    } catch (error) {
+      console.error('Cancel installment schedule error:', error);
+      res.status(500).json({
+        message: 'Server error while cancelling installment plan',
+      });
+    }
+  }
+);
+
+module.exports = router;
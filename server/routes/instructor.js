@@ -0,0 +1,563 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const InstructorLedgerEntry = require('../models/InstructorLedgerEntry');
+const {
+  authenticateToken,
+  requireInstructorRole,
+} = require('../middleware/auth');
+const { getDefaultSharePercent } = require('../utils/revenueShare');
+const { toCsv } = require('../utils/csv');
+const { buildLedgerCsvRows } = require('../utils/payoutStatement');
+
+// Everything here is scoped to the courses the signed-in user teaches
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken, requireInstructorRole);
+
+// Ids of the courses taught by a user, optionally narrowed to one course.
+// Returns null when `courseId` is not one of them.
+async function getOwnCourseIds(user, courseId) {
+  const filter = { instructor: user._id };
+  if (courseId) {
+    filter._id = courseId;
+  }
+  const courses = await Course.find(filter).select('_id');
+  if (courseId && courses.length === 0) {
+    return null;
+  }
+  return courses.map(course => course._id);
+}
+
+// Aggregation stages that turn payments into one `sale` per course of the
+// given courses. Cart and bundle payments count a sale for each line item.
+function courseSaleStages(courseIds, match) {
+  return [
+    {
+      $match: {
+        $or: [
+          { course: { $in: courseIds } },
+          { 'items.course': { $in: courseIds } },
+        ],
+        ...match,
+      },
+    },
+    {
+      $addFields: {
+        sale: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$items', []] } }, 0] },
+            '$items',
+            [
+              {
+                course: '$course',
+                amount: '$amount',
+                refundedAmount: { $ifNull: ['$refund.amount', 0] },
+              },
+            ],
+          ],
+        },
+      },
+    },
+    { $unwind: '$sale' },
+    { $match: { 'sale.course': { $in: courseIds } } },
+  ];
+}
+
+// Completed and refunded payment totals per currency
+async function summarizeRevenue(courseIds, match = {}) {
+  const summary = await Payment.aggregate([
+    ...courseSaleStages(courseIds, {
+      status: { $in: ['completed', 'refunded'] },
+      ...match,
+    }),
+    {
+      $group: {
+        _id: '$currency',
+        count: { $sum: 1 },
+        completedAmount: {
+          $sum: {
+            $cond: [{ $eq: ['$status', 'completed'] }, '$sale.amount', 0],
+          },
+        },
+        refundedAmount: { $sum: { $ifNull: ['$sale.refundedAmount', 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return summary.map(entry => ({
+    currency: entry._id,
+    count: entry.count,
+    completedAmount: entry.completedAmount,
+    refundedAmount: entry.refundedAmount,
+  }));
+}
+
+// @route   GET /api/instructor/overview
+// @desc    Get dashboard totals for the instructor's courses
+// @access  Private (Instructor)
+router.get('/overview', async (req, res) => {
+  try {
+    const courses = await Course.find({ instructor: req.user._id }).select(
+      'status rating'
+    );
+    const courseIds = courses.map(course => course._id);
+
+    const [enrollmentStats, students, revenue, recentEnrollments] =
+      await Promise.all([
+        Enrollment.aggregate([
+          { $match: { course: { $in: courseIds } } },
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+        ]),
+        Enrollment.distinct('student', {
+          course: { $in: courseIds },
+          status: { $in: ['active', 'completed'] },
+        }),
+        summarizeRevenue(courseIds),
+        Enrollment.find({ course: { $in: courseIds } })
+          .populate('student', 'firstName lastName email')
+          .populate('course', 'title')
+          .sort({ enrollmentDate: -1 })
+          .limit(5),
+      ]);
+
+    const enrollmentsByStatus = enrollmentStats.reduce((counts, entry) => {
+      counts[entry._id] = entry.count;
+      return counts;
+    }, {});
+    const reviewCount = courses.reduce(
+      (sum, course) => sum + course.rating.count,
+      0
+    );
+    const ratingTotal = courses.reduce(
+      (sum, course) => sum + course.rating.average * course.rating.count,
+      0
+    );
+
+    res.json({
+      overview: {
+        totalCourses: courses.length,
+        publishedCourses: courses.filter(
+          course => course.status === 'published'
+        ).length,
+        totalStudents: students.length,
+        activeEnrollments: enrollmentsByStatus.active || 0,
+        completedEnrollments: enrollmentsByStatus.completed || 0,
+        reviewCount,
+        averageRating: reviewCount
+          ? Math.round((ratingTotal / reviewCount) * 10) / 10
+          : 0,
+      },
+      revenue,
+      recentEnrollments,
+    });
+  } catch (error) {
+    console.error('Get instructor overview error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching instructor overview',
+    });
+  }
+});
+
+// @route   GET /api/instructor/courses
+// @desc    Get the instructor's courses (any status) with enrollment stats
+// @access  Private (Instructor)
+router.get('/courses', async (req, res) => {
+  try {
+    const courses = await Course.find({ instructor: req.user._id })
+      .select('-curriculum -reviews -materials')
+      .sort({ createdAt: -1 });
+
+    const stats = await Enrollment.aggregate([
+      {
+        $match: {
+          course: { $in: courses.map(course => course._id) },
+          status: { $in: ['active', 'completed'] },
+        },
+      },
+      {
+        $group: {
+          _id: '$course',
+          enrollments: { $sum: 1 },
+          completed: {
+            $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] },
+          },
+          averageProgress: { $avg: '$progress' },
+        },
+      },
+    ]);
+    const statsByCourse = new Map(
+      stats.map(entry => [entry._id.toString(), entry])
+    );
+
+    res.json({
+      courses: courses.map(course => {
+        const entry = statsByCourse.get(course._id.toString());
+        return {
+          ...course.toObject(),
+          stats: {
+            enrollments: entry ? entry.enrollments : 0,
+            completed: entry ? entry.completed : 0,
+            averageProgress: entry ? Math.round(entry.averageProgress) : 0,
+          },
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('Get instructor courses error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching instructor courses',
+    });
+  }
+});
+
+// @route   GET /api/instructor/enrollments
+// @desc    Get enrollments and learner progress in the instructor's courses
+// @access  Private (Instructor)
+router.get(
+  '/enrollments',
+  [
+    query('courseId').optional().isMongoId().withMessage('Invalid course ID'),
+    query('status')
+      .optional()
+      .isIn([
+        'pending',
+        'active',
+        'completed',
+        'cancelled',
+        'refunded',
+        'suspended',
+      ])
+      .withMessage('Invalid status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { courseId, status, page = 1, limit = 20 } = req.query;
+
+      const courseIds = await getOwnCourseIds(req.user, courseId);
+      if (!courseIds) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      const filter = { course: { $in: courseIds } };
+      if (status) {
+        filter.status = status;
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const [enrollments, total] = await Promise.all([
+        Enrollment.find(filter)
+          .populate('student', 'firstName lastName email')
+          .populate('course', 'title')
+          .select(
+            'student course status enrollmentDate completionDate progress completedLessons grade score lastAccessed'
+          )
+          .sort({ enrollmentDate: -1 })
+          .skip(skip)
+          .limit(parseInt(limit, 10)),
+        Enrollment.countDocuments(filter),
+      ]);
+
+      res.json({
+        enrollments,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages: Math.ceil(total / parseInt(limit, 10)),
+          total,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get instructor enrollments error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching enrollments',
+      });
+    }
+  }
+);
+
+// @route   GET /api/instructor/reviews
+// @desc    Get reviews left on the instructor's courses, newest first
+// @access  Private (Instructor)
+router.get(
+  '/reviews',
+  [query('courseId').optional().isMongoId().withMessage('Invalid course ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const filter = { instructor: req.user._id };
+      if (req.query.courseId) {
+        filter._id = req.query.courseId;
+      }
+
+      const courses = await Course.find(filter)
+        .select('title reviews')
+        .populate('reviews.user', 'firstName lastName');
+
+      const reviews = courses
+        .flatMap(course =>
+          course.reviews.map(review => ({
+            _id: review._id,
+            course: { _id: course._id, title: course.title },
+            user: review.user,
+            rating: review.rating,
+            comment: review.comment,
+            createdAt: review.createdAt,
+          }))
+        )
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      res.json({ reviews });
+    } catch (error) {
+      console.error('Get instructor reviews error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching reviews',
+      });
+    }
+  }
+);
+
+// @route   GET /api/instructor/revenue
+// @desc    Get revenue for the instructor's courses by course and month
+// @access  Private (Instructor)
+router.get(
+  '/revenue',
+  [
+    query('from').optional().isISO8601().withMessage('Invalid start date'),
+    query('to').optional().isISO8601().withMessage('Invalid end date'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const courseIds = await getOwnCourseIds(req.user);
+
+      const match = {
+        status: 'completed',
+      };
+      if (req.query.from || req.query.to) {
+        match.createdAt = {};
+        if (req.query.from) {
+          match.createdAt.$gte = new Date(req.query.from);
+        }
+        if (req.query.to) {
+          match.createdAt.$lte = new Date(req.query.to);
+        }
+      }
+
+      const [summary, byCourse, monthly] = await Promise.all([
+        summarizeRevenue(
+          courseIds,
+          match.createdAt ? { createdAt: match.createdAt } : {}
+        ),
+        Payment.aggregate([
+          ...courseSaleStages(courseIds, match),
+          {
+            $group: {
+              _id: { course: '$sale.course', currency: '$currency' },
+              amount: { $sum: '$sale.amount' },
+              count: { $sum: 1 },
+            },
+          },
+          {
+            $lookup: {
+              from: 'courses',
+              localField: '_id.course',
+              foreignField: '_id',
+              as: 'course',
+            },
+          },
+          { $sort: { amount: -1 } },
+        ]),
+        Payment.aggregate([
+          ...courseSaleStages(courseIds, match),
+          {
+            $group: {
+              _id: {
+                year: { $year: '$createdAt' },
+                month: { $month: '$createdAt' },
+                currency: '$currency',
+              },
+              amount: { $sum: '$sale.amount' },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { '_id.year': 1, '_id.month': 1 } },
+        ]),
+      ]);
+
+      res.json({
+        summary,
+        byCourse: byCourse.map(entry => ({
+          course: {
+            _id: entry._id.course,
+            title: entry.course[0] ? entry.course[0].title : null,
+          },
+          currency: entry._id.currency,
+          amount: entry.amount,
+          count: entry.count,
+        })),
+        monthly: monthly.map(entry => ({
+          year: entry._id.year,
+          month: entry._id.month,
+          currency: entry._id.currency,
+          amount: entry.amount,
+          count: entry.count,
+        })),
+      });
+    } catch (error) {
+      console.error('Get instructor revenue error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching revenue',
+      });
+    }
+  }
+);
+
+// @route   GET /api/instructor/balance
+// @desc    Get the instructor's earnings balance per currency
+// @access  Private (Instructor)
+router.get('/balance', async (req, res) => {
+  try {
+    const balances = await InstructorLedgerEntry.getBalances(req.user._id);
+
+    res.json({
+      balances,
+      defaultSharePercent: getDefaultSharePercent(),
+    });
+  } catch (error) {
+    console.error('Get instructor balance error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching balance',
+    });
+  }
+});
+
+// @route   GET /api/instructor/ledger
+// @desc    Get the instructor's ledger entries, or export them as CSV
+// @access  Private (Instructor)
+router.get(
+  '/ledger',
+  [
+    query('type')
+      .optional()
+      .isIn(['sale', 'refund', 'payout'])
+      .withMessage('Invalid entry type'),
+    query('currency')
+      .optional()
+      .isIn(['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'BDT'])
+      .withMessage('Invalid currency'),
+    query('format').optional().isIn(['csv']).withMessage('Invalid format'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { type, currency, format, page = 1, limit = 20 } = req.query;
+
+      const filter = { instructor: req.user._id };
+      if (type) {
+        filter.type = type;
+      }
+      if (currency) {
+        filter.currency = currency;
+      }
+
+      if (format === 'csv') {
+        const entries = await InstructorLedgerEntry.find(filter)
+          .populate('instructor', 'firstName lastName email')
+          .populate('course', 'title')
+          .populate('payoutBatch', 'reference')
+          .sort({ createdAt: -1 })
+          .lean();
+
+        const filename = `earnings-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="${filename}"`
+        );
+        return res.send(toCsv(buildLedgerCsvRows(entries)));
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const [entries, total] = await Promise.all([
+        InstructorLedgerEntry.find(filter)
+          .populate('course', 'title')
+          .populate('payoutBatch', 'reference status')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit, 10)),
+        InstructorLedgerEntry.countDocuments(filter),
+      ]);
+
+      res.json({
+        entries,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages: Math.ceil(total / parseInt(limit, 10)),
+          total,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get instructor ledger error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching ledger',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const { authenticateToken } = require('../middleware/auth');
+const { renderInvoiceHtml, generateInvoicePdf } = require('../utils/invoices');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const validateInvoiceId = param('id')
+  .isMongoId()
+  .withMessage('Invalid invoice ID');
+
+// Admins can see every invoice, students only their own
+function canView(user, invoice) {
+  return (
+    user.role === 'admin' || invoice.user.toString() === user._id.toString()
+  );
+}
+
+// @route   GET /api/invoices
+// @desc    Get invoices and credit notes, newest first
+// @access  Private
+router.get(
+  '/',
+  [
+    query('type')
+      .optional()
+      .isIn(Invoice.schema.path('type').enumValues)
+      .withMessage('Invalid invoice type'),
+    query('fiscalYear')
+      .optional()
+      .isInt({ min: 2000, max: 9999 })
+      .withMessage('Invalid fiscal year'),
+    query('payment').optional().isMongoId().withMessage('Invalid payment ID'),
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 20, type, fiscalYear, payment } = req.query;
+
+      const filter = {};
+      if (req.user.role !== 'admin') {
+        filter.user = req.user._id;
+      } else if (req.query.user) {
+        filter.user = req.query.user;
+      }
+      if (type) {
+        filter.type = type;
+      }
+      if (fiscalYear) {
+        filter.fiscalYear = parseInt(fiscalYear, 10);
+      }
+      if (payment) {
+        filter.payment = payment;
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const invoices = await Invoice.find(filter)
+        .select('-seller')
+        .populate('invoice', 'number')
+        .sort({ issuedAt: -1, sequence: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await Invoice.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      res.json({
+        invoices,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get invoices error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching invoices',
+      });
+    }
+  }
+);
+
+// @route   GET /api/invoices/:id
+// @desc    Get an invoice or credit note
+// @access  Private (Owner or Admin)
+router.get('/:id', [validateInvoiceId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id).populate(
+      'invoice',
+      'number'
+    );
+    if (!invoice) {
+      return res.status(404).json({
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!canView(req.user, invoice)) {
+      return res.status(403).json({
+        message: 'Access denied',
+      });
+    }
+
+    res.json({ invoice });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching invoice',
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id/download
+// @desc    Download an invoice or credit note as PDF
+// @access  Private (Owner or Admin)
+router.get('/:id/download', [validateInvoiceId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id).populate(
+      'invoice',
+      'number'
+    );
+    if (!invoice) {
+      return res.status(404).json({
+        message: 'Invoice not found',
+      });
+    }
+
+    if (!canView(req.user, invoice)) {
+      return res.status(403).json({
+        message: 'Access denied',
+      });
+    }
+
+    const html = renderInvoiceHtml(invoice);
+
+    // Printable HTML, as with receipts, for when PDF generation is unavailable
+    if (req.query.fallback === 'html') {
+      res.setHeader('Content-Type', 'text/html');
+      return res.send(html);
+    }
+
+    const pdfBuffer = await generateInvoicePdf(html);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${invoice.number}.pdf"`
+    );
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      message: 'Server error while generating invoice',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,30 @@
 /* eslint-disable no-console */
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
+const Coupon = require('../models/Coupon');
+const User = require('../models/User');
+const RefundRequest = require('../models/RefundRequest');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { sendEmail, emailTemplates } = require('../utils/email');
+const { toCsv } = require('../utils/csv');
+const { getGateway } = require('../utils/gateways');
+const {
+  startGatewayPayment,
+  completePayment,
+  failPayment,
+  refundPayment,
+} = require('../utils/paymentLifecycle');
+const { handleWebhookEvent } = require('../utils/webhookEvents');
+const { getDueInstallment } = require('../utils/installments');
+const {
+  getRefundPolicy,
+  checkRefundEligibility,
+} = require('../utils/refundPolicy');
 
 // eslint-disable-next-line new-cap
 const router = express.Router();
@@ -28,31 +47,63 @@ function formatDate(date) {
   });
 }
 
-// Factory function for Stripe - allows for better testing
-let testStripeInstance = null;
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-function getStripe() {
-  if (process.env.NODE_ENV === 'test' && testStripeInstance) {
-    return testStripeInstance;
+// Build a Payment query from the admin console filters
+async function buildPaymentFilter({
+  status,
+  method,
+  currency,
+  course,
+  from,
+  to,
+  search,
+}) {
+  const filter = {};
+
+  if (status) {
+    filter.status = status;
   }
-  if (process.env.NODE_ENV === 'test') {
-    // Return the mocked stripe function
-    const stripeMock = require('stripe');
-    return stripeMock();
+  if (method) {
+    filter.paymentMethod = method;
   }
-
-  // Validate Stripe secret key
-  if (!process.env.STRIPE_SECRET_KEY) {
-    throw new Error('STRIPE_SECRET_KEY is not configured');
+  if (currency) {
+    filter.currency = currency;
+  }
+  if (course) {
+    // Cart payments list their courses as line items
+    const courseId = new mongoose.Types.ObjectId(course);
+    filter.$and = [
+      { $or: [{ course: courseId }, { 'items.course': courseId }] },
+    ];
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      filter.createdAt.$gte = new Date(from);
+    }
+    if (to) {
+      // Include the whole "to" day
+      const end = new Date(to);
+      end.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = end;
+    }
   }
 
-  if (!process.env.STRIPE_SECRET_KEY.startsWith('sk_')) {
-    throw new Error(
-      'STRIPE_SECRET_KEY appears to be invalid (should start with sk_)'
-    );
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    const users = await User.find({ email: pattern }).select('_id');
+
+    filter.$or = [
+      { transactionId: pattern },
+      { 'metadata.customerEmail': pattern },
+      { user: { $in: users.map(user => user._id) } },
+    ];
   }
 
-  return require('stripe')(process.env.STRIPE_SECRET_KEY);
+  return filter;
 }
 
 // @route   POST /api/payments/create-payment-intent
@@ -62,12 +113,17 @@ router.post(
   '/create-payment-intent',
   [
     authenticateToken,
+    idempotent('create-payment-intent'),
     body('enrollmentId')
       .isMongoId()
       .withMessage('Valid enrollment ID is required'),
     body('paymentMethod')
       .isIn(['stripe'])
       .withMessage('Valid payment method is required'),
+    body('couponCode')
+      .optional()
+      .isString()
+      .withMessage('Coupon code must be a string'),
   ],
   async (req, res) => {
     try {
@@ -79,7 +135,7 @@ router.post(
         });
       }
 
-      const { enrollmentId, paymentMethod } = req.body;
+      const { enrollmentId, paymentMethod, couponCode } = req.body;
 
       // Get enrollment
       const enrollment = await Enrollment.findById(enrollmentId)
@@ -105,67 +161,37 @@ router.post(
         });
       }
 
-      // Calculate amount in cents (Stripe requires amounts in cents)
-      const amountInCents = Math.round(enrollment.payment.amount * 100);
-
-      // Handle currency for Stripe - convert BDT to USD if needed
-      let stripeCurrency = enrollment.payment.currency.toLowerCase();
-      let stripeAmount = amountInCents;
-
-      // Stripe has limited support for BDT, so we might need to convert
-      // For now, if the course is in BDT, we'll keep it as BDT but add a note
-      // You can modify this logic based on your business requirements
-      if (stripeCurrency === 'bdt') {
-        // Stripe supports BDT, but with limitations. Keeping as BDT.
-        // If you want to convert to USD, uncomment the lines below:
-        // stripeCurrency = 'usd';
-        // stripeAmount = Math.round((enrollment.payment.amount / 110) * 100); // Approximate BDT to USD conversion
+      // Enrollments on a payment plan pay their next installment
+      const installment = await getDueInstallment(enrollment._id);
+      if (installment && couponCode) {
+        return res.status(400).json({
+          message: 'Coupons cannot be applied to installment payments',
+        });
       }
 
-      // Create payment intent
-      const stripe = getStripe();
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: stripeAmount,
-        currency: stripeCurrency,
-        metadata: {
-          enrollmentId: enrollment._id.toString(),
-          courseId: enrollment.course._id.toString(),
-          studentId: enrollment.student._id.toString(),
-          courseTitle: enrollment.course.title,
-          originalCurrency: enrollment.payment.currency,
-          originalAmount: enrollment.payment.amount.toString(),
-        },
-        description: `Payment for ${enrollment.course.title} course`,
-        // eslint-disable-next-line camelcase
-        receipt_email: enrollment.student.email,
-      });
-
-      // Create payment record
-      const payment = new Payment({
-        user: req.user._id,
-        enrollment: enrollmentId,
-        course: enrollment.course._id,
-        amount: enrollment.payment.amount,
-        currency: enrollment.payment.currency,
-        paymentMethod,
-        status: 'pending',
-        stripePaymentIntentId: paymentIntent.id,
-        description: `Payment for ${enrollment.course.title} course`,
-        netAmount: enrollment.payment.amount,
-        metadata: {
-          customerEmail: enrollment.student.email,
-          customerName: `${enrollment.student.firstName} ${enrollment.student.lastName}`,
-          courseTitle: enrollment.course.title,
-          courseId: enrollment.course._id.toString(),
-          enrollmentId: enrollment._id.toString(),
-        },
-      });
+      let discount;
+      if (couponCode) {
+        const couponResult = await Coupon.resolveForEnrollment(
+          couponCode,
+          enrollment,
+          req.user._id
+        );
+        if (!couponResult.valid) {
+          return res.status(400).json({
+            message: couponResult.message,
+          });
+        }
+        discount = couponResult.paymentDiscount;
+      }
 
-      await payment.save();
+      const { payment, result } = await startGatewayPayment(
+        getGateway(paymentMethod),
+        { enrollment, user: req.user, discount, installment }
+      );
 
       res.json({
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id,
+        clientSecret: result.clientSecret,
+        paymentIntentId: payment.stripePaymentIntentId,
         paymentId: payment._id,
       });
     } catch (error) {
@@ -225,6 +251,108 @@ router.post(
   }
 );
 
+// @route   POST /api/payments/validate-coupon
+// @desc    Check a coupon code against an enrollment or course
+// @access  Private
+router.post(
+  '/validate-coupon',
+  [
+    authenticateToken,
+    body('code').trim().notEmpty().withMessage('Coupon code is required'),
+    body('enrollmentId')
+      .optional()
+      .isMongoId()
+      .withMessage('Valid enrollment ID is required'),
+    body('courseId')
+      .optional()
+      .isMongoId()
+      .withMessage('Valid course ID is required'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { code, enrollmentId, courseId } = req.body;
+
+      let context;
+      if (enrollmentId) {
+        const enrollment =
+          await Enrollment.findById(enrollmentId).populate('course');
+        if (!enrollment) {
+          return res.status(404).json({
+            message: 'Enrollment not found',
+          });
+        }
+        if (enrollment.student.toString() !== req.user._id.toString()) {
+          return res.status(403).json({
+            message:
+              'Access denied. You can only apply coupons to your own enrollments.',
+          });
+        }
+        context = {
+          course: enrollment.course,
+          amount: enrollment.payment.amount,
+          currency: enrollment.payment.currency,
+          enrollment: enrollment._id,
+        };
+      } else if (courseId) {
+        const course = await Course.findById(courseId);
+        if (!course) {
+          return res.status(404).json({
+            message: 'Course not found',
+          });
+        }
+        context = {
+          course,
+          amount: course.price,
+          currency: course.currency,
+        };
+      } else {
+        return res.status(400).json({
+          message: 'Either enrollmentId or courseId is required',
+        });
+      }
+
+      const result = await Coupon.validateCode(code, {
+        ...context,
+        user: req.user._id,
+      });
+
+      if (!result.valid) {
+        return res.status(400).json({
+          valid: false,
+          message: result.message,
+        });
+      }
+
+      res.json({
+        valid: true,
+        coupon: {
+          code: result.coupon.code,
+          description: result.coupon.description,
+          type: result.coupon.type,
+          value: result.coupon.value,
+        },
+        originalAmount: context.amount,
+        discount: result.discount,
+        finalAmount: context.amount - result.discount,
+        currency: context.currency,
+      });
+    } catch (error) {
+      console.error('Validate coupon error:', error);
+      res.status(500).json({
+        message: 'Server error while validating coupon',
+      });
+    }
+  }
+);
+
 // @route   POST /api/payments/confirm
 // @desc    Confirm payment and update enrollment
 // @access  Private
@@ -265,69 +393,49 @@ router.post(
       }
 
       // Verify payment intent with Stripe
-      const stripe = getStripe();
-      const paymentIntent =
-        await stripe.paymentIntents.retrieve(paymentIntentId);
-
-      if (paymentIntent.status === 'succeeded') {
-        // Update payment status
-        payment.status = 'completed';
-        payment.stripeChargeId = paymentIntent.latest_charge;
-        payment.paymentDate = new Date();
-        payment.transactionId = paymentIntent.id;
-
-        // Update enrollment
-        const enrollment = await Enrollment.findById(payment.enrollment);
-        if (enrollment) {
-          enrollment.payment.paymentStatus = 'completed';
-          enrollment.payment.paymentDate = new Date();
-          enrollment.payment.transactionId = paymentIntent.id;
-          enrollment.status = 'active';
-          enrollment.startDate = new Date();
-          await enrollment.save();
-        }
-
-        await payment.save();
-
-        // Send confirmation email
-        try {
-          const course = await Course.findById(payment.course);
-          const user = await require('../models/User').findById(payment.user);
-
-          await sendEmail({
-            to: user.email,
-            subject: 'Payment Confirmation - Students Enrollment System',
-            html: emailTemplates.paymentConfirmation(
-              user.firstName,
-              course.title,
-              payment.amount,
-              payment.transactionId
-            ),
-          });
-        } catch (emailError) {
-          console.error('Email sending failed:', emailError);
-        }
+      const result = await getGateway('stripe').verify(payment, {
+        paymentIntentId,
+      });
 
-        res.json({
-          message: 'Payment confirmed successfully',
-          payment,
+      if (result.status === 'pending') {
+        return res.status(400).json({
+          message: 'Payment is still being processed',
         });
-      } else {
-        payment.status = 'failed';
-        payment.failureReason = {
-          code: paymentIntent.last_payment_error?.code || 'unknown',
-          message:
-            paymentIntent.last_payment_error?.message || 'Payment failed',
-        };
-        await payment.save();
+      }
 
-        res.status(400).json({
+      if (result.status === 'failed') {
+        await failPayment(payment, result.failure);
+        return res.status(400).json({
           message: 'Payment failed',
-          error:
-            paymentIntent.last_payment_error?.message ||
-            'Payment was not successful',
+          error: result.failure.message,
+        });
+      }
+
+      await completePayment(payment, result);
+
+      // Send confirmation email
+      try {
+        const course = await Course.findById(payment.course);
+        const user = await User.findById(payment.user);
+
+        await sendEmail({
+          to: user.email,
+          subject: 'Payment Confirmation - Students Enrollment System',
+          html: emailTemplates.paymentConfirmation(
+            user.firstName,
+            course?.title || payment.metadata?.courseTitle,
+            payment.amount,
+            payment.transactionId
+          ),
         });
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
       }
+
+      res.json({
+        message: 'Payment confirmed successfully',
+        payment,
+      });
     } catch (error) {
       console.error('Confirm payment error:', error);
       res.status(500).json({
@@ -364,7 +472,7 @@ router.post(
       const { enrollmentId, paymentIntentId } = req.body;
 
       // Verify the enrollment belongs to the user
-      const enrollment =
+      let enrollment =
         await Enrollment.findById(enrollmentId).populate('course');
       if (!enrollment) {
         return res.status(404).json({
@@ -378,38 +486,39 @@ router.post(
         });
       }
 
+      // Only the student's own payment for this enrollment can activate it
+      const payment = await Payment.findOne({
+        stripePaymentIntentId: paymentIntentId,
+      });
+      const paysForEnrollment =
+        payment &&
+        (payment.enrollment
+          ? payment.enrollment.equals(enrollment._id)
+          : payment.items.some(item => item.enrollment.equals(enrollment._id)));
+      if (!paysForEnrollment || !payment.user.equals(req.user._id)) {
+        return res.status(404).json({
+          message: 'Payment not found for this enrollment',
+        });
+      }
+
       // Verify payment intent with Stripe
-      const stripe = getStripe();
-      const paymentIntent =
-        await stripe.paymentIntents.retrieve(paymentIntentId);
+      const result = await getGateway('stripe').verify(payment, {
+        paymentIntentId,
+      });
 
-      if (paymentIntent.status !== 'succeeded') {
+      if (result.status !== 'completed') {
         return res.status(400).json({
           message: 'Payment has not succeeded yet',
-          paymentStatus: paymentIntent.status,
+          paymentStatus: result.status,
         });
       }
 
-      // Update enrollment status if payment succeeded
-      if (enrollment.payment.paymentStatus !== 'completed') {
-        enrollment.payment.paymentStatus = 'completed';
-        enrollment.payment.paymentDate = new Date();
-        enrollment.payment.transactionId = paymentIntentId;
-        enrollment.status = 'active';
-        enrollment.startDate = new Date();
-        await enrollment.save();
-
-        // Update payment record if it exists
-        const payment = await Payment.findOne({
-          stripePaymentIntentId: paymentIntentId,
-        });
-
-        if (payment && payment.status !== 'completed') {
-          payment.status = 'completed';
-          payment.stripeChargeId = paymentIntent.latest_charge;
-          payment.paymentDate = new Date();
-          payment.transactionId = paymentIntentId;
-          await payment.save();
+      // A payment that has already been settled (or refunded since) has
+      // made its changes to the enrollment
+      if (['pending', 'processing'].includes(payment.status)) {
+        enrollment = (await completePayment(payment, result)) || enrollment;
+        if (payment.items.length > 0) {
+          enrollment = await Enrollment.findById(enrollmentId);
         }
 
         console.log(
@@ -443,16 +552,11 @@ router.post(
   '/webhook',
   express.raw({ type: 'application/json' }),
   async (req, res) => {
-    const sig = req.headers['stripe-signature'];
+    const gateway = getGateway('stripe');
     let event;
 
     try {
-      const stripe = getStripe();
-      event = stripe.webhooks.constructEvent(
-        req.body,
-        sig,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
+      event = gateway.parseWebhook(req);
     } catch (err) {
       if (process.env.NODE_ENV !== 'test') {
         console.error('Webhook signature verification failed:', err.message);
@@ -461,19 +565,18 @@ router.post(
     }
 
     try {
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await handlePaymentSuccess(event.data.object);
-          break;
-        case 'payment_intent.payment_failed':
-          await handlePaymentFailure(event.data.object);
-          break;
-        case 'charge.refunded':
-          await handleRefund(event.data.object);
-          break;
-        default:
-          // eslint-disable-next-line no-console
-          console.log(`Unhandled event type: ${event.type}`);
+      if (event.type === 'ignored') {
+        // eslint-disable-next-line no-console
+        console.log(`Unhandled event type: ${event.gatewayEvent}`);
+        return res.json({ received: true });
+      }
+
+      // Failed events stay stored and are retried; the error status also
+      // lets Stripe redeliver
+      const { error } = await handleWebhookEvent(gateway.name, event);
+      if (error) {
+        console.error('Webhook processing error:', error);
+        return res.status(500).json({ error: 'Webhook processing failed' });
       }
 
       res.json({ received: true });
@@ -484,72 +587,51 @@ router.post(
   }
 );
 
-// Handle payment success
-async function handlePaymentSuccess(paymentIntent) {
-  const payment = await Payment.findOne({
-    stripePaymentIntentId: paymentIntent.id,
-  });
-
-  if (payment && payment.status !== 'completed') {
-    payment.status = 'completed';
-    payment.stripeChargeId = paymentIntent.latest_charge;
-    payment.paymentDate = new Date();
-    payment.transactionId = paymentIntent.id;
-    await payment.save();
-
-    // Update enrollment
-    const enrollment = await Enrollment.findById(payment.enrollment);
-    if (enrollment) {
-      enrollment.payment.paymentStatus = 'completed';
-      enrollment.payment.paymentDate = new Date();
-      enrollment.payment.transactionId = paymentIntent.id;
-      enrollment.status = 'active';
-      enrollment.startDate = new Date();
-      await enrollment.save();
-    }
+// @route   POST /api/payments/webhooks/:gateway
+// @desc    Handle webhooks from any payment gateway
+// @access  Public
+router.post('/webhooks/:gateway', async (req, res) => {
+  const gateway = getGateway(req.params.gateway);
+  if (!gateway) {
+    return res.status(404).json({ message: 'Unknown payment gateway' });
   }
-}
-
-// Handle payment failure
-async function handlePaymentFailure(paymentIntent) {
-  const payment = await Payment.findOne({
-    stripePaymentIntentId: paymentIntent.id,
-  });
 
-  if (payment) {
-    payment.status = 'failed';
-    payment.failureReason = {
-      code: paymentIntent.last_payment_error?.code || 'unknown',
-      message: paymentIntent.last_payment_error?.message || 'Payment failed',
-    };
-    await payment.save();
+  let event;
+  try {
+    event = gateway.parseWebhook(req);
+  } catch (err) {
+    return res.status(400).json({
+      message: 'Invalid webhook',
+      error: err.message,
+    });
   }
-}
 
-// Handle refund
-async function handleRefund(charge) {
-  const payment = await Payment.findOne({
-    stripeChargeId: charge.id,
-  });
+  try {
+    if (event.type === 'ignored') {
+      return res.json({ received: true, matched: false });
+    }
 
-  if (payment) {
-    payment.status = 'refunded';
-    payment.refund.amount = charge.amount_refunded / 100; // Convert from cents
-    payment.refund.processedAt = new Date();
-    payment.refund.stripeRefundId = charge.refunds.data[0]?.id;
-    await payment.save();
-
-    // Update enrollment
-    const enrollment = await Enrollment.findById(payment.enrollment);
-    if (enrollment) {
-      enrollment.status = 'refunded';
-      enrollment.payment.paymentStatus = 'refunded';
-      enrollment.payment.refundAmount = charge.amount_refunded / 100;
-      enrollment.payment.refundDate = new Date();
-      await enrollment.save();
+    const { webhookEvent, payment, duplicate, error } =
+      await handleWebhookEvent(gateway.name, event);
+    if (error) {
+      console.error('Gateway webhook processing error:', error);
+      return res.status(500).json({
+        message: 'Server error while processing webhook',
+      });
     }
+
+    res.json({
+      received: true,
+      matched: duplicate ? Boolean(webhookEvent.payment) : Boolean(payment),
+      duplicate,
+    });
+  } catch (error) {
+    console.error('Gateway webhook error:', error);
+    res.status(500).json({
+      message: 'Server error while processing webhook',
+    });
   }
-}
+});
 
 // @route   GET /api/payments/my-payments
 // @desc    Get user's payment history
@@ -568,6 +650,8 @@ router.get('/my-payments', [authenticateToken], async (req, res) => {
     const payments = await Payment.find(filter)
       .populate('course', 'title category level thumbnail')
       .populate('enrollment', 'status startDate')
+      .populate('items.course', 'title category level thumbnail')
+      .populate('items.enrollment', 'status startDate')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit, 10));
@@ -575,8 +659,21 @@ router.get('/my-payments', [authenticateToken], async (req, res) => {
     const total = await Payment.countDocuments(filter);
     const totalPages = Math.ceil(total / parseInt(limit, 10));
 
+    // Latest refund request per payment, so students can follow it up
+    const refundRequests = await RefundRequest.find({
+      payment: { $in: payments.map(payment => payment._id) },
+    })
+      .select('payment status amount currency adminNote reviewedAt createdAt')
+      .sort({ createdAt: 1 });
+    const latestRequests = new Map(
+      refundRequests.map(request => [request.payment.toString(), request])
+    );
+
     res.json({
-      payments,
+      payments: payments.map(payment => ({
+        ...payment.toObject(),
+        refundRequest: latestRequests.get(payment._id.toString()) || null,
+      })),
       pagination: {
         currentPage: parseInt(page, 10),
         totalPages,
@@ -594,49 +691,185 @@ router.get('/my-payments', [authenticateToken], async (req, res) => {
   }
 });
 
+const paymentFilterValidators = [
+  query('status')
+    .optional()
+    .isIn(Payment.schema.path('status').enumValues)
+    .withMessage('Invalid payment status'),
+  query('method')
+    .optional()
+    .isIn(Payment.schema.path('paymentMethod').enumValues)
+    .withMessage('Invalid payment method'),
+  query('currency')
+    .optional()
+    .isIn(Payment.schema.path('currency').enumValues)
+    .withMessage('Invalid currency'),
+  query('course').optional().isMongoId().withMessage('Invalid course ID'),
+  query('from').optional().isISO8601().withMessage('Invalid start date'),
+  query('to').optional().isISO8601().withMessage('Invalid end date'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search term is too long'),
+];
+
 // @route   GET /api/payments
-// @desc    Get payment history (Admin only)
+// @desc    Get payment history with console filters (Admin only)
 // @access  Private
-router.get('/', [authenticateToken, requireAdmin], async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status } = req.query;
+router.get(
+  '/',
+  [authenticateToken, requireAdmin, ...paymentFilterValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
 
-    const filter = {};
-    if (status) {
-      filter.status = status;
+      const { page = 1, limit = 10 } = req.query;
+
+      const filter = await buildPaymentFilter(req.query);
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const payments = await Payment.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('course', 'title')
+        .populate('enrollment')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await Payment.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      const summary = await Payment.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: '$currency',
+            count: { $sum: 1 },
+            completedAmount: {
+              $sum: {
+                $cond: [{ $eq: ['$status', 'completed'] }, '$amount', 0],
+              },
+            },
+            refundedAmount: { $sum: '$refund.amount' },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+
+      res.json({
+        payments,
+        summary: summary.map(entry => ({
+          currency: entry._id,
+          count: entry.count,
+          completedAmount: entry.completedAmount,
+          refundedAmount: entry.refundedAmount,
+        })),
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get payments error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching payments',
+      });
     }
+  }
+);
 
-    const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+// @route   GET /api/payments/export
+// @desc    Export filtered payments as CSV (Admin only)
+// @access  Private
+router.get(
+  '/export',
+  [authenticateToken, requireAdmin, ...paymentFilterValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
 
-    const payments = await Payment.find(filter)
-      .populate('user', 'firstName lastName email')
-      .populate('course', 'title')
-      .populate('enrollment')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit, 10));
+      const filter = await buildPaymentFilter(req.query);
+
+      const payments = await Payment.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('course', 'title')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      const header = [
+        'Transaction ID',
+        'Date',
+        'Status',
+        'Method',
+        'Currency',
+        'Amount',
+        'Discount',
+        'Tax',
+        'Net Amount',
+        'Refunded',
+        'Refund Reason',
+        'Customer Name',
+        'Customer Email',
+        'Course',
+      ];
+
+      const rows = payments.map(payment => {
+        const customerName = payment.user
+          ? `${payment.user.firstName} ${payment.user.lastName}`
+          : payment.metadata?.customerName;
+
+        return [
+          payment.transactionId,
+          payment.createdAt,
+          payment.status,
+          payment.paymentMethod,
+          payment.currency,
+          payment.amount,
+          payment.discount?.amount,
+          payment.tax?.amount,
+          payment.netAmount,
+          payment.refund?.amount,
+          payment.refund?.reason,
+          customerName,
+          payment.user?.email || payment.metadata?.customerEmail,
+          payment.course?.title || payment.metadata?.courseTitle,
+        ];
+      });
 
-    const total = await Payment.countDocuments(filter);
-    const totalPages = Math.ceil(total / parseInt(limit, 10));
+      const csv = toCsv([header, ...rows]);
 
-    res.json({
-      payments,
-      pagination: {
-        currentPage: parseInt(page, 10),
-        totalPages,
-        total,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-        limit: parseInt(limit, 10),
-      },
-    });
-  } catch (error) {
-    console.error('Get payments error:', error);
-    res.status(500).json({
-      message: 'Server error while fetching payments',
-    });
+      const filename = `payments-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}"`
+      );
+      res.send(csv);
+    } catch (error) {
+      console.error('Export payments error:', error);
+      res.status(500).json({
+        message: 'Server error while exporting payments',
+      });
+    }
   }
-});
+);
 
 // @route   POST /api/payments/:id/refund
 // @desc    Process refund
@@ -653,6 +886,7 @@ router.post(
       .trim()
       .isLength({ min: 5, max: 500 })
       .withMessage('Reason must be between 5 and 500 characters'),
+    body('itemId').optional().isMongoId().withMessage('Invalid line item ID'),
   ],
   async (req, res) => {
     try {
@@ -664,7 +898,7 @@ router.post(
         });
       }
 
-      const { amount, reason } = req.body;
+      const { amount, reason, itemId } = req.body;
 
       const payment = await Payment.findById(req.params.id);
       if (!payment) {
@@ -673,81 +907,224 @@ router.post(
         });
       }
 
-      if (payment.status !== 'completed') {
+      const refund = await refundPayment(payment, {
+        amount,
+        reason,
+        processedBy: req.user._id,
+        itemId,
+      });
+      if (!refund.success) {
         return res.status(400).json({
-          message: 'Only completed payments can be refunded',
+          message: refund.message,
         });
       }
 
-      if (amount > payment.refundableAmount) {
+      res.json({
+        message: 'Refund processed successfully',
+        payment,
+        refundId: refund.refundId,
+      });
+    } catch (error) {
+      console.error('Process refund error:', error);
+      res.status(500).json({
+        message: 'Server error while processing refund',
+      });
+    }
+  }
+);
+
+// @route   POST /api/payments/:id/refund-requests
+// @desc    Ask for a refund of one of your payments, for an admin to review
+// @access  Private (Student)
+router.post(
+  '/:id/refund-requests',
+  [
+    authenticateToken,
+    body('reason')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Reason must be between 5 and 500 characters'),
+    body('itemId').optional().isMongoId().withMessage('Invalid line item ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
-          message: 'Refund amount exceeds refundable amount',
+          message: 'Validation failed',
+          errors: errors.array(),
         });
       }
 
-      // Process refund through Stripe
-      const stripe = getStripe();
-      const refund = await stripe.refunds.create({
-        charge: payment.stripeChargeId,
-        amount: Math.round(amount * 100), // Convert to cents
-        reason: 'requested_by_customer',
-        metadata: {
-          refundReason: reason,
-          processedBy: req.user._id.toString(),
-        },
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) {
+        return res.status(404).json({
+          message: 'Payment not found',
+        });
+      }
+
+      if (payment.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          message:
+            'Access denied. You can only request refunds for your own payments.',
+        });
+      }
+
+      const pending = await RefundRequest.findOne({
+        payment: payment._id,
+        status: 'pending',
       });
+      if (pending) {
+        return res.status(409).json({
+          message: 'A refund request for this payment is already pending',
+          refundRequest: pending,
+        });
+      }
 
-      // Update payment record
-      payment.processRefund(amount, reason, req.user._id);
-      payment.refund.stripeRefundId = refund.id;
-      await payment.save();
-
-      // Update enrollment
-      const enrollment = await Enrollment.findById(payment.enrollment);
-      if (enrollment) {
-        enrollment.payment.refundAmount += amount;
-        enrollment.payment.refundReason = reason;
-        enrollment.payment.refundDate = new Date();
-
-        if (payment.refund.amount >= payment.amount) {
-          enrollment.status = 'refunded';
-          enrollment.payment.paymentStatus = 'refunded';
+      // Students ask for one course of a cart payment at a time
+      let item = null;
+      if (payment.items.length > 0) {
+        item = req.body.itemId ? payment.items.id(req.body.itemId) : null;
+        if (!item) {
+          return res.status(400).json({
+            message: 'Choose the course to refund from this order',
+          });
         }
+      }
+
+      const enrollment = await Enrollment.findById(
+        item ? item.enrollment : payment.enrollment
+      );
+      const eligibility = checkRefundEligibility(payment, enrollment, item);
+      if (!eligibility.eligible) {
+        return res.status(400).json({
+          message: eligibility.reason,
+          policy: getRefundPolicy(),
+        });
+      }
+
+      const refundRequest = await RefundRequest.create({
+        payment: payment._id,
+        item: item?._id,
+        enrollment: item ? item.enrollment : payment.enrollment,
+        student: req.user._id,
+        course: item ? item.course : payment.course,
+        reason: req.body.reason,
+        amount: item
+          ? item.amount - item.refundedAmount
+          : payment.refundableAmount,
+        currency: payment.currency,
+        policy: {
+          daysSincePayment: eligibility.daysSincePayment,
+          progress: eligibility.progress,
+        },
+      });
+
+      res.status(201).json({
+        message: 'Refund request submitted successfully',
+        refundRequest,
+      });
+    } catch (error) {
+      // Lost the race against a concurrent request for the same payment
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: 'A refund request for this payment is already pending',
+        });
+      }
+      console.error('Create refund request error:', error);
+      res.status(500).json({
+        message: 'Server error while creating refund request',
+      });
+    }
+  }
+);
+
+// @route   POST /api/payments/:id/verify
+// @desc    Check a pending payment with its gateway, e.g. to confirm cash
+// @access  Private (Admin)
+router.post(
+  '/:id/verify',
+  [authenticateToken, requireAdmin],
+  async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) {
+        return res.status(404).json({
+          message: 'Payment not found',
+        });
+      }
 
-        await enrollment.save();
+      if (payment.status !== 'pending') {
+        return res.status(400).json({
+          message: 'Only pending payments can be verified',
+        });
+      }
+
+      const gateway = getGateway(payment.paymentMethod);
+      if (!gateway) {
+        return res.status(400).json({
+          message: 'Unsupported payment method',
+        });
+      }
+
+      // Gateway-specific parameters, e.g. SSLCommerz's `val_id`
+      const result = await gateway.verify(payment, req.body);
+
+      if (result.status === 'failed') {
+        await failPayment(payment, result.failure);
+        return res.status(400).json({
+          message: 'Payment verification failed',
+          error: result.failure.message,
+          payment,
+        });
+      }
+
+      if (result.status === 'completed') {
+        await completePayment(payment, result);
       }
 
       res.json({
-        message: 'Refund processed successfully',
+        message:
+          result.status === 'completed'
+            ? 'Payment verified successfully'
+            : 'Payment is still pending',
         payment,
-        refundId: refund.id,
       });
     } catch (error) {
-      console.error('Process refund error:', error);
+      console.error('Verify payment error:', error);
       res.status(500).json({
-        message: 'Server error while processing refund',
+        message: 'Server error while verifying payment',
       });
     }
   }
 );
 
 // @route   POST /api/payments/process
-// @desc    Process payment with different payment methods
+// @desc    Process payment through any enabled payment gateway
 // @access  Private
 router.post(
   '/process',
   [
     authenticateToken,
+    idempotent('process'),
     body('enrollmentId')
       .isMongoId()
       .withMessage('Valid enrollment ID is required'),
     body('paymentMethod')
-      .isIn(['stripe', 'sslcommerz'])
+      .custom(value => Boolean(getGateway(value)))
       .withMessage('Valid payment method is required'),
-    body('amount').isNumeric().withMessage('Valid amount is required'),
     body('billingAddress')
+      .optional()
+      .isObject()
+      .withMessage('Billing address must be an object'),
+    body('cardDetails')
+      .optional()
       .isObject()
-      .withMessage('Billing address is required'),
+      .withMessage('Card details must be an object'),
+    body('couponCode')
+      .optional()
+      .isString()
+      .withMessage('Coupon code must be a string'),
   ],
   async (req, res) => {
     try {
@@ -762,9 +1139,9 @@ router.post(
       const {
         enrollmentId,
         paymentMethod,
-        amount,
         billingAddress,
         cardDetails,
+        couponCode,
       } = req.body;
 
       // Get enrollment
@@ -791,80 +1168,63 @@ router.post(
         });
       }
 
-      let paymentResult;
-
-      switch (paymentMethod) {
-        case 'stripe':
-          paymentResult = await processStripePayment(
-            enrollment,
-            amount,
-            billingAddress,
-            cardDetails
-          );
-          break;
-        case 'sslcommerz':
-          paymentResult = await processSSLCommerzPayment(
-            enrollment,
-            amount,
-            billingAddress
-          );
-          // For SSLCommerz, we don't create a payment record here as it's already created
-          return res.json({
-            success: true,
-            message: 'Payment initiated',
-            paymentId: paymentResult.paymentId,
-            transactionId: paymentResult.transactionId,
-            gatewayUrl: paymentResult.gatewayUrl,
-            sessionkey: paymentResult.sessionkey,
-          });
-        default:
+      // Enrollments on a payment plan pay their next installment
+      const installment = await getDueInstallment(enrollment._id);
+      if (installment && couponCode) {
+        return res.status(400).json({
+          message: 'Coupons cannot be applied to installment payments',
+        });
+      }
+
+      let discount;
+      if (couponCode) {
+        const couponResult = await Coupon.resolveForEnrollment(
+          couponCode,
+          enrollment,
+          req.user._id
+        );
+        if (!couponResult.valid) {
           return res.status(400).json({
-            message: 'Unsupported payment method',
+            message: couponResult.message,
           });
+        }
+        discount = couponResult.paymentDiscount;
       }
 
-      // Create payment record
-      const payment = new Payment({
-        user: req.user._id,
-        enrollment: enrollmentId,
-        course: enrollment.course._id,
-        amount: amount,
-        currency: enrollment.payment.currency || 'BDT',
-        paymentMethod,
-        paymentGateway: paymentMethod,
-        transactionId: paymentResult.transactionId,
-        gatewayResponse: paymentResult.gatewayResponse,
-        status: paymentResult.status,
-        billingAddress,
-        metadata: {
-          courseTitle: enrollment.course.title,
-          studentEmail: enrollment.student.email,
-        },
-      });
-
-      await payment.save();
-
-      // Update enrollment payment status
-      enrollment.payment.paymentStatus = paymentResult.status;
-      enrollment.payment.transactionId = paymentResult.transactionId;
-      enrollment.payment.paymentDate = new Date();
-      enrollment.payment.paymentMethod = paymentMethod;
+      // The enrollment price is charged; the gateway decides whether the
+      // payment settles now, redirects the student or waits for a webhook
+      const { payment, result } = await startGatewayPayment(
+        getGateway(paymentMethod),
+        {
+          enrollment,
+          user: req.user,
+          discount,
+          billingAddress,
+          cardDetails,
+          installment,
+        }
+      );
 
-      if (paymentResult.status === 'completed') {
-        enrollment.status = 'active';
+      if (result.status === 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment failed',
+          error: result.failure?.message,
+          paymentId: payment._id,
+        });
       }
 
-      await enrollment.save();
-
       res.json({
         success: true,
         message:
-          paymentResult.status === 'completed'
+          result.status === 'completed'
             ? 'Payment successful!'
             : 'Payment initiated',
-        payment: payment,
+        payment,
         paymentId: payment._id,
-        redirectUrl: paymentResult.redirectUrl,
+        transactionId: payment.transactionId,
+        redirectUrl: result.redirectUrl,
+        clientSecret: result.clientSecret,
       });
     } catch (error) {
       console.error('Process payment error:', error);
@@ -894,10 +1254,8 @@ router.get('/:paymentId', authenticateToken, async (req, res) => {
         },
       })
       .populate('user', 'firstName lastName email phone')
-      .populate(
-        'course',
-        'title thumbnail category level description duration'
-      );
+      .populate('course', 'title thumbnail category level description duration')
+      .populate('items.course', 'title thumbnail category level');
 
     if (!payment) {
       return res.status(404).json({
@@ -990,10 +1348,8 @@ router.get('/:paymentId/receipt', authenticateToken, async (req, res) => {
         },
       })
       .populate('user', 'firstName lastName email phone')
-      .populate(
-        'course',
-        'title thumbnail category level description duration'
-      );
+      .populate('course', 'title thumbnail category level description duration')
+      .populate('items.course', 'title thumbnail category level');
 
     if (!payment) {
       return res.status(404).json({
@@ -1012,7 +1368,9 @@ router.get('/:paymentId/receipt', authenticateToken, async (req, res) => {
     }
 
     // Validate payment has required data
-    if (!payment.user || !payment.enrollment || !payment.course) {
+    const hasCourses =
+      payment.items.length > 0 || (payment.enrollment && payment.course);
+    if (!payment.user || !hasCourses) {
       return res.status(400).json({
         message: 'Payment information missing. Please contact support.',
       });
@@ -1267,6 +1625,22 @@ router.get('/:paymentId/receipt', authenticateToken, async (req, res) => {
                 </div>
             </div>
 
+            ${
+              payment.items.length > 0
+                ? `
+            <div class="course-section">
+                <h3>Courses</h3>
+                ${payment.items
+                  .map(
+                    item => `
+                <div class="summary-row">
+                    <span>${item.course?.title || item.title}</span>
+                    <span>${formatPrice(item.amount, payment.currency)}</span>
+                </div>`
+                  )
+                  .join('')}
+            </div>`
+                : `
             <div class="course-section">
                 <h3>Course Information</h3>
                 <div class="course-info">
@@ -1285,12 +1659,13 @@ router.get('/:paymentId/receipt', authenticateToken, async (req, res) => {
                         }
                     </div>
                 </div>
-            </div>
+            </div>`
+            }
 
             <div class="payment-summary">
                 <h3>Payment Summary</h3>
                 <div class="summary-row">
-                    <span>Course Price:</span>
+                    <span>${payment.items.length > 0 ? 'Order Total' : 'Course Price'}:</span>
                     <span>${
                       payment.metadata?.originalAmount &&
                       payment.metadata?.originalCurrency
@@ -1402,313 +1777,6 @@ router.get('/:paymentId/receipt', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper functions for different payment methods
-async function processStripePayment(
-  enrollment,
-  amount,
-  _billingAddress,
-  _cardDetails
-) {
-  const stripe = getStripe();
-
-  try {
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: enrollment.payment.currency.toLowerCase(),
-      metadata: {
-        enrollmentId: enrollment._id.toString(),
-        courseId: enrollment.course._id.toString(),
-        studentId: enrollment.student._id.toString(),
-      },
-      description: `Payment for ${enrollment.course.title}`,
-      // eslint-disable-next-line camelcase
-      receipt_email: enrollment.student.email,
-    });
-
-    // For demo purposes, we'll simulate a successful payment
-    // In production, you'd confirm the payment with the actual card details
-    return {
-      status: 'completed',
-      transactionId: paymentIntent.id,
-      gatewayResponse: paymentIntent,
-    };
-  } catch (error) {
-    console.error('Stripe payment error:', error);
-    throw new Error('Stripe payment failed');
-  }
-}
-
-async function processSSLCommerzPayment(enrollment, amount, billingAddress) {
-  // Initialize SSLCommerz
-  const SSLCommerzPayment = require('sslcommerz-lts');
-
-  // Convert amount to BDT if necessary (approximate rate for demo)
-  const bdtAmount =
-    enrollment.payment.currency === 'USD' ? Math.round(amount * 110) : amount;
-
-  // Generate unique transaction ID
-  const transactionId = `SSL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-  // eslint-disable-next-line camelcase
-  const data = {
-    // eslint-disable-next-line camelcase
-    total_amount: bdtAmount,
-    currency: 'BDT',
-    // eslint-disable-next-line camelcase
-    tran_id: transactionId,
-    // eslint-disable-next-line camelcase
-    success_url: `${process.env.CLIENT_URL}/payment/sslcommerz/success`,
-    // eslint-disable-next-line camelcase
-    fail_url: `${process.env.CLIENT_URL}/payment/sslcommerz/fail`,
-    // eslint-disable-next-line camelcase
-    cancel_url: `${process.env.CLIENT_URL}/payment/sslcommerz/cancel`,
-    // eslint-disable-next-line camelcase
-    ipn_url: `${process.env.SERVER_URL}/api/payments/sslcommerz/ipn`,
-    // eslint-disable-next-line camelcase
-    shipping_method: 'NO',
-    // eslint-disable-next-line camelcase
-    product_name: enrollment.course.title,
-    // eslint-disable-next-line camelcase
-    product_category: 'Education',
-    // eslint-disable-next-line camelcase
-    product_profile: 'digital-goods',
-    // eslint-disable-next-line camelcase
-    cus_name: `${enrollment.student.firstName} ${enrollment.student.lastName}`,
-    // eslint-disable-next-line camelcase
-    cus_email: enrollment.student.email,
-    // eslint-disable-next-line camelcase
-    cus_add1: billingAddress.street || 'N/A',
-    // eslint-disable-next-line camelcase
-    cus_city: billingAddress.city || 'Dhaka',
-    // eslint-disable-next-line camelcase
-    cus_state: billingAddress.state || 'Dhaka',
-    // eslint-disable-next-line camelcase
-    cus_postcode: billingAddress.zipCode || '1000',
-    // eslint-disable-next-line camelcase
-    cus_country: billingAddress.country || 'Bangladesh',
-    // eslint-disable-next-line camelcase
-    cus_phone: enrollment.student.profile?.phone || '01700000000',
-    // eslint-disable-next-line camelcase
-    ship_name: `${enrollment.student.firstName} ${enrollment.student.lastName}`,
-    // eslint-disable-next-line camelcase
-    ship_add1: billingAddress.street || 'N/A',
-    // eslint-disable-next-line camelcase
-    ship_city: billingAddress.city || 'Dhaka',
-    // eslint-disable-next-line camelcase
-    ship_state: billingAddress.state || 'Dhaka',
-    // eslint-disable-next-line camelcase
-    ship_postcode: billingAddress.zipCode || '1000',
-    // eslint-disable-next-line camelcase
-    ship_country: billingAddress.country || 'Bangladesh',
-  };
-
-  try {
-    const sslcz = new SSLCommerzPayment(
-      process.env.SSLCOMMERZ_STORE_ID,
-      process.env.SSLCOMMERZ_STORE_PASSWORD,
-      process.env.SSLCOMMERZ_IS_LIVE === 'true'
-    );
-
-    const response = await sslcz.init(data);
-
-    if (response.status === 'SUCCESS') {
-      // Create payment record
-      const Payment = require('../models/Payment');
-      const payment = new Payment({
-        user: enrollment.student._id,
-        enrollment: enrollment._id,
-        course: enrollment.course._id,
-        amount: bdtAmount,
-        currency: 'BDT',
-        paymentMethod: 'sslcommerz',
-        status: 'pending',
-        description: `Payment for ${enrollment.course.title} course`,
-        netAmount: bdtAmount,
-        metadata: {
-          sslTransactionId: transactionId,
-          sessionkey: response.sessionkey,
-          customerEmail: enrollment.student.email,
-          customerName: `${enrollment.student.firstName} ${enrollment.student.lastName}`,
-          courseTitle: enrollment.course.title,
-          courseId: enrollment.course._id.toString(),
-          enrollmentId: enrollment._id.toString(),
-          originalAmount: amount,
-          originalCurrency: enrollment.payment.currency,
-        },
-      });
-
-      await payment.save();
-
-      return {
-        status: 'pending',
-        transactionId: transactionId,
-        paymentId: payment._id,
-        gatewayUrl: response.GatewayPageURL,
-        sessionkey: response.sessionkey,
-      };
-    }
-    throw new Error('SSLCommerz initialization failed');
-  } catch (error) {
-    console.error('SSLCommerz payment error:', error);
-    throw new Error('SSLCommerz payment failed');
-  }
-}
-
-// SSLCommerz success endpoint
-router.post('/sslcommerz/success', async (req, res) => {
-  try {
-    // eslint-disable-next-line camelcase
-    const { tran_id, val_id } = req.body;
-
-    // eslint-disable-next-line camelcase
-    if (!tran_id || !val_id) {
-      return res
-        .status(400)
-        .json({ message: 'Missing payment verification parameters' });
-    }
-
-    // Initialize SSLCommerz for validation
-    const SSLCommerzPayment = require('sslcommerz-lts');
-    const sslcz = new SSLCommerzPayment(
-      process.env.SSLCOMMERZ_STORE_ID,
-      process.env.SSLCOMMERZ_STORE_PASSWORD,
-      process.env.SSLCOMMERZ_IS_LIVE === 'true'
-    );
-
-    // Validate payment with SSLCommerz
-    // eslint-disable-next-line camelcase
-    const validation = await sslcz.validate({ val_id });
-
-    // eslint-disable-next-line camelcase
-    if (validation.status === 'VALID' && validation.tran_id === tran_id) {
-      // Find the payment by transaction ID
-      const Payment = require('../models/Payment');
-      const payment = await Payment.findOne({
-        // eslint-disable-next-line camelcase
-        'metadata.sslTransactionId': tran_id,
-      }).populate('user enrollment course');
-
-      if (!payment) {
-        return res.status(404).json({ message: 'Payment not found' });
-      }
-
-      // Update payment status
-      payment.status = 'completed';
-      payment.paymentStatus = 'completed';
-      // eslint-disable-next-line camelcase
-      payment.transactionId = tran_id;
-      payment.paymentDate = new Date();
-
-      // Add bank transaction details if available
-      if (validation.bank_tran_id) {
-        payment.metadata.bankTransactionId = validation.bank_tran_id;
-      }
-      if (validation.card_type) {
-        payment.metadata.cardType = validation.card_type;
-      }
-      if (validation.card_no) {
-        payment.metadata.cardNo = validation.card_no;
-      }
-
-      await payment.save();
-
-      // Update enrollment status
-      const Enrollment = require('../models/Enrollment');
-      const enrollment = await Enrollment.findById(payment.enrollment);
-      if (enrollment) {
-        enrollment.status = 'active';
-        enrollment.paymentStatus = 'completed';
-        await enrollment.save();
-      }
-
-      res.json({
-        success: true,
-        message: 'Payment verified successfully',
-        payment: payment.toObject(),
-        enrollment: enrollment?.toObject(),
-      });
-    } else {
-      return res.status(400).json({ message: 'Payment verification failed' });
-    }
-  } catch (error) {
-    console.error('SSLCommerz success verification error:', error);
-    res.status(500).json({
-      message: 'Payment verification failed',
-      error: error.message,
-    });
-  }
-});
-
-// SSLCommerz IPN (Instant Payment Notification) endpoint
-router.post('/sslcommerz/ipn', async (req, res) => {
-  try {
-    // eslint-disable-next-line camelcase
-    const { tran_id, val_id } = req.body;
-
-    // eslint-disable-next-line camelcase
-    if (!tran_id || !val_id) {
-      return res.status(400).send('Missing parameters');
-    }
-
-    // Initialize SSLCommerz for validation
-    const SSLCommerzPayment = require('sslcommerz-lts');
-    const sslcz = new SSLCommerzPayment(
-      process.env.SSLCOMMERZ_STORE_ID,
-      process.env.SSLCOMMERZ_STORE_PASSWORD,
-      process.env.SSLCOMMERZ_IS_LIVE === 'true'
-    );
-
-    // Validate payment
-    // eslint-disable-next-line camelcase
-    const validation = await sslcz.validate({ val_id });
-
-    // eslint-disable-next-line camelcase
-    if (validation.status === 'VALID' && validation.tran_id === tran_id) {
-      // Find and update payment
-      const Payment = require('../models/Payment');
-      const payment = await Payment.findOne({
-        // eslint-disable-next-line camelcase
-        'metadata.sslTransactionId': tran_id,
-      });
-
-      if (payment && payment.status === 'pending') {
-        payment.status = 'completed';
-        payment.paymentStatus = 'completed';
-        // eslint-disable-next-line camelcase
-        payment.transactionId = tran_id;
-        payment.paymentDate = new Date();
-
-        // Add bank transaction details if available
-        if (validation.bank_tran_id) {
-          payment.metadata.bankTransactionId = validation.bank_tran_id;
-        }
-        if (validation.card_type) {
-          payment.metadata.cardType = validation.card_type;
-        }
-
-        await payment.save();
-
-        // Update enrollment status
-        const Enrollment = require('../models/Enrollment');
-        const enrollment = await Enrollment.findById(payment.enrollment);
-        if (enrollment) {
-          enrollment.status = 'active';
-          enrollment.paymentStatus = 'completed';
-          await enrollment.save();
-        }
-      }
-
-      res.status(200).send('OK');
-    } else {
-      res.status(400).send('Invalid payment');
-    }
-  } catch (error) {
-    console.error('SSLCommerz IPN error:', error);
-    res.status(500).send('Server error');
-  }
-});
-
 // @route   GET /api/payments/stripe/:paymentIntentId
 // @desc    Get payment details by Stripe payment intent ID
 // @access  Private
@@ -1730,10 +1798,8 @@ router.get('/stripe/:paymentIntentId', authenticateToken, async (req, res) => {
         },
       })
       .populate('user', 'firstName lastName email phone')
-      .populate(
-        'course',
-        'title thumbnail category level description duration'
-      );
+      .populate('course', 'title thumbnail category level description duration')
+      .populate('items.course', 'title thumbnail category level');
 
     if (!payment) {
       return res.status(404).json({
@@ -1769,7 +1835,10 @@ router.get('/stripe/:paymentIntentId', authenticateToken, async (req, res) => {
 router.get('/enrollment/:enrollmentId', authenticateToken, async (req, res) => {
   try {
     const payment = await Payment.findOne({
-      enrollment: req.params.enrollmentId,
+      $or: [
+        { enrollment: req.params.enrollmentId },
+        { 'items.enrollment': req.params.enrollmentId },
+      ],
     })
       .populate({
         path: 'enrollment',
@@ -1784,10 +1853,8 @@ router.get('/enrollment/:enrollmentId', authenticateToken, async (req, res) => {
         },
       })
       .populate('user', 'firstName lastName email phone')
-      .populate(
-        'course',
-        'title thumbnail category level description duration'
-      );
+      .populate('course', 'title thumbnail category level description duration')
+      .populate('items.course', 'title thumbnail category level');
 
     if (!payment) {
       return res.status(404).json({
@@ -1884,7 +1951,10 @@ router.get(
   async (req, res) => {
     try {
       const payment = await Payment.findOne({
-        enrollment: req.params.enrollmentId,
+        $or: [
+          { enrollment: req.params.enrollmentId },
+          { 'items.enrollment': req.params.enrollmentId },
+        ],
       })
         .populate({
           path: 'enrollment',
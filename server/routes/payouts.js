@@ -0,0 +1,489 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const PayoutBatch = require('../models/PayoutBatch');
+const InstructorLedgerEntry = require('../models/InstructorLedgerEntry');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { toCsv } = require('../utils/csv');
+const {
+  buildLedgerCsvRows,
+  renderStatementHtml,
+  generateStatementPdf,
+} = require('../utils/payoutStatement');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+// Unbatched sale and refund entries grouped per instructor and currency.
+// Only positive balances can be paid out; negative ones carry forward.
+async function getDueBalances({ periodEnd, instructor } = {}) {
+  const match = {
+    payoutBatch: null,
+    type: { $in: ['sale', 'refund'] },
+  };
+  if (periodEnd) {
+    match.createdAt = { $lte: periodEnd };
+  }
+  if (instructor) {
+    match.instructor = new mongoose.Types.ObjectId(instructor);
+  }
+
+  const balances = await InstructorLedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { instructor: '$instructor', currency: '$currency' },
+        amount: { $sum: '$amount' },
+        entryIds: { $push: '$_id' },
+      },
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id.instructor',
+        foreignField: '_id',
+        as: 'instructor',
+      },
+    },
+    { $sort: { amount: -1 } },
+  ]);
+
+  return balances
+    .map(entry => ({
+      instructor: entry.instructor[0]
+        ? {
+            _id: entry.instructor[0]._id,
+            firstName: entry.instructor[0].firstName,
+            lastName: entry.instructor[0].lastName,
+            email: entry.instructor[0].email,
+          }
+        : { _id: entry._id.instructor },
+      currency: entry._id.currency,
+      amount: Math.round(entry.amount * 100) / 100,
+      entryIds: entry.entryIds,
+    }))
+    .filter(entry => entry.amount > 0);
+}
+
+// @route   GET /api/payouts/balances
+// @desc    Get instructor balances not yet included in a payout batch
+// @access  Private (Admin)
+router.get(
+  '/balances',
+  [query('periodEnd').optional().isISO8601().withMessage('Invalid date')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const balances = await getDueBalances({
+        periodEnd: req.query.periodEnd
+          ? new Date(req.query.periodEnd)
+          : undefined,
+      });
+
+      res.json({
+        balances: balances.map(({ entryIds, ...balance }) => ({
+          ...balance,
+          entryCount: entryIds.length,
+        })),
+      });
+    } catch (error) {
+      console.error('Get payout balances error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching payout balances',
+      });
+    }
+  }
+);
+
+// @route   GET /api/payouts
+// @desc    Get payout batches, newest first
+// @access  Private (Admin)
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'paid', 'cancelled'])
+      .withMessage('Invalid status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { status, page = 1, limit = 10 } = req.query;
+      const filter = status ? { status } : {};
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const [batches, total] = await Promise.all([
+        PayoutBatch.find(filter)
+          .populate('items.instructor', 'firstName lastName email')
+          .populate('createdBy', 'firstName lastName')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit, 10)),
+        PayoutBatch.countDocuments(filter),
+      ]);
+
+      res.json({
+        batches,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages: Math.ceil(total / parseInt(limit, 10)),
+          total,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get payout batches error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching payout batches',
+      });
+    }
+  }
+);
+
+// @route   POST /api/payouts
+// @desc    Create a payout batch from the balances due up to a date
+// @access  Private (Admin)
+router.post(
+  '/',
+  [
+    body('periodEnd').optional().isISO8601().withMessage('Invalid date'),
+    body('instructor')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid instructor ID'),
+    body('note')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const periodEnd = req.body.periodEnd
+        ? new Date(req.body.periodEnd)
+        : new Date();
+
+      const balances = await getDueBalances({
+        periodEnd,
+        instructor: req.body.instructor,
+      });
+
+      if (balances.length === 0) {
+        return res.status(400).json({
+          message: 'No instructor balances are due for this period',
+        });
+      }
+
+      const batch = await PayoutBatch.create({
+        periodEnd,
+        note: req.body.note,
+        createdBy: req.user._id,
+        items: balances.map(balance => ({
+          instructor: balance.instructor._id,
+          currency: balance.currency,
+          amount: balance.amount,
+          entryCount: balance.entryIds.length,
+        })),
+      });
+
+      await InstructorLedgerEntry.updateMany(
+        {
+          _id: { $in: balances.flatMap(balance => balance.entryIds) },
+          payoutBatch: null,
+        },
+        { $set: { payoutBatch: batch._id } }
+      );
+
+      await batch.populate('items.instructor', 'firstName lastName email');
+
+      res.status(201).json({
+        message: 'Payout batch created successfully',
+        batch,
+      });
+    } catch (error) {
+      console.error('Create payout batch error:', error);
+      res.status(500).json({
+        message: 'Server error while creating payout batch',
+      });
+    }
+  }
+);
+
+// @route   GET /api/payouts/:id
+// @desc    Get a payout batch with the ledger entries it settles
+// @access  Private (Admin)
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid payout batch ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const batch = await PayoutBatch.findById(req.params.id)
+        .populate('items.instructor', 'firstName lastName email')
+        .populate('createdBy', 'firstName lastName')
+        .populate('paidBy', 'firstName lastName');
+
+      if (!batch) {
+        return res.status(404).json({
+          message: 'Payout batch not found',
+        });
+      }
+
+      const entries = await InstructorLedgerEntry.find({
+        payoutBatch: batch._id,
+      })
+        .populate('instructor', 'firstName lastName email')
+        .populate('course', 'title')
+        .sort({ createdAt: 1 });
+
+      res.json({ batch, entries });
+    } catch (error) {
+      console.error('Get payout batch error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching payout batch',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/payouts/:id/pay
+// @desc    Mark a payout batch as paid and debit the instructors' balances
+// @access  Private (Admin)
+router.put(
+  '/:id/pay',
+  [
+    param('id').isMongoId().withMessage('Invalid payout batch ID'),
+    body('paymentReference')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Payment reference cannot exceed 200 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const batch = await PayoutBatch.findById(req.params.id);
+
+      if (!batch) {
+        return res.status(404).json({
+          message: 'Payout batch not found',
+        });
+      }
+
+      if (batch.status !== 'pending') {
+        return res.status(400).json({
+          message: `Payout batch is already ${batch.status}`,
+        });
+      }
+
+      batch.status = 'paid';
+      batch.paidAt = new Date();
+      batch.paidBy = req.user._id;
+      batch.paymentReference = req.body.paymentReference;
+      await batch.save();
+
+      await InstructorLedgerEntry.insertMany(
+        batch.items.map(item => ({
+          instructor: item.instructor,
+          type: 'payout',
+          amount: -item.amount,
+          currency: item.currency,
+          baseAmount: item.amount,
+          description: `Payout ${batch.reference}`,
+          payoutBatch: batch._id,
+        }))
+      );
+
+      res.json({
+        message: 'Payout batch marked as paid',
+        batch,
+      });
+    } catch (error) {
+      console.error('Pay payout batch error:', error);
+      res.status(500).json({
+        message: 'Server error while marking payout batch as paid',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/payouts/:id
+// @desc    Cancel a pending payout batch and release its ledger entries
+// @access  Private (Admin)
+router.delete(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid payout batch ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const batch = await PayoutBatch.findById(req.params.id);
+
+      if (!batch) {
+        return res.status(404).json({
+          message: 'Payout batch not found',
+        });
+      }
+
+      if (batch.status !== 'pending') {
+        return res.status(400).json({
+          message: 'Only pending payout batches can be cancelled',
+        });
+      }
+
+      batch.status = 'cancelled';
+      await batch.save();
+
+      await InstructorLedgerEntry.updateMany(
+        { payoutBatch: batch._id },
+        { $set: { payoutBatch: null } }
+      );
+
+      res.json({
+        message: 'Payout batch cancelled successfully',
+        batch,
+      });
+    } catch (error) {
+      console.error('Cancel payout batch error:', error);
+      res.status(500).json({
+        message: 'Server error while cancelling payout batch',
+      });
+    }
+  }
+);
+
+// @route   GET /api/payouts/:id/statement
+// @desc    Download a payout batch statement as CSV or PDF
+// @access  Private (Admin)
+router.get(
+  '/:id/statement',
+  [
+    param('id').isMongoId().withMessage('Invalid payout batch ID'),
+    query('format')
+      .optional()
+      .isIn(['csv', 'pdf'])
+      .withMessage('Format must be csv or pdf'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const batch = await PayoutBatch.findById(req.params.id).populate(
+        'items.instructor',
+        'firstName lastName email'
+      );
+
+      if (!batch) {
+        return res.status(404).json({
+          message: 'Payout batch not found',
+        });
+      }
+
+      const entries = await InstructorLedgerEntry.find({
+        payoutBatch: batch._id,
+        type: { $ne: 'payout' },
+      })
+        .populate('instructor', 'firstName lastName email')
+        .populate('course', 'title')
+        .populate('payoutBatch', 'reference')
+        .sort({ createdAt: 1 })
+        .lean();
+
+      const filename = `payout-${batch.reference}`;
+
+      if (req.query.format !== 'pdf') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="${filename}.csv"`
+        );
+        return res.send(toCsv(buildLedgerCsvRows(entries)));
+      }
+
+      const html = renderStatementHtml(batch, entries);
+
+      // Printable HTML, as with receipts, for when PDF generation is unavailable
+      if (req.query.fallback === 'html') {
+        res.setHeader('Content-Type', 'text/html');
+        return res.send(html);
+      }
+
+      const pdfBuffer = await generateStatementPdf(html);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}.pdf"`
+      );
+      res.setHeader('Content-Length', pdfBuffer.length);
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error('Download payout statement error:', error);
+      res.status(500).json({
+        message: 'Server error while generating payout statement',
+      });
+    }
+  }
+);
+
+module.exports = router;
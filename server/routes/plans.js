@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Plan = require('../models/Plan');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { createPlanPrice } = require('../utils/gateways/stripe');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+const PLAN_FIELDS = [
+  'name',
+  'description',
+  'interval',
+  'price',
+  'currency',
+  'scope',
+  'category',
+  'trialDays',
+  'isActive',
+];
+
+// Stripe prices can't change, so changing any of these needs a new price
+const BILLING_FIELDS = ['interval', 'price', 'currency'];
+
+function pickPlanFields(source) {
+  return PLAN_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+    return fields;
+  }, {});
+}
+
+// Shared validators; `optional` makes every field optional for updates
+function planValidators(optional) {
+  function field(name) {
+    return optional ? body(name).optional() : body(name);
+  }
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Plan name must be between 1 and 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+    field('interval')
+      .isIn(['month', 'year'])
+      .withMessage('Billing interval must be month or year'),
+    field('price')
+      .isFloat({ min: 0.5 })
+      .withMessage('Price must be at least 0.50'),
+    body('currency')
+      .optional()
+      .isIn(['BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'])
+      .withMessage('Invalid currency'),
+    body('scope')
+      .optional()
+      .isIn(['all', 'category'])
+      .withMessage('Scope must be all or category'),
+    body('category')
+      .optional()
+      .trim()
+      .isLength({ min: 1 })
+      .withMessage('Category cannot be empty'),
+    body('trialDays')
+      .optional()
+      .isInt({ min: 0, max: 90 })
+      .withMessage('Trial days must be between 0 and 90'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ];
+}
+
+// @route   GET /api/plans
+// @desc    Get active membership plans
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const plans = await Plan.find({ isActive: true })
+      .select('-stripePriceId')
+      .sort({ price: 1 });
+
+    res.json({ plans });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching plans',
+    });
+  }
+});
+
+// @route   POST /api/plans
+// @desc    Create a membership plan and its Stripe price
+// @access  Private (Admin)
+router.post(
+  '/',
+  [authenticateToken, requireAdmin, ...planValidators(false)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const plan = new Plan(pickPlanFields(req.body));
+      await plan.validate();
+      plan.stripePriceId = await createPlanPrice(plan);
+      await plan.save();
+
+      res.status(201).json({
+        message: 'Plan created successfully',
+        plan,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while creating plan',
+          details: error.message,
+        });
+      }
+      console.error('Create plan error:', error);
+      res.status(500).json({
+        message: 'Server error while creating plan',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/plans/:id
+// @desc    Update a membership plan. New billing terms only apply to new
+//          subscriptions.
+// @access  Private (Admin)
+router.put(
+  '/:id',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid plan ID'),
+    ...planValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const plan = await Plan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          message: 'Plan not found',
+        });
+      }
+
+      plan.set(pickPlanFields(req.body));
+      await plan.validate();
+      if (BILLING_FIELDS.some(field => plan.isModified(field))) {
+        plan.stripePriceId = await createPlanPrice(plan);
+      }
+      await plan.save();
+
+      res.json({
+        message: 'Plan updated successfully',
+        plan,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while updating plan',
+          details: error.message,
+        });
+      }
+      console.error('Update plan error:', error);
+      res.status(500).json({
+        message: 'Server error while updating plan',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/plans/:id
+// @desc    Retire a membership plan; existing subscriptions keep running
+// @access  Private (Admin)
+router.delete(
+  '/:id',
+  [
+    authenticateToken,
+    requireAdmin,
+    param('id').isMongoId().withMessage('Invalid plan ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const plan = await Plan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          message: 'Plan not found',
+        });
+      }
+
+      plan.isActive = false;
+      await plan.save();
+
+      res.json({
+        message: 'Plan deactivated successfully',
+        plan,
+      });
+    } catch (error) {
+      console.error('Delete plan error:', error);
+      res.status(500).json({
+        message: 'Server error while deactivating plan',
+      });
+    }
+  }
+);
+
+module.exports = router;
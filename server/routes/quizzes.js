@@ -0,0 +1,760 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const {
+  buildAttemptQuestions,
+  toStudentQuestions,
+  gradeAttempt,
+  buildAttemptFeedback,
+  buildQuizAnalytics,
+} = require('../utils/quizzes');
+const { updateEnrollmentScore } = require('../utils/gradebook');
+const { getCourseAccess } = require('../utils/courseAccess');
+const { authenticateToken, requireInstructor } = require('../middleware/auth');
+
+// Mounted at /api/courses/:courseId/quizzes
+// eslint-disable-next-line new-cap
+const router = express.Router({ mergeParams: true });
+
+const QUESTION_TYPES = [
+  'single_choice',
+  'multiple_choice',
+  'true_false',
+  'short_answer',
+];
+
+const QUIZ_FIELDS = [
+  'lessonId',
+  'title',
+  'description',
+  'questions',
+  'timeLimit',
+  'maxAttempts',
+  'passingScore',
+  'shuffleQuestions',
+  'shuffleOptions',
+  'questionsPerAttempt',
+  'weight',
+  'isPublished',
+];
+
+function pickQuizFields(source) {
+  return QUIZ_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+    return fields;
+  }, {});
+}
+
+// Shared validators; `optional` makes every field optional for updates
+function quizValidators(optional) {
+  function field(name) {
+    return optional ? body(name).optional() : body(name);
+  }
+
+  return [
+    field('lessonId').notEmpty().withMessage('Lesson ID is required'),
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Quiz title must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Quiz description cannot exceed 2000 characters'),
+    body('questions')
+      .optional()
+      .isArray()
+      .withMessage('Questions must be an array'),
+    body('questions.*.type')
+      .isIn(QUESTION_TYPES)
+      .withMessage(
+        `Question type must be one of: ${QUESTION_TYPES.join(', ')}`
+      ),
+    body('questions.*.text')
+      .trim()
+      .notEmpty()
+      .withMessage('Each question needs text'),
+    body('questions.*.points')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Question points cannot be negative'),
+    body(['timeLimit', 'maxAttempts', 'questionsPerAttempt'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Limits must be non-negative integers'),
+    body('passingScore')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Passing score must be between 0 and 100'),
+    body('weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Weight cannot be negative'),
+    body(['shuffleQuestions', 'shuffleOptions', 'isPublished'])
+      .optional()
+      .isBoolean()
+      .withMessage('Settings must be booleans'),
+  ];
+}
+
+// Check that a lesson exists in the course and is a quiz lesson
+function checkQuizLesson(course, lessonId) {
+  const found = course.findLesson(lessonId);
+  if (!found) {
+    return 'Lesson not found in this course';
+  }
+  if (found.lesson.type !== 'quiz') {
+    return 'Quizzes can only be attached to quiz lessons';
+  }
+  return null;
+}
+
+// @route   GET /api/courses/:courseId/quizzes
+// @desc    Get the quizzes of a course (students see published quizzes only)
+// @access  Private (Enrolled students/Instructor)
+router.get(
+  '/',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    query('lessonId').optional().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, canManage, enrollment } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      if (!canManage && !enrollment) {
+        return res.status(403).json({
+          message: 'Access denied. You are not enrolled in this course.',
+        });
+      }
+
+      const filter = { course: course._id };
+      if (req.query.lessonId) {
+        filter.lessonId = req.query.lessonId;
+      }
+      if (!canManage) {
+        filter.isPublished = true;
+      }
+
+      const quizzes = await Quiz.find(filter).sort({ createdAt: 1 });
+
+      if (canManage) {
+        return res.json({ quizzes });
+      }
+
+      // Students get each quiz with a summary of their own attempts
+      const attempts = await QuizAttempt.find({
+        enrollment: enrollment._id,
+        quiz: { $in: quizzes.map(quiz => quiz._id) },
+      }).sort({ attemptNumber: 1 });
+
+      res.json({
+        quizzes: quizzes.map(quiz => {
+          const own = attempts.filter(
+            attempt => attempt.quiz.toString() === quiz._id.toString()
+          );
+          const graded = own.filter(
+            attempt => attempt.status !== 'in_progress'
+          );
+          return {
+            ...quiz.getPublicInfo(),
+            attemptsUsed: own.length,
+            bestScore: graded.length
+              ? Math.max(...graded.map(attempt => attempt.percentage))
+              : null,
+            passed: graded.some(attempt => attempt.passed),
+            attempts: own.map(attempt => attempt.getResult()),
+          };
+        }),
+      });
+    } catch (error) {
+      console.error('Get quizzes error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching quizzes',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:courseId/quizzes
+// @desc    Create a quiz for a quiz lesson
+// @access  Private (Admin/Instructor)
+router.post(
+  '/',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    requireInstructor,
+    ...quizValidators(false),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const course = await Course.findById(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      const lessonError = checkQuizLesson(course, req.body.lessonId);
+      if (lessonError) {
+        return res.status(400).json({
+          message: lessonError,
+        });
+      }
+
+      if (
+        await Quiz.exists({ course: course._id, lessonId: req.body.lessonId })
+      ) {
+        return res.status(400).json({
+          message: 'This lesson already has a quiz',
+        });
+      }
+
+      const quiz = new Quiz({
+        ...pickQuizFields(req.body),
+        course: course._id,
+      });
+      await quiz.save();
+
+      res.status(201).json({
+        message: 'Quiz created successfully',
+        quiz,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while creating quiz',
+          details: error.message,
+        });
+      }
+      console.error('Create quiz error:', error);
+      res.status(500).json({
+        message: 'Server error while creating quiz',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:courseId/quizzes/:quizId
+// @desc    Get a quiz (with answers for instructors)
+// @access  Private (Enrolled students/Instructor)
+router.get(
+  '/:quizId',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, canManage, enrollment } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+      const quiz = course
+        ? await Quiz.findOne({ _id: req.params.quizId, course: course._id })
+        : null;
+
+      if (!quiz || (!canManage && !quiz.isPublished)) {
+        return res.status(404).json({
+          message: 'Quiz not found',
+        });
+      }
+
+      if (!canManage && !enrollment) {
+        return res.status(403).json({
+          message: 'Access denied. You are not enrolled in this course.',
+        });
+      }
+
+      res.json({
+        quiz: canManage ? quiz : quiz.getPublicInfo(),
+      });
+    } catch (error) {
+      console.error('Get quiz error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching quiz',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/courses/:courseId/quizzes/:quizId
+// @desc    Update a quiz and its question bank
+// @access  Private (Admin/Instructor)
+router.put(
+  '/:quizId',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+    requireInstructor,
+    ...quizValidators(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const quiz = await Quiz.findOne({
+        _id: req.params.quizId,
+        course: req.params.courseId,
+      });
+
+      if (!quiz) {
+        return res.status(404).json({
+          message: 'Quiz not found',
+        });
+      }
+
+      if (req.body.lessonId && req.body.lessonId !== quiz.lessonId) {
+        const course = await Course.findById(req.params.courseId);
+        const lessonError = checkQuizLesson(course, req.body.lessonId);
+        if (lessonError) {
+          return res.status(400).json({
+            message: lessonError,
+          });
+        }
+      }
+
+      quiz.set(pickQuizFields(req.body));
+      await quiz.save();
+
+      res.json({
+        message: 'Quiz updated successfully',
+        quiz,
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Validation error while updating quiz',
+          details: error.message,
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({
+          message: 'This lesson already has a quiz',
+        });
+      }
+      console.error('Update quiz error:', error);
+      res.status(500).json({
+        message: 'Server error while updating quiz',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/courses/:courseId/quizzes/:quizId
+// @desc    Delete a quiz (quizzes with attempts are unpublished instead)
+// @access  Private (Admin/Instructor)
+router.delete(
+  '/:quizId',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+    requireInstructor,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const quiz = await Quiz.findOne({
+        _id: req.params.quizId,
+        course: req.params.courseId,
+      });
+
+      if (!quiz) {
+        return res.status(404).json({
+          message: 'Quiz not found',
+        });
+      }
+
+      // Attempts feed student grades, so keep the quiz they refer to
+      if (await QuizAttempt.exists({ quiz: quiz._id })) {
+        quiz.isPublished = false;
+        await quiz.save();
+        return res.json({
+          message: 'Quiz has attempts and was unpublished instead of deleted',
+          quiz,
+        });
+      }
+
+      await quiz.deleteOne();
+
+      res.json({
+        message: 'Quiz deleted successfully',
+      });
+    } catch (error) {
+      console.error('Delete quiz error:', error);
+      res.status(500).json({
+        message: 'Server error while deleting quiz',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:courseId/quizzes/:quizId/attempts
+// @desc    Start (or resume) an attempt at a quiz
+// @access  Private (Enrolled students)
+router.post(
+  '/:quizId/attempts',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, enrollment } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+      const quiz = course
+        ? await Quiz.findOne({
+            _id: req.params.quizId,
+            course: course._id,
+            isPublished: true,
+          })
+        : null;
+
+      if (!quiz) {
+        return res.status(404).json({
+          message: 'Quiz not found',
+        });
+      }
+
+      if (!enrollment) {
+        return res.status(403).json({
+          message: 'Access denied. You are not enrolled in this course.',
+        });
+      }
+
+      let attempt = await QuizAttempt.findOne({
+        quiz: quiz._id,
+        enrollment: enrollment._id,
+        status: 'in_progress',
+      });
+
+      // Close an unfinished attempt that ran out of time
+      if (attempt && attempt.isOverdue) {
+        await attempt.expire();
+        await updateEnrollmentScore(enrollment);
+        await enrollment.save();
+        attempt = null;
+      }
+
+      if (!attempt) {
+        const attemptsUsed = await QuizAttempt.countDocuments({
+          quiz: quiz._id,
+          enrollment: enrollment._id,
+        });
+
+        if (quiz.maxAttempts > 0 && attemptsUsed >= quiz.maxAttempts) {
+          return res.status(400).json({
+            message: 'You have used all attempts for this quiz',
+          });
+        }
+
+        if (quiz.questions.length === 0) {
+          return res.status(400).json({
+            message: 'This quiz has no questions yet',
+          });
+        }
+
+        attempt = new QuizAttempt({
+          quiz: quiz._id,
+          enrollment: enrollment._id,
+          student: req.user._id,
+          attemptNumber: attemptsUsed + 1,
+          questions: buildAttemptQuestions(quiz),
+          ...(quiz.timeLimit > 0 && {
+            expiresAt: new Date(Date.now() + quiz.timeLimit * 60 * 1000),
+          }),
+        });
+        await attempt.save();
+      }
+
+      res.status(201).json({
+        message: 'Quiz attempt started',
+        attempt: attempt.getResult(),
+        questions: toStudentQuestions(quiz, attempt),
+      });
+    } catch (error) {
+      console.error('Start quiz attempt error:', error);
+      res.status(500).json({
+        message: 'Server error while starting quiz attempt',
+      });
+    }
+  }
+);
+
+// @route   POST /api/courses/:courseId/quizzes/:quizId/attempts/:attemptId/submit
+// @desc    Submit answers for an attempt and grade it
+// @access  Private (Students)
+router.post(
+  '/:quizId/attempts/:attemptId/submit',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+    param('attemptId').isMongoId().withMessage('Invalid attempt ID'),
+    body('answers').isArray().withMessage('Answers must be an array'),
+    body('answers.*.questionId')
+      .isMongoId()
+      .withMessage('Each answer needs a valid question ID'),
+    body('answers.*.selectedOptions')
+      .optional()
+      .isArray()
+      .withMessage('Selected options must be an array'),
+    body('answers.*.textAnswer')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Answers cannot exceed 1000 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const attempt = await QuizAttempt.findOne({
+        _id: req.params.attemptId,
+        quiz: req.params.quizId,
+      });
+
+      if (!attempt) {
+        return res.status(404).json({
+          message: 'Quiz attempt not found',
+        });
+      }
+
+      if (attempt.student.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          message: 'Access denied. You can only submit your own attempts.',
+        });
+      }
+
+      if (attempt.status !== 'in_progress') {
+        return res.status(400).json({
+          message: 'This attempt has already been submitted',
+        });
+      }
+
+      const [quiz, enrollment] = await Promise.all([
+        Quiz.findById(attempt.quiz),
+        Enrollment.findById(attempt.enrollment),
+      ]);
+
+      if (attempt.isOverdue) {
+        await attempt.expire();
+        await updateEnrollmentScore(enrollment);
+        await enrollment.save();
+        return res.status(400).json({
+          message: 'The time limit for this attempt has passed',
+          attempt: attempt.getResult(),
+        });
+      }
+
+      gradeAttempt(quiz, attempt, req.body.answers);
+      await attempt.save();
+
+      await updateEnrollmentScore(enrollment);
+      await enrollment.save();
+
+      res.json({
+        message: attempt.passed ? 'Quiz passed' : 'Quiz submitted',
+        attempt: attempt.getResult(),
+        feedback: buildAttemptFeedback(quiz, attempt),
+        enrollment: {
+          score: enrollment.score,
+          grade: enrollment.grade,
+        },
+      });
+    } catch (error) {
+      console.error('Submit quiz attempt error:', error);
+      res.status(500).json({
+        message: 'Server error while submitting quiz attempt',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:courseId/quizzes/:quizId/attempts
+// @desc    Get attempts at a quiz (students see their own)
+// @access  Private (Enrolled students/Instructor)
+router.get(
+  '/:quizId/attempts',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { course, canManage } = await getCourseAccess(
+        req.user,
+        req.params.courseId
+      );
+      const quiz = course
+        ? await Quiz.findOne({ _id: req.params.quizId, course: course._id })
+        : null;
+
+      if (!quiz) {
+        return res.status(404).json({
+          message: 'Quiz not found',
+        });
+      }
+
+      const filter = { quiz: quiz._id };
+      if (!canManage) {
+        filter.student = req.user._id;
+      }
+
+      const attempts = await QuizAttempt.find(filter)
+        .populate('student', 'firstName lastName email')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        attempts: attempts.map(attempt => ({
+          ...attempt.getResult(),
+          student: attempt.student,
+        })),
+      });
+    } catch (error) {
+      console.error('Get quiz attempts error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching quiz attempts',
+      });
+    }
+  }
+);
+
+// @route   GET /api/courses/:courseId/quizzes/:quizId/analytics
+// @desc    Get score and per-question analytics for a quiz
+// @access  Private (Admin/Instructor)
+router.get(
+  '/:quizId/analytics',
+  [
+    authenticateToken,
+    param('courseId').isMongoId().withMessage('Invalid course ID'),
+    param('quizId').isMongoId().withMessage('Invalid quiz ID'),
+    requireInstructor,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const quiz = await Quiz.findOne({
+        _id: req.params.quizId,
+        course: req.params.courseId,
+      });
+
+      if (!quiz) {
+        return res.status(404).json({
+          message: 'Quiz not found',
+        });
+      }
+
+      const attempts = await QuizAttempt.find({
+        quiz: quiz._id,
+        status: { $in: ['submitted', 'expired'] },
+      });
+
+      res.json({
+        quiz: {
+          _id: quiz._id,
+          title: quiz.title,
+          passingScore: quiz.passingScore,
+        },
+        analytics: buildQuizAnalytics(quiz, attempts),
+      });
+    } catch (error) {
+      console.error('Get quiz analytics error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching quiz analytics',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { runReconciliation } = require('../utils/reconciliation');
+const { toCsv } = require('../utils/csv');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+const validateReportId = param('id')
+  .isMongoId()
+  .withMessage('Invalid report ID');
+
+// @route   GET /api/reconciliation-reports
+// @desc    Get reconciliation runs, newest first
+// @access  Private (Admin)
+router.get(
+  '/',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const reports = await ReconciliationReport.find()
+        .select('-items')
+        .populate('triggeredBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await ReconciliationReport.countDocuments();
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      res.json({
+        reports,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get reconciliation reports error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching reconciliation reports',
+      });
+    }
+  }
+);
+
+// @route   POST /api/reconciliation-reports/run
+// @desc    Reconcile pending payments now instead of waiting for the job
+// @access  Private (Admin)
+router.post('/run', async (req, res) => {
+  try {
+    const report = await runReconciliation({
+      trigger: 'manual',
+      triggeredBy: req.user._id,
+    });
+    if (!report) {
+      return res.status(409).json({
+        message: 'Reconciliation is already running',
+      });
+    }
+
+    res.status(201).json({
+      message: 'Reconciliation completed',
+      report,
+    });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(500).json({
+      message: 'Server error while reconciling payments',
+    });
+  }
+});
+
+// @route   GET /api/reconciliation-reports/:id
+// @desc    Get a reconciliation report with every payment it checked
+// @access  Private (Admin)
+router.get('/:id', [validateReportId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id).populate(
+      'triggeredBy',
+      'firstName lastName email'
+    );
+    if (!report) {
+      return res.status(404).json({
+        message: 'Reconciliation report not found',
+      });
+    }
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching reconciliation report',
+    });
+  }
+});
+
+// @route   GET /api/reconciliation-reports/:id/download
+// @desc    Download a reconciliation report as CSV
+// @access  Private (Admin)
+router.get('/:id/download', [validateReportId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        message: 'Reconciliation report not found',
+      });
+    }
+
+    const header = [
+      'Payment ID',
+      'Transaction ID',
+      'Enrollment ID',
+      'Method',
+      'Currency',
+      'Amount',
+      'Created',
+      'Outcome',
+      'Message',
+    ];
+    const rows = report.items.map(item => [
+      item.payment,
+      item.transactionId,
+      item.enrollment,
+      item.paymentMethod,
+      item.currency,
+      item.amount,
+      item.createdAt,
+      item.outcome,
+      item.message,
+    ]);
+
+    const csv = toCsv([header, ...rows]);
+
+    const filename = `reconciliation-${report.startedAt.toISOString().slice(0, 10)}-${report._id}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Download reconciliation report error:', error);
+    res.status(500).json({
+      message: 'Server error while downloading reconciliation report',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,309 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const RefundRequest = require('../models/RefundRequest');
+const Payment = require('../models/Payment');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { refundPayment } = require('../utils/paymentLifecycle');
+const { getRefundPolicy } = require('../utils/refundPolicy');
+const { sendEmail, emailTemplates } = require('../utils/email');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+const validateRequestId = param('id')
+  .isMongoId()
+  .withMessage('Invalid refund request ID');
+
+// Take a pending request for review so two admins can't act on it at once.
+// Returns null when the request was already reviewed.
+function claimPendingRequest(id, status, reviewer) {
+  return RefundRequest.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status, reviewedBy: reviewer, reviewedAt: new Date() } },
+    { new: true }
+  ).populate([
+    { path: 'student', select: 'firstName email' },
+    { path: 'course', select: 'title' },
+  ]);
+}
+
+async function releaseClaim(request) {
+  await RefundRequest.updateOne(
+    { _id: request._id },
+    { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+  );
+}
+
+async function sendReviewNotFound(res, id) {
+  const exists = await RefundRequest.exists({ _id: id });
+  if (!exists) {
+    return res.status(404).json({
+      message: 'Refund request not found',
+    });
+  }
+  return res.status(400).json({
+    message: 'Refund request has already been reviewed',
+  });
+}
+
+// @route   GET /api/refund-requests/policy
+// @desc    Get the refund policy students are held to
+// @access  Public
+router.get('/policy', (req, res) => {
+  res.json({ policy: getRefundPolicy() });
+});
+
+// @route   GET /api/refund-requests
+// @desc    Get refund requests; admins see everyone's, students their own
+// @access  Private
+router.get(
+  '/',
+  [
+    authenticateToken,
+    query('status')
+      .optional()
+      .isIn(RefundRequest.schema.path('status').enumValues)
+      .withMessage('Invalid refund request status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 10, status } = req.query;
+      const filter = {};
+      if (req.user.role !== 'admin') {
+        filter.student = req.user._id;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      // Oldest first, so the review queue is worked in order
+      const refundRequests = await RefundRequest.find(filter)
+        .populate('student', 'firstName lastName email')
+        .populate('course', 'title')
+        .populate(
+          'payment',
+          'transactionId paymentMethod amount netAmount currency status'
+        )
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await RefundRequest.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      res.json({
+        refundRequests,
+        policy: getRefundPolicy(),
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get refund requests error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching refund requests',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/refund-requests/:id/approve
+// @desc    Approve a refund request: refund the payment, or the requested
+//          line item of a cart payment, in full. That closes the
+//          enrollment, unless other installments of its plan are still paid.
+// @access  Private (Admin)
+router.put(
+  '/:id/approve',
+  [
+    authenticateToken,
+    requireAdmin,
+    validateRequestId,
+    body('adminNote')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot be more than 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const refundRequest = await claimPendingRequest(
+        req.params.id,
+        'approved',
+        req.user._id
+      );
+      if (!refundRequest) {
+        return sendReviewNotFound(res, req.params.id);
+      }
+
+      let payment;
+      let item;
+      let refund;
+      let refundAmount;
+      try {
+        payment = await Payment.findById(refundRequest.payment);
+        item =
+          payment && refundRequest.item
+            ? payment.items.id(refundRequest.item)
+            : null;
+        const refundable = item
+          ? item.amount - item.refundedAmount
+          : payment?.refundableAmount;
+        if (
+          !payment ||
+          payment.status !== 'completed' ||
+          (refundRequest.item && !item) ||
+          !(refundable > 0)
+        ) {
+          await releaseClaim(refundRequest);
+          return res.status(400).json({
+            message: 'This payment can no longer be refunded',
+          });
+        }
+
+        refundAmount = Math.min(refundable, payment.refundableAmount);
+        refund = await refundPayment(payment, {
+          amount: refundAmount,
+          reason: refundRequest.reason,
+          processedBy: req.user._id,
+          itemId: item?._id,
+        });
+        if (!refund.success) {
+          await releaseClaim(refundRequest);
+          return res.status(400).json({
+            message: refund.message,
+          });
+        }
+      } catch (refundError) {
+        await releaseClaim(refundRequest);
+        throw refundError;
+      }
+
+      refundRequest.amount = refundAmount;
+      refundRequest.refundId = refund.refundId;
+      refundRequest.adminNote = req.body.adminNote;
+      await refundRequest.save();
+
+      try {
+        await sendEmail({
+          to: refundRequest.student.email,
+          ...emailTemplates.refundRequestApproved(
+            refundRequest.student.firstName,
+            refundRequest.course?.title || 'your course',
+            refundRequest.amount,
+            refundRequest.currency,
+            refund.refundId
+          ),
+        });
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+
+      res.json({
+        message: 'Refund request approved',
+        refundRequest,
+        payment,
+      });
+    } catch (error) {
+      console.error('Approve refund request error:', error);
+      res.status(500).json({
+        message: 'Server error while approving refund request',
+      });
+    }
+  }
+);
+
+// @route   PUT /api/refund-requests/:id/reject
+// @desc    Reject a refund request, telling the student why
+// @access  Private (Admin)
+router.put(
+  '/:id/reject',
+  [
+    authenticateToken,
+    requireAdmin,
+    validateRequestId,
+    body('adminNote')
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Note must be between 5 and 500 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const refundRequest = await claimPendingRequest(
+        req.params.id,
+        'rejected',
+        req.user._id
+      );
+      if (!refundRequest) {
+        return sendReviewNotFound(res, req.params.id);
+      }
+
+      refundRequest.adminNote = req.body.adminNote;
+      await refundRequest.save();
+
+      try {
+        await sendEmail({
+          to: refundRequest.student.email,
+          ...emailTemplates.refundRequestRejected(
+            refundRequest.student.firstName,
+            refundRequest.course?.title || 'your course',
+            refundRequest.adminNote
+          ),
+        });
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+
+      res.json({
+        message: 'Refund request rejected',
+        refundRequest,
+      });
+    } catch (error) {
+      console.error('Reject refund request error:', error);
+      res.status(500).json({
+        message: 'Server error while rejecting refund request',
+      });
+    }
+  }
+);
+
+module.exports = router;
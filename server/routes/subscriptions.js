@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const Plan = require('../models/Plan');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createPlanSubscription,
+  cancelPlanSubscription,
+} = require('../utils/gateways/stripe');
+const {
+  applyStripeDetails,
+  syncSubscriptionAccess,
+} = require('../utils/subscriptions');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// @route   GET /api/subscriptions
+// @desc    Get subscriptions; admins see everyone's, students their own
+// @access  Private
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(Subscription.schema.path('status').enumValues)
+      .withMessage('Invalid subscription status'),
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 10, status, user } = req.query;
+      const filter = {};
+      if (req.user.role !== 'admin') {
+        filter.user = req.user._id;
+      } else if (user) {
+        filter.user = user;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const subscriptions = await Subscription.find(filter)
+        .populate('user', 'firstName lastName email')
+        .populate('plan', 'name interval price currency scope category')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await Subscription.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      res.json({
+        subscriptions,
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get subscriptions error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching subscriptions',
+      });
+    }
+  }
+);
+
+// @route   POST /api/subscriptions
+// @desc    Subscribe to a membership plan. The client confirms the first
+//          payment with the returned client secret; the subscription
+//          becomes active through the Stripe webhook.
+// @access  Private
+router.post(
+  '/',
+  [body('planId').isMongoId().withMessage('Valid plan ID is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const plan = await Plan.findById(req.body.planId);
+      if (!plan || !plan.isActive || !plan.stripePriceId) {
+        return res.status(404).json({
+          message: 'Plan not found',
+        });
+      }
+
+      // Unpaid attempts don't count; Stripe expires them after a day
+      const existing = await Subscription.exists({
+        user: req.user._id,
+        plan: plan._id,
+        status: { $in: ['trialing', 'active', 'past_due'] },
+      });
+      if (existing) {
+        return res.status(409).json({
+          message: 'You are already subscribed to this plan',
+        });
+      }
+
+      // Reuse the Stripe customer from earlier subscriptions
+      const previous = await Subscription.findOne({
+        user: req.user._id,
+        stripeCustomerId: { $exists: true },
+      }).sort({ createdAt: -1 });
+
+      const subscription = new Subscription({
+        user: req.user._id,
+        plan: plan._id,
+        stripeCustomerId: previous?.stripeCustomerId,
+      });
+      await subscription.save();
+
+      let result;
+      try {
+        result = await createPlanSubscription(subscription, {
+          plan,
+          user: req.user,
+        });
+      } catch (error) {
+        await subscription.deleteOne();
+        throw error;
+      }
+
+      applyStripeDetails(subscription, result.details);
+      await subscription.save();
+
+      res.status(201).json({
+        message: 'Subscription created successfully',
+        subscription,
+        clientSecret: result.clientSecret,
+      });
+    } catch (error) {
+      console.error('Create subscription error:', error);
+      res.status(500).json({
+        message: 'Server error while creating subscription',
+      });
+    }
+  }
+);
+
+// @route   POST /api/subscriptions/:id/cancel
+// @desc    Cancel a subscription at the end of its current period
+// @access  Private (Owner or Admin)
+router.post(
+  '/:id/cancel',
+  [param('id').isMongoId().withMessage('Invalid subscription ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const subscription = await Subscription.findById(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({
+          message: 'Subscription not found',
+        });
+      }
+
+      if (
+        req.user.role !== 'admin' &&
+        subscription.user.toString() !== req.user._id.toString()
+      ) {
+        return res.status(403).json({
+          message: 'Access denied',
+        });
+      }
+
+      if (
+        subscription.status === 'cancelled' ||
+        subscription.cancelAtPeriodEnd
+      ) {
+        return res.status(400).json({
+          message: 'Subscription is already cancelled',
+        });
+      }
+
+      const details = await cancelPlanSubscription(
+        subscription.stripeSubscriptionId
+      );
+      applyStripeDetails(subscription, details);
+      await subscription.save();
+      await syncSubscriptionAccess(subscription);
+
+      res.json({
+        message: 'Subscription will end with the current billing period',
+        subscription,
+      });
+    } catch (error) {
+      console.error('Cancel subscription error:', error);
+      res.status(500).json({
+        message: 'Server error while cancelling subscription',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,464 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const Voucher = require('../models/Voucher');
+const Course = require('../models/Course');
+const {
+  authenticateToken,
+  requireAdmin,
+  requireStudent,
+} = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { getGateway } = require('../utils/gateways');
+const { startGiftPayment } = require('../utils/paymentLifecycle');
+const { MAX_BULK_VOUCHERS, generateVoucherCode } = require('../utils/vouchers');
+const { toCsv } = require('../utils/csv');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken);
+
+function buildVoucherFilter(source) {
+  const filter = {};
+  ['batch', 'course', 'status', 'source'].forEach(field => {
+    if (source[field]) {
+      filter[field] = source[field];
+    }
+  });
+  return filter;
+}
+
+function buildVoucherCsvRows(vouchers) {
+  const header = [
+    'Code',
+    'Course',
+    'Source',
+    'Label',
+    'Status',
+    'Expires At',
+    'Recipient Email',
+    'Redeemed By',
+    'Redeemed By Email',
+    'Redeemed At',
+    'Created At',
+  ];
+  const rows = vouchers.map(voucher => [
+    voucher.code,
+    voucher.course?.title,
+    voucher.source,
+    voucher.label,
+    voucher.status,
+    voucher.expiresAt,
+    voucher.recipientEmail,
+    voucher.redeemedBy
+      ? `${voucher.redeemedBy.firstName} ${voucher.redeemedBy.lastName}`
+      : '',
+    voucher.redeemedBy?.email,
+    voucher.redeemedAt,
+    voucher.createdAt,
+  ]);
+  return [header, ...rows];
+}
+
+// @route   POST /api/vouchers/gifts
+// @desc    Buy a course as a gift. When the payment completes, the
+//          recipient is emailed a single-use voucher code.
+// @access  Private (Students only)
+router.post(
+  '/gifts',
+  [
+    requireStudent,
+    idempotent('gift-purchase'),
+    body('courseId').isMongoId().withMessage('Valid course ID is required'),
+    body('recipientEmail')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid recipient email is required'),
+    body('recipientName')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Recipient name cannot be more than 100 characters'),
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Gift message cannot be more than 500 characters'),
+    body('paymentMethod')
+      .custom(value => Boolean(getGateway(value)))
+      .withMessage('Valid payment method is required'),
+    body('billingAddress')
+      .optional()
+      .isObject()
+      .withMessage('Billing address must be an object'),
+    body('cardDetails')
+      .optional()
+      .isObject()
+      .withMessage('Card details must be an object'),
+    body('couponCode')
+      .optional()
+      .isString()
+      .withMessage('Coupon code must be a string'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        courseId,
+        recipientEmail,
+        recipientName,
+        message,
+        paymentMethod,
+        billingAddress,
+        cardDetails,
+        couponCode,
+      } = req.body;
+
+      if (couponCode) {
+        return res.status(400).json({
+          message: 'Coupons cannot be applied to gifts',
+        });
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      if (course.status !== 'published' || !course.isActive) {
+        return res.status(400).json({
+          message: 'Course is not available for enrollment',
+        });
+      }
+
+      if (!(course.price > 0)) {
+        return res.status(400).json({
+          message: 'Free courses can be enrolled in directly',
+        });
+      }
+
+      const { payment, result } = await startGiftPayment(
+        getGateway(paymentMethod),
+        {
+          course,
+          user: req.user,
+          gift: { recipientEmail, recipientName, message },
+          billingAddress,
+          cardDetails,
+        }
+      );
+
+      if (result.status === 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment failed',
+          error: result.failure?.message,
+          paymentId: payment._id,
+        });
+      }
+
+      res.json({
+        success: true,
+        message:
+          result.status === 'completed'
+            ? 'Payment successful! The gift is on its way.'
+            : 'Payment initiated',
+        payment,
+        paymentId: payment._id,
+        transactionId: payment.transactionId,
+        redirectUrl: result.redirectUrl,
+        clientSecret: result.clientSecret,
+      });
+    } catch (error) {
+      console.error('Gift purchase error:', error);
+      res.status(500).json({
+        message: 'Server error while purchasing gift',
+      });
+    }
+  }
+);
+
+// @route   GET /api/vouchers/gifts
+// @desc    Get the gift vouchers the student has bought
+// @access  Private (Students only)
+router.get('/gifts', requireStudent, async (req, res) => {
+  try {
+    const vouchers = await Voucher.find({ purchasedBy: req.user._id })
+      .populate('course', 'title thumbnail')
+      .sort({ createdAt: -1 });
+
+    res.json({ vouchers });
+  } catch (error) {
+    console.error('Get gift vouchers error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching gift vouchers',
+    });
+  }
+});
+
+// @route   POST /api/vouchers/bulk
+// @desc    Generate a batch of vouchers for a course, e.g. for a corporate
+//          deal
+// @access  Private (Admin)
+router.post(
+  '/bulk',
+  [
+    requireAdmin,
+    body('courseId').isMongoId().withMessage('Valid course ID is required'),
+    body('quantity')
+      .isInt({ min: 1, max: MAX_BULK_VOUCHERS })
+      .withMessage(`Quantity must be between 1 and ${MAX_BULK_VOUCHERS}`),
+    body('label')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Label must be between 1 and 100 characters'),
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Expiry must be a valid date'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { courseId, quantity, label, expiresAt } = req.body;
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          message: 'Course not found',
+        });
+      }
+
+      if (!(course.price > 0)) {
+        return res.status(400).json({
+          message: 'Free courses can be enrolled in directly',
+        });
+      }
+
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        return res.status(400).json({
+          message: 'Expiry must be in the future',
+        });
+      }
+
+      const batch = new mongoose.Types.ObjectId();
+      const codes = new Set();
+      while (codes.size < parseInt(quantity, 10)) {
+        codes.add(generateVoucherCode());
+      }
+
+      const vouchers = await Voucher.insertMany(
+        [...codes].map(code => ({
+          code,
+          course: course._id,
+          source: 'bulk',
+          batch,
+          label,
+          expiresAt,
+          createdBy: req.user._id,
+        }))
+      );
+
+      res.status(201).json({
+        message: `${vouchers.length} vouchers generated successfully`,
+        batch,
+        vouchers,
+      });
+    } catch (error) {
+      console.error('Generate vouchers error:', error);
+      res.status(500).json({
+        message: 'Server error while generating vouchers',
+      });
+    }
+  }
+);
+
+// @route   GET /api/vouchers/batches
+// @desc    Summarize redemptions per bulk voucher batch
+// @access  Private (Admin)
+router.get('/batches', requireAdmin, async (req, res) => {
+  try {
+    const batches = await Voucher.aggregate([
+      { $match: { source: 'bulk' } },
+      {
+        $group: {
+          _id: '$batch',
+          label: { $first: '$label' },
+          course: { $first: '$course' },
+          expiresAt: { $first: '$expiresAt' },
+          createdAt: { $min: '$createdAt' },
+          total: { $sum: 1 },
+          redeemed: {
+            $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, 1, 0] },
+          },
+          cancelled: {
+            $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] },
+          },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+    ]);
+    await Course.populate(batches, { path: 'course', select: 'title' });
+
+    res.json({
+      batches: batches.map(({ _id, ...batch }) => ({ batch: _id, ...batch })),
+    });
+  } catch (error) {
+    console.error('Get voucher batches error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching voucher batches',
+    });
+  }
+});
+
+// @route   GET /api/vouchers
+// @desc    List vouchers with who redeemed them. `format=csv` downloads
+//          every matching voucher.
+// @access  Private (Admin)
+router.get(
+  '/',
+  [
+    requireAdmin,
+    query('batch').optional().isMongoId().withMessage('Invalid batch ID'),
+    query('course').optional().isMongoId().withMessage('Invalid course ID'),
+    query('status')
+      .optional()
+      .isIn(['active', 'redeemed', 'cancelled'])
+      .withMessage('Invalid status'),
+    query('source')
+      .optional()
+      .isIn(['gift', 'bulk'])
+      .withMessage('Source must be gift or bulk'),
+    query('format').optional().isIn(['csv']).withMessage('Format must be csv'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const filter = buildVoucherFilter(req.query);
+
+      if (req.query.format === 'csv') {
+        const vouchers = await Voucher.find(filter)
+          .populate('course', 'title')
+          .populate('redeemedBy', 'firstName lastName email')
+          .sort({ createdAt: 1 })
+          .lean();
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="vouchers-${req.query.batch || 'all'}.csv"`
+        );
+        return res.send(toCsv(buildVoucherCsvRows(vouchers)));
+      }
+
+      const page = parseInt(req.query.page || '1', 10);
+      const limit = parseInt(req.query.limit || '20', 10);
+
+      const [vouchers, total] = await Promise.all([
+        Voucher.find(filter)
+          .populate('course', 'title')
+          .populate('purchasedBy', 'firstName lastName email')
+          .populate('redeemedBy', 'firstName lastName email')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Voucher.countDocuments(filter),
+      ]);
+
+      res.json({
+        vouchers,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          limit,
+        },
+      });
+    } catch (error) {
+      console.error('Get vouchers error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching vouchers',
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/vouchers/:id
+// @desc    Cancel a voucher that has not been redeemed
+// @access  Private (Admin)
+router.delete(
+  '/:id',
+  [requireAdmin, param('id').isMongoId().withMessage('Invalid voucher ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      // Only if still active, so a redemption in between is not undone
+      const voucher = await Voucher.findOneAndUpdate(
+        { _id: req.params.id, status: 'active' },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+      );
+      if (!voucher) {
+        const existing = await Voucher.findById(req.params.id);
+        return existing
+          ? res.status(400).json({
+              message: `Voucher is already ${existing.status}`,
+            })
+          : res.status(404).json({
+              message: 'Voucher not found',
+            });
+      }
+
+      res.json({
+        message: 'Voucher cancelled successfully',
+        voucher,
+      });
+    } catch (error) {
+      console.error('Cancel voucher error:', error);
+      res.status(500).json({
+        message: 'Server error while cancelling voucher',
+      });
+    }
+  }
+);
+
+module.exports = router;
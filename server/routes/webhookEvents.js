@@ -0,0 +1,179 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const WebhookEvent = require('../models/WebhookEvent');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { processWebhookEvent } = require('../utils/webhookEvents');
+
+// eslint-disable-next-line new-cap
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/webhook-events
+// @desc    Get stored webhook events, newest first
+// @access  Private (Admin)
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(['received', 'processed', 'failed', 'dead_letter'])
+      .withMessage('Invalid status'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { page = 1, limit = 20, status, provider, search } = req.query;
+
+      const filter = {};
+      if (status === 'dead_letter') {
+        filter.status = 'failed';
+        filter.nextAttemptAt = null;
+      } else if (status) {
+        filter.status = status;
+      }
+      if (provider) {
+        filter.provider = provider;
+      }
+      if (search) {
+        filter.eventId = { $regex: search, $options: 'i' };
+      }
+
+      const skip = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+
+      const events = await WebhookEvent.find(filter)
+        .select('-event')
+        .populate('payment', 'transactionId amount currency status')
+        .populate('subscription', 'status stripeSubscriptionId')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit, 10));
+
+      const total = await WebhookEvent.countDocuments(filter);
+      const totalPages = Math.ceil(total / parseInt(limit, 10));
+
+      const counts = await WebhookEvent.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]);
+
+      res.json({
+        events,
+        counts: counts.reduce((result, entry) => {
+          result[entry._id] = entry.count;
+          return result;
+        }, {}),
+        pagination: {
+          currentPage: parseInt(page, 10),
+          totalPages,
+          total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit: parseInt(limit, 10),
+        },
+      });
+    } catch (error) {
+      console.error('Get webhook events error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching webhook events',
+      });
+    }
+  }
+);
+
+// @route   GET /api/webhook-events/:id
+// @desc    Get a webhook event with its payload
+// @access  Private (Admin)
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid webhook event ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const event = await WebhookEvent.findById(req.params.id)
+        .populate('payment', 'transactionId amount currency status')
+        .populate('subscription', 'status stripeSubscriptionId');
+      if (!event) {
+        return res.status(404).json({
+          message: 'Webhook event not found',
+        });
+      }
+
+      res.json({ event });
+    } catch (error) {
+      console.error('Get webhook event error:', error);
+      res.status(500).json({
+        message: 'Server error while fetching webhook event',
+      });
+    }
+  }
+);
+
+// @route   POST /api/webhook-events/:id/replay
+// @desc    Apply a failed or interrupted webhook event again
+// @access  Private (Admin)
+router.post(
+  '/:id/replay',
+  [param('id').isMongoId().withMessage('Invalid webhook event ID')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const webhookEvent = await WebhookEvent.findById(req.params.id);
+      if (!webhookEvent) {
+        return res.status(404).json({
+          message: 'Webhook event not found',
+        });
+      }
+      if (webhookEvent.status === 'processed') {
+        return res.status(400).json({
+          message: 'Webhook event has already been processed',
+        });
+      }
+
+      const { webhookEvent: event } = await processWebhookEvent(webhookEvent);
+
+      res.json({
+        message:
+          event.status === 'processed'
+            ? 'Webhook event replayed successfully'
+            : 'Webhook event failed again',
+        event,
+      });
+    } catch (error) {
+      console.error('Replay webhook event error:', error);
+      res.status(500).json({
+        message: 'Server error while replaying webhook event',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const Course = require('../models/Course');
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Load a bundle's courses and check they can be sold together at its
+// price. Returns `{ courses }`, or `{ problem }` saying what is wrong.
+async function loadBundleCourses(courseIds, currency) {
+  const uniqueIds = [...new Set(courseIds.map(id => id.toString()))];
+  if (uniqueIds.length !== courseIds.length) {
+    return { problem: 'A course can only be in a bundle once' };
+  }
+
+  const courses = await Course.find({ _id: { $in: uniqueIds } });
+  if (courses.length !== uniqueIds.length) {
+    return { problem: 'Some of the bundle courses do not exist' };
+  }
+
+  const free = courses.find(course => !(course.price > 0));
+  if (free) {
+    return {
+      problem: `${free.title} is free, so it can't be sold in a bundle`,
+    };
+  }
+
+  // The bundle price is split by course price, so they must be comparable
+  const otherCurrency = courses.find(
+    course => (course.currency || 'BDT') !== currency
+  );
+  if (otherCurrency) {
+    return {
+      problem: `${otherCurrency.title} is not priced in ${currency}, the bundle currency`,
+    };
+  }
+
+  // Keep the bundle's own order
+  const byId = new Map(courses.map(course => [course._id.toString(), course]));
+  return { courses: uniqueIds.map(id => byId.get(id)) };
+}
+
+// Split a bundle price over its courses in proportion to their own prices,
+// so each instructor earns from the share of their course. The last course
+// takes the rounding difference, so the shares add up to the bundle price.
+function allocateBundlePrice(price, courses) {
+  const listTotal = courses.reduce((sum, course) => sum + course.price, 0);
+
+  let remaining = price;
+  return courses.map((course, index) => {
+    if (index === courses.length - 1) {
+      return round2(remaining);
+    }
+    const share = round2((price * course.price) / listTotal);
+    remaining -= share;
+    return share;
+  });
+}
+
+module.exports = {
+  loadBundleCourses,
+  allocateBundlePrice,
+};
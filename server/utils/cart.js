@@ -0,0 +1,120 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const InstallmentSchedule = require('../models/InstallmentSchedule');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getPrerequisiteStatus } = require('./prerequisites');
+const { fillOpenSeats } = require('./waitlist');
+const { findCoveringSubscription } = require('./subscriptions');
+
+const MAX_CART_ITEMS = 20;
+
+// Check whether a student can buy a course through the cart. Returns
+// `{ problem }` saying why not, or `{ enrollment, waitlistEntry }` with the
+// student's unpaid enrollment to reuse, if any, and the waitlist entry
+// holding their seat.
+async function checkCartCourse(course, userId) {
+  if (course.status !== 'published' || !course.isActive) {
+    return { problem: 'Course is not available for enrollment' };
+  }
+
+  if (!(course.price > 0)) {
+    return { problem: 'Free courses can be enrolled in directly' };
+  }
+
+  // Enrollments left unpaid, e.g. by an abandoned checkout, can be paid
+  // for through the cart. Anything else means the student has the course.
+  const enrollment = await Enrollment.findOne({
+    student: userId,
+    course: course._id,
+  });
+  if (enrollment) {
+    const onInstallments = await InstallmentSchedule.exists({
+      enrollment: enrollment._id,
+      status: 'active',
+    });
+    if (
+      enrollment.status !== 'pending' ||
+      enrollment.payment.paymentStatus === 'completed' ||
+      enrollment.subscription ||
+      onInstallments
+    ) {
+      return { problem: 'You are already enrolled in this course' };
+    }
+  }
+
+  const unmetPrerequisites = (
+    await getPrerequisiteStatus(course, userId)
+  ).filter(prerequisite => !prerequisite.met);
+  if (unmetPrerequisites.length > 0) {
+    return { problem: 'You have not met the prerequisites for this course' };
+  }
+
+  if (await findCoveringSubscription(userId, course)) {
+    return { problem: 'Your membership already covers this course' };
+  }
+
+  // Unpaid enrollments already hold their seat
+  let waitlistEntry = null;
+  if (!enrollment && course.maxStudents > 0) {
+    await fillOpenSeats(course);
+    waitlistEntry = await WaitlistEntry.findActive(course._id, userId);
+
+    const heldSeats = await WaitlistEntry.countHeldSeats(course._id);
+    const holdsSeat = waitlistEntry && waitlistEntry.hasActiveOffer;
+    if (
+      !holdsSeat &&
+      course.currentStudents + heldSeats >= course.maxStudents
+    ) {
+      return { problem: 'Course is full. No more enrollments available.' };
+    }
+  }
+
+  return { enrollment, waitlistEntry };
+}
+
+// Get the pending enrollment a cart checkout pays for, creating it and
+// taking its seat unless `checkCartCourse` found one to reuse. `price`
+// defaults to the course price; bundles charge each course its share.
+async function reserveCartEnrollment(
+  course,
+  userId,
+  paymentMethod,
+  { enrollment, waitlistEntry },
+  price = { amount: course.price, currency: course.currency || 'BDT' }
+) {
+  if (enrollment) {
+    enrollment.payment.amount = price.amount;
+    enrollment.payment.currency = price.currency;
+    enrollment.payment.paymentMethod = paymentMethod;
+    await enrollment.save();
+    return enrollment;
+  }
+
+  const created = new Enrollment({
+    student: userId,
+    course: course._id,
+    payment: {
+      amount: price.amount,
+      currency: price.currency,
+      paymentMethod,
+      paymentStatus: 'pending',
+    },
+    status: 'pending',
+  });
+  await created.save();
+
+  if (waitlistEntry) {
+    waitlistEntry.status = 'enrolled';
+    await waitlistEntry.save();
+  }
+
+  await Course.findByIdAndUpdate(course._id, { $inc: { currentStudents: 1 } });
+
+  return created;
+}
+
+module.exports = {
+  MAX_CART_ITEMS,
+  checkCartCourse,
+  reserveCartEnrollment,
+};
@@ -0,0 +1,130 @@
+const { escapeHtml } = require('./html');
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+// Public page where anyone can check a certificate
+function getVerifyUrl(certificateId) {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/certificates/${certificateId}/verify`;
+}
+
+// Built-in layouts a course can pick with `certificateTemplate`.
+// Each receives HTML-escaped values.
+const templates = {
+  classic: data => `
+    <div class="certificate classic">
+      <div class="inner">
+        <p class="eyebrow">Students Enrollment System</p>
+        <h1>Certificate of Completion</h1>
+        <p class="lead">This certifies that</p>
+        <h2>${data.studentName}</h2>
+        <p class="lead">has successfully completed the course</p>
+        <h3>${data.courseTitle}</h3>
+        <div class="footer">
+          <div>
+            <strong>${data.instructorName}</strong>
+            <span>Instructor</span>
+          </div>
+          <div>
+            <strong>${data.completionDate}</strong>
+            <span>Date of completion</span>
+          </div>
+        </div>
+        <p class="verify">Certificate ID ${data.certificateId} &middot; Verify at ${data.verifyUrl}</p>
+      </div>
+    </div>`,
+
+  modern: data => `
+    <div class="certificate modern">
+      <div class="accent"></div>
+      <div class="inner">
+        <p class="eyebrow">Certificate of Completion</p>
+        <h2>${data.studentName}</h2>
+        <p class="lead">completed</p>
+        <h3>${data.courseTitle}</h3>
+        <p class="lead">on ${data.completionDate}, taught by ${data.instructorName}</p>
+        <p class="verify">ID ${data.certificateId}<br>${data.verifyUrl}</p>
+      </div>
+    </div>`,
+};
+
+const styles = `
+  @page { size: A4 landscape; margin: 0; }
+  body { margin: 0; color: #2c3e50; }
+  .certificate { box-sizing: border-box; width: 297mm; height: 210mm; padding: 14mm; position: relative; }
+  .inner { height: 100%; box-sizing: border-box; text-align: center; padding: 18mm 20mm; }
+  h1, h2, h3 { margin: 0; }
+  .eyebrow { letter-spacing: 4px; text-transform: uppercase; font-size: 12px; color: #7f8c8d; }
+  .lead { font-size: 16px; color: #7f8c8d; margin: 14px 0; }
+  .verify { position: absolute; bottom: 20mm; left: 0; right: 0; font-size: 10px; color: #95a5a6; }
+  .classic { font-family: Georgia, 'Times New Roman', serif; }
+  .classic .inner { border: 6px double #b8860b; }
+  .classic h1 { font-size: 40px; color: #b8860b; margin: 10px 0 24px; }
+  .classic h2 { font-size: 36px; border-bottom: 1px solid #bdc3c7; display: inline-block; padding: 0 30px 6px; }
+  .classic h3 { font-size: 24px; }
+  .classic .footer { display: flex; justify-content: space-around; margin-top: 40px; }
+  .classic .footer div { display: flex; flex-direction: column; border-top: 1px solid #bdc3c7; padding-top: 6px; min-width: 200px; }
+  .classic .footer span { font-size: 12px; color: #7f8c8d; }
+  .modern { font-family: 'Helvetica Neue', Arial, sans-serif; }
+  .modern .accent { position: absolute; top: 0; left: 0; bottom: 0; width: 18mm; background: #1976d2; }
+  .modern .inner { text-align: left; padding-left: 30mm; padding-top: 40mm; }
+  .modern h2 { font-size: 44px; color: #1976d2; margin-top: 16px; }
+  .modern h3 { font-size: 28px; }
+  .modern .verify { left: 30mm; text-align: left; }
+`;
+
+const TEMPLATE_NAMES = Object.keys(templates);
+
+// Render the certificate HTML for an enrollment populated with student and
+// course (and the course's instructor)
+function renderCertificateHtml(enrollment) {
+  const { course, student, certificate } = enrollment;
+  const layout = templates[course.certificateTemplate] || templates.classic;
+
+  const data = {
+    studentName: `${student.firstName} ${student.lastName}`,
+    courseTitle: course.title,
+    instructorName: course.instructor
+      ? `${course.instructor.firstName} ${course.instructor.lastName}`
+      : 'Students Enrollment System',
+    completionDate: formatDate(
+      enrollment.completionDate || certificate.issuedDate
+    ),
+    certificateId: certificate.certificateId,
+    verifyUrl: getVerifyUrl(certificate.certificateId),
+  };
+
+  const escaped = Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [key, escapeHtml(value)])
+  );
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Certificate ${escaped.certificateId}</title>
+  <style>${styles}</style>
+</head>
+<body>${layout(escaped)}</body>
+</html>`;
+}
+
+async function generateCertificatePdf(html) {
+  const htmlPdf = require('html-pdf-node');
+  return htmlPdf.generatePdf(
+    { content: html },
+    { format: 'A4', landscape: true, printBackground: true }
+  );
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  getVerifyUrl,
+  renderCertificateHtml,
+  generateCertificatePdf,
+};
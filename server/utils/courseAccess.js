@@ -0,0 +1,27 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+
+// Work out whether the user manages the course or is an enrolled student
+async function getCourseAccess(user, courseId) {
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return { course: null };
+  }
+
+  const canManage =
+    user.role === 'admin' ||
+    course.instructor.toString() === user._id.toString();
+  const enrollment = canManage
+    ? null
+    : await Enrollment.findOne({
+        course: course._id,
+        student: user._id,
+        status: { $in: ['active', 'completed'] },
+      });
+
+  return { course, canManage, enrollment };
+}
+
+module.exports = {
+  getCourseAccess,
+};
@@ -0,0 +1,17 @@
+function toCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of cell values, header first, as CSV text
+function toCsv(rows) {
+  return rows.map(row => row.map(toCsvValue).join(',')).join('\n');
+}
+
+module.exports = {
+  toCsvValue,
+  toCsv,
+};
@@ -0,0 +1,20 @@
+// Currencies courses can be priced in and payments taken in
+const CURRENCIES = ['BDT', 'USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+// Check a course's fixed prices in other currencies. Returns an error
+// message, or null when the prices are valid.
+function validatePrices(prices, courseCurrency) {
+  const currencies = prices.map(price => price.currency);
+  if (new Set(currencies).size !== currencies.length) {
+    return 'Each currency can only have one price';
+  }
+  if (currencies.includes(courseCurrency)) {
+    return `The ${courseCurrency} price is set by the course price`;
+  }
+  return null;
+}
+
+module.exports = {
+  CURRENCIES,
+  validatePrices,
+};
@@ -211,7 +211,118 @@ const emailTemplates = {
     `,
   }),
 
-  courseCompletion: (userName, courseTitle) => ({
+  refundRequestApproved: (
+    userName,
+    courseTitle,
+    amount,
+    currency,
+    refundId
+  ) => ({
+    subject: `Refund approved: ${courseTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #28a745; margin: 0;">💸 Refund Approved</h1>
+        </div>
+        <p>Hi ${userName},</p>
+        <p>Your refund request for <strong>${courseTitle}</strong> has been approved and your enrollment has been closed.</p>
+        <div style="background-color: #d4edda; padding: 20px; border-radius: 5px; border-left: 4px solid #28a745; margin: 20px 0;">
+          <p style="margin: 5px 0; color: #155724;"><strong>Amount:</strong> ${amount} ${currency}</p>
+          ${refundId ? `<p style="margin: 5px 0; color: #155724;"><strong>Refund ID:</strong> ${refundId}</p>` : ''}
+        </div>
+        <p>Depending on your bank or payment provider, it may take 5-10 business days for the money to reach your account.</p>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
+  refundRequestRejected: (userName, courseTitle, adminNote) => ({
+    subject: `Refund request update: ${courseTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #dc3545; margin: 0;">Refund Request Declined</h1>
+        </div>
+        <p>Hi ${userName},</p>
+        <p>We have reviewed your refund request for <strong>${courseTitle}</strong> and are unable to approve it.</p>
+        <div style="background-color: #f8d7da; padding: 15px; border-radius: 5px; border-left: 4px solid #dc3545; margin: 20px 0;">
+          <p style="margin: 0; color: #721c24;"><strong>Reason:</strong> ${adminNote}</p>
+        </div>
+        <p>Your enrollment is unchanged and you can keep learning. Reply to this email if you have any questions.</p>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
+  installmentReminder: (
+    userName,
+    courseTitle,
+    installment,
+    currency,
+    payUrl
+  ) => ({
+    subject: `Installment due soon: ${courseTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #17a2b8; margin: 0;">📅 Installment Reminder</h1>
+        </div>
+        <p>Hi ${userName},</p>
+        <p>Your next installment for <strong>${courseTitle}</strong> is coming up.</p>
+        <div style="background-color: #d1ecf1; padding: 20px; border-radius: 5px; border-left: 4px solid #17a2b8; margin: 20px 0;">
+          <p style="margin: 5px 0; color: #0c5460;"><strong>Installment:</strong> #${installment.number}</p>
+          <p style="margin: 5px 0; color: #0c5460;"><strong>Amount:</strong> ${installment.amount} ${currency}</p>
+          <p style="margin: 5px 0; color: #0c5460;"><strong>Due:</strong> ${new Date(installment.dueDate).toDateString()}</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${payUrl}" style="background-color: #17a2b8; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Pay Installment
+          </a>
+        </div>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
+  installmentOverdue: (
+    userName,
+    courseTitle,
+    installment,
+    currency,
+    payUrl
+  ) => ({
+    subject: `Course access paused: ${courseTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #dc3545; margin: 0;">Installment Overdue</h1>
+        </div>
+        <p>Hi ${userName},</p>
+        <p>We haven't received installment #${installment.number} for <strong>${courseTitle}</strong>, so your access to the course has been paused.</p>
+        <div style="background-color: #f8d7da; padding: 20px; border-radius: 5px; border-left: 4px solid #dc3545; margin: 20px 0;">
+          <p style="margin: 5px 0; color: #721c24;"><strong>Amount:</strong> ${installment.amount} ${currency}</p>
+          <p style="margin: 5px 0; color: #721c24;"><strong>Was due:</strong> ${new Date(installment.dueDate).toDateString()}</p>
+        </div>
+        <p>Your progress is saved, and access is restored as soon as the installment is paid.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${payUrl}" style="background-color: #dc3545; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Pay Now
+          </a>
+        </div>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
+  courseCompletion: (userName, courseTitle, certificate = null) => ({
     subject: 'Course Completion Certificate - Congratulations!',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -223,10 +334,16 @@ const emailTemplates = {
         <div style="background-color: #fff3cd; padding: 20px; border-radius: 5px; border-left: 4px solid #ffc107; margin: 20px 0;">
           <h3 style="color: #856404; margin-top: 0;">Achievement Unlocked:</h3>
           <p style="margin: 5px 0; color: #856404;">✓ Course completed successfully</p>
-          <p style="margin: 5px 0; color: #856404;">✓ Certificate available for download</p>
+          ${certificate ? '<p style="margin: 5px 0; color: #856404;">✓ Certificate available for download</p>' : ''}
           <p style="margin: 5px 0; color: #856404;">✓ New skills acquired</p>
         </div>
-        <p>Your certificate is now available for download in your account dashboard.</p>
+        ${
+          certificate
+            ? `<p>Your certificate is now available for download in your account dashboard.</p>
+        <p>Certificate ID: <strong>${certificate.certificateId}</strong><br>
+        Anyone can verify it at <a href="${certificate.certificateUrl}">${certificate.certificateUrl}</a></p>`
+            : ''
+        }
         <p>Keep up the great work and continue your learning journey!</p>
         <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
           <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
@@ -235,6 +352,133 @@ const emailTemplates = {
     `,
   }),
 
+  waitlistSeatOffered: (userName, courseTitle, holdUntil, courseUrl) => ({
+    subject: `A seat opened up in ${courseTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #17a2b8; margin: 0;">🎟️ Your Seat Is Ready</h1>
+        </div>
+        <p>Hi ${userName},</p>
+        <p>Good news! A seat has opened up in <strong>${courseTitle}</strong> and you are next on the waitlist.</p>
+        <div style="background-color: #d1ecf1; padding: 15px; border-radius: 5px; border-left: 4px solid #17a2b8; margin: 20px 0;">
+          <p style="margin: 0; color: #0c5460;"><strong>Important:</strong> We are holding this seat for you until ${new Date(holdUntil).toUTCString()}. After that it will be offered to the next student.</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${courseUrl}" style="background-color: #17a2b8; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Enroll Now
+          </a>
+        </div>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
+  giftVoucher: (
+    recipientName,
+    senderName,
+    courseTitle,
+    code,
+    message,
+    expiresAt,
+    redeemUrl
+  ) => ({
+    subject: `${senderName} sent you a course: ${courseTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #6f42c1; margin: 0;">🎁 You've Received a Course</h1>
+        </div>
+        <p>Hi ${recipientName},</p>
+        <p>${senderName} has given you <strong>${courseTitle}</strong>.</p>
+        ${message ? `<blockquote style="margin: 20px 0; padding: 10px 20px; border-left: 4px solid #6f42c1; color: #495057;">${message}</blockquote>` : ''}
+        <div style="background-color: #f3eefc; padding: 20px; border-radius: 5px; text-align: center; margin: 20px 0;">
+          <p style="margin: 0 0 10px; color: #495057;">Your voucher code</p>
+          <p style="margin: 0; font-size: 24px; font-weight: bold; letter-spacing: 2px; color: #6f42c1;">${code}</p>
+          <p style="margin: 10px 0 0; color: #6c757d;">Redeem it by ${new Date(expiresAt).toDateString()}</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${redeemUrl}" style="background-color: #6f42c1; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Redeem Now
+          </a>
+        </div>
+        <p>You'll need to sign in or create a free student account to redeem it.</p>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
+  assignmentSubmitted: (
+    userName,
+    assignmentTitle,
+    courseTitle,
+    submission
+  ) => ({
+    subject: `Submission received: ${assignmentTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #007bff; margin: 0;">📥 Submission Received</h1>
+        </div>
+        <p>Hi ${userName},</p>
+        <p>We have received your submission for <strong>${assignmentTitle}</strong> in <strong>${courseTitle}</strong>.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 5px 0;"><strong>Submission:</strong> #${submission.submissionNumber}</p>
+          <p style="margin: 5px 0;"><strong>Submitted At:</strong> ${new Date(submission.submittedAt).toUTCString()}</p>
+          <p style="margin: 5px 0;"><strong>Files:</strong> ${submission.files.length}</p>
+        </div>
+        ${
+          submission.isLate
+            ? '<p style="color: #856404;">This submission was made after the due date and is marked as late.</p>'
+            : ''
+        }
+        <p>We will email you again once your instructor has graded it.</p>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
+  assignmentGraded: (
+    userName,
+    assignmentTitle,
+    courseTitle,
+    submission,
+    courseUrl
+  ) => ({
+    subject: `Your assignment has been graded: ${assignmentTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #28a745; margin: 0;">📝 Assignment Graded</h1>
+        </div>
+        <p>Hi ${userName},</p>
+        <p>Your submission for <strong>${assignmentTitle}</strong> in <strong>${courseTitle}</strong> has been graded.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 5px 0;"><strong>Score:</strong> ${submission.score} / ${submission.maxScore} (${submission.percentage}%)</p>
+          ${
+            submission.feedback
+              ? `<p style="margin: 5px 0;"><strong>Feedback:</strong> ${submission.feedback}</p>`
+              : ''
+          }
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${courseUrl}" style="background-color: #28a745; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            View Details
+          </a>
+        </div>
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #dee2e6;">
+          <p style="margin: 0; color: #6c757d;">Best regards,<br>The Students Enrollment Team</p>
+        </div>
+      </div>
+    `,
+  }),
+
   passwordReset: (userName, resetUrl) => ({
     subject: 'Password Reset Request - Students Enrollment System',
     html: `
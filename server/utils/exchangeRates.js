@@ -0,0 +1,58 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// How to convert a course's amounts from `from` into `to`. A price the
+// course sets explicitly in `to` wins over the exchange rate, so students
+// pay exactly what the course lists. Returns `{ rate, snapshot }`, where
+// the snapshot is stored on the payment, or null when no rate is set.
+async function getConversion(from, to, course) {
+  if (from === to) {
+    return { rate: 1, snapshot: null };
+  }
+
+  const explicitPrice =
+    course && from === course.currency && course.price > 0
+      ? (course.prices || []).find(price => price.currency === to)
+      : null;
+  if (explicitPrice) {
+    const rate = explicitPrice.amount / course.price;
+    return {
+      rate,
+      snapshot: {
+        from,
+        to,
+        rate,
+        source: 'course_price',
+        capturedAt: new Date(),
+      },
+    };
+  }
+
+  const exchangeRate = await ExchangeRate.getCurrent(from, to);
+  if (!exchangeRate) {
+    return null;
+  }
+  return {
+    rate: exchangeRate.rate,
+    snapshot: {
+      from,
+      to,
+      rate: exchangeRate.rate,
+      source: 'exchange_rate',
+      rateId: exchangeRate._id,
+      capturedAt: new Date(),
+    },
+  };
+}
+
+function convertAmount(amount, rate) {
+  return roundAmount(amount * rate);
+}
+
+module.exports = {
+  getConversion,
+  convertAmount,
+};
@@ -0,0 +1,32 @@
+// Cash paid in person. Nothing is charged online: the payment stays pending
+// until an admin verifies it, and refunds are handed back by hand, so only
+// the payment record changes.
+function createCashGateway() {
+  return {
+    name: 'cash',
+
+    async initiate() {
+      return { status: 'pending' };
+    },
+
+    // Called when an admin confirms the cash was received
+    async verify(payment) {
+      return {
+        status: 'completed',
+        transactionId: payment.transactionId,
+      };
+    },
+
+    async refund() {
+      return { success: true, refundId: null };
+    },
+
+    parseWebhook() {
+      throw new Error('Cash payments do not send webhooks');
+    },
+  };
+}
+
+module.exports = {
+  createCashGateway,
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Test card numbers, as with Stripe's: one is always declined and one
+// stays pending until a webhook settles it
+const DECLINED_CARD = '4000000000000002';
+const PENDING_CARD = '4000002500003155';
+
+function createTransactionId() {
+  return `FAKE-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+// Offline gateway for development and tests. Payments settle immediately
+// unless one of the test cards is used, and webhooks are plain JSON bodies
+// of the form `{ event, transactionId, amount }`.
+function createFakeGateway() {
+  return {
+    name: 'fake',
+
+    async initiate({ cardDetails }) {
+      if (cardDetails?.number === DECLINED_CARD) {
+        return {
+          status: 'failed',
+          failure: { code: 'card_declined', message: 'Your card was declined' },
+        };
+      }
+      if (cardDetails?.number === PENDING_CARD) {
+        return { status: 'pending', transactionId: createTransactionId() };
+      }
+      return { status: 'completed', transactionId: createTransactionId() };
+    },
+
+    async verify(payment) {
+      return { status: 'completed', transactionId: payment.transactionId };
+    },
+
+    async refund() {
+      return { success: true, refundId: createTransactionId() };
+    },
+
+    parseWebhook(req) {
+      const { event, transactionId, amount } = req.body || {};
+      if (!transactionId) {
+        throw new Error('Missing transaction ID');
+      }
+      const query = { transactionId };
+
+      switch (event) {
+        case 'payment.completed':
+          return { type: event, gatewayEvent: event, query, transactionId };
+        case 'payment.failed':
+          return {
+            type: event,
+            gatewayEvent: event,
+            query,
+            failure: { code: 'payment_failed', message: 'Payment failed' },
+          };
+        case 'payment.refunded':
+          return {
+            type: event,
+            gatewayEvent: event,
+            query,
+            refundedAmount: Number(amount),
+          };
+        default:
+          return { type: 'ignored', gatewayEvent: event };
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFakeGateway,
+  DECLINED_CARD,
+  PENDING_CARD,
+};
@@ -0,0 +1,64 @@
+const { createStripeGateway } = require('./stripe');
+const { createSSLCommerzGateway } = require('./sslcommerz');
+const { createCashGateway } = require('./cash');
+const { createFakeGateway } = require('./fake');
+
+// Every gateway implements the same interface:
+//   initiate({ payment, student, course, cardDetails, billingAddress })
+//     -> { status: 'pending' | 'completed' | 'failed', transactionId,
+//          redirectUrl, clientSecret, failure }
+//     (`course` is unset for cart checkouts, whose courses are the
+//     payment's line items)
+//   verify(payment, params) -> { status, transactionId, details, failure }
+//   lookup(payment) -> { status, transactionId, details, failure }
+//     (optional) the current state of a pending payment, for reconciliation
+//   refund(payment, { amount, reason, processedBy })
+//     -> { success, refundId, details, message }
+//   parseWebhook(req)
+//     -> { type: 'payment.completed' | 'payment.failed' | 'payment.refunded'
+//          | 'ignored', eventId, query, transactionId, details, failure,
+//          refundedAmount, requiresVerification, params }
+//     Stripe also emits `subscription.updated` events, with `occurredAt`
+//     and the `subscription` details, for membership subscriptions.
+// `details` are dotted Payment paths to set once the gateway confirms.
+// `eventId` is the gateway's ID for a webhook event, used to drop
+// redeliveries; events without one are deduplicated by content.
+const gateways = new Map();
+
+function registerGateway(gateway) {
+  gateways.set(gateway.name, gateway);
+}
+
+// The fake gateway settles payments without charging anyone, so outside
+// tests it has to be switched on explicitly
+function isFakeGatewayEnabled() {
+  return (
+    process.env.NODE_ENV === 'test' ||
+    process.env.ENABLE_FAKE_GATEWAY === 'true'
+  );
+}
+
+registerGateway(createStripeGateway());
+registerGateway(createSSLCommerzGateway());
+registerGateway(createCashGateway());
+registerGateway(createFakeGateway());
+
+function listGateways() {
+  return [...gateways.keys()].filter(
+    name => name !== 'fake' || isFakeGatewayEnabled()
+  );
+}
+
+// Returns null for unknown or disabled gateways
+function getGateway(name) {
+  if (!listGateways().includes(name)) {
+    return null;
+  }
+  return gateways.get(name);
+}
+
+module.exports = {
+  getGateway,
+  listGateways,
+  registerGateway,
+};
@@ -0,0 +1,310 @@
+/* eslint-disable camelcase, no-console */
+const fetch = require('node-fetch');
+const querystring = require('querystring');
+const SSLCommerzPayment = require('sslcommerz-lts');
+const { getConversion, convertAmount } = require('../exchangeRates');
+
+// Smallest amount SSLCommerz accepts
+const MIN_AMOUNT_BDT = 10;
+// Callback amounts may come back as integers, so allow for rounding
+const AMOUNT_TOLERANCE = 1;
+const VALID_STATUSES = ['VALID', 'VALIDATED'];
+const FAILED_STATUSES = ['FAILED', 'CANCELLED', 'EXPIRED'];
+
+// Read on every call so tests and reconfigured servers pick up changes
+function getConfig() {
+  return {
+    storeId: process.env.SSLCOMMERZ_STORE_ID || process.env.SSLCZ_STORE_ID,
+    storePassword:
+      process.env.SSLCOMMERZ_STORE_PASSWORD || process.env.SSLCZ_STORE_PASSWD,
+    isLive:
+      (process.env.SSLCOMMERZ_IS_LIVE || process.env.SSLCZ_IS_LIVE) === 'true',
+  };
+}
+
+function getClient() {
+  const { storeId, storePassword, isLive } = getConfig();
+  return new SSLCommerzPayment(storeId, storePassword, isLive);
+}
+
+// Direct SSLCommerz API call function
+async function callSSLCommerzAPI(data) {
+  const url = getConfig().isLive
+    ? 'https://securepay.sslcommerz.com/gwprocess/v4/api.php'
+    : 'https://sandbox.sslcommerz.com/gwprocess/v4/api.php';
+
+  // Convert data to URL-encoded format
+  const formData = querystring.stringify(data);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(formData),
+    },
+    body: formData,
+  });
+
+  return response.json();
+}
+
+function failed(code, message) {
+  return { status: 'failed', failure: { code, message } };
+}
+
+// Compare the amount SSLCommerz reports with what the payment charged
+function amountMatches(payment, params, validation) {
+  let received = parseFloat(params.amount || params.store_amount || 0);
+  if (received === 0 && validation?.amount) {
+    received = parseFloat(validation.amount);
+  }
+  // Frontend verification does not repeat the amount
+  if (received === 0) {
+    return true;
+  }
+  return Math.abs(received - payment.netAmount) < AMOUNT_TOLERANCE;
+}
+
+// Hosted checkout through SSLCommerz. Payments are stored in BDT and
+// complete once the validation API confirms the `val_id` from a callback.
+function createSSLCommerzGateway() {
+  return {
+    name: 'sslcommerz',
+
+    async initiate({ payment, student, course }) {
+      const { storeId, storePassword } = getConfig();
+      if (!storeId || !storePassword) {
+        throw new Error(
+          'SSLCommerz payment gateway is not properly configured'
+        );
+      }
+
+      // SSLCommerz only takes BDT, so convert with the course's BDT price
+      // or the current exchange rate. Cart checkouts have no single course
+      // and always use the rate.
+      const originalCurrency = payment.currency;
+      const originalAmount = payment.amount;
+      const conversion = await getConversion(originalCurrency, 'BDT', course);
+      if (!conversion) {
+        return failed(
+          'exchange_rate_missing',
+          `No exchange rate is set from ${originalCurrency} to BDT`
+        );
+      }
+      let bdtAmount = convertAmount(payment.amount, conversion.rate);
+      let bdtDiscount = convertAmount(
+        payment.discount?.amount || 0,
+        conversion.rate
+      );
+
+      // Ensure minimum amount for SSLCommerz (10 BDT)
+      if (bdtAmount - bdtDiscount < MIN_AMOUNT_BDT) {
+        bdtDiscount = Math.max(bdtAmount - MIN_AMOUNT_BDT, 0);
+        bdtAmount = Math.max(bdtAmount, MIN_AMOUNT_BDT);
+      }
+
+      const transactionId = `SSL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const customerName = `${student.firstName} ${student.lastName}`;
+
+      const data = {
+        store_id: storeId,
+        store_passwd: storePassword,
+        total_amount: bdtAmount - bdtDiscount,
+        currency: 'BDT',
+        tran_id: transactionId,
+        success_url: `${process.env.SERVER_URL}/api/payments/sslcommerz/callback/success`,
+        fail_url: `${process.env.SERVER_URL}/api/payments/sslcommerz/callback/fail`,
+        cancel_url: `${process.env.SERVER_URL}/api/payments/sslcommerz/callback/cancel`,
+        ipn_url: `${process.env.SERVER_URL}/api/payments/sslcommerz/ipn`,
+        shipping_method: 'NO',
+        product_name: course ? course.title : payment.description,
+        product_category: 'Education',
+        productcategory: 'Education', // Required field for SSLCommerz
+        product_profile: 'digital-goods',
+        num_of_item: payment.items.length || 1, // Required field for SSLCommerz
+        // Customer Info - all required fields
+        cus_name: customerName,
+        cus_email: student.email,
+        cus_add1: student.profile?.address || 'Test Address',
+        cus_add2: 'Test Address 2',
+        cus_city: student.profile?.city || 'Dhaka',
+        cus_state: student.profile?.state || 'Dhaka',
+        cus_postcode: student.profile?.postalCode || '1000',
+        cus_country: student.profile?.country || 'Bangladesh',
+        cus_phone: student.profile?.phone || '01700000000',
+        cus_fax: '01700000000',
+        // Shipping Info - all required fields
+        ship_name: customerName,
+        ship_add1: student.profile?.address || 'Test Address',
+        ship_add2: 'Test Address 2',
+        ship_city: student.profile?.city || 'Dhaka',
+        ship_state: student.profile?.state || 'Dhaka',
+        ship_postcode: student.profile?.postalCode || '1000',
+        ship_country: student.profile?.country || 'Bangladesh',
+        // Additional fields
+        multi_card_name: '',
+        value_a: '',
+        value_b: '',
+        value_c: '',
+        value_d: '',
+      };
+
+      const apiResponse = await callSSLCommerzAPI(data);
+
+      if (apiResponse?.status !== 'SUCCESS') {
+        return failed(
+          'initialization_failed',
+          apiResponse?.failedreason || 'Unknown error'
+        );
+      }
+
+      payment.amount = bdtAmount;
+      payment.currency = 'BDT';
+      if (conversion.snapshot) {
+        payment.exchangeRate = conversion.snapshot;
+      }
+      if (payment.discount?.amount) {
+        payment.discount.amount = bdtDiscount;
+      }
+      payment.metadata.sslTransactionId = transactionId;
+      payment.metadata.sessionkey = apiResponse.sessionkey;
+      payment.metadata.originalAmount = originalAmount;
+      payment.metadata.originalCurrency = originalCurrency;
+
+      return {
+        status: 'pending',
+        transactionId,
+        redirectUrl: apiResponse.GatewayPageURL,
+        sessionkey: apiResponse.sessionkey,
+      };
+    },
+
+    // `params` is the callback or IPN body: val_id, status, amount, ...
+    async verify(payment, params = {}) {
+      if (!params.val_id) {
+        return failed('validation_failed', 'Missing validation ID');
+      }
+
+      const { isLive } = getConfig();
+      let validation;
+      try {
+        validation = await getClient().validate({ val_id: params.val_id });
+      } catch (error) {
+        // The sandbox validation API is unreliable, so trust the callback
+        // status there and still check the amount
+        if (isLive || params.status !== 'VALID') {
+          throw error;
+        }
+        console.error('SSLCommerz validation error:', error);
+      }
+
+      const validated = VALID_STATUSES.includes(validation?.status);
+      // In sandbox mode, SSLCommerz often returns INVALID_TRANSACTION for
+      // test payments, so fall back to the callback data there
+      const sandboxFallback =
+        !isLive &&
+        params.status === 'VALID' &&
+        (!validation || validation.status === 'INVALID_TRANSACTION');
+
+      if (!validated && !sandboxFallback) {
+        return failed(
+          'validation_failed',
+          validation?.reason || 'Payment validation failed'
+        );
+      }
+
+      if (!amountMatches(payment, params, validated ? validation : null)) {
+        return failed('amount_mismatch', 'Payment amount mismatch');
+      }
+
+      return {
+        status: 'completed',
+        transactionId: payment.metadata.sslTransactionId,
+        details: {
+          'metadata.validationId': params.val_id,
+          ...(params.bank_tran_id && {
+            'metadata.bankTransactionId': params.bank_tran_id,
+          }),
+          ...(params.card_type && { 'metadata.cardType': params.card_type }),
+          ...(params.store_amount && {
+            'metadata.storeAmount': params.store_amount,
+          }),
+        },
+      };
+    },
+
+    // Looks the payment up by transaction ID, for payments whose success
+    // callback never arrived. Valid transactions go through `verify`.
+    async lookup(payment) {
+      const transactionId = payment.metadata?.sslTransactionId;
+      if (!transactionId) {
+        return { status: 'pending' };
+      }
+
+      const response = await getClient().transactionQueryByTransactionId({
+        tran_id: transactionId,
+      });
+      const transactions = response?.element || [];
+
+      const valid = transactions.find(transaction =>
+        VALID_STATUSES.includes(transaction.status)
+      );
+      if (valid) {
+        return this.verify(payment, valid);
+      }
+
+      const failedTransaction = transactions.find(transaction =>
+        FAILED_STATUSES.includes(transaction.status)
+      );
+      if (failedTransaction) {
+        return failed(
+          'payment_failed',
+          `SSLCommerz reports the payment as ${failedTransaction.status.toLowerCase()}`
+        );
+      }
+
+      return { status: 'pending' };
+    },
+
+    async refund(payment, { amount, reason }) {
+      const refundResponse = await getClient().refund({
+        refund_amount: amount,
+        refund_remarks: reason,
+        bank_tran_id: payment.metadata.bankTransactionId,
+        refe_id: payment.transactionId,
+      });
+
+      if (refundResponse?.status !== 'success') {
+        return {
+          success: false,
+          message: `Refund failed: ${refundResponse?.errorReason || 'Unknown error'}`,
+        };
+      }
+
+      return { success: true, refundId: refundResponse.refund_ref_id };
+    },
+
+    // IPN bodies are only trusted once `verify` has validated them
+    parseWebhook(req) {
+      const { tran_id, val_id, status } = req.body;
+      if (!tran_id) {
+        throw new Error('Missing transaction ID');
+      }
+
+      return {
+        type: 'payment.completed',
+        gatewayEvent: 'ipn',
+        // IPNs carry no event ID; a resent IPN repeats the validation ID
+        eventId: `${tran_id}:${val_id || status}`,
+        query: { 'metadata.sslTransactionId': tran_id },
+        requiresVerification: true,
+        params: req.body,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createSSLCommerzGateway,
+  getClient,
+};
@@ -0,0 +1,296 @@
+// Factory function for Stripe - allows for better testing
+function getStripe() {
+  if (process.env.NODE_ENV === 'test') {
+    // Return the mocked stripe function
+    const stripeMock = require('stripe');
+    return stripeMock();
+  }
+
+  // Validate Stripe secret key
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw new Error('STRIPE_SECRET_KEY is not configured');
+  }
+
+  if (!process.env.STRIPE_SECRET_KEY.startsWith('sk_')) {
+    throw new Error(
+      'STRIPE_SECRET_KEY appears to be invalid (should start with sk_)'
+    );
+  }
+
+  return require('stripe')(process.env.STRIPE_SECRET_KEY);
+}
+
+// Intent statuses that may still succeed without a new payment method
+const PENDING_STATUSES = [
+  'processing',
+  'requires_action',
+  'requires_capture',
+  'requires_confirmation',
+];
+
+function getFailure(paymentIntent) {
+  return {
+    code: paymentIntent.last_payment_error?.code || 'unknown',
+    message: paymentIntent.last_payment_error?.message || 'Payment failed',
+  };
+}
+
+function getIntentResult(paymentIntent) {
+  if (paymentIntent.status === 'succeeded') {
+    return {
+      status: 'completed',
+      transactionId: paymentIntent.id,
+      details: { stripeChargeId: paymentIntent.latest_charge },
+    };
+  }
+  if (PENDING_STATUSES.includes(paymentIntent.status)) {
+    return { status: 'pending' };
+  }
+  return { status: 'failed', failure: getFailure(paymentIntent) };
+}
+
+function toDate(timestamp) {
+  return timestamp ? new Date(timestamp * 1000) : undefined;
+}
+
+// The fields kept from a Stripe subscription object
+function getSubscriptionDetails(subscription) {
+  return {
+    stripeSubscriptionId: subscription.id,
+    stripeCustomerId: subscription.customer,
+    stripeStatus: subscription.status,
+    // Our subscription ID, for events that arrive before the Stripe ID is
+    // saved
+    subscriptionId: subscription.metadata?.subscriptionId,
+    currentPeriodStart: toDate(subscription.current_period_start),
+    currentPeriodEnd: toDate(subscription.current_period_end),
+    trialEnd: toDate(subscription.trial_end),
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    cancelledAt: toDate(subscription.canceled_at),
+  };
+}
+
+// Recurring price a membership plan is billed with. Returns the price ID.
+async function createPlanPrice(plan) {
+  const stripe = getStripe();
+  const price = await stripe.prices.create({
+    currency: plan.currency.toLowerCase(),
+    // eslint-disable-next-line camelcase
+    unit_amount: Math.round(plan.price * 100),
+    recurring: { interval: plan.interval },
+    // eslint-disable-next-line camelcase
+    product_data: { name: plan.name },
+  });
+  return price.id;
+}
+
+// Start the Stripe subscription behind `subscription`. Returns its details
+// and the client secret the first payment, or the card for a trial, is
+// confirmed with.
+async function createPlanSubscription(subscription, { plan, user }) {
+  const stripe = getStripe();
+  let customerId = subscription.stripeCustomerId;
+  if (!customerId) {
+    const customer = await stripe.customers.create({
+      email: user.email,
+      name: `${user.firstName} ${user.lastName}`,
+      metadata: { userId: user._id.toString() },
+    });
+    customerId = customer.id;
+  }
+
+  const stripeSubscription = await stripe.subscriptions.create({
+    customer: customerId,
+    items: [{ price: plan.stripePriceId }],
+    // eslint-disable-next-line camelcase
+    trial_period_days: plan.trialDays || undefined,
+    // eslint-disable-next-line camelcase
+    payment_behavior: 'default_incomplete',
+    // eslint-disable-next-line camelcase
+    payment_settings: { save_default_payment_method: 'on_subscription' },
+    expand: ['latest_invoice.payment_intent', 'pending_setup_intent'],
+    metadata: { subscriptionId: subscription._id.toString() },
+  });
+
+  return {
+    details: getSubscriptionDetails(stripeSubscription),
+    clientSecret:
+      stripeSubscription.latest_invoice?.payment_intent?.client_secret ||
+      stripeSubscription.pending_setup_intent?.client_secret,
+  };
+}
+
+// Stop a subscription from renewing; it stays usable until the period ends
+async function cancelPlanSubscription(stripeSubscriptionId) {
+  const stripe = getStripe();
+  const stripeSubscription = await stripe.subscriptions.update(
+    stripeSubscriptionId,
+    // eslint-disable-next-line camelcase
+    { cancel_at_period_end: true }
+  );
+  return getSubscriptionDetails(stripeSubscription);
+}
+
+// Card payments through Stripe Payment Intents. The client confirms the
+// intent with the returned client secret; the payment completes through
+// `verify` or the `payment_intent.succeeded` webhook.
+function createStripeGateway() {
+  return {
+    name: 'stripe',
+
+    async initiate({ payment, student, course }) {
+      const stripe = getStripe();
+      const paymentIntent = await stripe.paymentIntents.create({
+        // Stripe amounts are in cents
+        amount: Math.round(payment.netAmount * 100),
+        currency: payment.currency.toLowerCase(),
+        metadata: {
+          // Cart checkouts have too many courses for Stripe's metadata,
+          // and gifts have no enrollment until they are redeemed
+          ...(course
+            ? {
+                ...(payment.enrollment && {
+                  enrollmentId: payment.enrollment.toString(),
+                }),
+                courseId: course._id.toString(),
+                courseTitle: course.title,
+              }
+            : {
+                paymentId: payment._id.toString(),
+                courseCount: String(payment.items.length),
+              }),
+          studentId: student._id.toString(),
+          originalCurrency: payment.currency,
+          originalAmount: payment.amount.toString(),
+          ...(payment.discount?.code && { couponCode: payment.discount.code }),
+        },
+        description: payment.description,
+        // eslint-disable-next-line camelcase
+        receipt_email: student.email,
+      });
+
+      // Several attempts can share an intent, so the intent id only becomes
+      // the transaction id once the payment completes
+      payment.stripePaymentIntentId = paymentIntent.id;
+
+      return {
+        status: 'pending',
+        clientSecret: paymentIntent.client_secret,
+      };
+    },
+
+    async verify(payment, { paymentIntentId } = {}) {
+      const stripe = getStripe();
+      const paymentIntent = await stripe.paymentIntents.retrieve(
+        paymentIntentId || payment.stripePaymentIntentId
+      );
+      return getIntentResult(paymentIntent);
+    },
+
+    // Unlike `verify`, an intent still waiting for its first card is
+    // pending rather than failed: the student may not have paid yet
+    async lookup(payment) {
+      if (!payment.stripePaymentIntentId) {
+        return { status: 'pending' };
+      }
+      const stripe = getStripe();
+      const paymentIntent = await stripe.paymentIntents.retrieve(
+        payment.stripePaymentIntentId
+      );
+      if (
+        paymentIntent.status === 'requires_payment_method' &&
+        !paymentIntent.last_payment_error
+      ) {
+        return { status: 'pending' };
+      }
+      return getIntentResult(paymentIntent);
+    },
+
+    async refund(payment, { amount, reason, processedBy }) {
+      const stripe = getStripe();
+      const refund = await stripe.refunds.create({
+        charge: payment.stripeChargeId,
+        amount: Math.round(amount * 100), // Convert to cents
+        reason: 'requested_by_customer',
+        metadata: {
+          refundReason: reason,
+          processedBy: processedBy.toString(),
+        },
+      });
+
+      return {
+        success: true,
+        refundId: refund.id,
+        details: { 'refund.stripeRefundId': refund.id },
+      };
+    },
+
+    // Throws when the signature does not match
+    parseWebhook(req) {
+      const stripe = getStripe();
+      const event = stripe.webhooks.constructEvent(
+        req.body,
+        req.headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+      const object = event.data.object;
+      const eventId = event.id;
+
+      // Subscription invoices are paid through intents of their own; the
+      // subscription events that follow carry the outcome
+      if (event.type.startsWith('payment_intent.') && object.invoice) {
+        return { type: 'ignored', gatewayEvent: event.type, eventId };
+      }
+
+      switch (event.type) {
+        case 'payment_intent.succeeded':
+          return {
+            type: 'payment.completed',
+            gatewayEvent: event.type,
+            eventId,
+            query: { stripePaymentIntentId: object.id },
+            transactionId: object.id,
+            details: { stripeChargeId: object.latest_charge },
+          };
+        case 'payment_intent.payment_failed':
+          return {
+            type: 'payment.failed',
+            gatewayEvent: event.type,
+            eventId,
+            query: { stripePaymentIntentId: object.id },
+            failure: getFailure(object),
+          };
+        case 'charge.refunded':
+          return {
+            type: 'payment.refunded',
+            gatewayEvent: event.type,
+            eventId,
+            query: { stripeChargeId: object.id },
+            refundedAmount: object.amount_refunded / 100, // Convert from cents
+            details: { 'refund.stripeRefundId': object.refunds.data[0]?.id },
+          };
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+          return {
+            type: 'subscription.updated',
+            gatewayEvent: event.type,
+            eventId,
+            // Events can arrive out of order; older ones are skipped
+            occurredAt: toDate(event.created),
+            subscription: getSubscriptionDetails(object),
+          };
+        default:
+          return { type: 'ignored', gatewayEvent: event.type, eventId };
+      }
+    },
+  };
+}
+
+module.exports = {
+  getStripe,
+  createStripeGateway,
+  createPlanPrice,
+  createPlanSubscription,
+  cancelPlanSubscription,
+};
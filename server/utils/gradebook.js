@@ -0,0 +1,94 @@
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const { gradeForScore } = require('./grades');
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Best attempt percentage per quiz
+async function getQuizScores(enrollment) {
+  const attempts = await QuizAttempt.find({
+    enrollment: enrollment._id,
+    status: { $in: ['submitted', 'expired'] },
+  }).select('quiz percentage');
+
+  const scores = new Map();
+  attempts.forEach(attempt => {
+    const quizId = attempt.quiz.toString();
+    scores.set(quizId, Math.max(scores.get(quizId) || 0, attempt.percentage));
+  });
+  return scores;
+}
+
+// Percentage of the latest graded submission per assignment
+async function getAssignmentScores(enrollment) {
+  const submissions = await AssignmentSubmission.find({
+    enrollment: enrollment._id,
+    status: 'graded',
+  })
+    .select('assignment percentage')
+    .sort({ submissionNumber: 1 });
+
+  const scores = new Map();
+  submissions.forEach(submission => {
+    scores.set(submission.assignment.toString(), submission.percentage);
+  });
+  return scores;
+}
+
+// Recalculate an enrollment's score from its published quizzes (best
+// attempt) and assignments (latest graded submission), weighted by each
+// item's weight. The letter grade is only set once every item has a score;
+// until then it stays 'Incomplete'.
+async function updateEnrollmentScore(enrollment) {
+  const [quizzes, assignments, quizScores, assignmentScores] =
+    await Promise.all([
+      Quiz.find({ course: enrollment.course, isPublished: true }).select(
+        'weight'
+      ),
+      Assignment.find({ course: enrollment.course, isPublished: true }).select(
+        'weight'
+      ),
+      getQuizScores(enrollment),
+      getAssignmentScores(enrollment),
+    ]);
+
+  const items = [
+    ...quizzes.map(quiz => ({
+      weight: quiz.weight,
+      score: quizScores.get(quiz._id.toString()),
+    })),
+    ...assignments.map(assignment => ({
+      weight: assignment.weight,
+      score: assignmentScores.get(assignment._id.toString()),
+    })),
+  ];
+
+  const scored = items.filter(item => item.score !== undefined);
+  const totalWeight = scored.reduce((sum, item) => sum + item.weight, 0);
+
+  if (scored.length === 0 || totalWeight === 0) {
+    enrollment.score = undefined;
+    enrollment.grade = 'Incomplete';
+    return enrollment;
+  }
+
+  const weighted = scored.reduce(
+    (sum, item) => sum + item.score * item.weight,
+    0
+  );
+  enrollment.score = roundScore(weighted / totalWeight);
+  enrollment.grade =
+    scored.length === items.length
+      ? gradeForScore(enrollment.score)
+      : 'Incomplete';
+
+  return enrollment;
+}
+
+module.exports = {
+  updateEnrollmentScore,
+};
@@ -0,0 +1,40 @@
+// Letter grades from best to worst
+const GRADES = [
+  'A+',
+  'A',
+  'A-',
+  'B+',
+  'B',
+  'B-',
+  'C+',
+  'C',
+  'C-',
+  'D+',
+  'D',
+  'F',
+];
+
+// Lowest percentage that earns each grade, in the same order as GRADES
+const GRADE_CUTOFFS = [97, 93, 90, 87, 83, 80, 77, 73, 70, 67, 60, 0];
+
+// Convert a percentage score to a letter grade
+function gradeForScore(score) {
+  const index = GRADE_CUTOFFS.findIndex(cutoff => score >= cutoff);
+  return GRADES[index === -1 ? GRADES.length - 1 : index];
+}
+
+// Check whether a grade is at least as good as a required minimum.
+// Ungraded ('Incomplete') work never meets a minimum.
+function meetsMinimumGrade(grade, minimumGrade) {
+  if (!minimumGrade) {
+    return true;
+  }
+  const rank = GRADES.indexOf(grade);
+  return rank !== -1 && rank <= GRADES.indexOf(minimumGrade);
+}
+
+module.exports = {
+  GRADES,
+  gradeForScore,
+  meetsMinimumGrade,
+};
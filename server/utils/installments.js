@@ -0,0 +1,324 @@
+const InstallmentSchedule = require('../models/InstallmentSchedule');
+const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const { sendEmail, emailTemplates } = require('./email');
+
+// Students are reminded this many days before an installment is due...
+const INSTALLMENT_REMINDER_DAYS = parseInt(
+  process.env.INSTALLMENT_REMINDER_DAYS || '3',
+  10
+);
+// ...and lose access to the course once it is this many days overdue
+const INSTALLMENT_GRACE_DAYS = parseInt(
+  process.env.INSTALLMENT_GRACE_DAYS || '3',
+  10
+);
+const INSTALLMENT_CHECK_INTERVAL_MINUTES = parseInt(
+  process.env.INSTALLMENT_CHECK_INTERVAL_MINUTES || '60',
+  10
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let running = false;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Same day `months` later, or the month's last day when it is shorter
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(
+    result.getFullYear(),
+    result.getMonth() + 1,
+    0
+  ).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+}
+
+function getPayUrl(schedule) {
+  const enrollmentId = schedule.enrollment._id || schedule.enrollment;
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/checkout/${enrollmentId}`;
+}
+
+// Split a price into the plan's installments. The first is due straight
+// away and the rest every `intervalMonths` after; rounding differences go
+// on the last one so they always add up to the total.
+function buildInstallments(plan, price, startDate = new Date()) {
+  const totalAmount = round2(price * (1 + (plan.surchargePercent || 0) / 100));
+  const count = plan.installmentCount;
+  const regularAmount = round2(totalAmount / count);
+
+  const installments = [];
+  for (let index = 0; index < count; index += 1) {
+    installments.push({
+      number: index + 1,
+      amount:
+        index === count - 1
+          ? round2(totalAmount - regularAmount * (count - 1))
+          : regularAmount,
+      dueDate: addMonths(startDate, index * (plan.intervalMonths || 1)),
+    });
+  }
+
+  return { totalAmount, installments };
+}
+
+// Set up a schedule for an unpaid enrollment following one of its course's
+// plans
+async function createInstallmentSchedule(enrollment, plan) {
+  const { totalAmount, installments } = buildInstallments(
+    plan,
+    enrollment.payment.amount
+  );
+
+  return InstallmentSchedule.create({
+    enrollment: enrollment._id,
+    student: enrollment.student._id || enrollment.student,
+    course: enrollment.course._id || enrollment.course,
+    plan: {
+      planId: plan._id,
+      name: plan.name,
+      installmentCount: plan.installmentCount,
+      intervalMonths: plan.intervalMonths,
+      surchargePercent: plan.surchargePercent,
+    },
+    currency: enrollment.payment.currency,
+    totalAmount,
+    installments,
+  });
+}
+
+// Installment the enrollment's next payment is for, or null when the
+// enrollment is paid for in one go
+async function getDueInstallment(enrollmentId) {
+  const schedule = await InstallmentSchedule.findOne({
+    enrollment: enrollmentId,
+    status: 'active',
+  });
+  const installment = schedule?.getNextInstallment();
+  if (!installment) {
+    return null;
+  }
+
+  return {
+    schedule: schedule._id,
+    number: installment.number,
+    count: schedule.installments.length,
+    amount: installment.amount,
+    dueDate: installment.dueDate,
+  };
+}
+
+// Record a completed installment payment on its schedule, completing the
+// schedule with the last one. Returns the schedule.
+async function markInstallmentPaid(payment) {
+  const schedule = await InstallmentSchedule.findById(
+    payment.installment.schedule
+  );
+  if (!schedule) {
+    return null;
+  }
+
+  const installment = schedule.installments.find(
+    item => item.number === payment.installment.number
+  );
+  if (installment && installment.status !== 'paid') {
+    installment.status = 'paid';
+    installment.payment = payment._id;
+    installment.paidAt = new Date();
+  }
+  if (
+    schedule.status === 'active' &&
+    schedule.installments.every(item => item.status === 'paid')
+  ) {
+    schedule.status = 'completed';
+  }
+  await schedule.save();
+
+  return schedule;
+}
+
+// Put the installment of a fully refunded payment back to pending, so it is
+// due again. Returns `{ reopened, stillPaid }`: whether the installment was
+// reopened, and whether any installment of the schedule is still paid for
+// by an unrefunded payment.
+async function reopenRefundedInstallment(payment) {
+  const schedule = await InstallmentSchedule.findById(
+    payment.installment.schedule
+  );
+  if (!schedule) {
+    return { reopened: false, stillPaid: false };
+  }
+
+  // A duplicate payment for an installment never marked it paid
+  const installment = schedule.installments.find(
+    item => item.number === payment.installment.number
+  );
+  const reopened = Boolean(installment?.payment?.equals(payment._id));
+  if (reopened) {
+    installment.status = 'pending';
+    installment.payment = undefined;
+    installment.paidAt = undefined;
+    installment.reminderSentAt = undefined;
+    if (schedule.status === 'completed') {
+      schedule.status = 'active';
+    }
+    await schedule.save();
+  }
+
+  const stillPaid = Boolean(
+    await Payment.exists({
+      'installment.schedule': schedule._id,
+      status: 'completed',
+    })
+  );
+
+  return { reopened, stillPaid };
+}
+
+// Stop the schedule of an enrollment that has been cancelled or refunded,
+// so no more reminders or overdue notices go out for it
+async function cancelInstallmentSchedule(enrollmentId) {
+  await InstallmentSchedule.updateMany(
+    { enrollment: enrollmentId, status: 'active' },
+    { $set: { status: 'cancelled' } }
+  );
+}
+
+async function sendInstallmentEmail(schedule, template, installment) {
+  try {
+    await sendEmail({
+      to: schedule.student.email,
+      ...emailTemplates[template](
+        schedule.student.firstName,
+        schedule.course.title,
+        installment,
+        schedule.currency,
+        getPayUrl(schedule)
+      ),
+    });
+  } catch (emailError) {
+    console.error('Email sending failed:', emailError);
+  }
+}
+
+// Remind students of installments coming up, and suspend enrollments with
+// one overdue past the grace period. Returns a summary of what was done.
+async function runInstallmentChecks(now = new Date()) {
+  const summary = { reminded: 0, overdue: 0, suspended: 0 };
+  if (running) {
+    return summary;
+  }
+  running = true;
+
+  try {
+    const remindFrom = new Date(
+      now.getTime() + INSTALLMENT_REMINDER_DAYS * DAY_MS
+    );
+    const overdueFrom = new Date(
+      now.getTime() - INSTALLMENT_GRACE_DAYS * DAY_MS
+    );
+
+    const schedules = await InstallmentSchedule.find({
+      status: 'active',
+      installments: {
+        $elemMatch: { status: 'pending', dueDate: { $lte: remindFrom } },
+      },
+    })
+      .populate('student', 'firstName email')
+      .populate('course', 'title');
+
+    for (const schedule of schedules) {
+      const reminders = [];
+      const overdue = [];
+
+      schedule.installments.forEach(installment => {
+        if (installment.status !== 'pending') {
+          return;
+        }
+        if (installment.dueDate <= overdueFrom) {
+          installment.status = 'overdue';
+          overdue.push(installment);
+        } else if (
+          installment.dueDate > now &&
+          installment.dueDate <= remindFrom &&
+          !installment.reminderSentAt
+        ) {
+          installment.reminderSentAt = now;
+          reminders.push(installment);
+        }
+      });
+
+      if (reminders.length === 0 && overdue.length === 0) {
+        continue;
+      }
+      await schedule.save();
+
+      for (const installment of reminders) {
+        await sendInstallmentEmail(
+          schedule,
+          'installmentReminder',
+          installment
+        );
+        summary.reminded += 1;
+      }
+
+      if (overdue.length > 0) {
+        summary.overdue += overdue.length;
+
+        // Enrollments still waiting on their first installment have no
+        // access to take away
+        const suspended = await Enrollment.findOneAndUpdate(
+          { _id: schedule.enrollment, status: 'active' },
+          { $set: { status: 'suspended' } }
+        );
+        if (suspended) {
+          summary.suspended += 1;
+          await sendInstallmentEmail(
+            schedule,
+            'installmentOverdue',
+            overdue[0]
+          );
+        }
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return summary;
+}
+
+function startInstallmentJob(
+  intervalMs = INSTALLMENT_CHECK_INTERVAL_MINUTES * 60 * 1000
+) {
+  const timer = setInterval(async () => {
+    try {
+      const summary = await runInstallmentChecks();
+      if (summary.reminded > 0 || summary.overdue > 0) {
+        console.log('Installment checks:', summary);
+      }
+    } catch (error) {
+      console.error('Installment job error:', error);
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for installment checks
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  buildInstallments,
+  createInstallmentSchedule,
+  getDueInstallment,
+  markInstallmentPaid,
+  reopenRefundedInstallment,
+  cancelInstallmentSchedule,
+  runInstallmentChecks,
+  startInstallmentJob,
+};
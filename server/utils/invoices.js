@@ -0,0 +1,358 @@
+const Invoice = require('../models/Invoice');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { escapeHtml } = require('./html');
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Our own details as they must appear on every invoice
+function getSellerDetails() {
+  return {
+    name: process.env.INVOICE_SELLER_NAME || 'Students Enrollment System',
+    email: process.env.INVOICE_SELLER_EMAIL || process.env.EMAIL_FROM,
+    taxId: process.env.INVOICE_SELLER_TAX_ID,
+    address: {
+      line1: process.env.INVOICE_SELLER_ADDRESS,
+      city: process.env.INVOICE_SELLER_CITY,
+      country: process.env.INVOICE_SELLER_COUNTRY,
+    },
+  };
+}
+
+// Billing details captured at checkout, or the student's account otherwise
+async function getBuyerDetails(payment) {
+  const billing = payment.billingDetails || {};
+  if (billing.name && billing.email) {
+    return {
+      name: billing.name,
+      email: billing.email,
+      phone: billing.phone,
+      address: billing.address,
+    };
+  }
+
+  const user = await User.findById(payment.user).select(
+    'firstName lastName email'
+  );
+  return {
+    name:
+      billing.name ||
+      payment.metadata?.customerName ||
+      (user ? `${user.firstName} ${user.lastName}` : undefined),
+    email: billing.email || payment.metadata?.customerEmail || user?.email,
+    phone: billing.phone,
+    address: billing.address,
+  };
+}
+
+// Amount given back to the customer so far
+function getRefundedAmount(payment) {
+  const refunded = payment.refund?.amount || 0;
+  if (payment.status === 'refunded' && refunded === 0) {
+    return payment.netAmount;
+  }
+  return Math.min(refunded, payment.netAmount);
+}
+
+// One line for the course, or one per line item of a cart checkout
+async function getInvoiceLines(payment) {
+  if (payment.items.length > 0) {
+    return payment.items.map(item => ({
+      description: item.title,
+      course: item.course,
+      quantity: 1,
+      unitPrice: item.amount,
+      amount: item.amount,
+    }));
+  }
+
+  let courseTitle = payment.metadata?.courseTitle;
+  if (!courseTitle) {
+    const course = await Course.findById(payment.course).select('title');
+    courseTitle = course?.title || payment.description;
+  }
+  return [
+    {
+      description: courseTitle,
+      quantity: 1,
+      unitPrice: payment.amount,
+      amount: payment.amount,
+    },
+  ];
+}
+
+async function issuePaymentInvoice(payment) {
+  try {
+    return await Invoice.issue({
+      type: 'invoice',
+      payment: payment._id,
+      user: payment.user,
+      course: payment.course,
+      seller: getSellerDetails(),
+      buyer: await getBuyerDetails(payment),
+      lines: await getInvoiceLines(payment),
+      currency: payment.currency,
+      subtotal: payment.amount,
+      discount: {
+        amount: payment.discount?.amount || 0,
+        code: payment.discount?.code,
+      },
+      tax: {
+        amount: payment.tax?.amount || 0,
+        rate: payment.tax?.rate || 0,
+        country: payment.tax?.country,
+      },
+      total: payment.netAmount,
+      paymentMethod: payment.paymentMethod,
+      transactionId: payment.transactionId,
+    });
+  } catch (error) {
+    // Another save of the same payment invoiced it first
+    if (error.code !== 11000 || !error.keyPattern?.payment) {
+      throw error;
+    }
+    return Invoice.findOne({ payment: payment._id, type: 'invoice' });
+  }
+}
+
+// Lines of a credit note for `subtotal` more refunded. Cart checkouts get a
+// line per item refunded since the earlier credit notes; the rest of the
+// refund, e.g. a partial refund made at the gateway, gets a line of its own.
+function getCreditNoteLines(payment, invoice, creditNotes, subtotal) {
+  if (payment.items.length === 0) {
+    return [
+      {
+        description: `Refund: ${invoice.lines[0]?.description || ''}`,
+        quantity: 1,
+        unitPrice: subtotal,
+        amount: subtotal,
+      },
+    ];
+  }
+
+  const credited = new Map();
+  creditNotes.forEach(note => {
+    note.lines.forEach(line => {
+      if (line.course) {
+        const key = line.course.toString();
+        credited.set(key, (credited.get(key) || 0) + line.amount);
+      }
+    });
+  });
+
+  const lines = [];
+  let remaining = subtotal;
+  payment.items.forEach(item => {
+    const owed = Math.min(
+      round2(item.refundedAmount - (credited.get(item.course.toString()) || 0)),
+      remaining
+    );
+    if (owed > 0) {
+      lines.push({
+        description: `Refund: ${item.title}`,
+        course: item.course,
+        quantity: 1,
+        unitPrice: owed,
+        amount: owed,
+      });
+      remaining = round2(remaining - owed);
+    }
+  });
+  if (remaining > 0) {
+    lines.push({
+      description: `Refund: ${payment.description}`,
+      quantity: 1,
+      unitPrice: remaining,
+      amount: remaining,
+    });
+  }
+  return lines;
+}
+
+// Issue the invoice for a payment once it completes, and a credit note for
+// each refund made against it since. Safe to call repeatedly for the same
+// payment.
+async function syncPaymentInvoices(payment) {
+  if (!['completed', 'refunded'].includes(payment.status)) {
+    return;
+  }
+
+  const invoice =
+    (await Invoice.findOne({ payment: payment._id, type: 'invoice' })) ||
+    (await issuePaymentInvoice(payment));
+
+  const refunded = getRefundedAmount(payment);
+  if (refunded === 0) {
+    return;
+  }
+
+  const creditNotes = await Invoice.find({
+    payment: payment._id,
+    type: 'credit_note',
+  });
+  const credited = creditNotes.reduce((sum, note) => sum + note.total, 0);
+  const owed = round2(refunded - credited);
+  if (owed <= 0) {
+    return;
+  }
+
+  // Tax is given back in proportion to the amount refunded
+  const taxAmount = invoice.total
+    ? round2((invoice.tax.amount * owed) / invoice.total)
+    : 0;
+  const subtotal = round2(owed - taxAmount);
+
+  await Invoice.issue({
+    type: 'credit_note',
+    invoice: invoice._id,
+    payment: payment._id,
+    user: invoice.user,
+    course: invoice.course,
+    seller: getSellerDetails(),
+    buyer: invoice.buyer,
+    lines: getCreditNoteLines(payment, invoice, creditNotes, subtotal),
+    currency: invoice.currency,
+    subtotal,
+    tax: {
+      amount: taxAmount,
+      rate: invoice.tax.rate,
+      country: invoice.tax.country,
+    },
+    total: owed,
+    paymentMethod: invoice.paymentMethod,
+    transactionId: invoice.transactionId,
+    reason: payment.refund?.reason,
+  });
+}
+
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).format(amount);
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+function renderParty(party) {
+  if (!party) {
+    return '';
+  }
+  const address = party.address || {};
+  const lines = [
+    address.line1,
+    address.line2,
+    [address.city, address.state, address.postalCode]
+      .filter(Boolean)
+      .join(', '),
+    address.country,
+    party.email,
+    party.phone,
+    party.taxId && `Tax ID: ${party.taxId}`,
+  ]
+    .filter(Boolean)
+    .map(escapeHtml);
+  if (party.name) {
+    lines.unshift(`<strong>${escapeHtml(party.name)}</strong>`);
+  }
+  return lines.join('<br>');
+}
+
+// Printable invoice or credit note. Credit notes reference the invoice
+// they correct, which must be populated as `invoice`.
+function renderInvoiceHtml(invoice) {
+  const isCreditNote = invoice.type === 'credit_note';
+  const title = isCreditNote ? 'Credit Note' : 'Invoice';
+  function money(amount) {
+    return escapeHtml(formatAmount(amount, invoice.currency));
+  }
+
+  const lineRows = invoice.lines
+    .map(
+      line => `<tr>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${money(line.unitPrice)}</td>
+        <td class="num">${money(line.amount)}</td>
+      </tr>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${title} ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; font-size: 12px; margin: 32px; }
+    h1 { color: #1976d2; margin: 0 0 4px; }
+    .header, .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    .parties div { width: 45%; line-height: 1.5; }
+    .label { color: #777; text-transform: uppercase; font-size: 10px; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+    th { background: #f5f5f5; }
+    .num { text-align: right; }
+    .totals { width: 40%; margin-left: auto; margin-top: 16px; }
+    .totals td { border: none; padding: 3px 6px; }
+    .totals .grand td { border-top: 2px solid #333; font-weight: bold; }
+    .note { margin-top: 32px; color: #777; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <div>
+      <h1>${title}</h1>
+      <div>${escapeHtml(invoice.number)}</div>
+    </div>
+    <div class="num">
+      <div><strong>Date:</strong> ${escapeHtml(formatDate(invoice.issuedAt))}</div>
+      ${isCreditNote && invoice.invoice?.number ? `<div><strong>Corrects invoice:</strong> ${escapeHtml(invoice.invoice.number)}</div>` : ''}
+      ${invoice.transactionId ? `<div><strong>Transaction:</strong> ${escapeHtml(invoice.transactionId)}</div>` : ''}
+      ${invoice.paymentMethod ? `<div><strong>Payment method:</strong> ${escapeHtml(invoice.paymentMethod)}</div>` : ''}
+    </div>
+  </div>
+  <div class="parties">
+    <div><div class="label">From</div>${renderParty(invoice.seller)}</div>
+    <div><div class="label">Bill to</div>${renderParty(invoice.buyer)}</div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${lineRows}</tbody>
+  </table>
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="num">${money(invoice.subtotal)}</td></tr>
+    ${invoice.discount?.amount ? `<tr><td>Discount${invoice.discount.code ? ` (${escapeHtml(invoice.discount.code)})` : ''}</td><td class="num">-${money(invoice.discount.amount)}</td></tr>` : ''}
+    <tr><td>Tax${invoice.tax.rate ? ` (${invoice.tax.rate}%${invoice.tax.country ? `, ${escapeHtml(invoice.tax.country)}` : ''})` : ''}</td><td class="num">${money(invoice.tax.amount)}</td></tr>
+    <tr class="grand"><td>${isCreditNote ? 'Total credited' : 'Total'}</td><td class="num">${money(invoice.total)}</td></tr>
+  </table>
+  ${isCreditNote && invoice.reason ? `<p><strong>Reason:</strong> ${escapeHtml(invoice.reason)}</p>` : ''}
+  <p class="note"><em>This ${title.toLowerCase()} was issued electronically and is valid without a signature.</em></p>
+</body>
+</html>`;
+}
+
+async function generateInvoicePdf(html) {
+  const htmlPdf = require('html-pdf-node');
+  return htmlPdf.generatePdf(
+    { content: html },
+    { format: 'A4', printBackground: true }
+  );
+}
+
+module.exports = {
+  getSellerDetails,
+  syncPaymentInvoices,
+  renderInvoiceHtml,
+  generateInvoicePdf,
+};
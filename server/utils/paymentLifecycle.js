@@ -0,0 +1,527 @@
+const Payment = require('../models/Payment');
+const Enrollment = require('../models/Enrollment');
+const { getGateway } = require('./gateways');
+const {
+  markInstallmentPaid,
+  reopenRefundedInstallment,
+  cancelInstallmentSchedule,
+} = require('./installments');
+const { issueGiftVoucher, cancelGiftVoucher } = require('./vouchers');
+const { releaseSeat } = require('./waitlist');
+
+// Billing address as the checkout form sends it
+function toBillingDetails(student, billingAddress) {
+  if (!billingAddress) {
+    return undefined;
+  }
+  return {
+    name: `${student.firstName} ${student.lastName}`,
+    email: student.email,
+    phone: student.profile?.phone,
+    address: {
+      line1: billingAddress.street,
+      city: billingAddress.city,
+      state: billingAddress.state,
+      postalCode: billingAddress.zipCode,
+      country: billingAddress.country,
+    },
+  };
+}
+
+// Activate every enrollment bought with a cart checkout
+async function completeLineItems(payment) {
+  const enrollments = await Enrollment.find({
+    _id: { $in: payment.getEnrollmentIds() },
+  });
+  for (const enrollment of enrollments) {
+    enrollment.payment.paymentStatus = 'completed';
+    enrollment.payment.paymentDate = new Date();
+    enrollment.payment.paymentMethod = payment.paymentMethod;
+    enrollment.payment.transactionId = payment.transactionId;
+    if (enrollment.status === 'pending') {
+      enrollment.status = 'active';
+      enrollment.startDate = new Date();
+    }
+    await enrollment.save();
+  }
+}
+
+// Mark a payment completed and activate its enrollment, or issue the
+// voucher of a gift. `details` are gateway-specific Payment paths, e.g.
+// `{ stripeChargeId }`. Returns the enrollment of single-course payments.
+async function completePayment(payment, { transactionId, details } = {}) {
+  if (transactionId) {
+    payment.transactionId = transactionId;
+  }
+  Object.entries(details || {}).forEach(([path, value]) => {
+    payment.set(path, value);
+  });
+  payment.status = 'completed';
+  await payment.save();
+
+  if (payment.items.length > 0) {
+    await completeLineItems(payment);
+    return null;
+  }
+
+  if (payment.gift?.recipientEmail) {
+    await issueGiftVoucher(payment);
+    return null;
+  }
+
+  // An installment only pays the enrollment in full when it is the last one
+  const schedule = payment.installment?.schedule
+    ? await markInstallmentPaid(payment)
+    : null;
+
+  const enrollment = await Enrollment.findById(payment.enrollment);
+  if (enrollment) {
+    if (!schedule || schedule.status === 'completed') {
+      enrollment.payment.paymentStatus = 'completed';
+      enrollment.payment.paymentDate = new Date();
+    }
+    enrollment.payment.paymentMethod = payment.paymentMethod;
+    enrollment.payment.transactionId = payment.transactionId;
+
+    if (!schedule || enrollment.status === 'pending') {
+      enrollment.status = 'active';
+      enrollment.startDate = new Date();
+    } else if (
+      enrollment.status === 'suspended' &&
+      !schedule.installments.some(item => item.status === 'overdue')
+    ) {
+      // Paying off what was overdue restores access
+      enrollment.status = 'active';
+    }
+    await enrollment.save();
+  }
+
+  return enrollment;
+}
+
+async function failPayment(payment, failure) {
+  payment.status = 'failed';
+  payment.failureReason = failure || {
+    code: 'unknown',
+    message: 'Payment failed',
+  };
+  await payment.save();
+}
+
+// Create the payment record for an enrollment and hand it to the gateway.
+// `enrollment` must have its course and student populated. `installment`,
+// from `getDueInstallment`, pays that installment instead of the full price.
+async function startGatewayPayment(
+  gateway,
+  { enrollment, user, discount, billingAddress, cardDetails, installment }
+) {
+  const student = enrollment.student;
+  const amount = installment ? installment.amount : enrollment.payment.amount;
+  const payment = new Payment({
+    user: user._id,
+    enrollment: enrollment._id,
+    course: enrollment.course._id,
+    amount,
+    currency: enrollment.payment.currency,
+    paymentMethod: gateway.name,
+    status: 'pending',
+    description: installment
+      ? `Installment ${installment.number} of ${installment.count} for ${enrollment.course.title} course`
+      : `Payment for ${enrollment.course.title} course`,
+    discount,
+    netAmount: amount - (discount ? discount.amount : 0),
+    ...(installment && {
+      installment: {
+        schedule: installment.schedule,
+        number: installment.number,
+      },
+    }),
+    billingDetails: toBillingDetails(student, billingAddress),
+    metadata: {
+      customerEmail: student.email,
+      customerName: `${student.firstName} ${student.lastName}`,
+      courseTitle: enrollment.course.title,
+      courseId: enrollment.course._id.toString(),
+      enrollmentId: enrollment._id.toString(),
+    },
+  });
+
+  return initiatePayment(gateway, payment, {
+    student,
+    course: enrollment.course,
+    billingAddress,
+    cardDetails,
+  });
+}
+
+// Hand a new payment to its gateway and save it. Gateways may adjust the
+// payment, e.g. to convert its currency.
+async function initiatePayment(gateway, payment, params) {
+  const originalAmount = payment.amount;
+  const result = await gateway.initiate({ payment, ...params });
+
+  if (result.transactionId) {
+    payment.transactionId = result.transactionId;
+  }
+  if (result.status === 'failed') {
+    payment.status = 'failed';
+    payment.failureReason = result.failure;
+  }
+  if (payment.items.length > 0 && payment.amount !== originalAmount) {
+    convertLineItems(payment, originalAmount);
+  }
+  await payment.save();
+
+  if (result.status === 'completed') {
+    await completePayment(payment, result);
+  }
+
+  return { payment, result };
+}
+
+// Scale line items to a payment the gateway converted to another currency.
+// The last item takes the rounding difference, so they still add up.
+function convertLineItems(payment, originalAmount) {
+  let remaining = payment.amount;
+  payment.items.forEach((item, index) => {
+    if (index === payment.items.length - 1) {
+      item.amount = Math.round(remaining * 100) / 100;
+      return;
+    }
+    item.amount =
+      Math.round(((item.amount * payment.amount) / originalAmount) * 100) / 100;
+    remaining -= item.amount;
+  });
+}
+
+// Create one payment for the enrollments of a cart or bundle checkout and
+// hand it to the gateway. `enrollments` must have their courses populated
+// and share a currency.
+async function startCartPayment(
+  gateway,
+  { enrollments, user, bundle, billingAddress, cardDetails }
+) {
+  const items = enrollments.map(enrollment => ({
+    course: enrollment.course._id,
+    enrollment: enrollment._id,
+    title: enrollment.course.title,
+    amount: enrollment.payment.amount,
+  }));
+  const amount =
+    Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+  const courseTitles = items.map(item => item.title).join(', ');
+
+  const payment = new Payment({
+    user: user._id,
+    items,
+    bundle: bundle?._id,
+    amount,
+    currency: enrollments[0].payment.currency,
+    paymentMethod: gateway.name,
+    status: 'pending',
+    description: bundle
+      ? `Payment for ${bundle.title} bundle`
+      : `Payment for ${courseTitles}`,
+    netAmount: amount,
+    billingDetails: toBillingDetails(user, billingAddress),
+    metadata: {
+      customerEmail: user.email,
+      customerName: `${user.firstName} ${user.lastName}`,
+      courseTitle: courseTitles,
+    },
+  });
+
+  return initiatePayment(gateway, payment, {
+    student: user,
+    billingAddress,
+    cardDetails,
+  });
+}
+
+// Create the payment for a course bought as a gift and hand it to the
+// gateway. `gift` has the recipient's email and name and a message.
+async function startGiftPayment(
+  gateway,
+  { course, user, gift, billingAddress, cardDetails }
+) {
+  const payment = new Payment({
+    user: user._id,
+    course: course._id,
+    gift,
+    amount: course.price,
+    currency: course.currency || 'BDT',
+    paymentMethod: gateway.name,
+    status: 'pending',
+    description: `Gift of ${course.title} course for ${gift.recipientEmail}`,
+    netAmount: course.price,
+    billingDetails: toBillingDetails(user, billingAddress),
+    metadata: {
+      customerEmail: user.email,
+      customerName: `${user.firstName} ${user.lastName}`,
+      courseTitle: course.title,
+      courseId: course._id.toString(),
+    },
+  });
+
+  return initiatePayment(gateway, payment, {
+    student: user,
+    course,
+    billingAddress,
+    cardDetails,
+  });
+}
+
+// Statuses of enrollments that have already given their seat back
+const SEAT_RELEASED_STATUSES = ['cancelled', 'refunded'];
+
+// Free the seat of an enrollment a refund has just closed. The money has
+// already moved, so a failure here is only logged.
+async function releaseRefundedSeat(courseId) {
+  try {
+    await releaseSeat(courseId);
+  } catch (seatError) {
+    console.error('Error releasing refunded seat:', seatError);
+  }
+}
+
+// Book a refund the gateway has already made. Refunds of cart payments
+// are for one line item, `itemId`.
+async function recordRefund(
+  payment,
+  { amount, reason, processedBy, details, itemId }
+) {
+  const item = itemId ? payment.items.id(itemId) : null;
+  if (payment.items.length > 0 && !item) {
+    throw new Error('Refunds of cart payments must be for a line item');
+  }
+
+  payment.processRefund(amount, reason, processedBy, item);
+  Object.entries(details || {}).forEach(([path, value]) => {
+    payment.set(path, value);
+  });
+  await payment.save();
+
+  if (payment.gift?.recipientEmail && payment.status === 'refunded') {
+    await cancelGiftVoucher(payment);
+  }
+
+  const enrollment = await Enrollment.findById(
+    item ? item.enrollment : payment.enrollment
+  );
+  if (enrollment) {
+    enrollment.payment.refundAmount += amount;
+    enrollment.payment.refundReason = reason;
+    enrollment.payment.refundDate = new Date();
+
+    let fullyRefunded = item
+      ? item.refundedAmount >= item.amount
+      : payment.refund.amount >= payment.netAmount;
+    // An installment only closes the enrollment once every installment
+    // paid has been refunded
+    if (fullyRefunded && payment.installment?.schedule) {
+      const { reopened, stillPaid } = await reopenRefundedInstallment(payment);
+      fullyRefunded = !stillPaid;
+      // The reopened installment has to be paid again
+      if (reopened && stillPaid) {
+        enrollment.payment.paymentStatus = 'pending';
+      }
+    }
+    const releasesSeat =
+      fullyRefunded && !SEAT_RELEASED_STATUSES.includes(enrollment.status);
+    if (fullyRefunded) {
+      enrollment.status = 'refunded';
+      enrollment.payment.paymentStatus = 'refunded';
+    }
+
+    await enrollment.save();
+    if (fullyRefunded) {
+      await cancelInstallmentSchedule(enrollment._id);
+    }
+    if (releasesSeat) {
+      await releaseRefundedSeat(enrollment.course);
+    }
+  }
+
+  return enrollment;
+}
+
+// Why a refund of `amount` can't be made, or null when it can. Cart
+// payments are refunded one course at a time.
+function getRefundProblem(payment, amount, item) {
+  if (payment.status !== 'completed') {
+    return 'Only completed payments can be refunded';
+  }
+  if (amount > payment.refundableAmount) {
+    return 'Refund amount exceeds refundable amount';
+  }
+  if (payment.items.length > 0 && !item) {
+    return 'Choose the course to refund from this order';
+  }
+  if (item && amount > item.amount - item.refundedAmount) {
+    return 'Refund amount exceeds the line item amount';
+  }
+  return null;
+}
+
+// Refund a completed payment through its gateway and book it. Returns
+// `{ success, refundId }`, or `{ success: false, message }` when the refund
+// isn't allowed or the gateway would not make it; the payment is left
+// untouched in that case.
+async function refundPayment(payment, { amount, reason, processedBy, itemId }) {
+  const item = itemId ? payment.items.id(itemId) : null;
+  const problem = getRefundProblem(payment, amount, item);
+  if (problem) {
+    return { success: false, message: problem };
+  }
+
+  const gateway = getGateway(payment.paymentMethod);
+  if (!gateway) {
+    return { success: false, message: 'Unsupported payment method' };
+  }
+
+  // Cash payments are refunded by hand, so only the record is updated
+  const refund = await gateway.refund(payment, {
+    amount,
+    reason,
+    processedBy,
+  });
+  if (!refund.success) {
+    return { success: false, message: refund.message };
+  }
+
+  const enrollment = await recordRefund(payment, {
+    amount,
+    reason,
+    processedBy,
+    details: refund.details,
+    itemId: item?._id,
+  });
+
+  return { success: true, refundId: refund.refundId, enrollment };
+}
+
+// Sync a refund made outside the app, e.g. from the gateway's dashboard.
+// `refundedAmount` is the total refunded so far, not the latest refund.
+// Partial refunds of cart payments can't be traced to a line item, so
+// only full ones reach their enrollments.
+async function syncExternalRefund(payment, { refundedAmount, details }) {
+  payment.refund.amount = refundedAmount;
+  payment.refund.processedAt = new Date();
+  Object.entries(details || {}).forEach(([path, value]) => {
+    payment.set(path, value);
+  });
+  if (refundedAmount >= payment.netAmount) {
+    payment.status = 'refunded';
+    payment.items.forEach(item => {
+      item.refundedAmount = item.amount;
+    });
+  }
+  await payment.save();
+
+  if (payment.gift?.recipientEmail && payment.status === 'refunded') {
+    await cancelGiftVoucher(payment);
+  }
+
+  if (payment.items.length > 0) {
+    if (payment.status === 'refunded') {
+      const seated = await Enrollment.find({
+        _id: { $in: payment.getEnrollmentIds() },
+        status: { $nin: SEAT_RELEASED_STATUSES },
+      }).select('course');
+      await Enrollment.updateMany(
+        { _id: { $in: payment.getEnrollmentIds() } },
+        {
+          $set: {
+            status: 'refunded',
+            'payment.paymentStatus': 'refunded',
+            'payment.refundDate': new Date(),
+          },
+        }
+      );
+      for (const enrollment of seated) {
+        await releaseRefundedSeat(enrollment.course);
+      }
+    }
+    return;
+  }
+
+  const enrollment = await Enrollment.findById(payment.enrollment);
+  if (enrollment) {
+    enrollment.payment.refundAmount = refundedAmount;
+    enrollment.payment.refundDate = new Date();
+    let closes = payment.status === 'refunded';
+    if (closes && payment.installment?.schedule) {
+      const { reopened, stillPaid } = await reopenRefundedInstallment(payment);
+      closes = !stillPaid;
+      if (reopened && stillPaid) {
+        enrollment.payment.paymentStatus = 'pending';
+      }
+    }
+    const releasesSeat =
+      closes && !SEAT_RELEASED_STATUSES.includes(enrollment.status);
+    if (closes) {
+      enrollment.status = 'refunded';
+      enrollment.payment.paymentStatus = 'refunded';
+    }
+    await enrollment.save();
+    if (closes) {
+      await cancelInstallmentSchedule(enrollment._id);
+    }
+    if (releasesSeat) {
+      await releaseRefundedSeat(enrollment.course);
+    }
+  }
+}
+
+// Apply a webhook event parsed by `gateway.parseWebhook`. Returns the
+// payment it matched, or null when there was nothing to update.
+async function applyGatewayEvent(gateway, event) {
+  if (event.type === 'ignored') {
+    return null;
+  }
+
+  const payment = await Payment.findOne(event.query);
+  if (!payment) {
+    return null;
+  }
+
+  switch (event.type) {
+    case 'payment.completed': {
+      if (payment.status === 'completed') {
+        break;
+      }
+      // Unsigned notifications are confirmed with the gateway first; a
+      // failed check leaves the payment untouched
+      const outcome = event.requiresVerification
+        ? await gateway.verify(payment, event.params)
+        : { status: 'completed', ...event };
+      if (outcome.status === 'completed') {
+        await completePayment(payment, outcome);
+      }
+      break;
+    }
+    case 'payment.failed':
+      if (payment.status === 'pending') {
+        await failPayment(payment, event.failure);
+      }
+      break;
+    case 'payment.refunded':
+      await syncExternalRefund(payment, event);
+      break;
+    default:
+      return null;
+  }
+
+  return payment;
+}
+
+module.exports = {
+  startGatewayPayment,
+  startCartPayment,
+  startGiftPayment,
+  completePayment,
+  failPayment,
+  recordRefund,
+  refundPayment,
+  applyGatewayEvent,
+};
@@ -0,0 +1,133 @@
+const { escapeHtml } = require('./html');
+
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).format(amount);
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-US') : '';
+}
+
+function instructorName(instructor) {
+  return instructor ? `${instructor.firstName} ${instructor.lastName}` : '';
+}
+
+// Header and one row per ledger entry. Entries are expected with
+// `instructor`, `course` and `payoutBatch` populated.
+function buildLedgerCsvRows(entries) {
+  const header = [
+    'Date',
+    'Instructor',
+    'Instructor Email',
+    'Type',
+    'Course',
+    'Description',
+    'Currency',
+    'Base Amount',
+    'Share %',
+    'Amount',
+    'Payout Batch',
+  ];
+
+  const rows = entries.map(entry => [
+    entry.createdAt,
+    instructorName(entry.instructor),
+    entry.instructor?.email,
+    entry.type,
+    entry.course?.title,
+    entry.description,
+    entry.currency,
+    entry.baseAmount,
+    entry.sharePercent,
+    entry.amount,
+    entry.payoutBatch?.reference,
+  ]);
+
+  return [header, ...rows];
+}
+
+// Printable statement for a payout batch: a summary line per instructor
+// followed by the ledger entries it settles
+function renderStatementHtml(batch, entries) {
+  const itemRows = batch.items
+    .map(
+      item => `<tr>
+        <td>${escapeHtml(instructorName(item.instructor))}</td>
+        <td>${escapeHtml(item.instructor?.email)}</td>
+        <td class="num">${item.entryCount}</td>
+        <td class="num">${escapeHtml(formatAmount(item.amount, item.currency))}</td>
+      </tr>`
+    )
+    .join('');
+
+  const entryRows = entries
+    .map(
+      entry => `<tr>
+        <td>${escapeHtml(formatDate(entry.createdAt))}</td>
+        <td>${escapeHtml(instructorName(entry.instructor))}</td>
+        <td>${escapeHtml(entry.type)}</td>
+        <td>${escapeHtml(entry.description)}</td>
+        <td class="num">${escapeHtml(formatAmount(entry.amount, entry.currency))}</td>
+      </tr>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Payout Statement ${escapeHtml(batch.reference)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; font-size: 12px; }
+    h1 { color: #1976d2; margin-bottom: 4px; }
+    h2 { margin-top: 24px; font-size: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+    th { background: #f5f5f5; }
+    .num { text-align: right; }
+    .meta p { margin: 2px 0; }
+  </style>
+</head>
+<body>
+  <h1>Payout Statement</h1>
+  <div class="meta">
+    <p><strong>Reference:</strong> ${escapeHtml(batch.reference)}</p>
+    <p><strong>Status:</strong> ${escapeHtml(batch.status)}</p>
+    <p><strong>Period End:</strong> ${escapeHtml(formatDate(batch.periodEnd))}</p>
+    <p><strong>Created:</strong> ${escapeHtml(formatDate(batch.createdAt))}</p>
+    ${batch.paidAt ? `<p><strong>Paid:</strong> ${escapeHtml(formatDate(batch.paidAt))} ${escapeHtml(batch.paymentReference)}</p>` : ''}
+  </div>
+  <h2>Payouts</h2>
+  <table>
+    <thead>
+      <tr><th>Instructor</th><th>Email</th><th class="num">Entries</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${itemRows}</tbody>
+  </table>
+  <h2>Ledger Entries</h2>
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Instructor</th><th>Type</th><th>Description</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${entryRows}</tbody>
+  </table>
+</body>
+</html>`;
+}
+
+async function generateStatementPdf(html) {
+  const htmlPdf = require('html-pdf-node');
+  return htmlPdf.generatePdf(
+    { content: html },
+    { format: 'A4', printBackground: true }
+  );
+}
+
+module.exports = {
+  buildLedgerCsvRows,
+  renderStatementHtml,
+  generateStatementPdf,
+};
@@ -0,0 +1,95 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { meetsMinimumGrade } = require('./grades');
+
+// Report, for each prerequisite of a course, whether a student has completed
+// it (with the required grade when one is set)
+async function getPrerequisiteStatus(course, studentId) {
+  const prerequisites = course.prerequisites || [];
+  if (prerequisites.length === 0) {
+    return [];
+  }
+
+  const courseIds = prerequisites.map(
+    prerequisite => prerequisite.course._id || prerequisite.course
+  );
+
+  const [courses, enrollments] = await Promise.all([
+    Course.find({ _id: { $in: courseIds } }).select('title level'),
+    studentId
+      ? Enrollment.find({
+          student: studentId,
+          course: { $in: courseIds },
+          status: 'completed',
+        }).select('course grade')
+      : [],
+  ]);
+
+  return prerequisites.map((prerequisite, index) => {
+    const courseId = courseIds[index].toString();
+    const completed = enrollments.find(
+      enrollment => enrollment.course.toString() === courseId
+    );
+
+    return {
+      course: courses.find(entry => entry._id.toString() === courseId) || {
+        _id: courseId,
+      },
+      minimumGrade: prerequisite.minimumGrade || null,
+      completed: !!completed,
+      grade: completed ? completed.grade : null,
+      met:
+        !!completed &&
+        meetsMinimumGrade(completed.grade, prerequisite.minimumGrade),
+    };
+  });
+}
+
+// Check a prerequisite list before saving it. Returns an error message, or
+// null when every course exists and the list would not create a cycle.
+async function validatePrerequisites(courseId, prerequisites) {
+  const requestedIds = prerequisites.map(prerequisite =>
+    String(prerequisite.course)
+  );
+
+  if (new Set(requestedIds).size !== requestedIds.length) {
+    return 'A course can only be listed once as a prerequisite';
+  }
+
+  const found = await Course.countDocuments({ _id: { $in: requestedIds } });
+  if (found !== requestedIds.length) {
+    return 'One or more prerequisite courses do not exist';
+  }
+
+  if (!courseId) {
+    return null;
+  }
+
+  // Walk the prerequisite chain looking for the course itself
+  const visited = new Set();
+  let frontier = requestedIds;
+  while (frontier.length > 0) {
+    if (frontier.includes(String(courseId))) {
+      return 'A course cannot require itself, directly or through other prerequisites';
+    }
+    frontier.forEach(id => visited.add(id));
+
+    const courses = await Course.find({ _id: { $in: frontier } }).select(
+      'prerequisites.course'
+    );
+    frontier = courses
+      .reduce(
+        (ids, course) =>
+          ids.concat(course.prerequisites.map(p => String(p.course))),
+        []
+      )
+      .filter(id => !visited.has(id));
+  }
+
+  return null;
+}
+
+module.exports = {
+  getPrerequisiteStatus,
+  validatePrerequisites,
+};
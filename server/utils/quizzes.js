@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizeText(value) {
+  return String(value || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+// Pick the questions (and option order) for a new attempt, applying the
+// quiz's randomization settings
+function buildAttemptQuestions(quiz) {
+  let questions = quiz.shuffleQuestions
+    ? shuffle(quiz.questions)
+    : [...quiz.questions];
+
+  if (quiz.questionsPerAttempt > 0) {
+    // Draw a random subset but keep bank order unless shuffling is on
+    const drawn = new Set(
+      shuffle(questions)
+        .slice(0, quiz.questionsPerAttempt)
+        .map(question => question._id.toString())
+    );
+    questions = questions.filter(question =>
+      drawn.has(question._id.toString())
+    );
+  }
+
+  return questions.map(question => ({
+    question: question._id,
+    options: (quiz.shuffleOptions && question.type !== 'true_false'
+      ? shuffle(question.options)
+      : question.options
+    ).map(option => option._id),
+  }));
+}
+
+// The questions of an attempt as shown to the student, without answers
+function toStudentQuestions(quiz, attempt) {
+  return attempt.questions
+    .map(served => {
+      const question = quiz.questions.id(served.question);
+      if (!question) {
+        return null;
+      }
+      return {
+        _id: question._id,
+        type: question.type,
+        text: question.text,
+        points: question.points,
+        options: served.options
+          .map(optionId => question.options.id(optionId))
+          .filter(Boolean)
+          .map(option => ({ _id: option._id, text: option.text })),
+      };
+    })
+    .filter(Boolean);
+}
+
+function isAnswerCorrect(question, answer) {
+  if (question.type === 'short_answer') {
+    const given = normalizeText(answer.textAnswer);
+    return (
+      given !== '' &&
+      question.acceptedAnswers.some(
+        accepted => normalizeText(accepted) === given
+      )
+    );
+  }
+
+  const selected = new Set((answer.selectedOptions || []).map(String));
+  const correct = question.options
+    .filter(option => option.isCorrect)
+    .map(option => option._id.toString());
+
+  // All-or-nothing: exactly the correct options must be chosen
+  return (
+    selected.size === correct.length && correct.every(id => selected.has(id))
+  );
+}
+
+// Grade submitted answers against the questions served in an attempt.
+// Questions removed from the bank since the attempt started are skipped.
+function gradeAttempt(quiz, attempt, answers) {
+  const answersByQuestion = new Map(
+    answers.map(answer => [String(answer.questionId), answer])
+  );
+
+  let score = 0;
+  let maxScore = 0;
+  attempt.answers = [];
+
+  attempt.questions.forEach(served => {
+    const question = quiz.questions.id(served.question);
+    if (!question) {
+      return;
+    }
+
+    const answer = answersByQuestion.get(question._id.toString()) || {};
+    const isCorrect = isAnswerCorrect(question, answer);
+    const pointsAwarded = isCorrect ? question.points : 0;
+
+    maxScore += question.points;
+    score += pointsAwarded;
+    attempt.answers.push({
+      question: question._id,
+      selectedOptions:
+        question.type === 'short_answer' ? [] : answer.selectedOptions || [],
+      textAnswer:
+        question.type === 'short_answer' ? answer.textAnswer : undefined,
+      isCorrect,
+      pointsAwarded,
+    });
+  });
+
+  attempt.score = score;
+  attempt.maxScore = maxScore;
+  attempt.percentage = maxScore > 0 ? roundScore((score / maxScore) * 100) : 0;
+  attempt.passed = attempt.percentage >= quiz.passingScore;
+  attempt.status = 'submitted';
+  attempt.submittedAt = new Date();
+}
+
+// Per-question feedback for a graded attempt
+function buildAttemptFeedback(quiz, attempt) {
+  return attempt.answers.map(answer => {
+    const question = quiz.questions.id(answer.question);
+    return {
+      question: answer.question,
+      isCorrect: answer.isCorrect,
+      pointsAwarded: answer.pointsAwarded,
+      explanation: question ? question.explanation : undefined,
+    };
+  });
+}
+
+// Summarize submitted attempts per question for instructors
+function buildQuizAnalytics(quiz, attempts) {
+  const graded = attempts.filter(attempt => attempt.status !== 'in_progress');
+  const percentages = graded.map(attempt => attempt.percentage);
+
+  const questions = quiz.questions.map(question => {
+    const answers = graded
+      .map(attempt =>
+        attempt.answers.find(
+          answer => answer.question.toString() === question._id.toString()
+        )
+      )
+      .filter(Boolean);
+    const correctCount = answers.filter(answer => answer.isCorrect).length;
+
+    const stats = {
+      questionId: question._id,
+      text: question.text,
+      type: question.type,
+      points: question.points,
+      answered: answers.length,
+      correctCount,
+      correctRate: answers.length
+        ? roundScore((correctCount / answers.length) * 100)
+        : null,
+    };
+
+    if (question.type === 'short_answer') {
+      // Most common wrong answers help spot missing accepted answers
+      const wrong = new Map();
+      answers
+        .filter(answer => !answer.isCorrect && answer.textAnswer)
+        .forEach(answer => {
+          const text = normalizeText(answer.textAnswer);
+          wrong.set(text, (wrong.get(text) || 0) + 1);
+        });
+      stats.commonWrongAnswers = [...wrong.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([text, count]) => ({ text, count }));
+    } else {
+      stats.options = question.options.map(option => ({
+        optionId: option._id,
+        text: option.text,
+        isCorrect: option.isCorrect,
+        selectedCount: answers.filter(answer =>
+          answer.selectedOptions.some(
+            selected => selected.toString() === option._id.toString()
+          )
+        ).length,
+      }));
+    }
+
+    return stats;
+  });
+
+  return {
+    attemptCount: graded.length,
+    studentCount: new Set(graded.map(attempt => attempt.student.toString()))
+      .size,
+    averageScore: graded.length
+      ? roundScore(
+          percentages.reduce((sum, value) => sum + value, 0) / graded.length
+        )
+      : null,
+    highestScore: graded.length ? Math.max(...percentages) : null,
+    lowestScore: graded.length ? Math.min(...percentages) : null,
+    passRate: graded.length
+      ? roundScore(
+          (graded.filter(attempt => attempt.passed).length / graded.length) *
+            100
+        )
+      : null,
+    questions,
+  };
+}
+
+module.exports = {
+  buildAttemptQuestions,
+  toStudentQuestions,
+  gradeAttempt,
+  buildAttemptFeedback,
+  buildQuizAnalytics,
+};
@@ -0,0 +1,200 @@
+const Payment = require('../models/Payment');
+const Enrollment = require('../models/Enrollment');
+const InstallmentSchedule = require('../models/InstallmentSchedule');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { getGateway } = require('./gateways');
+const { completePayment, failPayment } = require('./paymentLifecycle');
+const { sendEmail, emailTemplates } = require('./email');
+
+// Payments younger than this are left alone: the student may still be on
+// the gateway's checkout page
+const RECONCILE_AFTER_MINUTES = parseInt(
+  process.env.RECONCILE_AFTER_MINUTES || '30',
+  10
+);
+// Payments the gateway still reports as unpaid after this long are failed
+const PENDING_EXPIRY_HOURS = parseInt(
+  process.env.PENDING_PAYMENT_EXPIRY_HOURS || '24',
+  10
+);
+const RECONCILIATION_INTERVAL_MINUTES = parseInt(
+  process.env.RECONCILIATION_INTERVAL_MINUTES || '30',
+  10
+);
+const RECONCILED_METHODS = ['stripe', 'sslcommerz'];
+const BATCH_SIZE = 200;
+
+let running = false;
+
+async function sendConfirmationEmail(payment) {
+  try {
+    await payment.populate([
+      { path: 'user', select: 'firstName email' },
+      { path: 'course', select: 'title' },
+    ]);
+    await sendEmail({
+      to: payment.user.email,
+      subject: 'Payment Confirmation - Students Enrollment System',
+      ...emailTemplates.paymentConfirmation(
+        payment.user.firstName,
+        payment.course?.title || payment.metadata?.courseTitle,
+        payment.metadata?.originalAmount || payment.amount,
+        payment.transactionId
+      ),
+    });
+  } catch (emailError) {
+    console.error('Email sending failed:', emailError);
+  }
+}
+
+// Enrollments on an installment plan stay pending between installments,
+// and a newer attempt may already be paying for the enrollment; neither is
+// failed along with this payment
+async function markEnrollmentsFailed(payment) {
+  const failed = [];
+  for (const enrollmentId of payment.getEnrollmentIds()) {
+    const [schedule, newerAttempt] = await Promise.all([
+      InstallmentSchedule.exists({
+        enrollment: enrollmentId,
+        status: 'active',
+      }),
+      Payment.exists({
+        _id: { $ne: payment._id },
+        $or: [
+          { enrollment: enrollmentId },
+          { 'items.enrollment': enrollmentId },
+        ],
+        status: { $in: ['pending', 'completed'] },
+        createdAt: { $gt: payment.createdAt },
+      }),
+    ]);
+    if (!schedule && !newerAttempt) {
+      failed.push(enrollmentId);
+    }
+  }
+
+  await Enrollment.updateMany(
+    {
+      _id: { $in: failed },
+      'payment.paymentStatus': 'pending',
+    },
+    { $set: { 'payment.paymentStatus': 'failed' } }
+  );
+}
+
+// Ask the gateway about one pending payment and settle it accordingly.
+// Returns the report item.
+async function reconcilePayment(payment) {
+  const item = {
+    payment: payment._id,
+    enrollment: payment.enrollment,
+    transactionId: payment.transactionId,
+    paymentMethod: payment.paymentMethod,
+    amount: payment.netAmount,
+    currency: payment.currency,
+    createdAt: payment.createdAt,
+  };
+
+  try {
+    const result = await getGateway(payment.paymentMethod).lookup(payment);
+
+    if (result.status === 'completed') {
+      await completePayment(payment, result);
+      await sendConfirmationEmail(payment);
+      return { ...item, outcome: 'completed', message: 'Payment confirmed' };
+    }
+
+    if (result.status === 'failed') {
+      await failPayment(payment, result.failure);
+      await markEnrollmentsFailed(payment);
+      return {
+        ...item,
+        outcome: 'failed',
+        message: result.failure?.message || 'Payment failed',
+      };
+    }
+
+    const expiresAt =
+      payment.createdAt.getTime() + PENDING_EXPIRY_HOURS * 60 * 60 * 1000;
+    if (Date.now() >= expiresAt) {
+      await failPayment(payment, {
+        code: 'expired',
+        message: `Payment was not completed within ${PENDING_EXPIRY_HOURS} hours`,
+      });
+      await markEnrollmentsFailed(payment);
+      return { ...item, outcome: 'expired', message: 'Payment expired' };
+    }
+
+    return { ...item, outcome: 'pending', message: 'Still awaiting payment' };
+  } catch (error) {
+    return { ...item, outcome: 'error', message: error.message };
+  }
+}
+
+// Check every pending Stripe and SSLCommerz payment old enough to have
+// settled, and store what happened as a report. Returns null without
+// doing anything while another run is in progress.
+async function runReconciliation({ trigger = 'scheduled', triggeredBy } = {}) {
+  if (running) {
+    return null;
+  }
+  running = true;
+  try {
+    return await reconcilePendingPayments(trigger, triggeredBy);
+  } finally {
+    running = false;
+  }
+}
+
+async function reconcilePendingPayments(trigger, triggeredBy) {
+  const report = new ReconciliationReport({ trigger, triggeredBy });
+
+  const methods = RECONCILED_METHODS.filter(method => getGateway(method));
+  const payments = await Payment.find({
+    status: 'pending',
+    paymentMethod: { $in: methods },
+    createdAt: {
+      $lte: new Date(Date.now() - RECONCILE_AFTER_MINUTES * 60 * 1000),
+    },
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const payment of payments) {
+    // One at a time, to stay well inside the gateways' rate limits
+    const item = await reconcilePayment(payment);
+    report.items.push(item);
+    report.summary.checked += 1;
+    report.summary[item.outcome === 'error' ? 'errors' : item.outcome] += 1;
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+  return report;
+}
+
+function startReconciliationJob(
+  intervalMs = RECONCILIATION_INTERVAL_MINUTES * 60 * 1000
+) {
+  const timer = setInterval(async () => {
+    try {
+      const report = await runReconciliation();
+      if (report?.summary.checked > 0) {
+        console.log(
+          `Reconciled ${report.summary.checked} pending payments:`,
+          report.summary
+        );
+      }
+    } catch (error) {
+      console.error('Payment reconciliation job error:', error);
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for reconciliation
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  runReconciliation,
+  startReconciliationJob,
+};
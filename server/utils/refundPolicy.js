@@ -0,0 +1,52 @@
+// Students can ask for their money back within this many days of paying...
+const REFUND_WINDOW_DAYS = parseInt(process.env.REFUND_WINDOW_DAYS || '14', 10);
+// ...as long as they haven't worked through more than this much of the course
+const REFUND_MAX_PROGRESS = parseInt(
+  process.env.REFUND_MAX_PROGRESS || '30',
+  10
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRefundPolicy() {
+  return {
+    windowDays: REFUND_WINDOW_DAYS,
+    maxProgress: REFUND_MAX_PROGRESS,
+  };
+}
+
+// Check a completed payment, or one line item of a cart payment, against
+// the refund policy. Returns `{ eligible, reason, daysSincePayment,
+// progress }`, where `reason` says why a student may not request a refund.
+function checkRefundEligibility(payment, enrollment, item) {
+  const paidAt = enrollment?.payment?.paymentDate || payment.createdAt;
+  const daysSincePayment = Math.floor((Date.now() - paidAt.getTime()) / DAY_MS);
+  const progress = enrollment?.progress || 0;
+  const result = { eligible: false, daysSincePayment, progress };
+
+  const refundable = item
+    ? item.amount - item.refundedAmount
+    : payment.refundableAmount;
+  if (payment.status !== 'completed' || refundable <= 0) {
+    return { ...result, reason: 'This payment can no longer be refunded' };
+  }
+  if (daysSincePayment >= REFUND_WINDOW_DAYS) {
+    return {
+      ...result,
+      reason: `Refunds must be requested within ${REFUND_WINDOW_DAYS} days of payment`,
+    };
+  }
+  if (progress > REFUND_MAX_PROGRESS) {
+    return {
+      ...result,
+      reason: `Refunds are not available after completing more than ${REFUND_MAX_PROGRESS}% of the course`,
+    };
+  }
+
+  return { ...result, eligible: true };
+}
+
+module.exports = {
+  getRefundPolicy,
+  checkRefundEligibility,
+};
@@ -0,0 +1,166 @@
+const Course = require('../models/Course');
+const InstructorLedgerEntry = require('../models/InstructorLedgerEntry');
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Platform-wide share of each sale paid to the instructor, in percent
+function getDefaultSharePercent() {
+  const percent = parseFloat(process.env.INSTRUCTOR_REVENUE_SHARE || '70');
+  return Number.isFinite(percent) ? Math.min(Math.max(percent, 0), 100) : 70;
+}
+
+// A course's own percentage wins over the global default
+function getRevenueSharePercent(course) {
+  if (
+    course &&
+    course.revenueSharePercent !== undefined &&
+    course.revenueSharePercent !== null
+  ) {
+    return course.revenueSharePercent;
+  }
+  return getDefaultSharePercent();
+}
+
+// What the instructor's share is taken from: the amount collected, less tax
+// and gateway fees
+function getShareableAmount(payment) {
+  const tax = payment.tax?.amount || 0;
+  const gatewayFee = payment.fees?.stripe || 0;
+  return Math.max(round2(payment.netAmount - tax - gatewayFee), 0);
+}
+
+// Portion of the payment that has been given back to the customer, 0 to 1
+function getRefundedFraction(payment) {
+  const refunded = payment.refund?.amount || 0;
+  if (payment.status === 'refunded' && refunded === 0) {
+    return 1;
+  }
+  if (!payment.netAmount) {
+    return 0;
+  }
+  return Math.min(refunded / payment.netAmount, 1);
+}
+
+// Portion of a cart checkout's line item that has been refunded, 0 to 1
+function getItemRefundedFraction(payment, item) {
+  if (payment.status === 'refunded') {
+    return 1;
+  }
+  if (!item.amount) {
+    return 0;
+  }
+  return Math.min(item.refundedAmount / item.amount, 1);
+}
+
+// The courses a payment pays for, each with its part of the payment and how
+// much of that part has been refunded. Cart checkouts have a line per item.
+function getLedgerLines(payment) {
+  if (payment.items.length === 0) {
+    return [
+      {
+        course: payment.course,
+        share: 1,
+        refundedFraction: getRefundedFraction(payment),
+      },
+    ];
+  }
+
+  return payment.items.map(item => ({
+    course: item.course,
+    share: payment.amount ? item.amount / payment.amount : 0,
+    refundedFraction: getItemRefundedFraction(payment, item),
+  }));
+}
+
+async function syncLedgerLine(payment, line) {
+  let sale = await InstructorLedgerEntry.findOne({
+    payment: payment._id,
+    course: line.course,
+    type: 'sale',
+  });
+
+  if (!sale) {
+    const course = await Course.findById(line.course).select(
+      'title instructor revenueSharePercent'
+    );
+    if (!course || !course.instructor) {
+      return;
+    }
+
+    const sharePercent = getRevenueSharePercent(course);
+    const baseAmount = round2(getShareableAmount(payment) * line.share);
+
+    try {
+      sale = await InstructorLedgerEntry.create({
+        instructor: course.instructor,
+        course: course._id,
+        payment: payment._id,
+        type: 'sale',
+        amount: round2((baseAmount * sharePercent) / 100),
+        currency: payment.currency,
+        baseAmount,
+        sharePercent,
+        description: `Sale: ${course.title}`,
+      });
+    } catch (error) {
+      // Another save of the same payment credited it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+      sale = await InstructorLedgerEntry.findOne({
+        payment: payment._id,
+        course: line.course,
+        type: 'sale',
+      });
+    }
+  }
+
+  if (line.refundedFraction === 0) {
+    return;
+  }
+
+  const refunds = await InstructorLedgerEntry.find({
+    payment: payment._id,
+    course: line.course,
+    type: 'refund',
+  });
+  const debited = refunds.reduce((sum, entry) => sum - entry.amount, 0);
+  const owed = round2(sale.amount * line.refundedFraction - debited);
+
+  if (owed > 0) {
+    await InstructorLedgerEntry.create({
+      instructor: sale.instructor,
+      course: sale.course,
+      payment: payment._id,
+      type: 'refund',
+      amount: -owed,
+      currency: sale.currency,
+      baseAmount: sale.baseAmount,
+      sharePercent: sale.sharePercent,
+      description: sale.description.replace(/^Sale/, 'Refund'),
+    });
+  }
+}
+
+// Bring instructors' ledgers in line with a payment: credit each course's
+// instructor their share once the payment completes and debit it back,
+// proportionally, as it is refunded. Safe to call repeatedly for the same
+// payment.
+async function syncPaymentLedger(payment) {
+  if (!['completed', 'refunded'].includes(payment.status)) {
+    return;
+  }
+
+  for (const line of getLedgerLines(payment)) {
+    await syncLedgerLine(payment, line);
+  }
+}
+
+module.exports = {
+  getDefaultSharePercent,
+  getRevenueSharePercent,
+  getShareableAmount,
+  syncPaymentLedger,
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores uploaded files on the local disk under `rootDir`. Other backends
+// (e.g. object storage) can be swapped in by implementing the same
+// save/createReadStream/remove methods.
+function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+
+  // Keys are relative paths; refuse anything that escapes the upload root
+  function resolveKey(key) {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return fullPath;
+  }
+
+  return {
+    async save(buffer, { folder, originalName }) {
+      const fileName =
+        crypto.randomBytes(16).toString('hex') +
+        path.extname(originalName || '').toLowerCase();
+      const key = path.posix.join(folder, fileName);
+      const fullPath = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer);
+      return key;
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+let storage = null;
+
+// Storage adapter used by the app, created on first use
+function getStorage() {
+  if (!storage) {
+    storage = createLocalStorage(process.env.UPLOAD_PATH || './uploads');
+  }
+  return storage;
+}
+
+module.exports = {
+  createLocalStorage,
+  getStorage,
+};
@@ -0,0 +1,186 @@
+const Subscription = require('../models/Subscription');
+const Plan = require('../models/Plan');
+const Enrollment = require('../models/Enrollment');
+
+// Stripe subscription statuses and the lifecycle status each maps to
+const STRIPE_STATUSES = new Map([
+  ['incomplete', 'incomplete'],
+  ['trialing', 'trialing'],
+  ['active', 'active'],
+  ['past_due', 'past_due'],
+  ['unpaid', 'past_due'],
+  ['paused', 'past_due'],
+  ['canceled', 'cancelled'],
+  ['incomplete_expired', 'cancelled'],
+]);
+
+// Subscriptions still unrenewed this long after their period ended have
+// lapsed, e.g. when the renewal webhook never arrived
+const SUBSCRIPTION_GRACE_HOURS = parseInt(
+  process.env.SUBSCRIPTION_GRACE_HOURS || '24',
+  10
+);
+const SUBSCRIPTION_CHECK_INTERVAL_MINUTES = parseInt(
+  process.env.SUBSCRIPTION_CHECK_INTERVAL_MINUTES || '60',
+  10
+);
+
+// A subscription of the user's that gives access to the course, if any
+async function findCoveringSubscription(userId, course) {
+  const subscriptions = await Subscription.findWithAccess(userId);
+  return (
+    subscriptions.find(subscription =>
+      subscription.plan?.coversCourse(course)
+    ) || null
+  );
+}
+
+// Copy the details of the Stripe subscription behind a subscription
+function applyStripeDetails(subscription, details) {
+  subscription.status =
+    STRIPE_STATUSES.get(details.stripeStatus) || subscription.status;
+  subscription.stripeSubscriptionId = details.stripeSubscriptionId;
+  subscription.stripeCustomerId = details.stripeCustomerId;
+  subscription.currentPeriodStart = details.currentPeriodStart;
+  subscription.currentPeriodEnd = details.currentPeriodEnd;
+  subscription.trialEnd = details.trialEnd;
+  subscription.cancelAtPeriodEnd = details.cancelAtPeriodEnd;
+  if (subscription.status === 'cancelled' && !subscription.cancelledAt) {
+    subscription.cancelledAt = details.cancelledAt || new Date();
+  }
+}
+
+// Move the user's enrollments suspended with an earlier, lapsed
+// subscription over to one that covers their courses, so re-subscribing
+// restores them
+async function relinkSuspendedEnrollments(subscription, plan) {
+  const enrollments = await Enrollment.find({
+    student: subscription.user,
+    status: 'suspended',
+    subscription: { $exists: true, $ne: subscription._id },
+  }).populate('course', 'category');
+
+  for (const enrollment of enrollments) {
+    const previous = await Subscription.findById(enrollment.subscription);
+    if (
+      enrollment.course &&
+      plan?.coversCourse(enrollment.course) &&
+      !previous?.hasAccess()
+    ) {
+      await Enrollment.updateOne(
+        { _id: enrollment._id, status: 'suspended' },
+        { $set: { subscription: subscription._id, status: 'active' } }
+      );
+    }
+  }
+}
+
+// Suspend the enrollments that came with a subscription once it no longer
+// grants access, and restore them when it does again
+async function syncSubscriptionAccess(subscription) {
+  if (subscription.hasAccess()) {
+    await Enrollment.updateMany(
+      { subscription: subscription._id, status: 'suspended' },
+      { $set: { status: 'active' } }
+    );
+    await relinkSuspendedEnrollments(
+      subscription,
+      await Plan.findById(subscription.plan)
+    );
+  } else {
+    await Enrollment.updateMany(
+      { subscription: subscription._id, status: 'active' },
+      { $set: { status: 'suspended' } }
+    );
+
+    // Another of the user's subscriptions may still cover some of them
+    const others = await Subscription.findWithAccess(subscription.user);
+    for (const other of others) {
+      await relinkSuspendedEnrollments(other, other.plan);
+    }
+  }
+}
+
+// Apply a `subscription.updated` event parsed from a Stripe webhook.
+// Returns the subscription it matched, or null when there is none.
+async function applySubscriptionEvent(event) {
+  const details = event.subscription;
+  const query = [{ stripeSubscriptionId: details.stripeSubscriptionId }];
+  if (details.subscriptionId) {
+    query.push({ _id: details.subscriptionId });
+  }
+
+  const subscription = await Subscription.findOne({ $or: query });
+  if (!subscription) {
+    return null;
+  }
+
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : null;
+  if (
+    occurredAt &&
+    subscription.lastEventAt &&
+    occurredAt < subscription.lastEventAt
+  ) {
+    return subscription;
+  }
+
+  applyStripeDetails(subscription, details);
+  if (occurredAt) {
+    subscription.lastEventAt = occurredAt;
+  }
+  await subscription.save();
+  await syncSubscriptionAccess(subscription);
+
+  return subscription;
+}
+
+// Revoke access for subscriptions whose period ended without a renewal.
+// Returns how many lapsed.
+async function expireLapsedSubscriptions(now = new Date()) {
+  const lapsed = await Subscription.find({
+    status: { $in: ['trialing', 'active'] },
+    currentPeriodEnd: {
+      $lte: new Date(now.getTime() - SUBSCRIPTION_GRACE_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  for (const subscription of lapsed) {
+    subscription.status = subscription.cancelAtPeriodEnd
+      ? 'cancelled'
+      : 'past_due';
+    if (subscription.status === 'cancelled') {
+      subscription.cancelledAt = subscription.currentPeriodEnd;
+    }
+    await subscription.save();
+    await syncSubscriptionAccess(subscription);
+  }
+
+  return lapsed.length;
+}
+
+function startSubscriptionJob(
+  intervalMs = SUBSCRIPTION_CHECK_INTERVAL_MINUTES * 60 * 1000
+) {
+  const timer = setInterval(async () => {
+    try {
+      const lapsed = await expireLapsedSubscriptions();
+      if (lapsed > 0) {
+        console.log(`Revoked access for ${lapsed} lapsed subscriptions`);
+      }
+    } catch (error) {
+      console.error('Subscription job error:', error);
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for subscription checks
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  findCoveringSubscription,
+  applyStripeDetails,
+  syncSubscriptionAccess,
+  applySubscriptionEvent,
+  expireLapsedSubscriptions,
+  startSubscriptionJob,
+};
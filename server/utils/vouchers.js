@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const Voucher = require('../models/Voucher');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { sendEmail, emailTemplates } = require('./email');
+const { escapeHtml } = require('./html');
+
+// Gift vouchers can be redeemed for this many days after purchase
+const GIFT_VOUCHER_VALID_DAYS = parseInt(
+  process.env.GIFT_VOUCHER_VALID_DAYS || '365',
+  10
+);
+
+const MAX_BULK_VOUCHERS = 500;
+
+// No 0/O or 1/I, so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A random code like `7KQD-M2XH-P9TA`
+function generateVoucherCode() {
+  const characters = [...crypto.randomBytes(12)].map(
+    byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  );
+  return [0, 4, 8]
+    .map(start => characters.slice(start, start + 4).join(''))
+    .join('-');
+}
+
+function getRedeemUrl(code) {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/redeem?code=${code}`;
+}
+
+// Issue the voucher for a completed gift payment and email it to the
+// recipient. Safe to call again for the same payment.
+async function issueGiftVoucher(payment) {
+  const existing = await Voucher.findOne({ payment: payment._id });
+  if (existing) {
+    return existing;
+  }
+
+  const voucher = await Voucher.create({
+    code: generateVoucherCode(),
+    course: payment.course,
+    source: 'gift',
+    payment: payment._id,
+    purchasedBy: payment.user,
+    recipientEmail: payment.gift.recipientEmail,
+    recipientName: payment.gift.recipientName,
+    message: payment.gift.message,
+    expiresAt: new Date(Date.now() + GIFT_VOUCHER_VALID_DAYS * DAY_MS),
+  });
+
+  try {
+    const course = await Course.findById(payment.course);
+    const buyer = await User.findById(payment.user);
+    await sendEmail({
+      to: voucher.recipientEmail,
+      ...emailTemplates.giftVoucher(
+        escapeHtml(voucher.recipientName || 'there'),
+        escapeHtml(buyer ? `${buyer.firstName} ${buyer.lastName}` : 'Someone'),
+        course?.title || payment.metadata?.courseTitle,
+        voucher.code,
+        voucher.message ? escapeHtml(voucher.message) : null,
+        voucher.expiresAt,
+        getRedeemUrl(voucher.code)
+      ),
+    });
+  } catch (emailError) {
+    console.error('Email sending failed:', emailError);
+  }
+
+  return voucher;
+}
+
+// Cancel the voucher of a refunded gift, unless it has been redeemed; the
+// refund then closes the recipient's enrollment instead
+async function cancelGiftVoucher(payment) {
+  await Voucher.updateOne(
+    { payment: payment._id, status: 'active' },
+    { $set: { status: 'cancelled' } }
+  );
+}
+
+module.exports = {
+  MAX_BULK_VOUCHERS,
+  generateVoucherCode,
+  issueGiftVoucher,
+  cancelGiftVoucher,
+};
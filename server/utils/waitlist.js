@@ -0,0 +1,91 @@
+/* eslint-disable no-console */
+const Course = require('../models/Course');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { sendEmail, emailTemplates } = require('./email');
+
+const WAITLIST_CHECK_INTERVAL_MINUTES = parseInt(
+  process.env.WAITLIST_CHECK_INTERVAL_MINUTES || '15',
+  10
+);
+
+// Offer freed seats in a course to the waitlist and email each student who
+// is now holding one
+async function fillOpenSeats(course) {
+  const offered = await WaitlistEntry.offerOpenSeats(course);
+
+  for (const entry of offered) {
+    try {
+      await sendEmail({
+        to: entry.student.email,
+        ...emailTemplates.waitlistSeatOffered(
+          entry.student.firstName,
+          course.title,
+          entry.offerExpiresAt,
+          `${process.env.CLIENT_URL || 'http://localhost:3000'}/courses/${course._id}`
+        ),
+      });
+    } catch (emailError) {
+      console.error('Email sending failed:', emailError);
+    }
+  }
+
+  return offered;
+}
+
+// Give the seat of a cancelled or refunded enrollment back to its course
+// and offer it to the waitlist. Returns the entries offered a seat.
+async function releaseSeat(courseId) {
+  const course = await Course.findOneAndUpdate(
+    { _id: courseId, currentStudents: { $gt: 0 } },
+    { $inc: { currentStudents: -1 } },
+    { new: true }
+  );
+  return course ? fillOpenSeats(course) : [];
+}
+
+// Expire seat offers that ran out and pass their seats on to the next
+// students in line, for courses nobody has touched since. Returns how many
+// offers expired.
+async function expireStaleOffers(now = new Date()) {
+  const filter = { status: 'offered', offerExpiresAt: { $lte: now } };
+  const courseIds = await WaitlistEntry.distinct('course', filter);
+  if (courseIds.length === 0) {
+    return 0;
+  }
+
+  const { modifiedCount } = await WaitlistEntry.updateMany(filter, {
+    $set: { status: 'expired' },
+  });
+
+  const courses = await Course.find({ _id: { $in: courseIds } });
+  for (const course of courses) {
+    await fillOpenSeats(course);
+  }
+
+  return modifiedCount;
+}
+
+function startWaitlistJob(
+  intervalMs = WAITLIST_CHECK_INTERVAL_MINUTES * 60 * 1000
+) {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireStaleOffers();
+      if (expired > 0) {
+        console.log(`Expired ${expired} waitlist seat offers`);
+      }
+    } catch (error) {
+      console.error('Waitlist job error:', error);
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for waitlist checks
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  fillOpenSeats,
+  releaseSeat,
+  expireStaleOffers,
+  startWaitlistJob,
+};
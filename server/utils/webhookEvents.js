@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGateway } = require('./gateways');
+const { applyGatewayEvent } = require('./paymentLifecycle');
+const { applySubscriptionEvent } = require('./subscriptions');
+
+// Failed events are retried with exponential backoff (1, 2, 4, 8 minutes)
+// before they are left for an admin to replay
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+// Events still `received` after this long were interrupted, e.g. by a restart
+const STALE_RECEIVED_MS = 10 * 60 * 1000;
+const RETRY_BATCH_SIZE = 50;
+
+// Gateways without their own event IDs are deduplicated by content
+function getEventId(event) {
+  if (event.eventId) {
+    return String(event.eventId);
+  }
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(event))
+    .digest('hex');
+}
+
+function getRetryDelay(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+// Store a parsed event. Returns the existing record for redeliveries.
+async function recordWebhookEvent(provider, event) {
+  const eventId = getEventId(event);
+  try {
+    const webhookEvent = await WebhookEvent.create({
+      provider,
+      eventId,
+      type: event.type,
+      gatewayEvent: event.gatewayEvent,
+      event,
+    });
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const webhookEvent = await WebhookEvent.findOne({ provider, eventId });
+    return { webhookEvent, duplicate: true };
+  }
+}
+
+// Apply a stored event to its payment, or to its subscription for
+// `subscription.*` events. Never throws: failures are recorded on the event
+// and scheduled for a retry. `error` is set when applying the event threw,
+// as opposed to it matching nothing.
+async function processWebhookEvent(webhookEvent) {
+  webhookEvent.attempts += 1;
+  const isSubscriptionEvent = webhookEvent.type.startsWith('subscription.');
+  let payment = null;
+  let subscription = null;
+  let error = null;
+
+  try {
+    const gateway = getGateway(webhookEvent.provider);
+    if (!gateway) {
+      throw new Error(
+        `Payment gateway ${webhookEvent.provider} is not enabled`
+      );
+    }
+    if (isSubscriptionEvent) {
+      subscription = await applySubscriptionEvent(webhookEvent.event);
+    } else {
+      payment = await applyGatewayEvent(gateway, webhookEvent.event);
+    }
+  } catch (err) {
+    error = err;
+  }
+
+  const matched = isSubscriptionEvent ? subscription : payment;
+  if (error || (!matched && webhookEvent.type !== 'ignored')) {
+    webhookEvent.status = 'failed';
+    if (error) {
+      webhookEvent.lastError = error.message;
+    } else {
+      webhookEvent.lastError = isSubscriptionEvent
+        ? 'No subscription matches this event'
+        : 'No payment matches this event';
+    }
+    webhookEvent.nextAttemptAt =
+      webhookEvent.attempts < MAX_ATTEMPTS
+        ? new Date(Date.now() + getRetryDelay(webhookEvent.attempts))
+        : null;
+  } else {
+    webhookEvent.status = 'processed';
+    webhookEvent.payment = payment?._id;
+    webhookEvent.subscription = subscription?._id;
+    webhookEvent.lastError = undefined;
+    webhookEvent.nextAttemptAt = undefined;
+    webhookEvent.processedAt = new Date();
+  }
+  await webhookEvent.save();
+
+  return { webhookEvent, payment, subscription, error };
+}
+
+// Store and apply an event received from a gateway. Redeliveries of an
+// event that was processed, or is being processed, are not applied again.
+async function handleWebhookEvent(provider, event) {
+  const { webhookEvent, duplicate } = await recordWebhookEvent(provider, event);
+  if (duplicate && webhookEvent.status !== 'failed') {
+    return {
+      webhookEvent,
+      payment: null,
+      subscription: null,
+      duplicate: true,
+      error: null,
+    };
+  }
+
+  const result = await processWebhookEvent(webhookEvent);
+  return { ...result, duplicate };
+}
+
+// Retry failed events that are due, and events whose processing was cut off
+async function retryDueWebhookEvents() {
+  const now = Date.now();
+  const events = await WebhookEvent.find({
+    $or: [
+      { status: 'failed', nextAttemptAt: { $lte: new Date(now) } },
+      {
+        status: 'received',
+        createdAt: { $lte: new Date(now - STALE_RECEIVED_MS) },
+      },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(RETRY_BATCH_SIZE);
+
+  const results = [];
+  for (const webhookEvent of events) {
+    // Sequential on purpose: events for one payment must apply in order
+    results.push(await processWebhookEvent(webhookEvent));
+  }
+  return results;
+}
+
+function startWebhookRetryJob(intervalMs = RETRY_BASE_MS) {
+  const timer = setInterval(() => {
+    retryDueWebhookEvents().catch(error => {
+      console.error('Webhook retry job error:', error);
+    });
+  }, intervalMs);
+  // Don't keep the process alive just for retries
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  handleWebhookEvent,
+  processWebhookEvent,
+  retryDueWebhookEvents,
+  startWebhookRetryJob,
+};
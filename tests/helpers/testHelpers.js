@@ -150,18 +150,24 @@ const sampleCourseData = {
   price: 149.99,
   curriculum: [
     {
-      title: 'Introduction to JavaScript',
-      description: 'Getting started with JavaScript',
-      duration: 2,
-      videoUrl: 'https://example.com/video1.mp4',
-      resources: ['https://example.com/resource1.pdf']
-    },
-    {
-      title: 'Variables and Data Types',
-      description: 'Understanding JavaScript variables',
-      duration: 3,
-      videoUrl: 'https://example.com/video2.mp4',
-      resources: ['https://example.com/resource2.pdf']
+      title: 'Getting Started',
+      lessons: [
+        {
+          title: 'Introduction to JavaScript',
+          description: 'Getting started with JavaScript',
+          duration: 20,
+          videoUrl: 'https://example.com/video1.mp4',
+          materials: ['https://example.com/resource1.pdf'],
+          isFreePreview: true
+        },
+        {
+          title: 'Variables and Data Types',
+          description: 'Understanding JavaScript variables',
+          duration: 30,
+          videoUrl: 'https://example.com/video2.mp4',
+          materials: ['https://example.com/resource2.pdf']
+        }
+      ]
     }
   ],
   requirements: ['Basic computer knowledge'],
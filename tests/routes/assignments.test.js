@@ -0,0 +1,279 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const express = require('express');
+
+process.env.UPLOAD_PATH = path.join(os.tmpdir(), 'assignment-uploads-test');
+
+const assignmentRoutes = require('../../server/routes/assignments');
+const quizRoutes = require('../../server/routes/quizzes');
+const enrollmentRoutes = require('../../server/routes/enrollments');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Assignment = require('../../server/models/Assignment');
+const AssignmentSubmission = require('../../server/models/AssignmentSubmission');
+const Quiz = require('../../server/models/Quiz');
+const QuizAttempt = require('../../server/models/QuizAttempt');
+const Enrollment = require('../../server/models/Enrollment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/courses/:courseId/assignments', assignmentRoutes);
+app.use('/api/courses/:courseId/quizzes', quizRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+
+const sampleRubric = [
+  { title: 'Correctness', maxPoints: 6 },
+  { title: 'Code style', maxPoints: 4 }
+];
+
+describe('Assignment Routes', () => {
+  let student, admin, course, enrollment, assignmentLessonId, quizLessonId;
+  let studentToken, adminToken;
+
+  beforeEach(async () => {
+    student = await createTestUser({ email: 'student@example.com' });
+    admin = await createTestAdmin({ email: 'admin@example.com' });
+    studentToken = generateToken(student._id);
+    adminToken = generateToken(admin._id);
+
+    course = await createTestCourse({
+      instructor: admin._id,
+      status: 'published',
+      curriculum: [
+        {
+          title: 'Basics',
+          lessons: [
+            { title: 'Checkpoint', type: 'quiz' },
+            { title: 'Project', type: 'assignment' }
+          ]
+        }
+      ]
+    });
+    [quizLessonId, assignmentLessonId] = course.getLessons().map(lesson => lesson.lessonId);
+
+    enrollment = await createTestEnrollment({ student: student._id, course: course._id });
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+  });
+
+  async function createAssignment(overrides = {}) {
+    return Assignment.create({
+      course: course._id,
+      lessonId: assignmentLessonId,
+      title: 'Build a Todo App',
+      rubric: sampleRubric,
+      isPublished: true,
+      ...overrides
+    });
+  }
+
+  function submit(assignment) {
+    return request(app)
+      .post(`/api/courses/${course._id}/assignments/${assignment._id}/submissions`)
+      .set(getAuthHeader(studentToken));
+  }
+
+  function grade(assignment, submissionId, points) {
+    return request(app)
+      .put(`/api/courses/${course._id}/assignments/${assignment._id}/submissions/${submissionId}/grade`)
+      .set(getAuthHeader(adminToken))
+      .send({
+        rubricScores: assignment.rubric.map((criterion, index) => ({
+          criterionId: criterion._id,
+          points: points[index]
+        })),
+        feedback: 'Nice work'
+      });
+  }
+
+  describe('Assignment management', () => {
+    test('should create an assignment for an assignment lesson', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/assignments`)
+        .set(getAuthHeader(adminToken))
+        .send({ lessonId: assignmentLessonId, title: 'Build a Todo App', rubric: sampleRubric })
+        .expect(201);
+
+      expect(response.body.assignment.rubric).toHaveLength(2);
+      expect(response.body.assignment.isPublished).toBe(false);
+    });
+
+    test('should reject assignments on other lesson types', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/assignments`)
+        .set(getAuthHeader(adminToken))
+        .send({ lessonId: quizLessonId, title: 'Wrong Lesson', rubric: sampleRubric })
+        .expect(400);
+
+      expect(response.body.message).toBe('Assignments can only be attached to assignment lessons');
+    });
+
+    test('should require a rubric', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/assignments`)
+        .set(getAuthHeader(adminToken))
+        .send({ lessonId: assignmentLessonId, title: 'No Rubric' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation error while creating assignment');
+    });
+
+    test('should deny students', async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/assignments`)
+        .set(getAuthHeader(studentToken))
+        .send({ lessonId: assignmentLessonId, title: 'Build a Todo App', rubric: sampleRubric })
+        .expect(403);
+    });
+  });
+
+  describe('Submissions', () => {
+    test('should accept text and file submissions and serve the files back', async () => {
+      const assignment = await createAssignment({ allowedFileTypes: ['.txt'] });
+
+      const response = await submit(assignment)
+        .field('text', 'See attached notes')
+        .attach('files', Buffer.from('todo app notes'), 'notes.txt')
+        .expect(201);
+
+      const { submission } = response.body;
+      expect(submission.submissionNumber).toBe(1);
+      expect(submission.files).toHaveLength(1);
+      expect(submission.files[0].key).toBeUndefined();
+
+      const download = await request(app)
+        .get(`/api/courses/${course._id}/assignments/${assignment._id}/submissions/${submission._id}/files/${submission.files[0]._id}`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+      expect(download.text).toBe('todo app notes');
+    });
+
+    test('should reject file types the assignment does not allow', async () => {
+      const assignment = await createAssignment({ allowedFileTypes: ['.pdf'] });
+
+      const response = await submit(assignment)
+        .attach('files', Buffer.from('binary'), 'app.exe')
+        .expect(400);
+
+      expect(response.body.rejectedFiles).toEqual(['app.exe']);
+    });
+
+    test('should block submissions after the due date unless late work is allowed', async () => {
+      const pastDue = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const closed = await createAssignment({ dueDate: pastDue });
+
+      const blocked = await submit(closed).field('text', 'Sorry I am late').expect(400);
+      expect(blocked.body.message).toBe('The due date for this assignment has passed');
+
+      closed.allowLateSubmissions = true;
+      await closed.save();
+
+      const late = await submit(closed).field('text', 'Sorry I am late').expect(201);
+      expect(late.body.submission.isLate).toBe(true);
+    });
+
+    test('should enforce the resubmission limit and supersede ungraded submissions', async () => {
+      const assignment = await createAssignment({ maxSubmissions: 2 });
+
+      await submit(assignment).field('text', 'First draft').expect(201);
+      await submit(assignment).field('text', 'Second draft').expect(201);
+      const response = await submit(assignment).field('text', 'Third draft').expect(400);
+
+      expect(response.body.message).toBe('You have used all submissions for this assignment');
+      const statuses = (await AssignmentSubmission.find({ student: student._id }).sort({ submissionNumber: 1 }))
+        .map(submission => submission.status);
+      expect(statuses).toEqual(['superseded', 'submitted']);
+    });
+
+    test('should only complete an assignment lesson after submitting', async () => {
+      const assignment = await createAssignment();
+
+      const blocked = await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/${assignmentLessonId}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(400);
+      expect(blocked.body.message).toBe('Submit the assignment to complete this lesson');
+
+      await submit(assignment).field('text', 'Done').expect(201);
+
+      await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/${assignmentLessonId}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+    });
+  });
+
+  describe('Grading', () => {
+    test('should list ungraded submissions in the grading queue', async () => {
+      const assignment = await createAssignment();
+      await submit(assignment).field('text', 'Done').expect(201);
+
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/assignments/grading-queue`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.body.queue).toHaveLength(1);
+      expect(response.body.queue[0].student.email).toBe('student@example.com');
+      expect(response.body.queue[0].assignment.title).toBe('Build a Todo App');
+    });
+
+    test('should grade with the rubric and combine with quiz scores', async () => {
+      const assignment = await createAssignment();
+      const quiz = await Quiz.create({
+        course: course._id,
+        lessonId: quizLessonId,
+        title: 'Checkpoint Quiz',
+        questions: [{ type: 'short_answer', text: '2 + 2?', acceptedAnswers: ['4'] }],
+        isPublished: true
+      });
+      await QuizAttempt.create({
+        quiz: quiz._id,
+        enrollment: enrollment._id,
+        student: student._id,
+        attemptNumber: 1,
+        status: 'submitted',
+        percentage: 100,
+        passed: true
+      });
+
+      const submitted = await submit(assignment).field('text', 'Done').expect(201);
+      const response = await grade(assignment, submitted.body.submission._id, [5, 3]).expect(200);
+
+      expect(response.body.submission.score).toBe(8);
+      expect(response.body.submission.percentage).toBe(80);
+      expect(response.body.enrollment).toEqual({ score: 90, grade: 'A-' });
+
+      const updated = await Enrollment.findById(enrollment._id);
+      expect(updated.grade).toBe('A-');
+    });
+
+    test('should reject points above a criterion maximum', async () => {
+      const assignment = await createAssignment();
+      const submitted = await submit(assignment).field('text', 'Done').expect(201);
+
+      const response = await grade(assignment, submitted.body.submission._id, [7, 3]).expect(400);
+      expect(response.body.message).toBe('"Correctness" is worth at most 6 points');
+    });
+
+    test('should block resubmission after grading by default', async () => {
+      const assignment = await createAssignment({ maxSubmissions: 0 });
+      const submitted = await submit(assignment).field('text', 'Done').expect(201);
+      await grade(assignment, submitted.body.submission._id, [6, 4]).expect(200);
+
+      const response = await submit(assignment).field('text', 'One more try').expect(400);
+      expect(response.body.message).toBe('This assignment has already been graded');
+    });
+
+    test('should deny students access to the grading queue', async () => {
+      await request(app)
+        .get(`/api/courses/${course._id}/assignments/grading-queue`)
+        .set(getAuthHeader(studentToken))
+        .expect(403);
+    });
+  });
+});
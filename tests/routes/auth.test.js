@@ -3,6 +3,8 @@ const express = require('express');
 const authRoutes = require('../../server/routes/auth');
 const { createTestUser, createTestAdmin, generateToken, sampleUserData } = require('../helpers/testHelpers');
 const User = require('../../server/models/User');
+const Session = require('../../server/models/Session');
+const totp = require('../../server/utils/totp');
 
 // Create Express app for testing
 const app = express();
@@ -333,4 +335,313 @@ describe('Auth Routes', () => {
       expect(response.body.message).toBe('Invalid or expired verification token');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Sessions and refresh tokens', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await createTestUser({
+        email: 'test@example.com',
+        password: 'password123',
+        isEmailVerified: true
+      });
+    });
+
+    const login = () =>
+      request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'jest-agent')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200);
+
+    test('should issue a refresh token on login', async () => {
+      const response = await login();
+
+      expect(response.body.refreshToken).toBeDefined();
+      expect(await Session.countDocuments({ user: user._id })).toBe(1);
+    });
+
+    test('should rotate the refresh token', async () => {
+      const { body: loginBody } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(loginBody.refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+    });
+
+    test('should revoke the session when a rotated token is reused', async () => {
+      const { body: loginBody } = await login();
+
+      const { body: refreshed } = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginBody.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: refreshed.refreshToken })
+        .expect(401);
+    });
+
+    test('should reject invalid refresh tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-token' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid or expired refresh token');
+    });
+
+    test('should list sessions and mark the current one', async () => {
+      await login();
+      const { body } = await login();
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(2);
+      expect(response.body.sessions.filter(s => s.isCurrent)).toHaveLength(1);
+      expect(response.body.sessions[0].userAgent).toBe('jest-agent');
+    });
+
+    test('should reject access tokens of a revoked session', async () => {
+      const { body: first } = await login();
+      const { body: second } = await login();
+      const firstSession = await Session.findOne({ user: user._id }).sort({ createdAt: 1 });
+
+      await request(app)
+        .delete(`/api/auth/sessions/${firstSession._id}`)
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Session has been revoked.');
+    });
+
+    test('should not revoke sessions of other users', async () => {
+      const other = await createTestUser({ email: 'other@example.com' });
+      const { session } = await Session.start(other._id, { get: () => '', ip: '127.0.0.1' });
+      const { body } = await login();
+
+      await request(app)
+        .delete(`/api/auth/sessions/${session._id}`)
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(404);
+    });
+
+    test('should log out the current session', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+    });
+
+    test('should log out everywhere', async () => {
+      const { body: first } = await login();
+      const { body: second } = await login();
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(200);
+
+      expect(response.body.revoked).toBe(2);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(401);
+    });
+
+    test('should revoke other sessions when the password changes', async () => {
+      const { body: first } = await login();
+      const { body: second } = await login();
+
+      await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${second.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const loginAs = (email, password) =>
+      request(app).post('/api/auth/login').send({ email, password }).expect(200);
+
+    const enableTwoFactor = async (user) => {
+      const secret = totp.generateSecret();
+      user.twoFactor = { enabled: true, enabledAt: new Date(), secret };
+      const backupCodes = user.generateBackupCodes();
+      await user.save();
+      return { secret, backupCodes };
+    };
+
+    test('should ask for a code when 2FA is enabled', async () => {
+      const user = await createTestUser({ email: 'student@example.com' });
+      const { secret } = await enableTwoFactor(user);
+
+      const { body } = await loginAs('student@example.com', 'password123');
+      expect(body.twoFactorRequired).toBe(true);
+      expect(body.token).toBeUndefined();
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ twoFactorToken: body.twoFactorToken, code: totp.generateCode(secret) })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.user.twoFactor.enabled).toBe(true);
+      expect(response.body.user.twoFactor.secret).toBeUndefined();
+    });
+
+    test('should reject wrong and replayed codes', async () => {
+      const user = await createTestUser({ email: 'student@example.com' });
+      const { secret } = await enableTwoFactor(user);
+      const code = totp.generateCode(secret);
+
+      const { body: first } = await loginAs('student@example.com', 'password123');
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ twoFactorToken: first.twoFactorToken, code: code === '000000' ? '111111' : '000000' })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ twoFactorToken: first.twoFactorToken, code })
+        .expect(200);
+
+      const { body: second } = await loginAs('student@example.com', 'password123');
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ twoFactorToken: second.twoFactorToken, code })
+        .expect(401);
+    });
+
+    test('should accept each backup code once', async () => {
+      const user = await createTestUser({ email: 'student@example.com' });
+      const { backupCodes } = await enableTwoFactor(user);
+
+      const { body: first } = await loginAs('student@example.com', 'password123');
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ twoFactorToken: first.twoFactorToken, code: backupCodes[0] })
+        .expect(200);
+      expect(response.body.backupCodesRemaining).toBe(backupCodes.length - 1);
+
+      const { body: second } = await loginAs('student@example.com', 'password123');
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ twoFactorToken: second.twoFactorToken, code: backupCodes[0] })
+        .expect(401);
+    });
+
+    test('should not accept the pending login token as an access token', async () => {
+      const user = await createTestUser({ email: 'student@example.com' });
+      await enableTwoFactor(user);
+
+      const { body } = await loginAs('student@example.com', 'password123');
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.twoFactorToken}`)
+        .expect(401);
+    });
+
+    test('should make admins set up 2FA before signing in', async () => {
+      await createTestAdmin({ email: 'admin@example.com' });
+
+      const { body } = await loginAs('admin@example.com', 'adminpass123');
+      expect(body.twoFactorSetupRequired).toBe(true);
+      expect(body.token).toBeUndefined();
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .send({ twoFactorToken: body.twoFactorToken })
+        .expect(200);
+      expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .send({ twoFactorToken: body.twoFactorToken, code: totp.generateCode(setup.body.secret) })
+        .expect(200);
+
+      expect(response.body.backupCodes).toHaveLength(10);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+    });
+
+    test('should let students enable and disable 2FA from their profile', async () => {
+      const user = await createTestUser({ email: 'student@example.com' });
+      const token = generateToken(user._id);
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const secret = setup.body.secret;
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totp.generateCode(secret) })
+        .expect(200);
+      expect(enabled.body.token).toBeUndefined();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'password123', code: enabled.body.backupCodes[0] })
+        .expect(200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.twoFactor.enabled).toBe(false);
+    });
+
+    test('should not let admins disable 2FA', async () => {
+      const admin = await createTestAdmin();
+      const { secret } = await enableTwoFactor(admin);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${generateToken(admin._id)}`)
+        .send({ password: 'adminpass123', code: totp.generateCode(secret) })
+        .expect(403);
+
+      expect(response.body.message).toBe('Two-factor authentication is required for admin accounts');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const express = require('express');
+const bundleRoutes = require('../../server/routes/bundles');
+const instructorRoutes = require('../../server/routes/instructor');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Bundle = require('../../server/models/Bundle');
+const Payment = require('../../server/models/Payment');
+const Enrollment = require('../../server/models/Enrollment');
+const InstructorLedgerEntry = require('../../server/models/InstructorLedgerEntry');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/instructor', instructorRoutes);
+
+describe('Course bundles', () => {
+  let student, studentToken, adminToken, instructor, otherInstructor, first, second;
+
+  const createBundle = (data = {}) =>
+    request(app)
+      .post('/api/bundles')
+      .set(getAuthHeader(adminToken))
+      .send({ title: 'Full-stack Track', courses: [first._id, second._id], price: 120, currency: 'USD', ...data });
+
+  const purchase = (bundle, data = {}) =>
+    request(app)
+      .post(`/api/bundles/${bundle._id}/purchase`)
+      .set(getAuthHeader(studentToken))
+      .send({ paymentMethod: 'fake', ...data });
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    studentToken = generateToken(student._id);
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+
+    instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    otherInstructor = await createTestUser({ email: 'other@example.com', role: 'instructor' });
+    first = await createTestCourse({ instructor: instructor._id, title: 'Frontend Course', status: 'published', price: 100, currency: 'USD' });
+    second = await createTestCourse({ instructor: otherInstructor._id, title: 'Backend Course', status: 'published', price: 50, currency: 'USD' });
+  });
+
+  test('should let admins create bundles of priced courses', async () => {
+    await request(app)
+      .post('/api/bundles')
+      .set(getAuthHeader(studentToken))
+      .send({ title: 'Full-stack Track', courses: [first._id, second._id], price: 120 })
+      .expect(403);
+
+    await createBundle({ courses: [first._id] }).expect(400);
+    await createBundle({ courses: [first._id, first._id] }).expect(400);
+    await createBundle({ currency: 'BDT' }).expect(400);
+
+    const response = await createBundle().expect(201);
+    expect(response.body.bundle.courses).toHaveLength(2);
+    expect(response.body.bundle.price).toBe(120);
+  });
+
+  test('should list active bundles with their list price', async () => {
+    const { body } = await createBundle().expect(201);
+    await Bundle.create({ title: 'Old Track', courses: [first._id, second._id], price: 100, currency: 'USD', isActive: false });
+
+    const list = await request(app).get('/api/bundles').expect(200);
+    expect(list.body.bundles.map(bundle => bundle.title)).toEqual(['Full-stack Track']);
+    expect(list.body.bundles[0].listPrice).toBe(150);
+    expect(list.body.bundles[0].savings).toBe(30);
+
+    const detail = await request(app).get(`/api/bundles/${body.bundle._id}`).expect(200);
+    expect(detail.body.bundle.courses.map(course => course.title)).toEqual(['Frontend Course', 'Backend Course']);
+
+    await request(app)
+      .delete(`/api/bundles/${body.bundle._id}`)
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    await request(app).get(`/api/bundles/${body.bundle._id}`).expect(404);
+  });
+
+  test('should enroll in every course and split the price between them', async () => {
+    const { body } = await createBundle().expect(201);
+
+    const response = await purchase(body.bundle).expect(200);
+    expect(response.body.message).toBe('Payment successful!');
+
+    const payment = await Payment.findById(response.body.paymentId);
+    expect(payment.status).toBe('completed');
+    expect(payment.bundle.toString()).toBe(body.bundle._id);
+    expect(payment.amount).toBe(120);
+    expect(payment.items.map(item => item.amount)).toEqual([80, 40]);
+
+    const enrollments = await Enrollment.find({ student: student._id });
+    expect(enrollments).toHaveLength(2);
+    enrollments.forEach(enrollment => {
+      expect(enrollment.status).toBe('active');
+      expect(enrollment.payment.paymentStatus).toBe('completed');
+    });
+
+    // Each instructor is credited with their course's share
+    const sales = await InstructorLedgerEntry.find({ payment: payment._id, type: 'sale' });
+    expect(sales.map(entry => entry.baseAmount).sort()).toEqual([40, 80]);
+
+    const revenue = await request(app)
+      .get('/api/instructor/overview')
+      .set(getAuthHeader(generateToken(instructor._id)))
+      .expect(200);
+    expect(revenue.body.revenue).toEqual([
+      { currency: 'USD', count: 1, completedAmount: 80, refundedAmount: 0 }
+    ]);
+  });
+
+  test('should refuse a bundle with a course the student already has', async () => {
+    const { body } = await createBundle().expect(201);
+    await createTestEnrollment({ student: student._id, course: second._id, status: 'active' });
+
+    const response = await purchase(body.bundle).expect(400);
+    expect(response.body.problems).toHaveLength(1);
+    expect(response.body.problems[0].title).toBe('Backend Course');
+    expect(await Payment.countDocuments({ user: student._id })).toBe(0);
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+const cartRoutes = require('../../server/routes/cart');
+const paymentRoutes = require('../../server/routes/payments');
+const refundRequestRoutes = require('../../server/routes/refundRequests');
+const { DECLINED_CARD } = require('../../server/utils/gateways/fake');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Cart = require('../../server/models/Cart');
+const Payment = require('../../server/models/Payment');
+const Enrollment = require('../../server/models/Enrollment');
+const Invoice = require('../../server/models/Invoice');
+const RefundRequest = require('../../server/models/RefundRequest');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/cart', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refund-requests', refundRequestRoutes);
+
+describe('Cart and multi-course checkout', () => {
+  let student, studentToken, adminToken, instructor, first, second;
+
+  const addToCart = course =>
+    request(app)
+      .post('/api/cart/items')
+      .set(getAuthHeader(studentToken))
+      .send({ courseId: course._id });
+
+  const checkout = (data = {}) =>
+    request(app)
+      .post('/api/cart/checkout')
+      .set(getAuthHeader(studentToken))
+      .send({ paymentMethod: 'fake', ...data });
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    studentToken = generateToken(student._id);
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+
+    instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    first = await createTestCourse({ instructor: instructor._id, title: 'First Course', status: 'published', price: 100, currency: 'USD' });
+    second = await createTestCourse({ instructor: instructor._id, title: 'Second Course', status: 'published', price: 50, currency: 'USD' });
+  });
+
+  test('should add and remove courses', async () => {
+    await addToCart(first).expect(201);
+    const response = await addToCart(second).expect(201);
+    expect(response.body.cart.items).toHaveLength(2);
+    expect(response.body.total).toBe(150);
+    expect(response.body.currency).toBe('USD');
+
+    // No duplicates
+    await addToCart(first).expect(409);
+
+    await request(app)
+      .delete(`/api/cart/items/${first._id}`)
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+
+    const cart = await request(app).get('/api/cart').set(getAuthHeader(studentToken)).expect(200);
+    expect(cart.body.cart.items).toHaveLength(1);
+    expect(cart.body.total).toBe(50);
+  });
+
+  test('should refuse courses that cannot be bought through the cart', async () => {
+    const free = await createTestCourse({ instructor: instructor._id, title: 'Free Course', status: 'published', price: 0 });
+    await addToCart(free).expect(400);
+
+    const taka = await createTestCourse({ instructor: instructor._id, title: 'Taka Course', status: 'published', price: 500, currency: 'BDT' });
+    await addToCart(first).expect(201);
+    await addToCart(taka).expect(400);
+
+    await createTestEnrollment({ student: student._id, course: second._id, status: 'active' });
+    await addToCart(second).expect(400);
+  });
+
+  test('should enroll in every course with one payment', async () => {
+    await addToCart(first).expect(201);
+    await addToCart(second).expect(201);
+
+    const response = await checkout().expect(200);
+    expect(response.body.message).toBe('Payment successful!');
+
+    const payment = await Payment.findById(response.body.paymentId);
+    expect(payment.status).toBe('completed');
+    expect(payment.amount).toBe(150);
+    expect(payment.items.map(item => item.title)).toEqual(['First Course', 'Second Course']);
+
+    const enrollments = await Enrollment.find({ student: student._id });
+    expect(enrollments).toHaveLength(2);
+    enrollments.forEach(enrollment => {
+      expect(enrollment.status).toBe('active');
+      expect(enrollment.payment.paymentStatus).toBe('completed');
+    });
+
+    const invoice = await Invoice.findOne({ payment: payment._id });
+    expect(invoice.lines.map(line => line.description)).toEqual(['First Course', 'Second Course']);
+
+    expect((await Cart.findOne({ user: student._id })).items).toHaveLength(0);
+
+    // Enrolled now, so the courses can't go back in the cart
+    await addToCart(first).expect(400);
+  });
+
+  test('should keep the cart when the payment is declined', async () => {
+    await addToCart(first).expect(201);
+
+    const response = await checkout({ cardDetails: { number: DECLINED_CARD } }).expect(400);
+    expect(response.body.message).toBe('Payment failed');
+    expect((await Cart.findOne({ user: student._id })).items).toHaveLength(1);
+
+    // The unpaid enrollment is reused on the next attempt
+    await checkout().expect(200);
+    const enrollments = await Enrollment.find({ student: student._id });
+    expect(enrollments).toHaveLength(1);
+    expect(enrollments[0].status).toBe('active');
+  });
+
+  test('should refund one course of a cart payment', async () => {
+    await addToCart(first).expect(201);
+    await addToCart(second).expect(201);
+    const { body } = await checkout().expect(200);
+
+    let payment = await Payment.findById(body.paymentId);
+    const [firstItem, secondItem] = payment.items;
+
+    // The course must be chosen
+    await request(app)
+      .post(`/api/payments/${payment._id}/refund`)
+      .set(getAuthHeader(adminToken))
+      .send({ amount: 50, reason: 'Requested by student' })
+      .expect(400);
+
+    await request(app)
+      .post(`/api/payments/${payment._id}/refund`)
+      .set(getAuthHeader(adminToken))
+      .send({ amount: 60, reason: 'Requested by student', itemId: secondItem._id })
+      .expect(400);
+
+    await request(app)
+      .post(`/api/payments/${payment._id}/refund`)
+      .set(getAuthHeader(adminToken))
+      .send({ amount: 50, reason: 'Requested by student', itemId: secondItem._id })
+      .expect(200);
+
+    payment = await Payment.findById(payment._id);
+    expect(payment.status).toBe('completed');
+    expect(payment.items.id(secondItem._id).refundedAmount).toBe(50);
+    expect((await Enrollment.findById(secondItem.enrollment)).status).toBe('refunded');
+    expect((await Enrollment.findById(firstItem.enrollment)).status).toBe('active');
+
+    const creditNote = await Invoice.findOne({ payment: payment._id, type: 'credit_note' });
+    expect(creditNote.lines[0].course.toString()).toBe(second._id.toString());
+
+    // The other course can still be refunded through a student's request
+    const requested = await request(app)
+      .post(`/api/payments/${payment._id}/refund-requests`)
+      .set(getAuthHeader(studentToken))
+      .send({ reason: 'Not what I expected', itemId: firstItem._id })
+      .expect(201);
+    expect(requested.body.refundRequest.amount).toBe(100);
+
+    await request(app)
+      .put(`/api/refund-requests/${requested.body.refundRequest._id}/approve`)
+      .set(getAuthHeader(adminToken))
+      .send({})
+      .expect(200);
+
+    payment = await Payment.findById(payment._id);
+    expect(payment.status).toBe('refunded');
+    expect((await Enrollment.findById(firstItem.enrollment)).status).toBe('refunded');
+    expect((await RefundRequest.findById(requested.body.refundRequest._id)).status).toBe('approved');
+  });
+});
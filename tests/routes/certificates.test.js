@@ -0,0 +1,66 @@
+const request = require('supertest');
+const express = require('express');
+const certificateRoutes = require('../../server/routes/certificates');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment } = require('../helpers/testHelpers');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/certificates', certificateRoutes);
+
+describe('Certificate Routes', () => {
+  let enrollment;
+
+  beforeEach(async () => {
+    const student = await createTestUser({ firstName: 'Jane', lastName: 'Learner' });
+    const admin = await createTestAdmin();
+    const course = await createTestCourse({ instructor: admin._id, certificate: true, title: 'Certified Course' });
+
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'completed'
+    });
+    enrollment.issueCertificate();
+    await enrollment.save();
+  });
+
+  describe('GET /api/certificates/:certificateId/verify', () => {
+    test('should verify an issued certificate', async () => {
+      const response = await request(app)
+        .get(`/api/certificates/${enrollment.certificate.certificateId}/verify`)
+        .expect(200);
+
+      expect(response.body.valid).toBe(true);
+      expect(response.body.certificate.studentName).toBe('Jane Learner');
+      expect(response.body.certificate.course.title).toBe('Certified Course');
+      expect(response.body.certificate.course.instructor).toBe('Admin User');
+    });
+
+    test('should report certificates of refunded enrollments as revoked', async () => {
+      enrollment.status = 'refunded';
+      await enrollment.save();
+
+      const response = await request(app)
+        .get(`/api/certificates/${enrollment.certificate.certificateId}/verify`)
+        .expect(200);
+
+      expect(response.body.valid).toBe(false);
+      expect(response.body.message).toBe('This certificate has been revoked');
+    });
+
+    test('should return 404 for unknown certificates', async () => {
+      const response = await request(app)
+        .get('/api/certificates/CERT-000000000000/verify')
+        .expect(404);
+
+      expect(response.body.valid).toBe(false);
+    });
+
+    test('should reject malformed certificate IDs', async () => {
+      await request(app)
+        .get('/api/certificates/not-a-certificate/verify')
+        .expect(400);
+    });
+  });
+});
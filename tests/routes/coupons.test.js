@@ -0,0 +1,210 @@
+const request = require('supertest');
+const express = require('express');
+const couponRoutes = require('../../server/routes/coupons');
+const paymentRoutes = require('../../server/routes/payments');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Coupon = require('../../server/models/Coupon');
+const Payment = require('../../server/models/Payment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/coupons', couponRoutes);
+app.use('/api/payments', paymentRoutes);
+
+describe('Coupon Routes', () => {
+  let student, admin, course, enrollment;
+  let studentToken, adminToken;
+
+  beforeEach(async () => {
+    student = await createTestUser({ email: 'student@example.com' });
+    admin = await createTestAdmin({ email: 'admin@example.com' });
+    studentToken = generateToken(student._id);
+    adminToken = generateToken(admin._id);
+
+    course = await createTestCourse({ instructor: admin._id, price: 200, currency: 'USD' });
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'pending',
+      payment: { amount: 200, currency: 'USD', paymentMethod: 'stripe', paymentStatus: 'pending' }
+    });
+  });
+
+  describe('Admin CRUD', () => {
+    test('should create a coupon with an uppercased code', async () => {
+      const response = await request(app)
+        .post('/api/coupons')
+        .set(getAuthHeader(adminToken))
+        .send({ code: 'spring25', type: 'percentage', value: 25 })
+        .expect(201);
+
+      expect(response.body.coupon.code).toBe('SPRING25');
+      expect(response.body.coupon.perUserLimit).toBe(1);
+    });
+
+    test('should reject duplicate codes', async () => {
+      await Coupon.create({ code: 'SPRING25', type: 'percentage', value: 25 });
+
+      const response = await request(app)
+        .post('/api/coupons')
+        .set(getAuthHeader(adminToken))
+        .send({ code: 'spring25', type: 'fixed', value: 10, currency: 'USD' })
+        .expect(400);
+
+      expect(response.body.message).toBe('A coupon with this code already exists');
+    });
+
+    test('should reject percentages of 100 or more', async () => {
+      await request(app)
+        .post('/api/coupons')
+        .set(getAuthHeader(adminToken))
+        .send({ code: 'TOOMUCH', type: 'percentage', value: 150 })
+        .expect(400);
+
+      await request(app)
+        .post('/api/coupons')
+        .set(getAuthHeader(adminToken))
+        .send({ code: 'FREEBIE', type: 'percentage', value: 100 })
+        .expect(400);
+    });
+
+    test('should require a currency for fixed discounts', async () => {
+      await request(app)
+        .post('/api/coupons')
+        .set(getAuthHeader(adminToken))
+        .send({ code: 'TENOFF', type: 'fixed', value: 10 })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/coupons')
+        .set(getAuthHeader(adminToken))
+        .send({ code: 'TENOFF', type: 'fixed', value: 10, currency: 'USD' })
+        .expect(201);
+      expect(response.body.coupon.currency).toBe('USD');
+    });
+
+    test('should deny non-admin users', async () => {
+      await request(app)
+        .post('/api/coupons')
+        .set(getAuthHeader(studentToken))
+        .send({ code: 'SPRING25', type: 'percentage', value: 25 })
+        .expect(403);
+    });
+
+    test('should deactivate instead of deleting a used coupon', async () => {
+      const coupon = await Coupon.create({ code: 'USED10', type: 'fixed', value: 10, currency: 'USD' });
+      await Payment.create({
+        user: student._id,
+        enrollment: enrollment._id,
+        course: course._id,
+        amount: 200,
+        currency: 'USD',
+        paymentMethod: 'stripe',
+        status: 'completed',
+        description: 'Test payment',
+        discount: { amount: 10, code: 'USED10', type: 'fixed' },
+        netAmount: 190
+      });
+
+      const response = await request(app)
+        .delete(`/api/coupons/${coupon._id}`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.body.coupon.isActive).toBe(false);
+      expect(await Coupon.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('POST /api/payments/validate-coupon', () => {
+    test('should return the discounted total', async () => {
+      await Coupon.create({ code: 'SAVE20', type: 'percentage', value: 20, maxDiscount: 30 });
+
+      const response = await request(app)
+        .post('/api/payments/validate-coupon')
+        .set(getAuthHeader(studentToken))
+        .send({ code: 'save20', enrollmentId: enrollment._id })
+        .expect(200);
+
+      expect(response.body.discount).toBe(30);
+      expect(response.body.finalAmount).toBe(170);
+    });
+
+    test('should reject expired coupons', async () => {
+      await Coupon.create({
+        code: 'OLD',
+        type: 'fixed',
+        value: 10,
+        currency: 'USD',
+        expiresAt: new Date(Date.now() - 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/payments/validate-coupon')
+        .set(getAuthHeader(studentToken))
+        .send({ code: 'OLD', enrollmentId: enrollment._id })
+        .expect(400);
+
+      expect(response.body.message).toBe('This coupon has expired');
+    });
+
+    test('should respect course and category scoping', async () => {
+      await Coupon.create({ code: 'DESIGNONLY', type: 'fixed', value: 10, currency: 'USD', categories: ['Design'] });
+
+      const response = await request(app)
+        .post('/api/payments/validate-coupon')
+        .set(getAuthHeader(studentToken))
+        .send({ code: 'DESIGNONLY', courseId: course._id })
+        .expect(400);
+
+      expect(response.body.message).toBe('This coupon does not apply to this course');
+    });
+
+    test('should enforce minimum amounts', async () => {
+      await Coupon.create({ code: 'BIGSPEND', type: 'fixed', value: 10, currency: 'USD', minAmount: 500 });
+
+      await request(app)
+        .post('/api/payments/validate-coupon')
+        .set(getAuthHeader(studentToken))
+        .send({ code: 'BIGSPEND', enrollmentId: enrollment._id })
+        .expect(400);
+    });
+
+    test('should enforce the per-user limit across enrollments', async () => {
+      await Coupon.create({ code: 'ONCE', type: 'fixed', value: 10, currency: 'USD' });
+      const otherCourse = await createTestCourse({ instructor: admin._id, price: 100 });
+      const otherEnrollment = await createTestEnrollment({ student: student._id, course: otherCourse._id });
+      await Payment.create({
+        user: student._id,
+        enrollment: otherEnrollment._id,
+        course: otherCourse._id,
+        amount: 100,
+        currency: 'USD',
+        paymentMethod: 'stripe',
+        status: 'completed',
+        description: 'Earlier payment',
+        discount: { amount: 10, code: 'ONCE', type: 'fixed' },
+        netAmount: 90
+      });
+
+      const response = await request(app)
+        .post('/api/payments/validate-coupon')
+        .set(getAuthHeader(studentToken))
+        .send({ code: 'ONCE', enrollmentId: enrollment._id })
+        .expect(400);
+
+      expect(response.body.message).toBe('You have already used this coupon');
+    });
+
+    test('should reject unknown codes', async () => {
+      const response = await request(app)
+        .post('/api/payments/validate-coupon')
+        .set(getAuthHeader(studentToken))
+        .send({ code: 'NOPE', enrollmentId: enrollment._id })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid coupon code');
+    });
+  });
+});
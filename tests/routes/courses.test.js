@@ -246,6 +246,43 @@ describe('Courses Routes', () => {
       expect(response.body.message).toBe('Access denied. Only course instructor can perform this action.');
     });
 
+    test('should reject circular prerequisites', async () => {
+      const advanced = await createTestCourse({
+        title: 'Advanced Course',
+        instructor: instructor._id,
+        prerequisites: [{ course: course._id }]
+      });
+
+      const response = await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set(getAuthHeader(adminToken))
+        .send({ prerequisites: [{ course: advanced._id }] })
+        .expect(400);
+
+      expect(response.body.message).toBe('A course cannot require itself, directly or through other prerequisites');
+    });
+
+    test('should show prerequisite status to signed-in students', async () => {
+      const advanced = await createTestCourse({
+        title: 'Advanced Course',
+        instructor: instructor._id,
+        status: 'published',
+        prerequisites: [{ course: course._id, minimumGrade: 'B' }]
+      });
+
+      const response = await request(app)
+        .get(`/api/courses/${advanced._id}`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      expect(response.body.course.prerequisites[0]).toMatchObject({
+        minimumGrade: 'B',
+        completed: false,
+        met: false
+      });
+      expect(response.body.course.prerequisites[0].course.title).toBe('Test Course');
+    });
+
     test('should return 404 for non-existent course', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
       const updateData = {
@@ -369,4 +406,119 @@ describe('Courses Routes', () => {
       expect(response.body.categories).toContain('Design');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Course curriculum', () => {
+    let course;
+
+    beforeEach(async () => {
+      course = await createTestCourse({
+        instructor: instructor._id,
+        status: 'published',
+        isActive: true
+      });
+    });
+
+    test('should hide locked lesson content from guests', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/curriculum`)
+        .expect(200);
+
+      const [preview, locked] = response.body.curriculum[0].lessons;
+      expect(preview.videoUrl).toBe('https://example.com/video1.mp4');
+      expect(locked.title).toBe('Variables and Data Types');
+      expect(locked.videoUrl).toBeUndefined();
+    });
+
+    test('should show full curriculum to the course instructor', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/curriculum`)
+        .set(getAuthHeader(instructorToken))
+        .expect(200);
+
+      expect(response.body.curriculum[0].lessons[1].videoUrl).toBe('https://example.com/video2.mp4');
+    });
+
+    test('should add a section and a lesson', async () => {
+      const sectionResponse = await request(app)
+        .post(`/api/courses/${course._id}/curriculum/sections`)
+        .set(getAuthHeader(instructorToken))
+        .send({ title: 'Advanced Topics' })
+        .expect(201);
+
+      const sectionId = sectionResponse.body.section._id;
+      expect(sectionResponse.body.section.order).toBe(1);
+
+      const lessonResponse = await request(app)
+        .post(`/api/courses/${course._id}/curriculum/sections/${sectionId}/lessons`)
+        .set(getAuthHeader(instructorToken))
+        .send({ title: 'Closures', type: 'reading', duration: 15 })
+        .expect(201);
+
+      expect(lessonResponse.body.lesson.title).toBe('Closures');
+      expect(lessonResponse.body.lesson.type).toBe('reading');
+    });
+
+    test('should reject curriculum changes from other users', async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/curriculum/sections`)
+        .set(getAuthHeader(studentToken))
+        .send({ title: 'Hijacked' })
+        .expect(403);
+    });
+
+    test('should update and delete a lesson', async () => {
+      const section = course.curriculum[0];
+      const lesson = section.lessons[1];
+      const url = `/api/courses/${course._id}/curriculum/sections/${section._id}/lessons/${lesson._id}`;
+
+      const updateResponse = await request(app)
+        .put(url)
+        .set(getAuthHeader(instructorToken))
+        .send({ title: 'Variables', isFreePreview: true })
+        .expect(200);
+
+      expect(updateResponse.body.lesson.title).toBe('Variables');
+      expect(updateResponse.body.lesson.isFreePreview).toBe(true);
+
+      await request(app).delete(url).set(getAuthHeader(instructorToken)).expect(200);
+
+      const updated = await Course.findById(course._id);
+      expect(updated.curriculum[0].lessons).toHaveLength(1);
+    });
+
+    test('should move lessons between sections when reordering', async () => {
+      course.curriculum.push({ title: 'Second Section', lessons: [] });
+      await course.save();
+
+      const [first, second] = course.curriculum;
+      const [lessonA, lessonB] = first.lessons;
+
+      const response = await request(app)
+        .put(`/api/courses/${course._id}/curriculum/reorder`)
+        .set(getAuthHeader(instructorToken))
+        .send({
+          sections: [
+            { sectionId: second._id, lessonIds: [lessonB._id] },
+            { sectionId: first._id, lessonIds: [lessonA._id] }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.curriculum[0].title).toBe('Second Section');
+      expect(response.body.curriculum[0].lessons[0]._id).toBe(lessonB._id.toString());
+      expect(response.body.curriculum[1].order).toBe(1);
+    });
+
+    test('should reject a reorder that drops lessons', async () => {
+      const section = course.curriculum[0];
+
+      await request(app)
+        .put(`/api/courses/${course._id}/curriculum/reorder`)
+        .set(getAuthHeader(instructorToken))
+        .send({
+          sections: [{ sectionId: section._id, lessonIds: [section.lessons[0]._id] }]
+        })
+        .expect(400);
+    });
+  });
+});
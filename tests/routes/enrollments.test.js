@@ -0,0 +1,264 @@
+const request = require('supertest');
+const express = require('express');
+const enrollmentRoutes = require('../../server/routes/enrollments');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Enrollment = require('../../server/models/Enrollment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/enrollments', enrollmentRoutes);
+
+describe('Enrollment Routes', () => {
+  let student, otherStudent, admin, course, enrollment, lessonIds;
+  let studentToken, otherStudentToken, adminToken;
+
+  beforeEach(async () => {
+    student = await createTestUser({ email: 'student@example.com' });
+    otherStudent = await createTestUser({ email: 'other@example.com' });
+    admin = await createTestAdmin({ email: 'admin@example.com' });
+
+    studentToken = generateToken(student._id);
+    otherStudentToken = generateToken(otherStudent._id);
+    adminToken = generateToken(admin._id);
+
+    course = await createTestCourse({
+      instructor: admin._id,
+      status: 'published',
+      curriculum: [
+        {
+          title: 'Basics',
+          lessons: [
+            { title: 'Introduction', duration: 10 },
+            { title: 'Core Concepts', duration: 20 }
+          ]
+        },
+        {
+          title: 'Finale',
+          lessons: [{ title: 'Wrap Up', duration: 5 }]
+        }
+      ]
+    });
+
+    lessonIds = course.getLessons().map(lesson => lesson.lessonId);
+
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'active'
+    });
+  });
+
+  describe('GET /api/enrollments/:id/progress', () => {
+    test('should return per-lesson progress for the owner', async () => {
+      const response = await request(app)
+        .get(`/api/enrollments/${enrollment._id}/progress`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      const { progress } = response.body;
+      expect(progress.totalLessons).toBe(3);
+      expect(progress.completedCount).toBe(0);
+      expect(progress.progress).toBe(0);
+      expect(progress.lessons.map(lesson => lesson.title)).toEqual(['Introduction', 'Core Concepts', 'Wrap Up']);
+      expect(progress.lessons[2].sectionTitle).toBe('Finale');
+      expect(progress.resumeLessonId).toBe(lessonIds[0]);
+    });
+
+    test('should allow admin to view progress', async () => {
+      await request(app)
+        .get(`/api/enrollments/${enrollment._id}/progress`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+    });
+
+    test('should deny access to other students', async () => {
+      await request(app)
+        .get(`/api/enrollments/${enrollment._id}/progress`)
+        .set(getAuthHeader(otherStudentToken))
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/enrollments/:id/lessons/:lessonId/complete', () => {
+    test('should mark a lesson complete and recalculate progress', async () => {
+      const lessonId = lessonIds[0];
+
+      const response = await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/${lessonId}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      expect(response.body.progress.completedCount).toBe(1);
+      expect(response.body.progress.progress).toBe(33);
+      expect(response.body.progress.resumeLessonId).toBe(lessonIds[1]);
+
+      const updated = await Enrollment.findById(enrollment._id);
+      expect(updated.completedLessons).toHaveLength(1);
+      expect(updated.progress).toBe(33);
+    });
+
+    test('should not double count a lesson completed twice', async () => {
+      const lessonId = lessonIds[0];
+      const url = `/api/enrollments/${enrollment._id}/lessons/${lessonId}/complete`;
+
+      await request(app).post(url).set(getAuthHeader(studentToken)).expect(200);
+      const response = await request(app).post(url).set(getAuthHeader(studentToken)).expect(200);
+
+      expect(response.body.progress.completedCount).toBe(1);
+    });
+
+    test('should complete the enrollment when the last lesson is done', async () => {
+      for (const lessonId of lessonIds) {
+        await request(app)
+          .post(`/api/enrollments/${enrollment._id}/lessons/${lessonId}/complete`)
+          .set(getAuthHeader(studentToken))
+          .expect(200);
+      }
+
+      const updated = await Enrollment.findById(enrollment._id);
+      expect(updated.progress).toBe(100);
+      expect(updated.status).toBe('completed');
+      expect(updated.completionDate).toBeDefined();
+    });
+
+    test('should reject lessons that do not belong to the course', async () => {
+      const response = await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/507f1f77bcf86cd799439011/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(404);
+
+      expect(response.body.message).toBe('Lesson not found in this course');
+    });
+
+    test('should reject pending enrollments', async () => {
+      enrollment.status = 'pending';
+      await enrollment.save();
+
+      await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/${lessonIds[0]}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(400);
+    });
+
+    test('should deny completing lessons on another student enrollment', async () => {
+      await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/${lessonIds[0]}/complete`)
+        .set(getAuthHeader(otherStudentToken))
+        .expect(403);
+    });
+  });
+
+  describe('Certificates', () => {
+    beforeEach(async () => {
+      course.certificate = true;
+      await course.save();
+    });
+
+    test('should issue a certificate when the enrollment is completed', async () => {
+      const response = await request(app)
+        .post(`/api/enrollments/${enrollment._id}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      expect(response.body.enrollment.certificate.issued).toBe(true);
+      expect(response.body.enrollment.certificate.certificateId).toMatch(/^CERT-[A-F0-9]{12}$/);
+      expect(response.body.enrollment.certificate.certificateUrl).toContain('/verify');
+    });
+
+    test('should not issue a certificate for courses without one', async () => {
+      course.certificate = false;
+      await course.save();
+
+      const response = await request(app)
+        .post(`/api/enrollments/${enrollment._id}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      expect(response.body.enrollment.certificate.issued).toBe(false);
+    });
+
+    test('should render the certificate for its owner', async () => {
+      await request(app)
+        .post(`/api/enrollments/${enrollment._id}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/enrollments/${enrollment._id}/certificate?fallback=html`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      expect(response.text).toContain('Test Course');
+      expect(response.text).toContain('Test User');
+    });
+
+    test('should deny other students the certificate', async () => {
+      await request(app)
+        .post(`/api/enrollments/${enrollment._id}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+
+      await request(app)
+        .get(`/api/enrollments/${enrollment._id}/certificate?fallback=html`)
+        .set(getAuthHeader(otherStudentToken))
+        .expect(403);
+    });
+
+    test('should return 404 before a certificate is issued', async () => {
+      await request(app)
+        .get(`/api/enrollments/${enrollment._id}/certificate`)
+        .set(getAuthHeader(studentToken))
+        .expect(404);
+    });
+  });
+
+  describe('Prerequisites', () => {
+    let advanced;
+
+    beforeEach(async () => {
+      advanced = await createTestCourse({
+        title: 'Advanced Course',
+        instructor: admin._id,
+        status: 'published',
+        prerequisites: [{ course: course._id, minimumGrade: 'B' }]
+      });
+    });
+
+    test('should reject enrollment with the unmet prerequisites listed', async () => {
+      const response = await request(app)
+        .post('/api/enrollments')
+        .set(getAuthHeader(studentToken))
+        .send({ courseId: advanced._id, paymentMethod: 'cash' })
+        .expect(400);
+
+      expect(response.body.message).toBe('You have not met the prerequisites for this course');
+      expect(response.body.unmetPrerequisites).toHaveLength(1);
+      expect(response.body.unmetPrerequisites[0].course.title).toBe('Test Course');
+      expect(response.body.unmetPrerequisites[0].completed).toBe(false);
+    });
+
+    test('should reject a completed prerequisite below the minimum grade', async () => {
+      await Enrollment.findByIdAndUpdate(enrollment._id, { status: 'completed', grade: 'C' });
+
+      const response = await request(app)
+        .post('/api/enrollments')
+        .set(getAuthHeader(studentToken))
+        .send({ courseId: advanced._id, paymentMethod: 'cash' })
+        .expect(400);
+
+      expect(response.body.unmetPrerequisites[0].completed).toBe(true);
+      expect(response.body.unmetPrerequisites[0].grade).toBe('C');
+    });
+
+    test('should allow enrollment once prerequisites are met', async () => {
+      await Enrollment.findByIdAndUpdate(enrollment._id, { status: 'completed', grade: 'A-' });
+
+      await request(app)
+        .post('/api/enrollments')
+        .set(getAuthHeader(studentToken))
+        .send({ courseId: advanced._id, paymentMethod: 'cash' })
+        .expect(201);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const express = require('express');
+const exchangeRateRoutes = require('../../server/routes/exchangeRates');
+const courseRoutes = require('../../server/routes/courses');
+const { getConversion } = require('../../server/utils/exchangeRates');
+const { createTestUser, createTestAdmin, createTestCourse, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const ExchangeRate = require('../../server/models/ExchangeRate');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/courses', courseRoutes);
+
+describe('Exchange Rates', () => {
+  let admin, student, adminToken, studentToken;
+
+  const setRate = (data) =>
+    request(app)
+      .post('/api/exchange-rates')
+      .set(getAuthHeader(adminToken))
+      .send(data);
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    student = await createTestUser();
+    adminToken = generateToken(admin._id);
+    studentToken = generateToken(student._id);
+  });
+
+  describe('POST /api/exchange-rates', () => {
+    test('should keep earlier rates as history', async () => {
+      await setRate({ baseCurrency: 'USD', quoteCurrency: 'BDT', rate: 110 }).expect(201);
+      await setRate({ baseCurrency: 'USD', quoteCurrency: 'BDT', rate: 120, note: 'Updated' }).expect(201);
+
+      const current = await request(app).get('/api/exchange-rates').expect(200);
+      expect(current.body.rates).toHaveLength(1);
+      expect(current.body.rates[0].rate).toBe(120);
+
+      const history = await request(app)
+        .get('/api/exchange-rates/history?baseCurrency=USD')
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+      expect(history.body.rates.map(rate => rate.rate)).toEqual([120, 110]);
+      expect(history.body.pagination.total).toBe(2);
+    });
+
+    test('should validate rates and require admin access', async () => {
+      await setRate({ baseCurrency: 'USD', quoteCurrency: 'USD', rate: 1 }).expect(400);
+      await setRate({ baseCurrency: 'USD', quoteCurrency: 'BDT', rate: 0 }).expect(400);
+      await setRate({ baseCurrency: 'USD', quoteCurrency: 'JPY', rate: 150 }).expect(400);
+
+      await request(app)
+        .post('/api/exchange-rates')
+        .set(getAuthHeader(studentToken))
+        .send({ baseCurrency: 'USD', quoteCurrency: 'BDT', rate: 110 })
+        .expect(403);
+      await request(app)
+        .get('/api/exchange-rates/history')
+        .set(getAuthHeader(studentToken))
+        .expect(403);
+    });
+  });
+
+  describe('Conversions', () => {
+    test('should use the inverse of the opposite pair', async () => {
+      await ExchangeRate.create({ baseCurrency: 'USD', quoteCurrency: 'BDT', rate: 125 });
+
+      const conversion = await getConversion('BDT', 'USD');
+      expect(conversion.rate).toBeCloseTo(0.008);
+      expect(conversion.snapshot.source).toBe('exchange_rate');
+
+      expect(await getConversion('EUR', 'BDT')).toBeNull();
+    });
+
+    test('should prefer the course price in the target currency', async () => {
+      const rate = await ExchangeRate.create({ baseCurrency: 'USD', quoteCurrency: 'BDT', rate: 110 });
+      const course = await createTestCourse({
+        instructor: admin._id,
+        price: 100,
+        currency: 'USD',
+        prices: [{ currency: 'BDT', amount: 9900 }],
+      });
+
+      const conversion = await getConversion('USD', 'BDT', course);
+      expect(conversion.rate).toBe(99);
+      expect(conversion.snapshot.source).toBe('course_price');
+
+      const withoutPrice = await getConversion('USD', 'EUR', course);
+      expect(withoutPrice).toBeNull();
+
+      const byRate = await getConversion('USD', 'BDT', { ...course.toObject(), prices: [] });
+      expect(byRate.snapshot.rateId.toString()).toBe(rate._id.toString());
+    });
+  });
+
+  describe('Course prices', () => {
+    test('should reject duplicate or same-currency prices', async () => {
+      const course = await createTestCourse({ instructor: admin._id, price: 100, currency: 'USD' });
+
+      await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set(getAuthHeader(adminToken))
+        .send({ prices: [{ currency: 'BDT', amount: 9900 }, { currency: 'BDT', amount: 9000 }] })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set(getAuthHeader(adminToken))
+        .send({ prices: [{ currency: 'USD', amount: 90 }] })
+        .expect(400);
+
+      const response = await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set(getAuthHeader(adminToken))
+        .send({ prices: [{ currency: 'BDT', amount: 9900 }] })
+        .expect(200);
+      expect(response.body.course.prices).toEqual([{ currency: 'BDT', amount: 9900 }]);
+    });
+  });
+});
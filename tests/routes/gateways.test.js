@@ -0,0 +1,166 @@
+const request = require('supertest');
+const express = require('express');
+const paymentRoutes = require('../../server/routes/payments');
+const { DECLINED_CARD, PENDING_CARD } = require('../../server/utils/gateways/fake');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Payment = require('../../server/models/Payment');
+const Enrollment = require('../../server/models/Enrollment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+
+describe('Payment Gateways', () => {
+  let student, admin, studentToken, adminToken, course, enrollment;
+
+  const processPayment = (data = {}) =>
+    request(app)
+      .post('/api/payments/process')
+      .set(getAuthHeader(studentToken))
+      .send({ enrollmentId: enrollment._id, paymentMethod: 'fake', ...data });
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    admin = await createTestAdmin();
+    studentToken = generateToken(student._id);
+    adminToken = generateToken(admin._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 100 });
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'pending',
+      payment: { amount: 100, currency: 'USD', paymentMethod: 'fake', paymentStatus: 'pending' }
+    });
+  });
+
+  describe('POST /api/payments/process', () => {
+    test('should complete a payment through the fake gateway', async () => {
+      const response = await processPayment({ amount: 1 }).expect(200);
+
+      expect(response.body.message).toBe('Payment successful!');
+      expect(response.body.transactionId).toMatch(/^FAKE-/);
+
+      // The enrollment price is charged, not the amount sent by the client
+      const payment = await Payment.findById(response.body.paymentId);
+      expect(payment.status).toBe('completed');
+      expect(payment.netAmount).toBe(100);
+
+      const updatedEnrollment = await Enrollment.findById(enrollment._id);
+      expect(updatedEnrollment.status).toBe('active');
+      expect(updatedEnrollment.payment.paymentStatus).toBe('completed');
+    });
+
+    test('should record declined payments as failed', async () => {
+      const response = await processPayment({ cardDetails: { number: DECLINED_CARD } }).expect(400);
+
+      expect(response.body.message).toBe('Payment failed');
+      const payment = await Payment.findById(response.body.paymentId);
+      expect(payment.status).toBe('failed');
+      expect(payment.failureReason.code).toBe('card_declined');
+    });
+
+    test('should reject unknown payment methods', async () => {
+      await processPayment({ paymentMethod: 'bkash' }).expect(400);
+    });
+
+    test('should only offer the fake gateway when it is enabled', async () => {
+      process.env.NODE_ENV = 'development';
+      try {
+        await processPayment().expect(400);
+
+        process.env.ENABLE_FAKE_GATEWAY = 'true';
+        await processPayment().expect(200);
+      } finally {
+        process.env.NODE_ENV = 'test';
+        delete process.env.ENABLE_FAKE_GATEWAY;
+      }
+    });
+  });
+
+  describe('POST /api/payments/webhooks/:gateway', () => {
+    test('should settle a pending payment from a webhook', async () => {
+      const response = await processPayment({ cardDetails: { number: PENDING_CARD } }).expect(200);
+      expect(response.body.message).toBe('Payment initiated');
+
+      const webhook = await request(app)
+        .post('/api/payments/webhooks/fake')
+        .send({ event: 'payment.completed', transactionId: response.body.transactionId })
+        .expect(200);
+      expect(webhook.body.matched).toBe(true);
+
+      const payment = await Payment.findById(response.body.paymentId);
+      expect(payment.status).toBe('completed');
+      expect((await Enrollment.findById(enrollment._id)).status).toBe('active');
+    });
+
+    test('should sync refunds made at the gateway', async () => {
+      const response = await processPayment().expect(200);
+
+      await request(app)
+        .post('/api/payments/webhooks/fake')
+        .send({ event: 'payment.refunded', transactionId: response.body.transactionId, amount: 40 })
+        .expect(200);
+
+      let payment = await Payment.findById(response.body.paymentId);
+      expect(payment.status).toBe('completed');
+      expect(payment.refund.amount).toBe(40);
+
+      await request(app)
+        .post('/api/payments/webhooks/fake')
+        .send({ event: 'payment.refunded', transactionId: response.body.transactionId, amount: 100 })
+        .expect(200);
+
+      payment = await Payment.findById(response.body.paymentId);
+      expect(payment.status).toBe('refunded');
+      expect((await Enrollment.findById(enrollment._id)).status).toBe('refunded');
+    });
+
+    test('should reject unknown gateways and malformed events', async () => {
+      await request(app)
+        .post('/api/payments/webhooks/bkash')
+        .send({})
+        .expect(404);
+
+      await request(app)
+        .post('/api/payments/webhooks/fake')
+        .send({ event: 'payment.completed' })
+        .expect(400);
+    });
+  });
+
+  describe('Refunds and verification', () => {
+    test('should refund through the payment gateway', async () => {
+      const response = await processPayment().expect(200);
+
+      const refund = await request(app)
+        .post(`/api/payments/${response.body.paymentId}/refund`)
+        .set(getAuthHeader(adminToken))
+        .send({ amount: 100, reason: 'Requested by student' })
+        .expect(200);
+
+      expect(refund.body.refundId).toMatch(/^FAKE-/);
+      expect(refund.body.payment.status).toBe('refunded');
+    });
+
+    test('should let admins confirm pending cash payments', async () => {
+      const response = await processPayment({ paymentMethod: 'cash' }).expect(200);
+      expect(response.body.message).toBe('Payment initiated');
+
+      await request(app)
+        .post(`/api/payments/${response.body.paymentId}/verify`)
+        .set(getAuthHeader(studentToken))
+        .expect(403);
+
+      const verified = await request(app)
+        .post(`/api/payments/${response.body.paymentId}/verify`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+
+      expect(verified.body.payment.status).toBe('completed');
+      expect((await Enrollment.findById(enrollment._id)).payment.paymentMethod).toBe('cash');
+    });
+  });
+});
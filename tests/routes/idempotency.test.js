@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const paymentRoutes = require('../../server/routes/payments');
+const { PENDING_CARD } = require('../../server/utils/gateways/fake');
+const { createTestUser, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Payment = require('../../server/models/Payment');
+const IdempotencyKey = require('../../server/models/IdempotencyKey');
+const Coupon = require('../../server/models/Coupon');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+
+describe('Idempotency Keys', () => {
+  let student, studentToken, enrollment;
+
+  const processPayment = (key, data = {}) =>
+    request(app)
+      .post('/api/payments/process')
+      .set(getAuthHeader(studentToken))
+      .set('Idempotency-Key', key)
+      .send({
+        enrollmentId: enrollment._id,
+        paymentMethod: 'fake',
+        cardDetails: { number: PENDING_CARD },
+        ...data,
+      });
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    studentToken = generateToken(student._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    const course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 100 });
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'pending',
+      payment: { amount: 100, currency: 'USD', paymentMethod: 'fake', paymentStatus: 'pending' }
+    });
+  });
+
+  test('should return the original response on retries', async () => {
+    const first = await processPayment('checkout-1').expect(200);
+    const retry = await processPayment('checkout-1').expect(200);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.paymentId).toBe(first.body.paymentId);
+    expect(await Payment.countDocuments({ enrollment: enrollment._id })).toBe(1);
+  });
+
+  test('should reject a key reused for a different request', async () => {
+    await processPayment('checkout-1').expect(200);
+
+    await processPayment('checkout-1', { paymentMethod: 'cash', cardDetails: undefined }).expect(422);
+
+    await request(app)
+      .post('/api/payments/create-payment-intent')
+      .set(getAuthHeader(studentToken))
+      .set('Idempotency-Key', 'checkout-1')
+      .send({ enrollmentId: enrollment._id, paymentMethod: 'fake', cardDetails: { number: PENDING_CARD } })
+      .expect(422);
+  });
+
+  test('should let a key be retried after a rejected request', async () => {
+    const coupon = await Coupon.create({ code: 'RETRY10', type: 'percentage', value: 10, isActive: false });
+
+    await processPayment('checkout-1', { couponCode: 'RETRY10' }).expect(400);
+    expect(await IdempotencyKey.countDocuments({ key: 'checkout-1' })).toBe(0);
+
+    coupon.isActive = true;
+    await coupon.save();
+
+    const retry = await processPayment('checkout-1', { couponCode: 'RETRY10' }).expect(200);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(await Payment.countDocuments({ enrollment: enrollment._id })).toBe(1);
+  });
+
+  test('should reject a key while its request is in progress', async () => {
+    await IdempotencyKey.create({
+      key: 'checkout-1',
+      user: student._id,
+      scope: 'process',
+      fingerprint: crypto
+        .createHash('sha256')
+        .update(JSON.stringify({
+          enrollmentId: enrollment._id.toString(),
+          paymentMethod: 'fake',
+          cardDetails: { number: PENDING_CARD },
+        }))
+        .digest('hex'),
+      expiresAt: new Date(Date.now() + 60000),
+    });
+
+    await processPayment('checkout-1').expect(409);
+    expect(await Payment.countDocuments({ enrollment: enrollment._id })).toBe(0);
+  });
+
+  test('should scope keys per user and validate them', async () => {
+    await processPayment('checkout-1').expect(200);
+
+    const otherStudent = await createTestUser({ email: 'other@example.com' });
+    const otherEnrollment = await createTestEnrollment({
+      student: otherStudent._id,
+      course: enrollment.course,
+      status: 'pending',
+      payment: { amount: 100, currency: 'USD', paymentMethod: 'fake', paymentStatus: 'pending' }
+    });
+    const response = await request(app)
+      .post('/api/payments/process')
+      .set(getAuthHeader(generateToken(otherStudent._id)))
+      .set('Idempotency-Key', 'checkout-1')
+      .send({ enrollmentId: otherEnrollment._id, paymentMethod: 'fake' })
+      .expect(200);
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+
+    await processPayment('x'.repeat(256)).expect(400);
+  });
+});
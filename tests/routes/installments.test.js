@@ -0,0 +1,248 @@
+const request = require('supertest');
+const express = require('express');
+const paymentRoutes = require('../../server/routes/payments');
+const installmentScheduleRoutes = require('../../server/routes/installmentSchedules');
+const refundRequestRoutes = require('../../server/routes/refundRequests');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const InstallmentSchedule = require('../../server/models/InstallmentSchedule');
+const Payment = require('../../server/models/Payment');
+const Enrollment = require('../../server/models/Enrollment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use('/api/installment-schedules', installmentScheduleRoutes);
+app.use('/api/refund-requests', refundRequestRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Installment Plans', () => {
+  let student, studentToken, adminToken, course, enrollment, plan;
+
+  const choosePlan = (planId = plan._id, token = studentToken) =>
+    request(app)
+      .post('/api/installment-schedules')
+      .set(getAuthHeader(token))
+      .send({ enrollmentId: enrollment._id, planId });
+
+  const payNext = (data = {}) =>
+    request(app)
+      .post('/api/payments/process')
+      .set(getAuthHeader(studentToken))
+      .send({ enrollmentId: enrollment._id, paymentMethod: 'fake', ...data });
+
+  const runChecks = () =>
+    request(app)
+      .post('/api/installment-schedules/run-checks')
+      .set(getAuthHeader(adminToken));
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    studentToken = generateToken(student._id);
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({
+      instructor: instructor._id,
+      status: 'published',
+      price: 100,
+      installmentPlans: [{ name: '3 monthly payments', installmentCount: 3 }]
+    });
+    plan = course.installmentPlans[0];
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'pending',
+      payment: { amount: 100, currency: 'USD', paymentMethod: 'fake', paymentStatus: 'pending' }
+    });
+  });
+
+  test('should split the price into monthly installments', async () => {
+    const response = await choosePlan().expect(201);
+
+    const { schedule } = response.body;
+    expect(schedule.totalAmount).toBe(100);
+    expect(schedule.installments.map(item => item.amount)).toEqual([33.33, 33.33, 33.34]);
+
+    const [first, second] = schedule.installments.map(item => new Date(item.dueDate));
+    expect(second.getMonth()).toBe((first.getMonth() + 1) % 12);
+
+    // One schedule per enrollment
+    await choosePlan().expect(409);
+  });
+
+  test('should add the plan surcharge to the total', async () => {
+    course.installmentPlans.push({ name: 'Quarterly', installmentCount: 2, intervalMonths: 3, surchargePercent: 10 });
+    await course.save();
+
+    const response = await choosePlan(course.installmentPlans[1]._id).expect(201);
+
+    expect(response.body.schedule.totalAmount).toBe(110);
+    expect(response.body.schedule.installments.map(item => item.amount)).toEqual([55, 55]);
+  });
+
+  test('should only let students choose plans for their own enrollments', async () => {
+    const otherStudent = await createTestUser({ email: 'other@example.com' });
+    await choosePlan(plan._id, generateToken(otherStudent._id)).expect(403);
+    await choosePlan('64f123abc456def789012399').expect(404);
+  });
+
+  test('should pay installments through the payment endpoints', async () => {
+    await choosePlan().expect(201);
+
+    await payNext({ couponCode: 'SAVE10' }).expect(400);
+
+    const first = await payNext().expect(200);
+    const firstPayment = await Payment.findById(first.body.paymentId);
+    expect(firstPayment.netAmount).toBe(33.33);
+    expect(firstPayment.installment.number).toBe(1);
+
+    // The first installment gives access; the enrollment isn't paid off yet
+    let updatedEnrollment = await Enrollment.findById(enrollment._id);
+    expect(updatedEnrollment.status).toBe('active');
+    expect(updatedEnrollment.payment.paymentStatus).toBe('pending');
+
+    await payNext().expect(200);
+    const last = await payNext().expect(200);
+    expect((await Payment.findById(last.body.paymentId)).netAmount).toBe(33.34);
+
+    const schedule = await InstallmentSchedule.findOne({ enrollment: enrollment._id });
+    expect(schedule.status).toBe('completed');
+    expect(schedule.installments.every(item => item.status === 'paid')).toBe(true);
+
+    updatedEnrollment = await Enrollment.findById(enrollment._id);
+    expect(updatedEnrollment.payment.paymentStatus).toBe('completed');
+
+    await payNext().expect(400);
+  });
+
+  test('should remind students and suspend access when an installment is overdue', async () => {
+    await choosePlan().expect(201);
+    await payNext().expect(200);
+
+    const schedule = await InstallmentSchedule.findOne({ enrollment: enrollment._id });
+    schedule.installments[1].dueDate = new Date(Date.now() - 5 * DAY_MS);
+    schedule.installments[2].dueDate = new Date(Date.now() + 2 * DAY_MS);
+    await schedule.save();
+
+    const response = await runChecks().expect(200);
+    expect(response.body.summary).toEqual({ reminded: 1, overdue: 1, suspended: 1 });
+
+    const checked = await InstallmentSchedule.findById(schedule._id);
+    expect(checked.installments[1].status).toBe('overdue');
+    expect(checked.installments[2].reminderSentAt).toBeDefined();
+    expect((await Enrollment.findById(enrollment._id)).status).toBe('suspended');
+
+    // Reminders are only sent once
+    const again = await runChecks().expect(200);
+    expect(again.body.summary).toEqual({ reminded: 0, overdue: 0, suspended: 0 });
+
+    // Paying what is overdue restores access
+    await payNext().expect(200);
+    expect((await Enrollment.findById(enrollment._id)).status).toBe('active');
+  });
+
+  test('should only close the enrollment once every paid installment is refunded', async () => {
+    await choosePlan().expect(201);
+    const first = await payNext().expect(200);
+    const second = await payNext().expect(200);
+
+    const refund = paymentId =>
+      request(app)
+        .post(`/api/payments/${paymentId}/refund`)
+        .set(getAuthHeader(adminToken))
+        .send({ amount: 33.33, reason: 'Charged by mistake' })
+        .expect(200);
+
+    // The refunded installment is due again
+    await refund(second.body.paymentId);
+    let schedule = await InstallmentSchedule.findOne({ enrollment: enrollment._id });
+    expect(schedule.status).toBe('active');
+    expect(schedule.installments[1].status).toBe('pending');
+    expect((await Enrollment.findById(enrollment._id)).status).toBe('active');
+
+    await refund(first.body.paymentId);
+    schedule = await InstallmentSchedule.findById(schedule._id);
+    expect(schedule.status).toBe('cancelled');
+    expect((await Enrollment.findById(enrollment._id)).status).toBe('refunded');
+
+    // No reminders for a closed enrollment
+    schedule.installments[1].dueDate = new Date(Date.now() + DAY_MS);
+    await schedule.save();
+    const response = await runChecks().expect(200);
+    expect(response.body.summary.reminded).toBe(0);
+  });
+
+  test('should let the final installment be paid again after it is refunded', async () => {
+    await choosePlan().expect(201);
+    await payNext().expect(200);
+    await payNext().expect(200);
+    const last = await payNext().expect(200);
+
+    await request(app)
+      .post(`/api/payments/${last.body.paymentId}/refund`)
+      .set(getAuthHeader(adminToken))
+      .send({ amount: 33.34, reason: 'Charged by mistake' })
+      .expect(200);
+
+    let schedule = await InstallmentSchedule.findOne({ enrollment: enrollment._id });
+    expect(schedule.status).toBe('active');
+    expect(schedule.installments[2].status).toBe('pending');
+    let updatedEnrollment = await Enrollment.findById(enrollment._id);
+    expect(updatedEnrollment.status).toBe('active');
+    expect(updatedEnrollment.payment.paymentStatus).toBe('pending');
+
+    const again = await payNext().expect(200);
+    expect((await Payment.findById(again.body.paymentId)).installment.number).toBe(3);
+
+    schedule = await InstallmentSchedule.findById(schedule._id);
+    expect(schedule.status).toBe('completed');
+    updatedEnrollment = await Enrollment.findById(enrollment._id);
+    expect(updatedEnrollment.payment.paymentStatus).toBe('completed');
+  });
+
+  test('should keep the enrollment open when a refund request covers one of several paid installments', async () => {
+    await choosePlan().expect(201);
+    await payNext().expect(200);
+    const second = await payNext().expect(200);
+
+    const created = await request(app)
+      .post(`/api/payments/${second.body.paymentId}/refund-requests`)
+      .set(getAuthHeader(studentToken))
+      .send({ reason: 'Charged twice this month' })
+      .expect(201);
+    await request(app)
+      .put(`/api/refund-requests/${created.body.refundRequest._id}/approve`)
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+
+    expect((await Payment.findById(second.body.paymentId)).status).toBe('refunded');
+    expect((await Enrollment.findById(enrollment._id)).status).toBe('active');
+    const schedule = await InstallmentSchedule.findOne({ enrollment: enrollment._id });
+    expect(schedule.status).toBe('active');
+    expect(schedule.installments[1].status).toBe('pending');
+  });
+
+  test('should let students cancel a plan before paying and pay in full', async () => {
+    const created = await choosePlan().expect(201);
+    const scheduleId = created.body.schedule._id;
+
+    await request(app)
+      .delete(`/api/installment-schedules/${scheduleId}`)
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+
+    // Without a schedule the full price is charged
+    const response = await payNext().expect(200);
+    expect((await Payment.findById(response.body.paymentId)).netAmount).toBe(100);
+
+    const list = await request(app)
+      .get('/api/installment-schedules')
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+    expect(list.body.schedules).toHaveLength(1);
+    expect(list.body.schedules[0].status).toBe('cancelled');
+  });
+});
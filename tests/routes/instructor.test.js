@@ -0,0 +1,119 @@
+const request = require('supertest');
+const express = require('express');
+const instructorRoutes = require('../../server/routes/instructor');
+const coursesRoutes = require('../../server/routes/courses');
+const { createTestUser, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Course = require('../../server/models/Course');
+const Payment = require('../../server/models/Payment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/instructor', instructorRoutes);
+app.use('/api/courses', coursesRoutes);
+
+describe('Instructor Routes', () => {
+  let instructor, otherInstructor, student, instructorToken, studentToken;
+  let ownCourse, draftCourse, otherCourse;
+
+  beforeEach(async () => {
+    instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    otherInstructor = await createTestUser({ email: 'other@example.com', role: 'instructor' });
+    student = await createTestUser({ email: 'student@example.com' });
+    instructorToken = generateToken(instructor._id);
+    studentToken = generateToken(student._id);
+
+    ownCourse = await createTestCourse({ title: 'My Published Course', instructor: instructor._id, status: 'published' });
+    draftCourse = await createTestCourse({ title: 'My Draft Course', instructor: instructor._id });
+    otherCourse = await createTestCourse({ title: 'Someone Else Course', instructor: otherInstructor._id, status: 'published' });
+
+    const ownEnrollment = await createTestEnrollment({ student: student._id, course: ownCourse._id });
+    await createTestEnrollment({ student: student._id, course: otherCourse._id });
+
+    await Payment.create({
+      user: student._id,
+      enrollment: ownEnrollment._id,
+      course: ownCourse._id,
+      amount: 99.99,
+      currency: 'USD',
+      paymentMethod: 'stripe',
+      status: 'completed',
+      description: 'Course payment',
+      netAmount: 99.99
+    });
+  });
+
+  test('should deny students', async () => {
+    const response = await request(app)
+      .get('/api/instructor/overview')
+      .set(getAuthHeader(studentToken))
+      .expect(403);
+
+    expect(response.body.message).toBe('Access denied. Instructor privileges required.');
+  });
+
+  test('should summarize only the instructor\'s own courses', async () => {
+    const response = await request(app)
+      .get('/api/instructor/overview')
+      .set(getAuthHeader(instructorToken))
+      .expect(200);
+
+    expect(response.body.overview.totalCourses).toBe(2);
+    expect(response.body.overview.publishedCourses).toBe(1);
+    expect(response.body.overview.totalStudents).toBe(1);
+    expect(response.body.revenue).toEqual([
+      { currency: 'USD', count: 1, completedAmount: 99.99, refundedAmount: 0 }
+    ]);
+  });
+
+  test('should list own courses including drafts', async () => {
+    const response = await request(app)
+      .get('/api/instructor/courses')
+      .set(getAuthHeader(instructorToken))
+      .expect(200);
+
+    const titles = response.body.courses.map(course => course.title).sort();
+    expect(titles).toEqual(['My Draft Course', 'My Published Course']);
+  });
+
+  test('should scope enrollments to own courses', async () => {
+    const response = await request(app)
+      .get('/api/instructor/enrollments')
+      .set(getAuthHeader(instructorToken))
+      .expect(200);
+
+    expect(response.body.enrollments).toHaveLength(1);
+    expect(response.body.enrollments[0].course.title).toBe('My Published Course');
+
+    await request(app)
+      .get(`/api/instructor/enrollments?courseId=${otherCourse._id}`)
+      .set(getAuthHeader(instructorToken))
+      .expect(404);
+  });
+
+  test('should let instructors view their drafts but not reassign ownership', async () => {
+    await request(app)
+      .get(`/api/courses/${draftCourse._id}`)
+      .set(getAuthHeader(instructorToken))
+      .expect(200);
+
+    await request(app)
+      .put(`/api/courses/${draftCourse._id}`)
+      .set(getAuthHeader(instructorToken))
+      .send({ title: 'My Renamed Draft', instructor: otherInstructor._id, isFeatured: true })
+      .expect(200);
+
+    const updated = await Course.findById(draftCourse._id);
+    expect(updated.title).toBe('My Renamed Draft');
+    expect(updated.instructor.toString()).toBe(instructor._id.toString());
+    expect(updated.isFeatured).toBe(false);
+  });
+
+  test('should not let instructors edit other instructors\' courses', async () => {
+    await request(app)
+      .put(`/api/courses/${otherCourse._id}`)
+      .set(getAuthHeader(instructorToken))
+      .send({ title: 'Hijacked Course' })
+      .expect(403);
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const express = require('express');
+const invoiceRoutes = require('../../server/routes/invoices');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Payment = require('../../server/models/Payment');
+const Invoice = require('../../server/models/Invoice');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/invoices', invoiceRoutes);
+
+describe('Invoices', () => {
+  let student, studentToken, adminToken, course, enrollment;
+  const fiscalYear = Invoice.getFiscalYear(new Date());
+
+  const createPayment = data =>
+    Payment.create({
+      user: student._id,
+      enrollment: enrollment._id,
+      course: course._id,
+      amount: 100,
+      currency: 'USD',
+      paymentMethod: 'fake',
+      status: 'completed',
+      description: 'Course payment',
+      netAmount: 100,
+      ...data
+    });
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    studentToken = generateToken(student._id);
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({ instructor: instructor._id, title: 'Invoiced Course', price: 100 });
+    enrollment = await createTestEnrollment({ student: student._id, course: course._id });
+  });
+
+  test('should issue sequentially numbered invoices when payments complete', async () => {
+    const first = await createPayment({
+      tax: { amount: 15, rate: 15, country: 'BD' },
+      billingDetails: {
+        name: 'Billing Name',
+        email: 'billing@example.com',
+        address: { line1: '1 Main Street', city: 'Dhaka', country: 'BD' }
+      }
+    });
+    const second = await createPayment({ status: 'pending' });
+
+    const invoice = await Invoice.findOne({ payment: first._id });
+    expect(invoice.number).toBe(`INV-${fiscalYear}-000001`);
+    expect(invoice).toMatchObject({
+      subtotal: 100,
+      total: 115,
+      tax: { amount: 15, rate: 15, country: 'BD' },
+      buyer: { name: 'Billing Name', address: { city: 'Dhaka' } }
+    });
+    expect(invoice.lines[0].description).toBe('Invoiced Course');
+    expect(await Invoice.countDocuments({ payment: second._id })).toBe(0);
+
+    second.status = 'completed';
+    await second.save();
+    // Saving again must not invoice twice
+    await second.save();
+
+    const invoices = await Invoice.find({ payment: second._id });
+    expect(invoices).toHaveLength(1);
+    expect(invoices[0].number).toBe(`INV-${fiscalYear}-000002`);
+    expect(invoices[0].buyer.email).toBe(student.email);
+  });
+
+  test('should issue credit notes for refunds', async () => {
+    const payment = await createPayment({ tax: { amount: 20, rate: 25 } });
+
+    payment.processRefund(60, 'Partial refund');
+    await payment.save();
+
+    const [creditNote] = await Invoice.find({ type: 'credit_note' });
+    const invoice = await Invoice.findOne({ type: 'invoice' });
+    expect(creditNote.number).toBe(`CN-${fiscalYear}-000001`);
+    expect(creditNote.invoice.toString()).toBe(invoice._id.toString());
+    expect(creditNote).toMatchObject({ total: 60, subtotal: 50, tax: { amount: 10 }, reason: 'Partial refund' });
+
+    // Refunded outside the app for the rest
+    payment.refund.amount = 120;
+    payment.status = 'refunded';
+    await payment.save();
+
+    const creditNotes = await Invoice.find({ type: 'credit_note' }).sort({ sequence: 1 });
+    expect(creditNotes.map(note => note.total)).toEqual([60, 60]);
+    expect(creditNotes[1].number).toBe(`CN-${fiscalYear}-000002`);
+  });
+
+  test('should not allow issued invoices to change', async () => {
+    const payment = await createPayment();
+    const invoice = await Invoice.findOne({ payment: payment._id });
+
+    invoice.total = 1;
+    await expect(invoice.save()).rejects.toThrow('Issued invoices cannot be changed');
+    await expect(Invoice.updateOne({ _id: invoice._id }, { total: 1 })).rejects.toThrow(
+      'Issued invoices cannot be changed'
+    );
+    expect((await Invoice.findById(invoice._id)).total).toBe(100);
+  });
+
+  test('should list invoices for their owner and admins', async () => {
+    const payment = await createPayment();
+    const otherStudent = await createTestUser({ email: 'other@example.com' });
+    await createPayment({ user: otherStudent._id });
+
+    const mine = await request(app)
+      .get('/api/invoices')
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+    expect(mine.body.invoices).toHaveLength(1);
+    expect(mine.body.invoices[0].payment).toBe(payment._id.toString());
+
+    const all = await request(app)
+      .get(`/api/invoices?type=invoice&fiscalYear=${fiscalYear}`)
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(all.body.pagination.total).toBe(2);
+
+    const invoice = mine.body.invoices[0];
+    await request(app)
+      .get(`/api/invoices/${invoice._id}`)
+      .set(getAuthHeader(generateToken(otherStudent._id)))
+      .expect(403);
+
+    const html = await request(app)
+      .get(`/api/invoices/${invoice._id}/download?fallback=html`)
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+    expect(html.text).toContain(invoice.number);
+    expect(html.text).toContain('Students Enrollment System');
+  });
+});
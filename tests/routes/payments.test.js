@@ -316,6 +316,88 @@ describe('Payment Routes - Stripe and SSLCommerz Integration', () => {
       });
     });
 
+    describe('POST /api/payments/confirm-success', () => {
+      let payment, paymentIntent;
+
+      const confirmSuccess = (enrollmentId, user = testUser) =>
+        request(app)
+          .post('/api/payments/confirm-success')
+          .set('Authorization', `Bearer ${generateToken(user)}`)
+          .send({ enrollmentId, paymentIntentId: paymentIntent.id });
+
+      beforeEach(async () => {
+        paymentIntent = {
+          id: 'pi_test_1234567890',
+          status: 'succeeded',
+          latest_charge: 'ch_test_1234567890'
+        };
+
+        payment = await Payment.create({
+          user: testUser._id,
+          enrollment: testEnrollment._id,
+          course: testCourse._id,
+          amount: 299,
+          currency: 'USD',
+          paymentMethod: 'stripe',
+          status: 'pending',
+          stripePaymentIntentId: paymentIntent.id,
+          description: `Payment for ${testCourse.title} course`,
+          netAmount: 299
+        });
+
+        mockStripe.paymentIntents.retrieve.mockResolvedValue(paymentIntent);
+      });
+
+      test('should activate the enrollment the payment is for', async () => {
+        const response = await confirmSuccess(testEnrollment._id).expect(200);
+
+        expect(response.body.enrollment.paymentStatus).toBe('completed');
+        expect((await Payment.findById(payment._id)).status).toBe('completed');
+        expect((await Enrollment.findById(testEnrollment._id)).status).toBe('active');
+      });
+
+      test('should reject a payment made for another enrollment', async () => {
+        const otherCourse = await createTestCourse({ instructor: testInstructor._id, title: 'Other Course', price: 299 });
+        const otherEnrollment = await createTestEnrollment({
+          student: testUser._id,
+          course: otherCourse._id,
+          payment: { amount: 299, currency: 'USD', paymentMethod: 'stripe', paymentStatus: 'pending' }
+        });
+        payment.status = 'completed';
+        await payment.save();
+
+        const response = await confirmSuccess(otherEnrollment._id).expect(404);
+
+        expect(response.body.message).toBe('Payment not found for this enrollment');
+        const unchanged = await Enrollment.findById(otherEnrollment._id);
+        expect(unchanged.payment.paymentStatus).toBe('pending');
+      });
+
+      test('should reject a payment made by another user', async () => {
+        const otherUser = await createTestUser({ role: 'student', email: 'other@example.com' });
+        const otherEnrollment = await createTestEnrollment({
+          student: otherUser._id,
+          course: testCourse._id,
+          payment: { amount: 299, currency: 'USD', paymentMethod: 'stripe', paymentStatus: 'pending' }
+        });
+
+        await confirmSuccess(otherEnrollment._id, otherUser).expect(404);
+
+        expect((await Payment.findById(payment._id)).status).toBe('pending');
+      });
+
+      test('should leave the enrollment alone once the payment has been refunded', async () => {
+        payment.status = 'refunded';
+        await payment.save();
+
+        await confirmSuccess(testEnrollment._id).expect(200);
+
+        const unchanged = await Enrollment.findById(testEnrollment._id);
+        expect(unchanged.payment.paymentStatus).toBe('pending');
+        expect((await Payment.findById(payment._id)).status).toBe('refunded');
+      });
+    });
+
     describe('POST /api/payments/webhook', () => {
       test('should handle successful payment webhook', async () => {
         const webhookEvent = {
@@ -493,6 +575,94 @@ describe('Payment Routes - Stripe and SSLCommerz Integration', () => {
 
         expect(response.body.message).toBe('Only completed payments can be refunded');
       });
+
+      test('should record a manual refund for cash payments', async () => {
+        payment.paymentMethod = 'cash';
+        await payment.save();
+
+        const response = await request(app)
+          .post(`/api/payments/${payment._id}/refund`)
+          .set('Authorization', `Bearer ${generateToken(admin)}`)
+          .send({
+            amount: 100,
+            reason: 'Partial cash refund'
+          })
+          .expect(200);
+
+        expect(response.body.payment.refund.amount).toBe(100);
+        expect(mockStripe.refunds.create).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('GET /api/payments (admin console)', () => {
+      let admin;
+
+      beforeEach(async () => {
+        admin = await createTestUser({ role: 'admin' });
+        const base = {
+          user: testUser._id,
+          enrollment: testEnrollment._id,
+          course: testCourse._id,
+          description: 'Test payment',
+          netAmount: 0
+        };
+        await Payment.create([
+          { ...base, amount: 299, currency: 'USD', paymentMethod: 'stripe', status: 'completed', transactionId: 'TXN-STRIPE-1' },
+          { ...base, amount: 5000, currency: 'BDT', paymentMethod: 'sslcommerz', status: 'failed', transactionId: 'TXN-SSL-1' },
+          { ...base, amount: 4000, currency: 'BDT', paymentMethod: 'sslcommerz', status: 'completed', transactionId: 'TXN-SSL-2' }
+        ]);
+      });
+
+      test('should filter by method and currency', async () => {
+        const response = await request(app)
+          .get('/api/payments')
+          .query({ method: 'sslcommerz', currency: 'BDT', status: 'completed' })
+          .set('Authorization', `Bearer ${generateToken(admin)}`)
+          .expect(200);
+
+        expect(response.body.payments).toHaveLength(1);
+        expect(response.body.payments[0].transactionId).toBe('TXN-SSL-2');
+        expect(response.body.summary).toEqual([
+          { currency: 'BDT', count: 1, completedAmount: 4000, refundedAmount: 0 }
+        ]);
+      });
+
+      test('should search by transaction ID and customer email', async () => {
+        const byTransaction = await request(app)
+          .get('/api/payments')
+          .query({ search: 'stripe-1' })
+          .set('Authorization', `Bearer ${generateToken(admin)}`)
+          .expect(200);
+        expect(byTransaction.body.payments).toHaveLength(1);
+
+        const byEmail = await request(app)
+          .get('/api/payments')
+          .query({ search: testUser.email })
+          .set('Authorization', `Bearer ${generateToken(admin)}`)
+          .expect(200);
+        expect(byEmail.body.payments).toHaveLength(3);
+      });
+
+      test('should reject unknown filter values', async () => {
+        await request(app)
+          .get('/api/payments')
+          .query({ method: 'bitcoin' })
+          .set('Authorization', `Bearer ${generateToken(admin)}`)
+          .expect(400);
+      });
+
+      test('should export filtered payments as CSV', async () => {
+        const response = await request(app)
+          .get('/api/payments/export')
+          .query({ currency: 'BDT' })
+          .set('Authorization', `Bearer ${generateToken(admin)}`)
+          .expect(200);
+
+        expect(response.headers['content-type']).toMatch(/text\/csv/);
+        const lines = response.text.split('\n');
+        expect(lines[0]).toMatch(/^Transaction ID,Date,Status/);
+        expect(lines).toHaveLength(3);
+      });
     });
   });
 
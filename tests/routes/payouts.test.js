@@ -0,0 +1,184 @@
+const request = require('supertest');
+const express = require('express');
+const payoutRoutes = require('../../server/routes/payouts');
+const instructorRoutes = require('../../server/routes/instructor');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Payment = require('../../server/models/Payment');
+const PayoutBatch = require('../../server/models/PayoutBatch');
+const InstructorLedgerEntry = require('../../server/models/InstructorLedgerEntry');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/instructor', instructorRoutes);
+
+describe('Instructor Payouts', () => {
+  let admin, instructor, student, adminToken, instructorToken;
+  let course, enrollment;
+
+  const createPayment = (data = {}) =>
+    Payment.create({
+      user: student._id,
+      enrollment: enrollment._id,
+      course: course._id,
+      amount: 100,
+      currency: 'USD',
+      paymentMethod: 'stripe',
+      status: 'completed',
+      description: 'Course payment',
+      netAmount: 100,
+      ...data
+    });
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    student = await createTestUser({ email: 'student@example.com' });
+    adminToken = generateToken(admin._id);
+    instructorToken = generateToken(instructor._id);
+
+    course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 100 });
+    enrollment = await createTestEnrollment({ student: student._id, course: course._id });
+  });
+
+  describe('Ledger', () => {
+    test('should credit the default share when a payment completes', async () => {
+      const payment = await createPayment({ status: 'pending' });
+      expect(await InstructorLedgerEntry.countDocuments()).toBe(0);
+
+      payment.status = 'completed';
+      await payment.save();
+      await payment.save();
+
+      const entries = await InstructorLedgerEntry.find({ payment: payment._id });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].type).toBe('sale');
+      expect(entries[0].amount).toBe(70);
+      expect(entries[0].instructor.toString()).toBe(instructor._id.toString());
+    });
+
+    test('should use the course revenue share when set', async () => {
+      course.revenueSharePercent = 50;
+      await course.save();
+
+      await createPayment();
+
+      const sale = await InstructorLedgerEntry.findOne({ type: 'sale' });
+      expect(sale.amount).toBe(50);
+      expect(sale.sharePercent).toBe(50);
+    });
+
+    test('should debit the instructor proportionally on refunds', async () => {
+      const payment = await createPayment();
+
+      payment.processRefund(25, 'Partial refund', admin._id);
+      await payment.save();
+      payment.status = 'refunded';
+      payment.refund.amount = 100;
+      await payment.save();
+
+      const refunds = await InstructorLedgerEntry.find({ payment: payment._id, type: 'refund' });
+      expect(refunds.map(entry => entry.amount)).toEqual([-17.5, -52.5]);
+
+      const response = await request(app)
+        .get('/api/instructor/balance')
+        .set(getAuthHeader(instructorToken))
+        .expect(200);
+
+      expect(response.body.balances[0]).toMatchObject({ currency: 'USD', balance: 0, earned: 70, refunded: 70 });
+    });
+  });
+
+  describe('Payout batches', () => {
+    test('should only be available to admins', async () => {
+      await request(app)
+        .get('/api/payouts')
+        .set(getAuthHeader(instructorToken))
+        .expect(403);
+    });
+
+    test('should batch due balances and book the payout when paid', async () => {
+      await createPayment();
+      await createPayment();
+
+      const created = await request(app)
+        .post('/api/payouts')
+        .set(getAuthHeader(adminToken))
+        .send({ note: 'Monthly payout' })
+        .expect(201);
+
+      expect(created.body.batch.items).toHaveLength(1);
+      expect(created.body.batch.items[0]).toMatchObject({ currency: 'USD', amount: 140, entryCount: 2 });
+
+      // Everything due is already batched
+      await request(app)
+        .post('/api/payouts')
+        .set(getAuthHeader(adminToken))
+        .send({})
+        .expect(400);
+
+      let balance = await request(app)
+        .get('/api/instructor/balance')
+        .set(getAuthHeader(instructorToken))
+        .expect(200);
+      expect(balance.body.balances[0]).toMatchObject({ balance: 140, pendingPayout: 140, unbatched: 0 });
+
+      await request(app)
+        .put(`/api/payouts/${created.body.batch._id}/pay`)
+        .set(getAuthHeader(adminToken))
+        .send({ paymentReference: 'BANK-123' })
+        .expect(200);
+
+      balance = await request(app)
+        .get('/api/instructor/balance')
+        .set(getAuthHeader(instructorToken))
+        .expect(200);
+      expect(balance.body.balances[0]).toMatchObject({ balance: 0, paidOut: 140, pendingPayout: 0 });
+
+      await request(app)
+        .put(`/api/payouts/${created.body.batch._id}/pay`)
+        .set(getAuthHeader(adminToken))
+        .send({})
+        .expect(400);
+    });
+
+    test('should release entries when a batch is cancelled', async () => {
+      await createPayment();
+      const batch = await request(app)
+        .post('/api/payouts')
+        .set(getAuthHeader(adminToken))
+        .send({})
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/payouts/${batch.body.batch._id}`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+
+      expect((await PayoutBatch.findById(batch.body.batch._id)).status).toBe('cancelled');
+      expect(await InstructorLedgerEntry.countDocuments({ payoutBatch: null })).toBe(1);
+    });
+
+    test('should export a batch statement as CSV', async () => {
+      await createPayment();
+      const batch = await request(app)
+        .post('/api/payouts')
+        .set(getAuthHeader(adminToken))
+        .send({})
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/payouts/${batch.body.batch._id}/statement?format=csv`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+      const lines = response.text.split('\n');
+      expect(lines[0]).toContain('Instructor Email');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('instructor@example.com');
+      expect(lines[1]).toContain(batch.body.batch.reference);
+    });
+  });
+});
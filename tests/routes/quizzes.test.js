@@ -0,0 +1,317 @@
+const request = require('supertest');
+const express = require('express');
+const quizRoutes = require('../../server/routes/quizzes');
+const enrollmentRoutes = require('../../server/routes/enrollments');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Quiz = require('../../server/models/Quiz');
+const QuizAttempt = require('../../server/models/QuizAttempt');
+const Enrollment = require('../../server/models/Enrollment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/courses/:courseId/quizzes', quizRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+
+const sampleQuestions = [
+  {
+    type: 'single_choice',
+    text: 'Which keyword declares a constant?',
+    points: 2,
+    options: [
+      { text: 'const', isCorrect: true },
+      { text: 'var' }
+    ]
+  },
+  {
+    type: 'true_false',
+    text: 'JavaScript is single-threaded.',
+    options: [
+      { text: 'True', isCorrect: true },
+      { text: 'False' }
+    ]
+  },
+  {
+    type: 'short_answer',
+    text: 'What does DOM stand for?',
+    acceptedAnswers: ['Document Object Model']
+  }
+];
+
+describe('Quiz Routes', () => {
+  let student, admin, course, enrollment, quizLessonId, readingLessonId;
+  let studentToken, adminToken;
+
+  beforeEach(async () => {
+    student = await createTestUser({ email: 'student@example.com' });
+    admin = await createTestAdmin({ email: 'admin@example.com' });
+    studentToken = generateToken(student._id);
+    adminToken = generateToken(admin._id);
+
+    course = await createTestCourse({
+      instructor: admin._id,
+      status: 'published',
+      curriculum: [
+        {
+          title: 'Basics',
+          lessons: [
+            { title: 'Reading', type: 'reading' },
+            { title: 'Checkpoint', type: 'quiz' }
+          ]
+        }
+      ]
+    });
+    [readingLessonId, quizLessonId] = course.getLessons().map(lesson => lesson.lessonId);
+
+    enrollment = await createTestEnrollment({ student: student._id, course: course._id });
+  });
+
+  async function createQuiz(overrides = {}) {
+    return Quiz.create({
+      course: course._id,
+      lessonId: quizLessonId,
+      title: 'Checkpoint Quiz',
+      questions: sampleQuestions,
+      isPublished: true,
+      ...overrides
+    });
+  }
+
+  function correctAnswers(quiz) {
+    const [single, trueFalse, shortAnswer] = quiz.questions;
+    return [
+      { questionId: single._id, selectedOptions: [single.options[0]._id] },
+      { questionId: trueFalse._id, selectedOptions: [trueFalse.options[0]._id] },
+      { questionId: shortAnswer._id, textAnswer: ' document object model ' }
+    ];
+  }
+
+  describe('Quiz management', () => {
+    test('should create a quiz for a quiz lesson', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes`)
+        .set(getAuthHeader(adminToken))
+        .send({ lessonId: quizLessonId, title: 'Checkpoint Quiz', questions: sampleQuestions })
+        .expect(201);
+
+      expect(response.body.quiz.questions).toHaveLength(3);
+      expect(response.body.quiz.isPublished).toBe(false);
+    });
+
+    test('should reject quizzes on non-quiz lessons', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes`)
+        .set(getAuthHeader(adminToken))
+        .send({ lessonId: readingLessonId, title: 'Wrong Lesson', questions: sampleQuestions })
+        .expect(400);
+
+      expect(response.body.message).toBe('Quizzes can only be attached to quiz lessons');
+    });
+
+    test('should reject single choice questions without one correct option', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes`)
+        .set(getAuthHeader(adminToken))
+        .send({
+          lessonId: quizLessonId,
+          title: 'Broken Quiz',
+          questions: [{ type: 'single_choice', text: 'Pick one', options: [{ text: 'A' }, { text: 'B' }] }]
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation error while creating quiz');
+    });
+
+    test('should deny students', async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/quizzes`)
+        .set(getAuthHeader(studentToken))
+        .send({ lessonId: quizLessonId, title: 'Checkpoint Quiz', questions: sampleQuestions })
+        .expect(403);
+    });
+  });
+
+  describe('Attempts', () => {
+    test('should serve questions without answers', async () => {
+      const quiz = await createQuiz();
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts`)
+        .set(getAuthHeader(studentToken))
+        .expect(201);
+
+      expect(response.body.questions).toHaveLength(3);
+      const serialized = JSON.stringify(response.body.questions);
+      expect(serialized).not.toContain('isCorrect');
+      expect(serialized).not.toContain('Document Object Model');
+    });
+
+    test('should draw a random subset when questionsPerAttempt is set', async () => {
+      const quiz = await createQuiz({ questionsPerAttempt: 2, shuffleQuestions: true });
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts`)
+        .set(getAuthHeader(studentToken))
+        .expect(201);
+
+      expect(response.body.questions).toHaveLength(2);
+    });
+
+    test('should grade answers and roll the score into the enrollment', async () => {
+      const quiz = await createQuiz();
+      const started = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts`)
+        .set(getAuthHeader(studentToken))
+        .expect(201);
+
+      const answers = correctAnswers(quiz);
+      answers[1].selectedOptions = [quiz.questions[1].options[1]._id];
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts/${started.body.attempt._id}/submit`)
+        .set(getAuthHeader(studentToken))
+        .send({ answers })
+        .expect(200);
+
+      expect(response.body.attempt.score).toBe(3);
+      expect(response.body.attempt.maxScore).toBe(4);
+      expect(response.body.attempt.percentage).toBe(75);
+      expect(response.body.attempt.passed).toBe(true);
+      expect(response.body.enrollment).toEqual({ score: 75, grade: 'C' });
+
+      const updated = await Enrollment.findById(enrollment._id);
+      expect(updated.score).toBe(75);
+      expect(updated.grade).toBe('C');
+    });
+
+    test('should keep the grade incomplete until every quiz is attempted', async () => {
+      const quiz = await createQuiz();
+      await Quiz.create({
+        course: course._id,
+        lessonId: readingLessonId,
+        title: 'Second Quiz',
+        questions: sampleQuestions,
+        isPublished: true
+      });
+
+      const started = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts`)
+        .set(getAuthHeader(studentToken));
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts/${started.body.attempt._id}/submit`)
+        .set(getAuthHeader(studentToken))
+        .send({ answers: correctAnswers(quiz) })
+        .expect(200);
+
+      expect(response.body.enrollment).toEqual({ score: 100, grade: 'Incomplete' });
+    });
+
+    test('should enforce the attempt limit', async () => {
+      const quiz = await createQuiz({ maxAttempts: 1 });
+      await QuizAttempt.create({
+        quiz: quiz._id,
+        enrollment: enrollment._id,
+        student: student._id,
+        attemptNumber: 1,
+        status: 'submitted',
+        percentage: 50
+      });
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts`)
+        .set(getAuthHeader(studentToken))
+        .expect(400);
+
+      expect(response.body.message).toBe('You have used all attempts for this quiz');
+    });
+
+    test('should reject submissions after the time limit', async () => {
+      const quiz = await createQuiz({ timeLimit: 10 });
+      const attempt = await QuizAttempt.create({
+        quiz: quiz._id,
+        enrollment: enrollment._id,
+        student: student._id,
+        attemptNumber: 1,
+        questions: quiz.questions.map(question => ({
+          question: question._id,
+          options: question.options.map(option => option._id)
+        })),
+        startedAt: new Date(Date.now() - 20 * 60 * 1000),
+        expiresAt: new Date(Date.now() - 10 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts/${attempt._id}/submit`)
+        .set(getAuthHeader(studentToken))
+        .send({ answers: correctAnswers(quiz) })
+        .expect(400);
+
+      expect(response.body.message).toBe('The time limit for this attempt has passed');
+      expect(response.body.attempt.status).toBe('expired');
+      expect(response.body.attempt.percentage).toBe(0);
+    });
+
+    test('should only complete a quiz lesson after passing', async () => {
+      const quiz = await createQuiz();
+
+      const blocked = await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/${quizLessonId}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(400);
+      expect(blocked.body.message).toBe('Pass the quiz to complete this lesson');
+
+      const started = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts`)
+        .set(getAuthHeader(studentToken));
+      await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts/${started.body.attempt._id}/submit`)
+        .set(getAuthHeader(studentToken))
+        .send({ answers: correctAnswers(quiz) })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/enrollments/${enrollment._id}/lessons/${quizLessonId}/complete`)
+        .set(getAuthHeader(studentToken))
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/courses/:courseId/quizzes/:quizId/analytics', () => {
+    test('should report per-question results', async () => {
+      const quiz = await createQuiz();
+      const started = await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts`)
+        .set(getAuthHeader(studentToken));
+
+      const answers = correctAnswers(quiz);
+      answers[2].textAnswer = 'Data Object Model';
+      await request(app)
+        .post(`/api/courses/${course._id}/quizzes/${quiz._id}/attempts/${started.body.attempt._id}/submit`)
+        .set(getAuthHeader(studentToken))
+        .send({ answers })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/quizzes/${quiz._id}/analytics`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+
+      const { analytics } = response.body;
+      expect(analytics.attemptCount).toBe(1);
+      expect(analytics.questions[0].correctRate).toBe(100);
+      expect(analytics.questions[0].options[0].selectedCount).toBe(1);
+      expect(analytics.questions[2].correctRate).toBe(0);
+      expect(analytics.questions[2].commonWrongAnswers).toEqual([{ text: 'data object model', count: 1 }]);
+    });
+
+    test('should deny students', async () => {
+      const quiz = await createQuiz();
+
+      await request(app)
+        .get(`/api/courses/${course._id}/quizzes/${quiz._id}/analytics`)
+        .set(getAuthHeader(studentToken))
+        .expect(403);
+    });
+  });
+});
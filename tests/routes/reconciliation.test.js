@@ -0,0 +1,211 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock stripe and SSLCommerz before requiring the routes
+jest.mock('stripe', () => jest.fn());
+jest.mock('sslcommerz-lts');
+
+const stripe = require('stripe');
+const SSLCommerzPayment = require('sslcommerz-lts');
+const reconciliationRoutes = require('../../server/routes/reconciliation');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Payment = require('../../server/models/Payment');
+const Enrollment = require('../../server/models/Enrollment');
+const InstallmentSchedule = require('../../server/models/InstallmentSchedule');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/reconciliation-reports', reconciliationRoutes);
+
+describe('Payment Reconciliation', () => {
+  let student, adminToken, studentToken, course, enrollment;
+  let mockStripe, mockSSLCommerz;
+
+  // Pending payment created `ageMinutes` ago
+  const createPendingPayment = async (data, ageMinutes = 60) => {
+    const payment = await Payment.create({
+      user: student._id,
+      enrollment: enrollment._id,
+      course: course._id,
+      amount: 100,
+      currency: 'USD',
+      status: 'pending',
+      description: 'Course payment',
+      netAmount: 100,
+      ...data
+    });
+    await Payment.collection.updateOne(
+      { _id: payment._id },
+      { $set: { createdAt: new Date(Date.now() - ageMinutes * 60 * 1000) } }
+    );
+    return payment;
+  };
+
+  const runReconciliation = () =>
+    request(app)
+      .post('/api/reconciliation-reports/run')
+      .set(getAuthHeader(adminToken));
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+    studentToken = generateToken(student._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 100 });
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'pending',
+      payment: { amount: 100, currency: 'USD', paymentMethod: 'stripe', paymentStatus: 'pending' }
+    });
+
+    mockStripe = { paymentIntents: { retrieve: jest.fn() } };
+    stripe.mockReturnValue(mockStripe);
+
+    mockSSLCommerz = { transactionQueryByTransactionId: jest.fn(), validate: jest.fn() };
+    SSLCommerzPayment.mockImplementation(() => mockSSLCommerz);
+    process.env.SSLCOMMERZ_STORE_ID = 'test_store_id';
+    process.env.SSLCOMMERZ_STORE_PASSWORD = 'test_store_password';
+    process.env.SSLCOMMERZ_IS_LIVE = 'false';
+  });
+
+  test('should settle Stripe payments that succeeded', async () => {
+    const payment = await createPendingPayment({ paymentMethod: 'stripe', stripePaymentIntentId: 'pi_paid' });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({
+      id: 'pi_paid',
+      status: 'succeeded',
+      latest_charge: 'ch_paid',
+    });
+
+    const response = await runReconciliation().expect(201);
+
+    expect(response.body.report.summary).toMatchObject({ checked: 1, completed: 1 });
+    const updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.stripeChargeId).toBe('ch_paid');
+    const updatedEnrollment = await Enrollment.findById(enrollment._id);
+    expect(updatedEnrollment.payment.paymentStatus).toBe('completed');
+    expect(updatedEnrollment.status).toBe('active');
+  });
+
+  test('should fail declined payments and expire abandoned ones', async () => {
+    const declined = await createPendingPayment({ paymentMethod: 'stripe', stripePaymentIntentId: 'pi_declined' });
+    const abandoned = await createPendingPayment(
+      { paymentMethod: 'sslcommerz', metadata: { sslTransactionId: 'SSL_ABANDONED' } },
+      25 * 60
+    );
+    const otherCourse = await createTestCourse({ instructor: course.instructor, status: 'published', price: 100 });
+    const otherEnrollment = await createTestEnrollment({ student: student._id, course: otherCourse._id, status: 'pending' });
+    const recent = await createPendingPayment(
+      { paymentMethod: 'stripe', stripePaymentIntentId: 'pi_recent', enrollment: otherEnrollment._id },
+      5
+    );
+
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({
+      id: 'pi_declined',
+      status: 'requires_payment_method',
+      last_payment_error: { code: 'card_declined', message: 'Your card was declined' },
+    });
+    mockSSLCommerz.transactionQueryByTransactionId.mockResolvedValue({ no_of_trans_found: 0, element: [] });
+
+    const response = await runReconciliation().expect(201);
+    expect(response.body.report.summary).toMatchObject({ checked: 2, failed: 1, expired: 1 });
+
+    expect((await Payment.findById(declined._id)).failureReason.code).toBe('card_declined');
+    expect((await Payment.findById(abandoned._id)).failureReason.code).toBe('expired');
+    // Too recent to check
+    expect((await Payment.findById(recent._id)).status).toBe('pending');
+    expect((await Enrollment.findById(enrollment._id)).payment.paymentStatus).toBe('failed');
+  });
+
+  test('should leave enrollments pending while a newer attempt or installment plan pays for them', async () => {
+    await createPendingPayment({ paymentMethod: 'stripe', stripePaymentIntentId: 'pi_old' }, 25 * 60);
+    await createPendingPayment({ paymentMethod: 'stripe', stripePaymentIntentId: 'pi_new' }, 5);
+
+    const otherCourse = await createTestCourse({ instructor: course.instructor, status: 'published', price: 100 });
+    const installmentEnrollment = await createTestEnrollment({
+      student: student._id,
+      course: otherCourse._id,
+      status: 'active',
+      payment: { amount: 100, currency: 'USD', paymentMethod: 'stripe', paymentStatus: 'pending' }
+    });
+    await InstallmentSchedule.create({
+      enrollment: installmentEnrollment._id,
+      student: student._id,
+      course: otherCourse._id,
+      currency: 'USD',
+      totalAmount: 100,
+      installments: [
+        { number: 1, amount: 50, dueDate: new Date(), status: 'paid' },
+        { number: 2, amount: 50, dueDate: new Date() }
+      ]
+    });
+    await createPendingPayment(
+      { paymentMethod: 'stripe', stripePaymentIntentId: 'pi_installment', enrollment: installmentEnrollment._id },
+      25 * 60
+    );
+
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({
+      status: 'requires_payment_method',
+      last_payment_error: { code: 'card_declined', message: 'Your card was declined' },
+    });
+
+    const response = await runReconciliation().expect(201);
+    expect(response.body.report.summary).toMatchObject({ checked: 2, failed: 2 });
+
+    expect((await Enrollment.findById(enrollment._id)).payment.paymentStatus).toBe('pending');
+    expect((await Enrollment.findById(installmentEnrollment._id)).payment.paymentStatus).toBe('pending');
+  });
+
+  test('should validate SSLCommerz payments found by transaction ID', async () => {
+    const payment = await createPendingPayment({
+      paymentMethod: 'sslcommerz',
+      amount: 11000,
+      netAmount: 11000,
+      currency: 'BDT',
+      metadata: { sslTransactionId: 'SSL_PAID' },
+    });
+    mockSSLCommerz.transactionQueryByTransactionId.mockResolvedValue({
+      no_of_trans_found: 1,
+      element: [{ tran_id: 'SSL_PAID', val_id: 'VAL_1', status: 'VALID', amount: '11000.00' }],
+    });
+    mockSSLCommerz.validate.mockResolvedValue({ status: 'VALID', amount: '11000.00' });
+
+    await runReconciliation().expect(201);
+
+    const updated = await Payment.findById(payment._id);
+    expect(updated.status).toBe('completed');
+    expect(updated.metadata.validationId).toBe('VAL_1');
+  });
+
+  test('should list reports and download them as CSV', async () => {
+    await createPendingPayment({ paymentMethod: 'stripe', stripePaymentIntentId: 'pi_waiting' });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_waiting', status: 'requires_payment_method' });
+
+    const run = await runReconciliation().expect(201);
+    expect(run.body.report.summary).toMatchObject({ checked: 1, pending: 1 });
+
+    await request(app)
+      .get('/api/reconciliation-reports')
+      .set(getAuthHeader(studentToken))
+      .expect(403);
+
+    const list = await request(app)
+      .get('/api/reconciliation-reports')
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(list.body.reports).toHaveLength(1);
+    expect(list.body.reports[0].items).toBeUndefined();
+
+    const download = await request(app)
+      .get(`/api/reconciliation-reports/${run.body.report._id}/download`)
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(download.headers['content-type']).toMatch(/text\/csv/);
+    expect(download.text.split('\n')).toHaveLength(2);
+    expect(download.text).toContain('Still awaiting payment');
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const express = require('express');
+const paymentRoutes = require('../../server/routes/payments');
+const refundRequestRoutes = require('../../server/routes/refundRequests');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Payment = require('../../server/models/Payment');
+const Enrollment = require('../../server/models/Enrollment');
+const Course = require('../../server/models/Course');
+const RefundRequest = require('../../server/models/RefundRequest');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refund-requests', refundRequestRoutes);
+
+describe('Refund Requests', () => {
+  let student, studentToken, adminToken, course, enrollment, payment;
+
+  const requestRefund = (paymentId = payment._id, token = studentToken) =>
+    request(app)
+      .post(`/api/payments/${paymentId}/refund-requests`)
+      .set(getAuthHeader(token))
+      .send({ reason: 'The course is not what I expected' });
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    studentToken = generateToken(student._id);
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 100, currentStudents: 1 });
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'active',
+      progress: 10,
+      payment: {
+        amount: 100,
+        currency: 'USD',
+        paymentMethod: 'fake',
+        paymentStatus: 'completed',
+        paymentDate: new Date()
+      }
+    });
+    payment = await Payment.create({
+      user: student._id,
+      enrollment: enrollment._id,
+      course: course._id,
+      amount: 100,
+      currency: 'USD',
+      paymentMethod: 'fake',
+      status: 'completed',
+      description: 'Course payment',
+      netAmount: 100,
+      transactionId: 'FAKE_TXN_1'
+    });
+  });
+
+  test('should let a student request a refund and see its status', async () => {
+    const response = await requestRefund().expect(201);
+    expect(response.body.refundRequest).toMatchObject({
+      status: 'pending',
+      amount: 100,
+      policy: { daysSincePayment: 0, progress: 10 }
+    });
+
+    // Only one open request per payment
+    await requestRefund().expect(409);
+
+    const history = await request(app)
+      .get('/api/payments/my-payments')
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+    expect(history.body.payments[0].refundRequest.status).toBe('pending');
+  });
+
+  test('should enforce ownership and the refund policy', async () => {
+    const otherStudent = await createTestUser({ email: 'other@example.com' });
+    await requestRefund(payment._id, generateToken(otherStudent._id)).expect(403);
+
+    await Enrollment.updateOne({ _id: enrollment._id }, { progress: 80 });
+    const tooFar = await requestRefund().expect(400);
+    expect(tooFar.body.message).toMatch(/more than 30%/);
+
+    await Enrollment.updateOne(
+      { _id: enrollment._id },
+      { progress: 0, 'payment.paymentDate': new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+    );
+    const tooLate = await requestRefund().expect(400);
+    expect(tooLate.body.message).toMatch(/within 14 days/);
+    expect(tooLate.body.policy).toEqual({ windowDays: 14, maxProgress: 30 });
+  });
+
+  test('should refund the payment and close the enrollment on approval', async () => {
+    const created = await requestRefund().expect(201);
+    const id = created.body.refundRequest._id;
+
+    await request(app)
+      .put(`/api/refund-requests/${id}/approve`)
+      .set(getAuthHeader(studentToken))
+      .expect(403);
+
+    const queue = await request(app)
+      .get('/api/refund-requests?status=pending')
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(queue.body.refundRequests).toHaveLength(1);
+
+    const response = await request(app)
+      .put(`/api/refund-requests/${id}/approve`)
+      .set(getAuthHeader(adminToken))
+      .send({ adminNote: 'Approved within policy' })
+      .expect(200);
+
+    expect(response.body.refundRequest.status).toBe('approved');
+    expect(response.body.refundRequest.refundId).toBeDefined();
+
+    const updatedPayment = await Payment.findById(payment._id);
+    expect(updatedPayment.status).toBe('refunded');
+    expect(updatedPayment.refund.amount).toBe(100);
+    const updatedEnrollment = await Enrollment.findById(enrollment._id);
+    expect(updatedEnrollment.status).toBe('refunded');
+    expect(updatedEnrollment.payment.paymentStatus).toBe('refunded');
+    expect((await Course.findById(course._id)).currentStudents).toBe(0);
+
+    // Reviewed requests can't be reviewed again
+    await request(app)
+      .put(`/api/refund-requests/${id}/reject`)
+      .set(getAuthHeader(adminToken))
+      .send({ adminNote: 'Changed my mind' })
+      .expect(400);
+  });
+
+  test('should record only what the approval refunded', async () => {
+    await request(app)
+      .post(`/api/payments/${payment._id}/refund`)
+      .set(getAuthHeader(adminToken))
+      .send({ amount: 30, reason: 'Goodwill credit' })
+      .expect(200);
+
+    const created = await requestRefund().expect(201);
+    const response = await request(app)
+      .put(`/api/refund-requests/${created.body.refundRequest._id}/approve`)
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+
+    expect(response.body.refundRequest.amount).toBe(70);
+    expect((await Payment.findById(payment._id)).refund.amount).toBe(100);
+  });
+
+  test('should reject a request without touching the payment', async () => {
+    const created = await requestRefund().expect(201);
+
+    await request(app)
+      .put(`/api/refund-requests/${created.body.refundRequest._id}/reject`)
+      .set(getAuthHeader(adminToken))
+      .send({ adminNote: 'Most of the course content was downloaded' })
+      .expect(200);
+
+    const refundRequest = await RefundRequest.findById(created.body.refundRequest._id);
+    expect(refundRequest.status).toBe('rejected');
+    expect((await Payment.findById(payment._id)).status).toBe('completed');
+    expect((await Enrollment.findById(enrollment._id)).status).toBe('active');
+
+    // Students only see their own requests
+    const mine = await request(app)
+      .get('/api/refund-requests')
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+    expect(mine.body.refundRequests[0].adminNote).toBe('Most of the course content was downloaded');
+
+    // A new request can be made once the old one is closed
+    await requestRefund().expect(201);
+  });
+});
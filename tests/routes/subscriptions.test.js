@@ -0,0 +1,274 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock stripe before requiring the routes
+jest.mock('stripe', () => jest.fn());
+
+const stripe = require('stripe');
+const paymentRoutes = require('../../server/routes/payments');
+const enrollmentRoutes = require('../../server/routes/enrollments');
+const planRoutes = require('../../server/routes/plans');
+const subscriptionRoutes = require('../../server/routes/subscriptions');
+const { expireLapsedSubscriptions } = require('../../server/utils/subscriptions');
+const { createTestUser, createTestAdmin, createTestCourse, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Plan = require('../../server/models/Plan');
+const Subscription = require('../../server/models/Subscription');
+const Enrollment = require('../../server/models/Enrollment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTimestamp(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+describe('Membership Subscriptions', () => {
+  let mockStripe, student, studentToken, adminToken, course, plan;
+
+  const stripeSubscription = (overrides = {}) => ({
+    id: 'sub_test_123',
+    customer: 'cus_test_123',
+    status: 'active',
+    current_period_start: toTimestamp(new Date()),
+    current_period_end: toTimestamp(new Date(Date.now() + 30 * DAY_MS)),
+    cancel_at_period_end: false,
+    metadata: {},
+    ...overrides
+  });
+
+  const sendSubscriptionEvent = (type, object, created = Date.now()) => {
+    const event = {
+      id: `evt_${type}_${created}`,
+      type,
+      created: Math.floor(created / 1000),
+      data: { object }
+    };
+    mockStripe.webhooks.constructEvent.mockReturnValue(event);
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('stripe-signature', 'test_signature')
+      .send(JSON.stringify(event));
+  };
+
+  const subscribe = () =>
+    request(app)
+      .post('/api/subscriptions')
+      .set(getAuthHeader(studentToken))
+      .send({ planId: plan._id });
+
+  const enroll = () =>
+    request(app)
+      .post('/api/enrollments')
+      .set(getAuthHeader(studentToken))
+      .send({ courseId: course._id, paymentMethod: 'stripe' });
+
+  beforeEach(async () => {
+    mockStripe = {
+      prices: { create: jest.fn().mockResolvedValue({ id: 'price_test_123' }) },
+      customers: { create: jest.fn().mockResolvedValue({ id: 'cus_test_123' }) },
+      subscriptions: {
+        create: jest.fn(),
+        update: jest.fn()
+      },
+      webhooks: { constructEvent: jest.fn() }
+    };
+    stripe.mockReturnValue(mockStripe);
+
+    student = await createTestUser();
+    studentToken = generateToken(student._id);
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 100, category: 'Programming' });
+    plan = await Plan.create({
+      name: 'All Access',
+      interval: 'month',
+      price: 20,
+      currency: 'USD',
+      stripePriceId: 'price_test_123'
+    });
+  });
+
+  test('should let admins create plans with a Stripe price', async () => {
+    const response = await request(app)
+      .post('/api/plans')
+      .set(getAuthHeader(adminToken))
+      .send({ name: 'Programming Yearly', interval: 'year', price: 150, currency: 'USD', scope: 'category', category: 'Programming' })
+      .expect(201);
+
+    expect(response.body.plan.stripePriceId).toBe('price_test_123');
+    expect(mockStripe.prices.create).toHaveBeenCalledWith(expect.objectContaining({
+      currency: 'usd',
+      unit_amount: 15000,
+      recurring: { interval: 'year' }
+    }));
+
+    // Category plans need a category
+    await request(app)
+      .post('/api/plans')
+      .set(getAuthHeader(adminToken))
+      .send({ name: 'Broken', interval: 'month', price: 10, scope: 'category' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/plans')
+      .set(getAuthHeader(studentToken))
+      .send({ name: 'Sneaky', interval: 'month', price: 10 })
+      .expect(403);
+
+    const list = await request(app).get('/api/plans').expect(200);
+    expect(list.body.plans).toHaveLength(2);
+  });
+
+  test('should subscribe through Stripe and activate on the webhook', async () => {
+    mockStripe.subscriptions.create.mockImplementation(async params =>
+      stripeSubscription({
+        status: 'incomplete',
+        metadata: params.metadata,
+        latest_invoice: { payment_intent: { client_secret: 'pi_secret_123' } }
+      })
+    );
+
+    const response = await subscribe().expect(201);
+    expect(response.body.clientSecret).toBe('pi_secret_123');
+    expect(response.body.subscription.status).toBe('incomplete');
+
+    // Not usable until the first payment goes through
+    await enroll().expect(201);
+    let enrollment = await Enrollment.findOne({ student: student._id });
+    expect(enrollment.status).toBe('pending');
+    await enrollment.deleteOne();
+
+    await sendSubscriptionEvent('customer.subscription.updated', stripeSubscription()).expect(200);
+
+    const subscription = await Subscription.findById(response.body.subscription._id);
+    expect(subscription.status).toBe('active');
+
+    // One subscription per plan
+    await subscribe().expect(409);
+
+    await enroll().expect(201);
+    enrollment = await Enrollment.findOne({ student: student._id });
+    expect(enrollment.status).toBe('active');
+    expect(enrollment.payment.amount).toBe(0);
+    expect(enrollment.subscription.toString()).toBe(subscription._id.toString());
+  });
+
+  test('should only cover courses in the plan category', async () => {
+    plan.scope = 'category';
+    plan.category = 'Design';
+    await plan.save();
+    await Subscription.create({
+      user: student._id,
+      plan: plan._id,
+      status: 'active',
+      stripeSubscriptionId: 'sub_test_123',
+      currentPeriodEnd: new Date(Date.now() + 30 * DAY_MS)
+    });
+
+    await enroll().expect(201);
+
+    const enrollment = await Enrollment.findOne({ student: student._id });
+    expect(enrollment.status).toBe('pending');
+    expect(enrollment.payment.amount).toBe(100);
+  });
+
+  test('should suspend and restore access as the subscription changes', async () => {
+    const subscription = await Subscription.create({
+      user: student._id,
+      plan: plan._id,
+      status: 'active',
+      stripeSubscriptionId: 'sub_test_123',
+      currentPeriodEnd: new Date(Date.now() + 30 * DAY_MS)
+    });
+    await enroll().expect(201);
+
+    const created = Date.now();
+    await sendSubscriptionEvent('customer.subscription.updated', stripeSubscription({ status: 'past_due' }), created).expect(200);
+    expect((await Enrollment.findOne({ student: student._id })).status).toBe('suspended');
+
+    // Older events arriving late are skipped
+    await sendSubscriptionEvent('customer.subscription.updated', stripeSubscription(), created - 60000).expect(200);
+    expect((await Subscription.findById(subscription._id)).status).toBe('past_due');
+
+    await sendSubscriptionEvent('customer.subscription.updated', stripeSubscription(), created + 60000).expect(200);
+    expect((await Enrollment.findOne({ student: student._id })).status).toBe('active');
+
+    await sendSubscriptionEvent(
+      'customer.subscription.deleted',
+      stripeSubscription({ status: 'canceled', canceled_at: toTimestamp(new Date()) }),
+      created + 120000
+    ).expect(200);
+    expect((await Subscription.findById(subscription._id)).status).toBe('cancelled');
+    expect((await Enrollment.findOne({ student: student._id })).status).toBe('suspended');
+  });
+
+  test('should cancel at period end and revoke access once it lapses', async () => {
+    const subscription = await Subscription.create({
+      user: student._id,
+      plan: plan._id,
+      status: 'active',
+      stripeSubscriptionId: 'sub_test_123',
+      currentPeriodEnd: new Date(Date.now() + 30 * DAY_MS)
+    });
+    await enroll().expect(201);
+
+    mockStripe.subscriptions.update.mockResolvedValue(stripeSubscription({ cancel_at_period_end: true }));
+
+    const otherStudent = await createTestUser({ email: 'other@example.com' });
+    await request(app)
+      .post(`/api/subscriptions/${subscription._id}/cancel`)
+      .set(getAuthHeader(generateToken(otherStudent._id)))
+      .expect(403);
+
+    const response = await request(app)
+      .post(`/api/subscriptions/${subscription._id}/cancel`)
+      .set(getAuthHeader(studentToken))
+      .expect(200);
+    expect(response.body.subscription.cancelAtPeriodEnd).toBe(true);
+
+    // Access lasts until the period ends
+    expect((await Enrollment.findOne({ student: student._id })).status).toBe('active');
+
+    const lapsed = await expireLapsedSubscriptions(new Date(Date.now() + 32 * DAY_MS));
+    expect(lapsed).toBe(1);
+    expect((await Subscription.findById(subscription._id)).status).toBe('cancelled');
+    expect((await Enrollment.findOne({ student: student._id })).status).toBe('suspended');
+  });
+
+  test('should restore suspended courses when the member subscribes again', async () => {
+    const lapsed = await Subscription.create({
+      user: student._id,
+      plan: plan._id,
+      status: 'active',
+      stripeSubscriptionId: 'sub_old_123',
+      currentPeriodEnd: new Date(Date.now() + 30 * DAY_MS),
+      cancelAtPeriodEnd: true
+    });
+    await enroll().expect(201);
+
+    await expireLapsedSubscriptions(new Date(Date.now() + 32 * DAY_MS));
+    expect((await Subscription.findById(lapsed._id)).status).toBe('cancelled');
+    expect((await Enrollment.findOne({ student: student._id })).status).toBe('suspended');
+    await enroll().expect(400);
+
+    mockStripe.subscriptions.create.mockImplementation(async params =>
+      stripeSubscription({ status: 'incomplete', metadata: params.metadata })
+    );
+    const response = await subscribe().expect(201);
+    await sendSubscriptionEvent('customer.subscription.updated', stripeSubscription()).expect(200);
+
+    const enrollment = await Enrollment.findOne({ student: student._id });
+    expect(enrollment.status).toBe('active');
+    expect(enrollment.subscription.toString()).toBe(response.body.subscription._id);
+    expect(await Enrollment.countDocuments({ student: student._id })).toBe(1);
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const express = require('express');
+const voucherRoutes = require('../../server/routes/vouchers');
+const enrollmentRoutes = require('../../server/routes/enrollments');
+const paymentRoutes = require('../../server/routes/payments');
+const { createTestUser, createTestAdmin, createTestCourse, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Voucher = require('../../server/models/Voucher');
+const Payment = require('../../server/models/Payment');
+const Enrollment = require('../../server/models/Enrollment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/vouchers', voucherRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/payments', paymentRoutes);
+
+describe('Gift purchases and vouchers', () => {
+  let buyer, buyerToken, recipient, recipientToken, adminToken, course;
+
+  const buyGift = (data = {}) =>
+    request(app)
+      .post('/api/vouchers/gifts')
+      .set(getAuthHeader(buyerToken))
+      .send({ courseId: course._id, recipientEmail: 'friend@example.com', recipientName: 'Friend', paymentMethod: 'fake', ...data });
+
+  const redeem = (code, token = recipientToken) =>
+    request(app)
+      .post('/api/enrollments/redeem')
+      .set(getAuthHeader(token))
+      .send({ code });
+
+  beforeEach(async () => {
+    buyer = await createTestUser({ email: 'buyer@example.com' });
+    buyerToken = generateToken(buyer._id);
+    recipient = await createTestUser({ email: 'friend@example.com' });
+    recipientToken = generateToken(recipient._id);
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 80, currency: 'USD' });
+  });
+
+  test('should issue a voucher for a paid gift', async () => {
+    const response = await buyGift({ message: 'Happy birthday!' }).expect(200);
+
+    const payment = await Payment.findById(response.body.paymentId);
+    expect(payment.status).toBe('completed');
+    expect(payment.enrollment).toBeUndefined();
+    expect(payment.gift.recipientEmail).toBe('friend@example.com');
+
+    const voucher = await Voucher.findOne({ payment: payment._id });
+    expect(voucher.source).toBe('gift');
+    expect(voucher.status).toBe('active');
+    expect(voucher.code).toMatch(/^[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+
+    const gifts = await request(app)
+      .get('/api/vouchers/gifts')
+      .set(getAuthHeader(buyerToken))
+      .expect(200);
+    expect(gifts.body.vouchers.map(gift => gift.code)).toEqual([voucher.code]);
+
+    // The buyer isn't enrolled themselves
+    expect(await Enrollment.countDocuments({ student: buyer._id })).toBe(0);
+  });
+
+  test('should enroll whoever redeems the code, once', async () => {
+    const { body } = await buyGift().expect(200);
+    const voucher = await Voucher.findOne({ payment: body.paymentId });
+
+    const response = await redeem(voucher.code.toLowerCase()).expect(201);
+    expect(response.body.enrollment.status).toBe('active');
+
+    const enrollment = await Enrollment.findOne({ student: recipient._id, course: course._id });
+    expect(enrollment.payment.paymentStatus).toBe('completed');
+    expect(enrollment.voucher.toString()).toBe(voucher._id.toString());
+
+    const redeemed = await Voucher.findById(voucher._id);
+    expect(redeemed.status).toBe('redeemed');
+    expect(redeemed.redeemedBy.toString()).toBe(recipient._id.toString());
+    expect((await Payment.findById(body.paymentId)).enrollment.toString()).toBe(enrollment._id.toString());
+
+    await redeem(voucher.code, buyerToken).expect(400);
+    await redeem('NOPE-NOPE-NOPE').expect(404);
+  });
+
+  test('should cancel the voucher when an unredeemed gift is refunded', async () => {
+    const { body } = await buyGift().expect(200);
+
+    await request(app)
+      .post(`/api/payments/${body.paymentId}/refund`)
+      .set(getAuthHeader(adminToken))
+      .send({ amount: 80, reason: 'Bought by mistake' })
+      .expect(200);
+
+    const voucher = await Voucher.findOne({ payment: body.paymentId });
+    expect(voucher.status).toBe('cancelled');
+    await redeem(voucher.code).expect(400);
+  });
+
+  test('should generate bulk vouchers and track their redemption', async () => {
+    await request(app)
+      .post('/api/vouchers/bulk')
+      .set(getAuthHeader(buyerToken))
+      .send({ courseId: course._id, quantity: 3, label: 'Acme Corp' })
+      .expect(403);
+
+    const response = await request(app)
+      .post('/api/vouchers/bulk')
+      .set(getAuthHeader(adminToken))
+      .send({ courseId: course._id, quantity: 3, label: 'Acme Corp' })
+      .expect(201);
+    expect(response.body.vouchers).toHaveLength(3);
+
+    await redeem(response.body.vouchers[0].code).expect(201);
+    const enrollment = await Enrollment.findOne({ student: recipient._id });
+    expect(enrollment.payment.amount).toBe(0);
+
+    const batches = await request(app)
+      .get('/api/vouchers/batches')
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(batches.body.batches).toHaveLength(1);
+    expect(batches.body.batches[0]).toMatchObject({ label: 'Acme Corp', total: 3, redeemed: 1, cancelled: 0 });
+
+    const csv = await request(app)
+      .get(`/api/vouchers?batch=${response.body.batch}&format=csv`)
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(csv.headers['content-type']).toContain('text/csv');
+    expect(csv.text.split('\n')).toHaveLength(4);
+    expect(csv.text).toContain('friend@example.com');
+  });
+
+  test('should refuse expired vouchers', async () => {
+    const voucher = await Voucher.create({
+      code: 'OLD1-OLD2-OLD3',
+      course: course._id,
+      source: 'bulk',
+      expiresAt: new Date(Date.now() - 1000)
+    });
+
+    const response = await redeem(voucher.code).expect(400);
+    expect(response.body.message).toBe('This voucher has expired');
+  });
+});
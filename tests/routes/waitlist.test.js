@@ -0,0 +1,256 @@
+const request = require('supertest');
+const express = require('express');
+const courseRoutes = require('../../server/routes/courses');
+const enrollmentRoutes = require('../../server/routes/enrollments');
+const { expireStaleOffers } = require('../../server/utils/waitlist');
+const paymentRoutes = require('../../server/routes/payments');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const WaitlistEntry = require('../../server/models/WaitlistEntry');
+const Course = require('../../server/models/Course');
+const Payment = require('../../server/models/Payment');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/courses', courseRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/payments', paymentRoutes);
+
+describe('Course Waitlist', () => {
+  let student, waiting, second, admin, course, enrollment;
+  let studentToken, waitingToken, secondToken, adminToken;
+
+  beforeEach(async () => {
+    student = await createTestUser({ email: 'student@example.com' });
+    waiting = await createTestUser({ email: 'waiting@example.com' });
+    second = await createTestUser({ email: 'second@example.com' });
+    admin = await createTestAdmin({ email: 'admin@example.com' });
+
+    studentToken = generateToken(student._id);
+    waitingToken = generateToken(waiting._id);
+    secondToken = generateToken(second._id);
+    adminToken = generateToken(admin._id);
+
+    course = await createTestCourse({
+      instructor: admin._id,
+      status: 'published',
+      price: 0,
+      maxStudents: 1,
+      currentStudents: 1
+    });
+    enrollment = await createTestEnrollment({ student: student._id, course: course._id });
+  });
+
+  describe('POST /api/courses/:id/waitlist', () => {
+    test('should add students to the back of the queue', async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/waitlist`)
+        .set(getAuthHeader(waitingToken))
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/waitlist`)
+        .set(getAuthHeader(secondToken))
+        .expect(201);
+
+      expect(response.body.entry.status).toBe('waiting');
+      expect(response.body.entry.position).toBe(2);
+    });
+
+    test('should reject joining twice', async () => {
+      await WaitlistEntry.create({ course: course._id, student: waiting._id, position: 1 });
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/waitlist`)
+        .set(getAuthHeader(waitingToken))
+        .expect(400);
+
+      expect(response.body.message).toBe('You are already on the waitlist for this course');
+    });
+
+    test('should reject joining while seats are available', async () => {
+      await Course.findByIdAndUpdate(course._id, { maxStudents: 5 });
+
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/waitlist`)
+        .set(getAuthHeader(waitingToken))
+        .expect(400);
+
+      expect(response.body.message).toBe('Seats are still available. Enroll in the course instead.');
+    });
+  });
+
+  describe('Seat offers', () => {
+    beforeEach(async () => {
+      await WaitlistEntry.create({ course: course._id, student: waiting._id, position: 1 });
+      await WaitlistEntry.create({ course: course._id, student: second._id, position: 2 });
+    });
+
+    test('should offer a freed seat to the first student in line', async () => {
+      await request(app)
+        .put(`/api/enrollments/${enrollment._id}/status`)
+        .set(getAuthHeader(studentToken))
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/waitlist/me`)
+        .set(getAuthHeader(waitingToken))
+        .expect(200);
+
+      expect(response.body.entry.status).toBe('offered');
+      expect(new Date(response.body.entry.offerExpiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const other = await WaitlistEntry.findOne({ student: second._id });
+      expect(other.status).toBe('waiting');
+    });
+
+    test('should hold the seat for the offered student only', async () => {
+      await request(app)
+        .put(`/api/enrollments/${enrollment._id}/status`)
+        .set(getAuthHeader(adminToken))
+        .send({ status: 'refunded' })
+        .expect(200);
+
+      const blocked = await request(app)
+        .post('/api/enrollments')
+        .set(getAuthHeader(secondToken))
+        .send({ courseId: course._id, paymentMethod: 'cash' })
+        .expect(400);
+      expect(blocked.body.waitlistAvailable).toBe(true);
+
+      await request(app)
+        .post('/api/enrollments')
+        .set(getAuthHeader(waitingToken))
+        .send({ courseId: course._id, paymentMethod: 'cash' })
+        .expect(201);
+
+      const entry = await WaitlistEntry.findOne({ student: waiting._id });
+      expect(entry.status).toBe('enrolled');
+    });
+
+    test('should pass an expired offer to the next student', async () => {
+      await Course.findByIdAndUpdate(course._id, { currentStudents: 0 });
+      await WaitlistEntry.updateOne(
+        { student: waiting._id },
+        { status: 'offered', offeredAt: new Date(), offerExpiresAt: new Date(Date.now() - 1000) }
+      );
+
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/waitlist/me`)
+        .set(getAuthHeader(secondToken))
+        .expect(200);
+
+      expect(response.body.entry.status).toBe('offered');
+      const expired = await WaitlistEntry.findOne({ student: waiting._id });
+      expect(expired.status).toBe('expired');
+    });
+
+    test('should sweep expired offers without anyone visiting the course', async () => {
+      await Course.findByIdAndUpdate(course._id, { currentStudents: 0 });
+      await WaitlistEntry.updateOne(
+        { student: waiting._id },
+        { status: 'offered', offeredAt: new Date(), offerExpiresAt: new Date(Date.now() - 1000) }
+      );
+
+      expect(await expireStaleOffers()).toBe(1);
+
+      expect((await WaitlistEntry.findOne({ student: waiting._id })).status).toBe('expired');
+      expect((await WaitlistEntry.findOne({ student: second._id })).status).toBe('offered');
+      expect(await expireStaleOffers()).toBe(0);
+    });
+
+    test('should not release a seat twice for an already cancelled enrollment', async () => {
+      await Course.findByIdAndUpdate(course._id, { maxStudents: 2, currentStudents: 2 });
+      await enrollment.updateOne({ status: 'cancelled' });
+
+      await request(app)
+        .put(`/api/enrollments/${enrollment._id}/status`)
+        .set(getAuthHeader(adminToken))
+        .send({ status: 'refunded' })
+        .expect(200);
+
+      const updated = await Course.findById(course._id);
+      expect(updated.currentStudents).toBe(2);
+      expect(await WaitlistEntry.countDocuments({ status: 'offered' })).toBe(0);
+    });
+
+    test('should offer the seat of a refunded payment', async () => {
+      const payment = await Payment.create({
+        user: student._id,
+        enrollment: enrollment._id,
+        course: course._id,
+        amount: 50,
+        currency: 'USD',
+        paymentMethod: 'fake',
+        status: 'completed',
+        description: 'Course payment',
+        netAmount: 50,
+        transactionId: 'FAKE_TXN_SEAT'
+      });
+
+      await request(app)
+        .post(`/api/payments/${payment._id}/refund`)
+        .set(getAuthHeader(adminToken))
+        .send({ amount: 50, reason: 'Requested by student' })
+        .expect(200);
+
+      expect((await Course.findById(course._id)).currentStudents).toBe(0);
+      const entry = await WaitlistEntry.findOne({ student: waiting._id });
+      expect(entry.status).toBe('offered');
+    });
+  });
+
+  describe('Admin queue management', () => {
+    let first, last;
+
+    beforeEach(async () => {
+      first = await WaitlistEntry.create({ course: course._id, student: waiting._id, position: 1 });
+      last = await WaitlistEntry.create({ course: course._id, student: second._id, position: 2 });
+    });
+
+    test('should list the queue for admins', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/waitlist`)
+        .set(getAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.body.waitlist).toHaveLength(2);
+      expect(response.body.waitlist[0].student.email).toBe('waiting@example.com');
+      expect(response.body.waitlist[0].position).toBe(1);
+    });
+
+    test('should deny students', async () => {
+      await request(app)
+        .get(`/api/courses/${course._id}/waitlist`)
+        .set(getAuthHeader(waitingToken))
+        .expect(403);
+    });
+
+    test('should reorder waiting students', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${course._id}/waitlist/reorder`)
+        .set(getAuthHeader(adminToken))
+        .send({ entryIds: [last._id, first._id] })
+        .expect(200);
+
+      expect(response.body.waitlist[0].student.email).toBe('second@example.com');
+
+      const me = await request(app)
+        .get(`/api/courses/${course._id}/waitlist/me`)
+        .set(getAuthHeader(waitingToken))
+        .expect(200);
+      expect(me.body.entry.position).toBe(2);
+    });
+
+    test('should require every waiting student in a reorder', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${course._id}/waitlist/reorder`)
+        .set(getAuthHeader(adminToken))
+        .send({ entryIds: [last._id] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Reorder must list every waiting student exactly once');
+    });
+  });
+});
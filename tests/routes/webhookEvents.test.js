@@ -0,0 +1,126 @@
+const request = require('supertest');
+const express = require('express');
+const paymentRoutes = require('../../server/routes/payments');
+const webhookEventRoutes = require('../../server/routes/webhookEvents');
+const { MAX_ATTEMPTS, retryDueWebhookEvents } = require('../../server/utils/webhookEvents');
+const { createTestUser, createTestAdmin, createTestCourse, createTestEnrollment, generateToken, getAuthHeader } = require('../helpers/testHelpers');
+const Payment = require('../../server/models/Payment');
+const WebhookEvent = require('../../server/models/WebhookEvent');
+
+// Create Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use('/api/webhook-events', webhookEventRoutes);
+
+describe('Webhook Events', () => {
+  let student, adminToken, studentToken, course, enrollment;
+
+  const sendWebhook = (body) =>
+    request(app)
+      .post('/api/payments/webhooks/fake')
+      .send(body);
+
+  const createPendingPayment = (transactionId) =>
+    Payment.create({
+      user: student._id,
+      enrollment: enrollment._id,
+      course: course._id,
+      amount: 100,
+      currency: 'USD',
+      paymentMethod: 'fake',
+      status: 'pending',
+      description: 'Course payment',
+      netAmount: 100,
+      transactionId,
+    });
+
+  beforeEach(async () => {
+    student = await createTestUser();
+    const admin = await createTestAdmin();
+    adminToken = generateToken(admin._id);
+    studentToken = generateToken(student._id);
+
+    const instructor = await createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+    course = await createTestCourse({ instructor: instructor._id, status: 'published', price: 100 });
+    enrollment = await createTestEnrollment({
+      student: student._id,
+      course: course._id,
+      status: 'pending',
+      payment: { amount: 100, currency: 'USD', paymentMethod: 'fake', paymentStatus: 'pending' }
+    });
+  });
+
+  test('should store events and ignore redeliveries', async () => {
+    const payment = await createPendingPayment('FAKE-0001');
+    const body = { event: 'payment.completed', transactionId: 'FAKE-0001' };
+
+    const first = await sendWebhook(body).expect(200);
+    expect(first.body).toMatchObject({ matched: true, duplicate: false });
+
+    const redelivery = await sendWebhook(body).expect(200);
+    expect(redelivery.body).toMatchObject({ matched: true, duplicate: true });
+
+    const events = await WebhookEvent.find({ provider: 'fake' });
+    expect(events).toHaveLength(1);
+    expect(events[0].status).toBe('processed');
+    expect(events[0].attempts).toBe(1);
+    expect(events[0].payment.toString()).toBe(payment._id.toString());
+  });
+
+  test('should keep unmatched events for replay', async () => {
+    const response = await sendWebhook({ event: 'payment.completed', transactionId: 'FAKE-0002' }).expect(200);
+    expect(response.body.matched).toBe(false);
+
+    const webhookEvent = await WebhookEvent.findOne({ provider: 'fake' });
+    expect(webhookEvent.status).toBe('failed');
+    expect(webhookEvent.lastError).toBe('No payment matches this event');
+    expect(webhookEvent.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // The payment shows up later, e.g. after a slow checkout
+    const payment = await createPendingPayment('FAKE-0002');
+
+    await request(app)
+      .post(`/api/webhook-events/${webhookEvent._id}/replay`)
+      .set(getAuthHeader(studentToken))
+      .expect(403);
+
+    const replay = await request(app)
+      .post(`/api/webhook-events/${webhookEvent._id}/replay`)
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(replay.body.event.status).toBe('processed');
+    expect((await Payment.findById(payment._id)).status).toBe('completed');
+
+    await request(app)
+      .post(`/api/webhook-events/${webhookEvent._id}/replay`)
+      .set(getAuthHeader(adminToken))
+      .expect(400);
+  });
+
+  test('should retry due events and dead-letter them after the last attempt', async () => {
+    await sendWebhook({ event: 'payment.completed', transactionId: 'FAKE-0003' }).expect(200);
+    await WebhookEvent.updateOne(
+      { provider: 'fake' },
+      { attempts: MAX_ATTEMPTS - 1, nextAttemptAt: new Date(Date.now() - 1000) }
+    );
+
+    const results = await retryDueWebhookEvents();
+    expect(results).toHaveLength(1);
+
+    const webhookEvent = await WebhookEvent.findOne({ provider: 'fake' });
+    expect(webhookEvent.attempts).toBe(MAX_ATTEMPTS);
+    expect(webhookEvent.nextAttemptAt).toBeNull();
+
+    const list = await request(app)
+      .get('/api/webhook-events?status=dead_letter')
+      .set(getAuthHeader(adminToken))
+      .expect(200);
+    expect(list.body.events).toHaveLength(1);
+    expect(list.body.events[0].isDeadLetter).toBe(true);
+    expect(list.body.counts.failed).toBe(1);
+
+    // Nothing is due any more
+    expect(await retryDueWebhookEvents()).toHaveLength(0);
+  });
+});